@@ -0,0 +1,206 @@
+const express = require("express");
+const cors = require("cors");
+const cookieParser = require("cookie-parser");
+const { setRefreshTokenStore, setSessionIdleTimeout } = require("./utils/auth");
+const { createLoginThrottle } = require("./utils/loginThrottle");
+const { createMetrics } = require("./utils/metrics");
+const { createReportCache } = require("./utils/reportQuery");
+const { createReportDelivery } = require("./utils/reportDelivery");
+const { createReportScheduler } = require("./utils/reportScheduler");
+const { createProcedureMetadata } = require("./utils/procedureMetadata");
+const { createReportRegistry } = require("./utils/reportRegistry");
+const { createPasswordManager } = require("./utils/passwordPolicy");
+const { createMfaManager } = require("./utils/mfa");
+const { createAuditTrail } = require("./utils/auditTrail");
+const {
+  DEFAULT_REDACT_FIELDS,
+  logger,
+  requestLogger,
+} = require("./utils/logger");
+const {
+  CORRELATION_HEADER,
+  assignCorrelationId,
+  notFoundHandler,
+  errorHandler,
+} = require("./utils/errors");
+const { createHealthRouter } = require("./routes/health");
+const { createAuthRouter } = require("./routes/auth");
+const { createUsersRouter } = require("./routes/users");
+const { createAuditLogRouter } = require("./routes/auditLog");
+const { createReportsRouter } = require("./routes/reports");
+const { createReportSchedulesRouter } = require("./routes/reportSchedules");
+const { createReportPresetsRouter } = require("./routes/reportPresets");
+const { createLookupsRouter } = require("./routes/lookups");
+const { createDocumentsRouter } = require("./routes/documents");
+const { createRegistrationRouter } = require("./routes/registration");
+const { createIssuesRouter } = require("./routes/issues");
+const { createDebugRouter } = require("./routes/debug");
+const { createDocsRouter } = require("./routes/docs");
+
+/**
+ * Build the Express app and mount every route module
+ * @param {Object} options
+ * @param {Object} options.config - Application config from loadConfig
+ * @param {Object} options.dataSource - Data source from createDataSource
+ * @param {Object} options.loginThrottle - Optional login throttle override
+ * @param {Object} options.reportScheduler - Optional report scheduler, the
+ * one the server starts
+ * @param {Object} options.procedureMetadata - Optional procedure signature
+ * cache, the one the server loads at startup
+ * @param {Object} options.reportRegistry - Optional Menu_Report_tbl registry,
+ * the one the server declares to procedureMetadata at startup
+ * @returns {express.Application}
+ */
+const createApp = ({
+  config,
+  dataSource,
+  loginThrottle,
+  reportScheduler,
+  procedureMetadata,
+  reportRegistry,
+}) => {
+  const app = express();
+  app.set("trust proxy", config.trustProxy);
+
+  logger.configure({
+    level: config.logging.level,
+    redact: [...DEFAULT_REDACT_FIELDS, ...config.logging.redact],
+  });
+
+  // Refresh tokens are tracked wherever the data source keeps them
+  setRefreshTokenStore(dataSource.tokenStore);
+  setSessionIdleTimeout(config.sessions.idleTimeoutMs);
+
+  const deps = {
+    config,
+    dataSource,
+    repositories: dataSource.repositories,
+    // Request counts and latencies served on /metrics
+    metrics: createMetrics(),
+    // Stored procedure results reused while a report is paged through
+    reportCache: createReportCache(config.reportCache),
+    // Password policy, history and reset tokens
+    passwordManager: createPasswordManager({
+      config,
+      repositories: dataSource.repositories,
+    }),
+    // TOTP enrollment and codes for the second login step
+    mfaManager: createMfaManager({
+      config,
+      repositories: dataSource.repositories,
+    }),
+    // Logins and data changes, queried at /api/audit-log
+    auditTrail: createAuditTrail({ repositories: dataSource.repositories }),
+    // Brute-force protection shared by both login endpoints
+    loginThrottle: loginThrottle || createLoginThrottle(config.loginThrottle),
+    // Runs schedules on demand - polling is started by the server
+    reportScheduler:
+      reportScheduler ||
+      createReportScheduler({
+        config,
+        repositories: dataSource.repositories,
+        delivery: createReportDelivery({ config }),
+      }),
+    // Stored procedure signatures - routes declare the procedures they call
+    procedureMetadata:
+      procedureMetadata ||
+      createProcedureMetadata({ repositories: dataSource.repositories }),
+  };
+  // Reports configured in Menu_Report_tbl
+  deps.reportRegistry =
+    reportRegistry ||
+    createReportRegistry({
+      repositories: dataSource.repositories,
+      procedureMetadata: deps.procedureMetadata,
+    });
+
+  // Every response carries X-Correlation-ID, error bodies repeat it
+  app.use(assignCorrelationId);
+  // req.log and one access log line per request
+  app.use(requestLogger);
+  app.use(deps.metrics.middleware);
+
+  app.get("/", (req, res) => {
+    res.send("CORS is wide open!  v1🌍");
+  });
+
+  // Security middleware
+  app.use((req, res, next) => {
+    // Security headers
+    res.setHeader("X-Content-Type-Options", "nosniff");
+    res.setHeader("X-Frame-Options", "DENY");
+    res.setHeader("X-XSS-Protection", "1; mode=block");
+    res.setHeader(
+      "Strict-Transport-Security",
+      "max-age=31536000; includeSubDomains"
+    );
+    res.setHeader("Referrer-Policy", "strict-origin-when-cross-origin");
+
+    // Remove server information
+    res.removeHeader("X-Powered-By");
+
+    next();
+  });
+
+  // CORS configuration with JWT support
+  app.use(
+    cors({
+      origin: config.corsOrigins, // Only allow specific origins
+      credentials: true, // Allow cookies and authorization headers
+      methods: ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
+      allowedHeaders: [
+        "Content-Type",
+        "Authorization",
+        "X-Requested-With",
+        "Accept",
+        "Origin",
+        CORRELATION_HEADER,
+      ],
+      exposedHeaders: ["Authorization", CORRELATION_HEADER], // Allow frontend to access Authorization header
+      optionsSuccessStatus: 200, // For legacy browser support
+    })
+  );
+
+  // Cookie parser middleware for handling JWT in cookies
+  app.use(cookieParser());
+
+  // JSON parsing middleware
+  app.use(express.json({ limit: "10mb" }));
+  app.use(express.urlencoded({ extended: true, limit: "10mb" }));
+
+  // Handlers destructure req.body - give bodiless requests an empty object
+  app.use((req, res, next) => {
+    if (req.body === undefined) {
+      req.body = {};
+    }
+    next();
+  });
+
+  app.use(createHealthRouter(deps));
+  app.use(createDocsRouter(deps));
+  app.use(createAuthRouter(deps));
+  app.use(createUsersRouter(deps));
+  app.use(createAuditLogRouter(deps));
+  app.use(createReportsRouter(deps));
+  app.use(createReportSchedulesRouter(deps));
+  app.use(createReportPresetsRouter(deps));
+  app.use(createLookupsRouter(deps));
+  app.use(createDocumentsRouter(deps));
+  app.use(createRegistrationRouter(deps));
+  app.use(createIssuesRouter(deps));
+
+  // Debug endpoints should only be available in development mode
+  if (config.nodeEnv !== "production") {
+    app.use(createDebugRouter(deps));
+  }
+
+  // Unmatched routes and every thrown error end in the error envelope
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+
+  return app;
+};
+
+module.exports = {
+  createApp,
+};
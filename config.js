@@ -0,0 +1,237 @@
+require("dotenv").config();
+const { LOG_LEVELS } = require("./utils/logger");
+const { PASSWORD_CLASSES } = require("./utils/passwordPolicy");
+
+// Origins allowed when CORS_ORIGIN is not set
+const DEFAULT_CORS_ORIGINS = [
+  "http://localhost:5173",
+  "http://localhost:5174",
+  "http://localhost:5175",
+  "http://localhost:5176",
+  "http://localhost:5177",
+  "http://localhost:3000",
+  "https://lmrkmayura.vercel.app",
+];
+
+const DATA_SOURCES = ["mssql", "mock"];
+
+// Signing and encryption keys that fall back to a published default outside
+// production
+const PRODUCTION_SECRETS = [
+  "JWT_SECRET",
+  "JWT_REFRESH_SECRET",
+  "JWT_MFA_SECRET",
+  "MFA_ENCRYPTION_KEY",
+];
+
+/**
+ * Split a comma separated environment variable into a trimmed list
+ * @param {String} value - Raw environment value
+ * @returns {Array} Non-empty entries
+ */
+const parseList = (value) => {
+  return String(value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+};
+
+/**
+ * Read TRUST_PROXY - true / false, a hop count, or addresses and subnets as
+ * Express takes them
+ * @param {String} value - Raw environment value
+ * @returns {Boolean|Number|String}
+ */
+const parseTrustProxy = (value) => {
+  const text = String(value || "").trim();
+  if (text === "" || text === "false") {
+    return false;
+  }
+  if (text === "true") {
+    return true;
+  }
+  return /^\d+$/.test(text) ? parseInt(text) : text;
+};
+
+/**
+ * Read application settings from the environment
+ * @param {Object} env - Environment variables, defaults to process.env
+ * @returns {Object} Application config
+ */
+const loadConfig = (env = process.env) => {
+  const dataSource = (env.DATA_SOURCE || "mssql").toLowerCase();
+
+  if (!DATA_SOURCES.includes(dataSource)) {
+    throw new Error(
+      `DATA_SOURCE must be one of ${DATA_SOURCES.join(", ")} (got "${
+        env.DATA_SOURCE
+      }")`
+    );
+  }
+
+  // Database settings are only needed when talking to SQL Server
+  if (dataSource === "mssql") {
+    const requiredEnvVars = ["DB_USER", "DB_PASSWORD", "DB_SERVER", "DB_NAME"];
+    for (const envVar of requiredEnvVars) {
+      if (!env[envVar]) {
+        throw new Error(`Missing required environment variable: ${envVar}`);
+      }
+    }
+  }
+
+  // Anyone could sign tokens or read TOTP secrets with the defaults
+  const nodeEnv = env.NODE_ENV || "development";
+  if (nodeEnv === "production") {
+    for (const envVar of PRODUCTION_SECRETS) {
+      if (!env[envVar]) {
+        throw new Error(
+          `Missing required environment variable in production: ${envVar}`
+        );
+      }
+    }
+  }
+
+  const logLevel = (env.LOG_LEVEL || "info").toLowerCase();
+  if (!LOG_LEVELS.includes(logLevel)) {
+    throw new Error(
+      `LOG_LEVEL must be one of ${LOG_LEVELS.join(", ")} (got "${
+        env.LOG_LEVEL
+      }")`
+    );
+  }
+
+  const corsOrigins = parseList(env.CORS_ORIGIN);
+
+  const requiredClasses =
+    env.PASSWORD_REQUIRED_CLASSES === undefined
+      ? ["lower", "upper", "digit"]
+      : parseList(env.PASSWORD_REQUIRED_CLASSES.toLowerCase());
+  const unknownClass = requiredClasses.find(
+    (name) => !Object.keys(PASSWORD_CLASSES).includes(name)
+  );
+  if (unknownClass) {
+    throw new Error(
+      `PASSWORD_REQUIRED_CLASSES must list ${Object.keys(PASSWORD_CLASSES).join(
+        ", "
+      )} (got "${unknownClass}")`
+    );
+  }
+
+  return {
+    port: parseInt(env.PORT) || 4000,
+    // Express "trust proxy" - set behind a reverse proxy so req.ip is the
+    // client rather than the proxy
+    trustProxy: parseTrustProxy(env.TRUST_PROXY),
+    nodeEnv,
+    dataSource,
+    corsOrigins: corsOrigins.length > 0 ? corsOrigins : DEFAULT_CORS_ORIGINS,
+    db: {
+      user: env.DB_USER,
+      password: env.DB_PASSWORD,
+      server: env.DB_SERVER,
+      database: env.DB_NAME,
+      // Background reconnect backoff after the connection is lost
+      reconnect: {
+        initialDelayMs: parseInt(env.DB_RECONNECT_INITIAL_MS) || 1000,
+        maxDelayMs: parseInt(env.DB_RECONNECT_MAX_MS) || 30000,
+      },
+      // Queries failing on the connection this many times in a row open the
+      // circuit
+      failureThreshold: parseInt(env.DB_CIRCUIT_FAILURES) || 3,
+    },
+    // In-flight requests get this long to finish on SIGTERM / SIGINT
+    shutdownTimeoutMs: parseInt(env.SHUTDOWN_TIMEOUT_MS) || 10000,
+    logging: {
+      level: logLevel,
+      // Added to the default list in utils/logger
+      redact: parseList(env.LOG_REDACT),
+    },
+    health: {
+      // How long a readiness probe result is reused
+      readyCacheMs: parseInt(env.HEALTH_READY_CACHE_MS) || 5000,
+      // Bearer token required by /metrics when set
+      metricsToken: env.METRICS_TOKEN || undefined,
+    },
+    reportCache: {
+      // How long a report result is reused for paging - 0 turns caching off
+      ttlMs: env.REPORT_CACHE_TTL_MS
+        ? parseInt(env.REPORT_CACHE_TTL_MS)
+        : 60000,
+      maxEntries: parseInt(env.REPORT_CACHE_MAX_ENTRIES) || 50,
+    },
+    reports: {
+      // First line of the printed report header
+      companyName: env.REPORT_COMPANY_NAME || "Audit Reports",
+    },
+    reportScheduler: {
+      enabled: env.REPORT_SCHEDULER_ENABLED !== "false",
+      // How often due schedules are looked for
+      pollMs: parseInt(env.REPORT_SCHEDULER_POLL_MS) || 60000,
+      // Scheduled reports delivered to the outbox are written here
+      outboxDir: env.REPORT_OUTBOX_DIR || "outbox",
+    },
+    // Mail server for emailed reports - email delivery is refused without a host
+    smtp: {
+      host: env.SMTP_HOST || undefined,
+      port: parseInt(env.SMTP_PORT) || (env.SMTP_SECURE === "true" ? 465 : 25),
+      // TLS from the start - otherwise STARTTLS is used when offered
+      secure: env.SMTP_SECURE === "true",
+      user: env.SMTP_USER || undefined,
+      password: env.SMTP_PASSWORD || undefined,
+      from: env.SMTP_FROM || "reports@localhost",
+      timeoutMs: parseInt(env.SMTP_TIMEOUT_MS) || 30000,
+    },
+    loginThrottle: {
+      maxFailures: parseInt(env.LOGIN_MAX_FAILURES) || 5,
+      // Per client IP - a hard limit without backoff, as one address can be
+      // a whole office behind NAT
+      maxIpFailures: parseInt(env.LOGIN_MAX_IP_FAILURES) || 100,
+      lockoutMs: (parseInt(env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000,
+    },
+    sessions: {
+      // A login session unused this long can no longer be refreshed - 0 only
+      // ends it when the refresh token expires (JWT_REFRESH_EXPIRES_IN)
+      idleTimeoutMs:
+        (env.SESSION_IDLE_TIMEOUT_MINUTES
+          ? parseInt(env.SESSION_IDLE_TIMEOUT_MINUTES)
+          : 0) *
+        60 *
+        1000,
+    },
+    auditLog: {
+      // An audit log export matching more entries than this is refused
+      maxExportRows: parseInt(env.AUDIT_EXPORT_MAX_ROWS) || 10000,
+    },
+    mfa: {
+      // Roles that have to enroll in two-factor authentication before login
+      requiredRoles:
+        env.MFA_REQUIRED_ROLES === undefined
+          ? ["admin"]
+          : parseList(env.MFA_REQUIRED_ROLES.toLowerCase()),
+      // Account name shown in authenticator apps
+      issuer: env.MFA_ISSUER || "Audit Reports",
+      // TOTP secrets are stored encrypted with this key
+      encryptionKey:
+        env.MFA_ENCRYPTION_KEY ||
+        "your-super-secret-mfa-key-change-this-in-production",
+    },
+    passwordPolicy: {
+      minLength: parseInt(env.PASSWORD_MIN_LENGTH) || 8,
+      requiredClasses,
+      // Earlier passwords that may not be used again - 0 allows any reuse
+      historyCount: env.PASSWORD_HISTORY ? parseInt(env.PASSWORD_HISTORY) : 5,
+      // Login asks for a new password after this long - 0 never expires
+      maxAgeDays: env.PASSWORD_MAX_AGE_DAYS
+        ? parseInt(env.PASSWORD_MAX_AGE_DAYS)
+        : 90,
+      // How long an admin issued reset token can be used
+      resetTokenTtlMs:
+        (parseInt(env.PASSWORD_RESET_TTL_MINUTES) || 60) * 60 * 1000,
+    },
+  };
+};
+
+module.exports = {
+  loadConfig,
+  DATA_SOURCES,
+};
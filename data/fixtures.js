@@ -0,0 +1,277 @@
+/**
+ * Fixture rows for DATA_SOURCE=mock and the in-memory repositories, keyed the
+ * way createMemoryRepositories reads its seed. A new copy on every call so
+ * callers can mutate freely.
+ */
+const createFixtures = () => ({
+  users: [
+    {
+      User_ID: 1,
+      User_Name: "admin",
+      User_Password: "admin123",
+      Role: "Admin",
+      User_Type: "Admin",
+      User_Availability_Status: "YES",
+      User_Mobile: "9000000001",
+      User_Email: "admin@example.com",
+      Active: 1,
+    },
+    {
+      User_ID: 2,
+      User_Name: "user",
+      User_Password: "user123",
+      Role: null,
+      User_Type: "User",
+      User_Availability_Status: "YES",
+      User_Mobile: "9000000002",
+      User_Email: "user@example.com",
+      Active: 1,
+    },
+  ],
+  userDetailNames: ["admin", "user"],
+  menu: [
+    {
+      Mnu_ID: 1,
+      Mnu_Caption: "High Value Transactions",
+      Mnu_URL: "/reports/high-value",
+      Mnu_Description: "Transactions within an amount range",
+      Mnu_Order: 1,
+      Mnu_Active: 1,
+      Mnu_Proc_Name: "AuditHVTranRpt_Sp",
+      Mnu_Params: JSON.stringify([
+        {
+          name: "branchName",
+          param: "Br_Name",
+          label: "Branch",
+          type: "string",
+          required: true,
+          maxLength: 10,
+          lookup: "/api/branches",
+        },
+        {
+          name: "section",
+          param: "Section",
+          label: "Section",
+          type: "string",
+          required: true,
+          maxLength: 10,
+        },
+        {
+          name: "scheme",
+          param: "Scheme",
+          label: "Scheme",
+          type: "string",
+          required: true,
+          maxLength: 30,
+        },
+        {
+          name: "amount1",
+          param: "Amount",
+          label: "Minimum amount",
+          type: "number",
+          required: true,
+          min: 0,
+          notAfter: "amount2",
+        },
+        {
+          name: "amount2",
+          param: "Amount2",
+          label: "Maximum amount",
+          type: "number",
+          required: true,
+          min: 0,
+        },
+        {
+          name: "fromDate",
+          param: "Frdate",
+          label: "From date",
+          type: "date",
+          required: true,
+          notAfter: "toDate",
+        },
+        {
+          name: "toDate",
+          param: "Todate",
+          label: "To date",
+          type: "date",
+          required: true,
+        },
+      ]),
+      Mnu_Permission: "report:hv",
+    },
+    {
+      Mnu_ID: 2,
+      Mnu_Caption: "User Rights",
+      Mnu_URL: "/reports/userright",
+      Mnu_Description: "Rights assigned to a user",
+      Mnu_Order: 2,
+      Mnu_Active: 1,
+    },
+    {
+      Mnu_ID: 3,
+      Mnu_Caption: "User Right Transfers",
+      Mnu_URL: "/reports/userright-transfer",
+      Mnu_Description: "Rights granted or revoked in a period",
+      Mnu_Order: 3,
+      Mnu_Active: 1,
+      Mnu_Proc_Name: "AuditUserrightTranRpt_sp",
+      Mnu_Params: JSON.stringify([
+        {
+          name: "user",
+          param: "userName",
+          label: "User",
+          type: "string",
+          required: true,
+          maxLength: 10,
+        },
+        {
+          name: "fromDate",
+          param: "Frdate",
+          label: "From date",
+          type: "date",
+          required: true,
+          notAfter: "toDate",
+        },
+        {
+          name: "toDate",
+          param: "ToDate",
+          label: "To date",
+          type: "date",
+          required: true,
+        },
+      ]),
+      Mnu_Permission: "report:userright",
+    },
+  ],
+  branches: ["HEAD OFFICE", "MAIN BRANCH", "BRANCH 1", "BRANCH 2", "BRANCH 3"],
+  schemes: [
+    { Sch_Section_Name: "DEPOSIT", Sch_Name: "SAVINGS" },
+    { Sch_Section_Name: "DEPOSIT", Sch_Name: "FIXED DEPOSIT" },
+    { Sch_Section_Name: "LOAN", Sch_Name: "GOLD LOAN" },
+  ],
+  transactions: [
+    {
+      Account_No: "ACC001",
+      Customer_Name: "John Doe",
+      Branch_Name: "MAIN BRANCH",
+      Section: "DEPOSIT",
+      Scheme: "SAVINGS",
+      Transaction_Amount: 550000,
+      Transaction_Date: "2024-01-15",
+      Transaction_Type: "DEPOSIT",
+    },
+    {
+      Account_No: "ACC002",
+      Customer_Name: "Jane Smith",
+      Branch_Name: "BRANCH 1",
+      Section: "DEPOSIT",
+      Scheme: "FIXED DEPOSIT",
+      Transaction_Amount: 575000,
+      Transaction_Date: "2024-02-20",
+      Transaction_Type: "WITHDRAWAL",
+    },
+  ],
+  userRights: [
+    { User_Name: "admin", Menu_Name: "High Value Transactions", Rights: "RW" },
+    { User_Name: "user", Menu_Name: "High Value Transactions", Rights: "R" },
+  ],
+  userRightTransfers: [
+    {
+      User_Name: "user",
+      Menu_Name: "User Rights",
+      Action: "GRANT",
+      Changed_By: "admin",
+      Changed_On: "2024-03-01",
+    },
+  ],
+  complaints: [
+    { Complaint_ID: 1, Description: "Passbook not updated", Status: "OPEN" },
+  ],
+  documents: [
+    {
+      ID: 1,
+      CompCode: "LMRK",
+      Section: "GENERAL",
+      Keyword: "welcome",
+      Details: "Welcome document",
+      UserName: "admin",
+    },
+  ],
+  timeSlots: [
+    { programmeName: "MORNING PROGRAMME", TimeSlots: "ALL" },
+    { programmeName: "MORNING PROGRAMME", TimeSlots: "09:00-10:00" },
+    { programmeName: "MORNING PROGRAMME", TimeSlots: "10:00-11:00" },
+  ],
+  members: [
+    {
+      Name: "Ravi",
+      Phone: "9000000010",
+      RegPersons: 2,
+      AtnPersons: 0,
+      TimeSlot: "09:00-10:00",
+      Status: "R",
+    },
+  ],
+  issues: [],
+  procedureParameters: {
+    AuditHVTranRpt_Sp: [
+      ["@Br_Name", "varchar", 10],
+      ["@Section", "varchar", 10],
+      ["@Scheme", "varchar", 30],
+      ["@Amount", "decimal", null, 18, 2],
+      ["@Amount2", "decimal", null, 18, 2],
+      ["@Frdate", "varchar", 20],
+      ["@Todate", "varchar", 20],
+    ],
+    AuditUserrightRpt_Sp: [["@Userid", "varchar", 100]],
+    AuditUserrightTranRpt_sp: [
+      ["@userName", "varchar", 10],
+      ["@Frdate", "varchar", 20],
+      ["@ToDate", "varchar", 20],
+    ],
+    RegMembers_Sp: [
+      ["@Param1", "varchar", 50],
+      ["@Param2", "varchar", 50],
+    ],
+    RegMembersReport_Sp: [
+      ["@Param1", "varchar", 50],
+      ["@Param2", "varchar", 50],
+      ["@Param3", "int", null, 10, 0],
+    ],
+    InsertUpdate_RegMaster_Sp: [
+      ["@Name", "varchar", 100],
+      ["@Phone", "varchar", 20],
+      ["@RegPersons", "int", null, 10, 0],
+      ["@TimeSlot", "varchar", 50],
+    ],
+    updateAttendMember_Sp: [
+      ["@phone", "varchar", 20],
+      ["@AtnPersons", "varchar", 10],
+    ],
+  },
+  // What the registered report procedures return, whatever the inputs
+  procedureResults: {
+    AuditHVTranRpt_Sp: [
+      {
+        Account_No: "ACC001",
+        Customer_Name: "John Doe",
+        Branch_Name: "MAIN BRANCH",
+        Transaction_Amount: 550000,
+        Transaction_Date: "2024-01-15",
+      },
+    ],
+    AuditUserrightTranRpt_sp: [
+      {
+        User_Name: "user",
+        Menu_Name: "User Rights",
+        Action: "GRANT",
+        Changed_By: "admin",
+        Changed_On: "2024-03-01",
+      },
+    ],
+  },
+});
+
+module.exports = {
+  createFixtures,
+};
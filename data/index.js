@@ -0,0 +1,22 @@
+const { createMssqlDataSource } = require("./mssql");
+const { createMockDataSource } = require("./mock");
+
+/**
+ * Create the data source selected by DATA_SOURCE
+ * @param {Object} config - Application config from loadConfig
+ * @returns {Object} Data source used by every route module
+ */
+const createDataSource = (config) => {
+  switch (config.dataSource) {
+    case "mock":
+      return createMockDataSource();
+    case "mssql":
+      return createMssqlDataSource(config.db);
+    default:
+      throw new Error(`Unknown data source: ${config.dataSource}`);
+  }
+};
+
+module.exports = {
+  createDataSource,
+};
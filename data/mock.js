@@ -0,0 +1,27 @@
+const { createMemoryTokenStore } = require("../utils/tokenStore");
+const { createMemoryRepositories } = require("../repositories");
+const { createFixtures } = require("./fixtures");
+
+/**
+ * Mock data source - in-memory repositories seeded with the fixture rows,
+ * no SQL Server required
+ * @param {Object} seed - Fixture rows, defaults to data/fixtures.js
+ * @returns {Object} Data source with the same shape as the mssql one
+ */
+const createMockDataSource = (seed = createFixtures()) => ({
+  kind: "mock",
+  tokenStore: createMemoryTokenStore(),
+  repositories: createMemoryRepositories(seed),
+
+  async connect() {},
+  async close() {},
+  isConnected: () => true,
+  async ping() {},
+  // No connection pool to report
+  poolStats: () => null,
+  status: () => ({ state: "connected", failedAttempts: 0 }),
+});
+
+module.exports = {
+  createMockDataSource,
+};
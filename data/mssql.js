@@ -0,0 +1,33 @@
+const { createDbConnection } = require("../db/connection");
+const { createMssqlTokenStore } = require("../utils/tokenStore");
+const { createMssqlRepositories } = require("../repositories");
+
+/**
+ * SQL Server data source - the SQL Server repositories and the connection
+ * pool they share
+ * @param {Object} settings - Database settings from config.db
+ * @returns {Object} Data source
+ */
+const createMssqlDataSource = (settings) => {
+  const connection = createDbConnection(settings);
+  const { getDbConnection } = connection;
+
+  return {
+    kind: "mssql",
+
+    // Track refresh tokens in SQL Server so revocation survives restarts
+    tokenStore: createMssqlTokenStore(getDbConnection),
+    repositories: createMssqlRepositories(getDbConnection),
+
+    connect: connection.initializeDatabase,
+    close: connection.closeDatabase,
+    isConnected: connection.isConnected,
+    ping: connection.ping,
+    poolStats: connection.poolStats,
+    status: connection.status,
+  };
+};
+
+module.exports = {
+  createMssqlDataSource,
+};
@@ -0,0 +1,305 @@
+const sql = require("mssql");
+const { logger } = require("../utils/logger");
+const {
+  DatabaseUnavailableError,
+  isConnectionError,
+} = require("../utils/errors");
+
+// Request methods whose failures count toward opening the circuit
+const WATCHED_METHODS = ["query", "execute", "batch"];
+
+/**
+ * Delay before reconnect attempt number `attempt` (0 based), before jitter
+ * @param {Number} attempt - Failed attempts so far, minus one
+ * @param {Object} reconnect - { initialDelayMs, maxDelayMs }
+ * @returns {Number} Milliseconds
+ */
+const backoffDelay = (attempt, { initialDelayMs, maxDelayMs }) =>
+  Math.min(maxDelayMs, initialDelayMs * 2 ** attempt);
+
+/**
+ * Create the SQL Server connection manager
+ *
+ * Holds one pool for every request. When the pool cannot be opened, reports
+ * an error or has failureThreshold queries in a row fail on the connection
+ * (socket errors, resets, timeouts), the circuit opens: getDbConnection fails
+ * fast with a 503 while a background loop reconnects with exponential
+ * backoff, and the circuit closes again once a new pool answers SELECT 1.
+ *
+ * @param {Object} settings - { user, password, server, database, reconnect,
+ * failureThreshold } from config.db
+ * @param {Object} options - { connectPool } override for tests, receives the
+ * mssql config and resolves to a connected pool
+ * @returns {Object} { initializeDatabase, getDbConnection, closeDatabase,
+ * isConnected, ping, poolStats, status }
+ */
+const createDbConnection = (
+  settings,
+  { connectPool = (config) => new sql.ConnectionPool(config).connect() } = {}
+) => {
+  const config = {
+    user: settings.user,
+    password: settings.password,
+    server: settings.server,
+    database: settings.database,
+    options: {
+      encrypt: true,
+      trustServerCertificate: true,
+      enableArithAbort: true,
+    },
+    connectionTimeout: 30000, // 30 second timeout
+    requestTimeout: 30000, // 30 second timeout
+    pool: {
+      max: 10,
+      min: 0,
+      idleTimeoutMillis: 30000,
+    },
+    parseJSON: true,
+  };
+
+  const reconnect = {
+    initialDelayMs: 1000,
+    maxDelayMs: 30000,
+    ...settings.reconnect,
+  };
+  const failureThreshold = settings.failureThreshold || 3;
+
+  // Connection pool shared by every request
+  let globalPool = null;
+  // "disconnected" until the first connect, "connected" with the circuit
+  // closed, "reconnecting" with it open, "closed" after shutdown
+  let state = "disconnected";
+  let connecting = null;
+  let reconnectTimer = null;
+  let failedAttempts = 0;
+  let lastError = null;
+
+  const scheduleReconnect = () => {
+    if (state === "closed" || reconnectTimer) {
+      return;
+    }
+
+    const base = backoffDelay(Math.max(0, failedAttempts - 1), reconnect);
+    // Jitter keeps several instances from retrying in lockstep
+    const delay = Math.round(base / 2 + (Math.random() * base) / 2);
+
+    logger.warn("Database reconnect scheduled", {
+      attempt: failedAttempts + 1,
+      delayMs: delay,
+    });
+
+    reconnectTimer = setTimeout(() => {
+      reconnectTimer = null;
+      initializeDatabase().catch(() => {
+        // Already logged; the next attempt is scheduled
+      });
+    }, delay);
+    // Never keep the process alive just to reconnect
+    reconnectTimer.unref();
+  };
+
+  // Drop a broken pool and open the circuit
+  const markDown = (err) => {
+    lastError = err;
+    if (state !== "closed") {
+      state = "reconnecting";
+    }
+
+    const pool = globalPool;
+    globalPool = null;
+    if (pool) {
+      pool.close().catch(() => {});
+    }
+
+    scheduleReconnect();
+  };
+
+  // A query that failed on the connection counts like a failed connect; any
+  // answer from the server, even an error, resets the count
+  const recordQueryResult = (pool, err) => {
+    if (pool !== globalPool) {
+      return;
+    }
+    if (!err || !(isConnectionError(err) || err.code === "ETIMEOUT")) {
+      failedAttempts = 0;
+      return;
+    }
+
+    failedAttempts += 1;
+    lastError = err;
+    logger.warn("Database query failed on the connection", {
+      failures: failedAttempts,
+      error: err,
+    });
+    if (failedAttempts >= failureThreshold) {
+      logger.error("Database circuit opened after failed queries", {
+        failures: failedAttempts,
+      });
+      markDown(err);
+    }
+  };
+
+  // Report the outcome of every promise based request on the pool
+  const watchQueries = (pool) => {
+    const createRequest = pool.request.bind(pool);
+    pool.request = (...args) => {
+      const request = createRequest(...args);
+      for (const method of WATCHED_METHODS) {
+        const run = request[method];
+        if (typeof run !== "function") {
+          continue;
+        }
+        request[method] = (...methodArgs) => {
+          // Callback style calls return nothing to watch
+          if (typeof methodArgs[methodArgs.length - 1] === "function") {
+            return run.apply(request, methodArgs);
+          }
+          return run.apply(request, methodArgs).then(
+            (result) => {
+              recordQueryResult(pool);
+              return result;
+            },
+            (err) => {
+              recordQueryResult(pool, err);
+              throw err;
+            }
+          );
+        };
+      }
+      return request;
+    };
+  };
+
+  // Open a pool and verify it - one attempt, shared by concurrent callers
+  async function initializeDatabase() {
+    if (globalPool) {
+      return globalPool;
+    }
+    if (state === "closed") {
+      throw new DatabaseUnavailableError("The database connection is closed");
+    }
+    if (connecting) {
+      return connecting;
+    }
+
+    connecting = (async () => {
+      let pool = null;
+      try {
+        logger.info("Connecting to database", { server: settings.server });
+        pool = await connectPool(config);
+
+        // Test the connection
+        await pool.request().query("SELECT 1 as test");
+        watchQueries(pool);
+
+        pool.on("error", (err) => {
+          logger.error("Database pool error", err);
+          if (pool === globalPool) {
+            markDown(err);
+          }
+        });
+
+        if (state === "closed") {
+          throw new DatabaseUnavailableError(
+            "The database connection is closed"
+          );
+        }
+
+        globalPool = pool;
+        state = "connected";
+        failedAttempts = 0;
+        lastError = null;
+        logger.info("Database connected", { database: settings.database });
+
+        return pool;
+      } catch (err) {
+        // A pool that connected but failed its probe is never used
+        if (pool) {
+          pool.close().catch(() => {});
+        }
+        failedAttempts += 1;
+        logger.error("Database connection failed", {
+          attempt: failedAttempts,
+          error: err,
+        });
+        markDown(err);
+        throw err;
+      } finally {
+        connecting = null;
+      }
+    })();
+
+    return connecting;
+  }
+
+  // Circuit breaker - while the database is down every caller gets a 503
+  // at once instead of waiting on its own connection timeout
+  async function getDbConnection() {
+    if (globalPool && globalPool.connected) {
+      return globalPool;
+    }
+
+    if (globalPool) {
+      markDown(new Error("Connection pool is no longer connected"));
+    }
+
+    if (state === "disconnected") {
+      // First use without connect() at boot - connect on demand
+      try {
+        return await initializeDatabase();
+      } catch (err) {
+        throw new DatabaseUnavailableError(undefined, err);
+      }
+    }
+
+    throw new DatabaseUnavailableError(undefined, lastError);
+  }
+
+  // Stop reconnecting and close the pool - used on shutdown
+  async function closeDatabase() {
+    state = "closed";
+    clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+
+    if (globalPool) {
+      const pool = globalPool;
+      globalPool = null;
+      await pool.close();
+      logger.info("Database connection closed");
+    }
+  }
+
+  const isConnected = () => Boolean(globalPool && globalPool.connected);
+
+  // Round trip to the server - used by the readiness check
+  async function ping() {
+    const pool = await getDbConnection();
+    await pool.request().query("SELECT 1 as test");
+  }
+
+  // Connection counts for /metrics
+  const poolStats = () => ({
+    size: globalPool ? globalPool.size : 0,
+    idle: globalPool ? globalPool.available : 0,
+    borrowed: globalPool ? globalPool.borrowed : 0,
+    pending: globalPool ? globalPool.pending : 0,
+  });
+
+  // Connection state for /api/health
+  const status = () => ({ state, failedAttempts });
+
+  return {
+    initializeDatabase,
+    getDbConnection,
+    closeDatabase,
+    isConnected,
+    ping,
+    poolStats,
+    status,
+  };
+};
+
+module.exports = {
+  backoffDelay,
+  createDbConnection,
+};
@@ -0,0 +1,207 @@
+const sql = require("mssql");
+
+/**
+ * Audit log repository contract - Tbl_AuditLog (see sql/Tbl_AuditLog.sql).
+ * Entries are only ever appended; the table refuses updates and deletes.
+ *
+ * @typedef {Object} AuditEntry
+ * @property {Number} auditId - Audit_ID
+ * @property {Date} occurredAt - Occurred_At
+ * @property {Number|null} actorId - User_ID of the user who acted, null when
+ * unknown (e.g. a failed login with an unknown name)
+ * @property {String|null} actor - User name of the actor, as typed for a
+ * failed login
+ * @property {String} action - One of AUDIT_ACTIONS in utils/auditTrail.js
+ * @property {String|null} targetType - e.g. "user", "document", "member"
+ * @property {String|null} targetId - Key of the target
+ * @property {Object|null} before - Values before the change
+ * @property {Object|null} after - Values after the change
+ * @property {Object|null} details - Anything else worth keeping, e.g. the
+ * reason a login failed
+ * @property {String|null} ipAddress
+ * @property {String|null} correlationId - X-Correlation-ID of the request
+ *
+ * @typedef {Object} AuditFilter
+ * @property {String} [action]
+ * @property {Number} [actorId]
+ * @property {String} [actor] - Exact user name
+ * @property {String} [targetType]
+ * @property {String} [targetId]
+ * @property {Date} [from] - Occurred at or after
+ * @property {Date} [to] - Occurred before
+ *
+ * @typedef {Object} AuditLogRepository
+ * @property {Function} append - (entry) => Promise<void> - entry as
+ * AuditEntry without auditId and occurredAt
+ * @property {Function} list - (AuditFilter, { offset, limit }) =>
+ * Promise<{ entries: AuditEntry[], total: Number }> newest first, every
+ * matching entry when limit is omitted
+ */
+
+const toJson = (value) =>
+  value === null || value === undefined ? null : JSON.stringify(value);
+
+const fromJson = (value) =>
+  value === null || value === undefined ? null : JSON.parse(value);
+
+const toEntry = (row) => ({
+  auditId: Number(row.Audit_ID),
+  occurredAt: row.Occurred_At,
+  actorId: row.Actor_ID,
+  actor: row.Actor_Name,
+  action: row.Action,
+  targetType: row.Target_Type,
+  targetId: row.Target_ID,
+  before: fromJson(row.Before_Value),
+  after: fromJson(row.After_Value),
+  details: fromJson(row.Details),
+  ipAddress: row.IP_Address,
+  correlationId: row.Correlation_ID,
+});
+
+// Filter -> column, for the filters compared by equality
+const EQUALITY_FILTERS = [
+  ["action", "Action", sql.VarChar(50)],
+  ["actorId", "Actor_ID", sql.Int],
+  ["actor", "Actor_Name", sql.NVarChar(50)],
+  ["targetType", "Target_Type", sql.VarChar(50)],
+  ["targetId", "Target_ID", sql.NVarChar(100)],
+];
+
+/**
+ * SQL Server audit log repository
+ * @param {Function} getPool - Async function returning a connected mssql pool
+ * @returns {AuditLogRepository}
+ */
+const createMssqlAuditLogRepository = (getPool) => ({
+  async append(entry) {
+    const pool = await getPool();
+    await pool
+      .request()
+      .input("actorId", sql.Int, entry.actorId)
+      .input("actor", sql.NVarChar(50), entry.actor)
+      .input("action", sql.VarChar(50), entry.action)
+      .input("targetType", sql.VarChar(50), entry.targetType)
+      .input("targetId", sql.NVarChar(100), entry.targetId)
+      .input("before", sql.NVarChar(sql.MAX), toJson(entry.before))
+      .input("after", sql.NVarChar(sql.MAX), toJson(entry.after))
+      .input("details", sql.NVarChar(sql.MAX), toJson(entry.details))
+      .input("ipAddress", sql.VarChar(45), entry.ipAddress)
+      .input("correlationId", sql.VarChar(64), entry.correlationId).query(`
+        INSERT INTO [dbo].[Tbl_AuditLog]
+        ([Actor_ID], [Actor_Name], [Action], [Target_Type], [Target_ID],
+          [Before_Value], [After_Value], [Details], [IP_Address], [Correlation_ID])
+        VALUES (@actorId, @actor, @action, @targetType, @targetId,
+          @before, @after, @details, @ipAddress, @correlationId)
+      `);
+  },
+
+  async list(filter, { offset = 0, limit } = {}) {
+    const pool = await getPool();
+    const active = EQUALITY_FILTERS.filter(
+      ([name]) => filter[name] !== undefined
+    );
+    const filters = active.map(([name, column]) => `${column} = @${name}`);
+    if (filter.from) {
+      filters.push("Occurred_At >= @from");
+    }
+    if (filter.to) {
+      filters.push("Occurred_At < @to");
+    }
+    // Each query needs its own request
+    const filtered = () => {
+      const request = pool.request();
+      for (const [name, , type] of active) {
+        request.input(name, type, filter[name]);
+      }
+      if (filter.from) {
+        request.input("from", sql.DateTime2, filter.from);
+      }
+      if (filter.to) {
+        request.input("to", sql.DateTime2, filter.to);
+      }
+      return request;
+    };
+    const where = filters.length > 0 ? `WHERE ${filters.join(" AND ")}` : "";
+
+    const count = await filtered().query(
+      `SELECT COUNT(*) AS Total FROM [dbo].[Tbl_AuditLog] ${where}`
+    );
+    const request = filtered().input("offset", sql.Int, offset);
+    let paging = "";
+    if (limit !== undefined) {
+      request.input("limit", sql.Int, limit);
+      paging = "OFFSET @offset ROWS FETCH NEXT @limit ROWS ONLY";
+    }
+    const page = await request.query(`
+        SELECT Audit_ID, Occurred_At, Actor_ID, Actor_Name, Action,
+          Target_Type, Target_ID, Before_Value, After_Value, Details,
+          IP_Address, Correlation_ID
+        FROM [dbo].[Tbl_AuditLog]
+        ${where}
+        ORDER BY Audit_ID DESC
+        ${paging}
+      `);
+    return {
+      entries: page.recordset.map(toEntry),
+      total: count.recordset[0].Total,
+    };
+  },
+});
+
+/**
+ * In-memory audit log repository - rows use the Tbl_AuditLog column names,
+ * with the values stored as JSON text
+ * @param {Object} seed - { auditLog: [] }
+ * @returns {AuditLogRepository}
+ */
+const createMemoryAuditLogRepository = (seed = {}) => {
+  const rows = (seed.auditLog || []).map((row) => ({ ...row }));
+  let nextId = rows.reduce((max, row) => Math.max(max, row.Audit_ID), 0) + 1;
+
+  return {
+    async append(entry) {
+      rows.push({
+        Audit_ID: nextId++,
+        Occurred_At: new Date(),
+        Actor_ID: entry.actorId,
+        Actor_Name: entry.actor,
+        Action: entry.action,
+        Target_Type: entry.targetType,
+        Target_ID: entry.targetId,
+        Before_Value: toJson(entry.before),
+        After_Value: toJson(entry.after),
+        Details: toJson(entry.details),
+        IP_Address: entry.ipAddress,
+        Correlation_ID: entry.correlationId,
+      });
+    },
+
+    async list(filter, { offset = 0, limit } = {}) {
+      const matching = rows
+        .map(toEntry)
+        .filter(
+          (entry) =>
+            EQUALITY_FILTERS.every(
+              ([name]) =>
+                filter[name] === undefined || entry[name] === filter[name]
+            ) &&
+            (!filter.from || entry.occurredAt >= filter.from) &&
+            (!filter.to || entry.occurredAt < filter.to)
+        )
+        .sort((a, b) => b.auditId - a.auditId);
+      return {
+        entries: matching.slice(
+          offset,
+          limit === undefined ? undefined : offset + limit
+        ),
+        total: matching.length,
+      };
+    },
+  };
+};
+
+module.exports = {
+  createMssqlAuditLogRepository,
+  createMemoryAuditLogRepository,
+};
@@ -0,0 +1,114 @@
+const sql = require("mssql");
+
+/**
+ * Documents repository contract - Document_Tbl
+ *
+ * Documents are returned with the Document_Tbl column names
+ * (ID, CompCode, Section, Keyword, Details, UserName), which is also the
+ * shape the API returns.
+ *
+ * @typedef {Object} NewDocument
+ * @property {String} compCode
+ * @property {String} section
+ * @property {String} keyword
+ * @property {String} details
+ * @property {String} userName
+ *
+ * @typedef {Object} DocumentsRepository
+ * @property {Function} create - (NewDocument) => Promise<Number> rows affected
+ * @property {Function} listKeywords - (search) => Promise<String[]>, search is
+ * optional and matches anywhere in the keyword
+ * @property {Function} findById - (id) => Promise<Object|null>
+ */
+
+/**
+ * SQL Server documents repository
+ * @param {Function} getPool - Async function returning a connected mssql pool
+ * @returns {DocumentsRepository}
+ */
+const createMssqlDocumentsRepository = (getPool) => ({
+  async create(document) {
+    const pool = await getPool();
+    const result = await pool
+      .request()
+      .input("CompCode", sql.VarChar(50), document.compCode)
+      .input("Section", sql.VarChar(50), document.section)
+      .input("Keyword", sql.VarChar(255), document.keyword)
+      .input("Details", sql.NVarChar(sql.MAX), document.details)
+      .input("UserName", sql.VarChar(50), document.userName).query(`
+        INSERT INTO [dbo].[Document_Tbl]
+        ([CompCode], [Section], [Keyword], [Details], [UserName])
+        VALUES (@CompCode, @Section, @Keyword, @Details, @UserName)
+      `);
+    return result.rowsAffected[0];
+  },
+
+  async listKeywords(search) {
+    const pool = await getPool();
+    const request = pool.request();
+
+    // Query to get keywords, optionally filtered by search term
+    let query =
+      "SELECT Keyword FROM [dbo].[Document_Tbl] WHERE Keyword IS NOT NULL AND Keyword != '' ORDER BY Keyword";
+
+    if (search) {
+      query =
+        "SELECT Keyword FROM [dbo].[Document_Tbl] WHERE Keyword IS NOT NULL AND Keyword != '' AND Keyword LIKE @SearchTerm ORDER BY Keyword";
+      request.input("SearchTerm", sql.VarChar(255), `%${search}%`);
+    }
+
+    const result = await request.query(query);
+    return result.recordset.map((row) => row.Keyword);
+  },
+
+  async findById(id) {
+    const pool = await getPool();
+    const result = await pool.request().input("ID", sql.Int, id).query(`
+        SELECT ID, CompCode, Section, Keyword, Details, UserName
+        FROM [dbo].[Document_Tbl]
+        WHERE ID = @ID
+      `);
+    return result.recordset[0] || null;
+  },
+});
+
+/**
+ * In-memory documents repository
+ * @param {Object} seed - { documents: [] } rows with Document_Tbl columns
+ * @returns {DocumentsRepository}
+ */
+const createMemoryDocumentsRepository = (seed = {}) => {
+  const rows = (seed.documents || []).map((row) => ({ ...row }));
+
+  return {
+    async create(document) {
+      rows.push({
+        ID: Math.max(0, ...rows.map((d) => d.ID)) + 1,
+        CompCode: document.compCode,
+        Section: document.section,
+        Keyword: document.keyword,
+        Details: document.details,
+        UserName: document.userName,
+      });
+      return 1;
+    },
+
+    async listKeywords(search) {
+      const term = (search || "").toLowerCase();
+      return rows
+        .map((d) => d.Keyword)
+        .filter((keyword) => keyword && keyword.toLowerCase().includes(term))
+        .sort();
+    },
+
+    async findById(id) {
+      const row = rows.find((d) => d.ID === id);
+      return row ? { ...row } : null;
+    },
+  };
+};
+
+module.exports = {
+  createMssqlDocumentsRepository,
+  createMemoryDocumentsRepository,
+};
@@ -0,0 +1,81 @@
+const users = require("./users");
+const rightsAudit = require("./rightsAudit");
+const transactions = require("./transactions");
+const documents = require("./documents");
+const registration = require("./registration");
+const menu = require("./menu");
+const issues = require("./issues");
+const procedures = require("./procedures");
+const reportSchedules = require("./reportSchedules");
+const reportPresets = require("./reportPresets");
+const passwords = require("./passwords");
+const mfa = require("./mfa");
+const auditLog = require("./auditLog");
+
+/**
+ * Repositories - one per domain, the only code that knows about tables and
+ * stored procedures. Routes reach data through `repositories.<domain>`.
+ *
+ * @typedef {Object} Repositories
+ * @property {import("./users").UsersRepository} users
+ * @property {import("./rightsAudit").RightsAuditRepository} rightsAudit
+ * @property {import("./transactions").TransactionsRepository} transactions
+ * @property {import("./documents").DocumentsRepository} documents
+ * @property {import("./registration").RegistrationRepository} registration
+ * @property {import("./menu").MenuRepository} menu
+ * @property {import("./issues").IssuesRepository} issues
+ * @property {import("./procedures").ProceduresRepository} procedures
+ * @property {import("./reportSchedules").ReportSchedulesRepository} reportSchedules
+ * @property {import("./reportPresets").ReportPresetsRepository} reportPresets
+ * @property {import("./passwords").PasswordsRepository} passwords
+ * @property {import("./mfa").MfaRepository} mfa
+ * @property {import("./auditLog").AuditLogRepository} auditLog
+ */
+
+/**
+ * SQL Server repositories sharing one connection pool
+ * @param {Function} getPool - Async function returning a connected mssql pool
+ * @returns {Repositories}
+ */
+const createMssqlRepositories = (getPool) => ({
+  users: users.createMssqlUsersRepository(getPool),
+  rightsAudit: rightsAudit.createMssqlRightsAuditRepository(getPool),
+  transactions: transactions.createMssqlTransactionsRepository(getPool),
+  documents: documents.createMssqlDocumentsRepository(getPool),
+  registration: registration.createMssqlRegistrationRepository(getPool),
+  menu: menu.createMssqlMenuRepository(getPool),
+  issues: issues.createMssqlIssuesRepository(getPool),
+  procedures: procedures.createMssqlProceduresRepository(getPool),
+  reportSchedules:
+    reportSchedules.createMssqlReportSchedulesRepository(getPool),
+  reportPresets: reportPresets.createMssqlReportPresetsRepository(getPool),
+  passwords: passwords.createMssqlPasswordsRepository(getPool),
+  mfa: mfa.createMssqlMfaRepository(getPool),
+  auditLog: auditLog.createMssqlAuditLogRepository(getPool),
+});
+
+/**
+ * In-memory repositories - each one copies the seed rows it is given
+ * @param {Object} seed - Fixture rows keyed by table, see data/fixtures.js
+ * @returns {Repositories}
+ */
+const createMemoryRepositories = (seed = {}) => ({
+  users: users.createMemoryUsersRepository(seed),
+  rightsAudit: rightsAudit.createMemoryRightsAuditRepository(seed),
+  transactions: transactions.createMemoryTransactionsRepository(seed),
+  documents: documents.createMemoryDocumentsRepository(seed),
+  registration: registration.createMemoryRegistrationRepository(seed),
+  menu: menu.createMemoryMenuRepository(seed),
+  issues: issues.createMemoryIssuesRepository(seed),
+  procedures: procedures.createMemoryProceduresRepository(seed),
+  reportSchedules: reportSchedules.createMemoryReportSchedulesRepository(seed),
+  reportPresets: reportPresets.createMemoryReportPresetsRepository(seed),
+  passwords: passwords.createMemoryPasswordsRepository(seed),
+  mfa: mfa.createMemoryMfaRepository(seed),
+  auditLog: auditLog.createMemoryAuditLogRepository(seed),
+});
+
+module.exports = {
+  createMssqlRepositories,
+  createMemoryRepositories,
+};
@@ -0,0 +1,78 @@
+const sql = require("mssql");
+
+/**
+ * Issues repository contract - Tbl_IssueMaster and the complaint register
+ *
+ * @typedef {Object} NewIssue
+ * @property {String} Cmp_Code
+ * @property {String} Issue_Module
+ * @property {String} Issue_Description
+ * @property {String} Issue_Remarks
+ * @property {String} Reported_By
+ * @property {Date} Reported_Date
+ * @property {String} Priority
+ * @property {Date|null} Due_Date
+ *
+ * @typedef {Object} IssuesRepository
+ * @property {Function} create - (NewIssue) => Promise<void>
+ * @property {Function} complaintRegister - () => Promise<Object[]>
+ * ComplaintRegister_Sp rows
+ */
+
+/**
+ * SQL Server issues repository
+ * @param {Function} getPool - Async function returning a connected mssql pool
+ * @returns {IssuesRepository}
+ */
+const createMssqlIssuesRepository = (getPool) => ({
+  async create(issue) {
+    const pool = await getPool();
+    await pool
+      .request()
+      .input("Cmp_Code", sql.VarChar, issue.Cmp_Code)
+      .input("Issue_Module", sql.VarChar, issue.Issue_Module)
+      .input("Issue_Description", sql.VarChar, issue.Issue_Description)
+      .input("Issue_Remarks", sql.VarChar, issue.Issue_Remarks)
+      .input("Reported_By", sql.VarChar, issue.Reported_By)
+      .input("Reported_Date", sql.DateTime, issue.Reported_Date)
+      .input("Priority", sql.VarChar, issue.Priority)
+      .input("Due_Date", sql.DateTime, issue.Due_Date)
+      .query(
+        `INSERT INTO dbo.Tbl_IssueMaster
+          (Cmp_Code, Issue_Module, Issue_Description, Issue_Remarks, Reported_By, Reported_Date, Priority, Due_Date)
+         VALUES
+          (@Cmp_Code, @Issue_Module, @Issue_Description, @Issue_Remarks, @Reported_By, @Reported_Date, @Priority, @Due_Date)`
+      );
+  },
+
+  async complaintRegister() {
+    const pool = await getPool();
+    const result = await pool.request().execute("ComplaintRegister_Sp");
+    return result.recordset || [];
+  },
+});
+
+/**
+ * In-memory issues repository
+ * @param {Object} seed - { issues: [], complaints: [] }
+ * @returns {IssuesRepository}
+ */
+const createMemoryIssuesRepository = (seed = {}) => {
+  const issues = (seed.issues || []).map((row) => ({ ...row }));
+  const complaints = seed.complaints || [];
+
+  return {
+    async create(issue) {
+      issues.push({ ...issue });
+    },
+
+    async complaintRegister() {
+      return complaints.map((row) => ({ ...row }));
+    },
+  };
+};
+
+module.exports = {
+  createMssqlIssuesRepository,
+  createMemoryIssuesRepository,
+};
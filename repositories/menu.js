@@ -0,0 +1,179 @@
+const sql = require("mssql");
+
+/**
+ * Menu repository contract - Menu_Report_tbl
+ *
+ * @typedef {Object} MenuItem
+ * @property {Number} id - Mnu_ID
+ * @property {String} caption - Mnu_Caption
+ * @property {String} url - Mnu_URL
+ * @property {String} description - Mnu_Description
+ * @property {Number} order - Mnu_Order
+ * @property {Boolean} active - Mnu_Active
+ *
+ * @typedef {Object} ReportEntry - registry columns of a menu entry
+ * (see sql/Menu_Report_tbl_registry.sql)
+ * @property {Number} id - Mnu_ID
+ * @property {String} caption - Mnu_Caption
+ * @property {String} description - Mnu_Description
+ * @property {String} procedure - Mnu_Proc_Name
+ * @property {String|null} parameters - Mnu_Params, a JSON array of inputs
+ * @property {String|null} permission - Mnu_Permission
+ *
+ * @typedef {Object} MenuRepository
+ * @property {Function} listActive - () => Promise<MenuItem[]> ordered by
+ * Mnu_Order then caption
+ * @property {Function} findReport - (id) => Promise<ReportEntry|null> for an
+ * active entry that names a procedure
+ * @property {Function} listReports - () => Promise<ReportEntry[]> every such
+ * entry, by Mnu_ID
+ * @property {Function} describeTable - () => Promise<Object> { schema, sample }
+ */
+
+const toMenuItem = (record) => ({
+  id: record.Mnu_ID,
+  caption: record.Mnu_Caption,
+  url: record.Mnu_URL,
+  description: record.Mnu_Description,
+  order: record.Mnu_Order,
+  active: record.Mnu_Active,
+});
+
+const toReportEntry = (record) => ({
+  id: record.Mnu_ID,
+  caption: record.Mnu_Caption,
+  description: record.Mnu_Description,
+  procedure: record.Mnu_Proc_Name,
+  parameters: record.Mnu_Params || null,
+  permission: record.Mnu_Permission || null,
+});
+
+/**
+ * SQL Server menu repository
+ * @param {Function} getPool - Async function returning a connected mssql pool
+ * @returns {MenuRepository}
+ */
+const createMssqlMenuRepository = (getPool) => ({
+  async listActive() {
+    const pool = await getPool();
+    const result = await pool.request().query(`
+        SELECT
+          Mnu_ID,
+          Mnu_Caption,
+          Mnu_URL,
+          Mnu_Description,
+          Mnu_Order,
+          Mnu_Active
+        FROM [Menu_Report_tbl]
+        WHERE Mnu_Active = 1
+        ORDER BY Mnu_Order ASC, Mnu_Caption ASC
+      `);
+    return result.recordset.map(toMenuItem);
+  },
+
+  async findReport(id) {
+    const pool = await getPool();
+    const result = await pool.request().input("id", sql.Int, id).query(`
+        SELECT
+          Mnu_ID,
+          Mnu_Caption,
+          Mnu_Description,
+          Mnu_Proc_Name,
+          Mnu_Params,
+          Mnu_Permission
+        FROM [Menu_Report_tbl]
+        WHERE Mnu_ID = @id AND Mnu_Active = 1 AND Mnu_Proc_Name IS NOT NULL
+      `);
+    return result.recordset.length > 0
+      ? toReportEntry(result.recordset[0])
+      : null;
+  },
+
+  async listReports() {
+    const pool = await getPool();
+    const result = await pool.request().query(`
+        SELECT
+          Mnu_ID,
+          Mnu_Caption,
+          Mnu_Description,
+          Mnu_Proc_Name,
+          Mnu_Params,
+          Mnu_Permission
+        FROM [Menu_Report_tbl]
+        WHERE Mnu_Active = 1 AND Mnu_Proc_Name IS NOT NULL
+        ORDER BY Mnu_ID
+      `);
+    return result.recordset.map(toReportEntry);
+  },
+
+  async describeTable() {
+    const pool = await getPool();
+
+    // Get table schema information
+    const schema = await pool
+      .request()
+      .input("tableName", sql.VarChar(128), "Menu_Report_tbl").query(`
+        SELECT COLUMN_NAME, DATA_TYPE, IS_NULLABLE
+        FROM INFORMATION_SCHEMA.COLUMNS
+        WHERE TABLE_NAME = @tableName
+        ORDER BY ORDINAL_POSITION
+      `);
+
+    // Get sample data
+    const sample = await pool.request().query(`
+        SELECT TOP 3 * FROM [Menu_Report_tbl] ORDER BY Mnu_Order ASC
+      `);
+
+    return { schema: schema.recordset, sample: sample.recordset };
+  },
+});
+
+/**
+ * In-memory menu repository
+ * @param {Object} seed - { menu: [] } rows with Menu_Report_tbl columns
+ * @returns {MenuRepository}
+ */
+const createMemoryMenuRepository = (seed = {}) => {
+  const rows = seed.menu || [];
+
+  return {
+    async listActive() {
+      return rows
+        .filter((row) => row.Mnu_Active)
+        .sort(
+          (a, b) =>
+            a.Mnu_Order - b.Mnu_Order ||
+            a.Mnu_Caption.localeCompare(b.Mnu_Caption)
+        )
+        .map(toMenuItem);
+    },
+
+    async findReport(id) {
+      const row = rows.find(
+        (r) => r.Mnu_ID === id && r.Mnu_Active && r.Mnu_Proc_Name
+      );
+      return row ? toReportEntry(row) : null;
+    },
+
+    async listReports() {
+      return rows
+        .filter((row) => row.Mnu_Active && row.Mnu_Proc_Name)
+        .sort((a, b) => a.Mnu_ID - b.Mnu_ID)
+        .map(toReportEntry);
+    },
+
+    async describeTable() {
+      return {
+        schema: Object.keys(rows[0] || {}).map((column) => ({
+          COLUMN_NAME: column,
+        })),
+        sample: rows.slice(0, 3).map((row) => ({ ...row })),
+      };
+    },
+  };
+};
+
+module.exports = {
+  createMssqlMenuRepository,
+  createMemoryMenuRepository,
+};
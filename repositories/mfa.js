@@ -0,0 +1,240 @@
+const sql = require("mssql");
+
+/**
+ * Two-factor authentication repository contract - Tbl_UserMfa and
+ * Tbl_MfaRecoveryCode (see sql/Tbl_UserMfa.sql)
+ *
+ * @typedef {Object} MfaEnrollment
+ * @property {Number} userId - User_ID
+ * @property {String} secret - Encrypted TOTP secret, see utils/mfa.js
+ * @property {Date|null} enabledAt - null until the first code is confirmed
+ * @property {Number|null} lastStep - Time step of the last accepted code
+ *
+ * @typedef {Object} MfaRepository
+ * @property {Function} find - (userId) => Promise<MfaEnrollment|null>
+ * @property {Function} savePending - (userId, secret) => Promise<void> -
+ * starts or restarts an enrollment that is not enabled yet
+ * @property {Function} enable - (userId, step) => Promise<Boolean> - false
+ * when there is no pending enrollment
+ * @property {Function} useStep - (userId, step) => Promise<Boolean> - false
+ * when a code of this or a later step was already accepted
+ * @property {Function} remove - (userId) => Promise<Boolean> - also drops the
+ * recovery codes
+ * @property {Function} replaceRecoveryCodes - (userId, codeHashes) =>
+ * Promise<void>
+ * @property {Function} useRecoveryCode - (userId, codeHash) =>
+ * Promise<Boolean> - false when unknown or already used
+ * @property {Function} countRecoveryCodes - (userId) => Promise<Number>
+ * unused codes
+ */
+
+const toEnrollment = (row) => ({
+  userId: row.User_ID,
+  secret: row.Secret,
+  enabledAt: row.Enabled_At || null,
+  lastStep:
+    row.Last_Step === null || row.Last_Step === undefined
+      ? null
+      : Number(row.Last_Step),
+});
+
+/**
+ * SQL Server two-factor authentication repository
+ * @param {Function} getPool - Async function returning a connected mssql pool
+ * @returns {MfaRepository}
+ */
+const createMssqlMfaRepository = (getPool) => ({
+  async find(userId) {
+    const pool = await getPool();
+    const result = await pool.request().input("userId", sql.Int, userId).query(`
+        SELECT User_ID, Secret, Enabled_At, Last_Step
+        FROM [dbo].[Tbl_UserMfa]
+        WHERE User_ID = @userId
+      `);
+    return result.recordset.length > 0
+      ? toEnrollment(result.recordset[0])
+      : null;
+  },
+
+  async savePending(userId, secret) {
+    const pool = await getPool();
+    await pool
+      .request()
+      .input("userId", sql.Int, userId)
+      .input("secret", sql.VarChar(200), secret).query(`
+        MERGE [dbo].[Tbl_UserMfa] AS target
+        USING (SELECT @userId AS User_ID) AS source
+        ON target.User_ID = source.User_ID
+        WHEN MATCHED AND target.Enabled_At IS NULL THEN
+          UPDATE SET Secret = @secret, Created_At = SYSUTCDATETIME()
+        WHEN NOT MATCHED THEN
+          INSERT ([User_ID], [Secret]) VALUES (@userId, @secret);
+      `);
+  },
+
+  async enable(userId, step) {
+    const pool = await getPool();
+    const result = await pool
+      .request()
+      .input("userId", sql.Int, userId)
+      .input("step", sql.BigInt, step).query(`
+        UPDATE [dbo].[Tbl_UserMfa]
+        SET Enabled_At = SYSUTCDATETIME(), Last_Step = @step
+        WHERE User_ID = @userId AND Enabled_At IS NULL
+      `);
+    return result.rowsAffected[0] === 1;
+  },
+
+  async useStep(userId, step) {
+    const pool = await getPool();
+    // One statement, so a code raced through two requests is accepted once
+    const result = await pool
+      .request()
+      .input("userId", sql.Int, userId)
+      .input("step", sql.BigInt, step).query(`
+        UPDATE [dbo].[Tbl_UserMfa]
+        SET Last_Step = @step
+        WHERE User_ID = @userId AND (Last_Step IS NULL OR Last_Step < @step)
+      `);
+    return result.rowsAffected[0] === 1;
+  },
+
+  async remove(userId) {
+    const pool = await getPool();
+    const result = await pool.request().input("userId", sql.Int, userId).query(`
+        DELETE FROM [dbo].[Tbl_MfaRecoveryCode] WHERE User_ID = @userId;
+        DELETE FROM [dbo].[Tbl_UserMfa] WHERE User_ID = @userId;
+      `);
+    return result.rowsAffected[1] === 1;
+  },
+
+  async replaceRecoveryCodes(userId, codeHashes) {
+    const pool = await getPool();
+    const request = pool.request().input("userId", sql.Int, userId);
+    const rows = codeHashes.map((codeHash, index) => {
+      request.input(`code${index}`, sql.Char(64), codeHash);
+      return `(@userId, @code${index})`;
+    });
+    // The old codes only go when the new ones are stored
+    await request.query(`
+      SET XACT_ABORT ON;
+      BEGIN TRANSACTION;
+      DELETE FROM [dbo].[Tbl_MfaRecoveryCode] WHERE User_ID = @userId;
+      INSERT INTO [dbo].[Tbl_MfaRecoveryCode] ([User_ID], [Code_Hash])
+      VALUES ${rows.join(", ")};
+      COMMIT;
+    `);
+  },
+
+  async useRecoveryCode(userId, codeHash) {
+    const pool = await getPool();
+    const result = await pool
+      .request()
+      .input("userId", sql.Int, userId)
+      .input("codeHash", sql.Char(64), codeHash).query(`
+        UPDATE [dbo].[Tbl_MfaRecoveryCode]
+        SET Used_At = SYSUTCDATETIME()
+        WHERE User_ID = @userId AND Code_Hash = @codeHash AND Used_At IS NULL
+      `);
+    return result.rowsAffected[0] === 1;
+  },
+
+  async countRecoveryCodes(userId) {
+    const pool = await getPool();
+    const result = await pool.request().input("userId", sql.Int, userId).query(`
+        SELECT COUNT(*) AS Remaining FROM [dbo].[Tbl_MfaRecoveryCode]
+        WHERE User_ID = @userId AND Used_At IS NULL
+      `);
+    return result.recordset[0].Remaining;
+  },
+});
+
+/**
+ * In-memory two-factor authentication repository - rows use the table
+ * column names
+ * @param {Object} seed - { userMfa: [], mfaRecoveryCodes: [] }
+ * @returns {MfaRepository}
+ */
+const createMemoryMfaRepository = (seed = {}) => {
+  let enrollments = (seed.userMfa || []).map((row) => ({ ...row }));
+  let codes = (seed.mfaRecoveryCodes || []).map((row) => ({ ...row }));
+
+  const findRow = (userId) => enrollments.find((row) => row.User_ID === userId);
+
+  return {
+    async find(userId) {
+      const row = findRow(userId);
+      return row ? toEnrollment(row) : null;
+    },
+
+    async savePending(userId, secret) {
+      const row = findRow(userId);
+      if (!row) {
+        enrollments.push({
+          User_ID: userId,
+          Secret: secret,
+          Enabled_At: null,
+          Last_Step: null,
+          Created_At: new Date(),
+        });
+      } else if (!row.Enabled_At) {
+        row.Secret = secret;
+        row.Created_At = new Date();
+      }
+    },
+
+    async enable(userId, step) {
+      const row = findRow(userId);
+      if (!row || row.Enabled_At) {
+        return false;
+      }
+      row.Enabled_At = new Date();
+      row.Last_Step = step;
+      return true;
+    },
+
+    async useStep(userId, step) {
+      const row = findRow(userId);
+      if (!row || (row.Last_Step !== null && row.Last_Step >= step)) {
+        return false;
+      }
+      row.Last_Step = step;
+      return true;
+    },
+
+    async remove(userId) {
+      const existed = Boolean(findRow(userId));
+      enrollments = enrollments.filter((row) => row.User_ID !== userId);
+      codes = codes.filter((row) => row.User_ID !== userId);
+      return existed;
+    },
+
+    async replaceRecoveryCodes(userId, codeHashes) {
+      codes = codes.filter((row) => row.User_ID !== userId);
+      for (const codeHash of codeHashes) {
+        codes.push({ User_ID: userId, Code_Hash: codeHash, Used_At: null });
+      }
+    },
+
+    async useRecoveryCode(userId, codeHash) {
+      const row = codes.find(
+        (c) => c.User_ID === userId && c.Code_Hash === codeHash && !c.Used_At
+      );
+      if (!row) {
+        return false;
+      }
+      row.Used_At = new Date();
+      return true;
+    },
+
+    async countRecoveryCodes(userId) {
+      return codes.filter((row) => row.User_ID === userId && !row.Used_At)
+        .length;
+    },
+  };
+};
+
+module.exports = {
+  createMssqlMfaRepository,
+  createMemoryMfaRepository,
+};
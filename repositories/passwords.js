@@ -0,0 +1,200 @@
+const sql = require("mssql");
+
+/**
+ * Passwords repository contract - Tbl_PasswordHistory and
+ * Tbl_PasswordResetToken (see sql/Tbl_PasswordHistory.sql and
+ * sql/Tbl_PasswordResetToken.sql)
+ *
+ * @typedef {Object} NewResetToken
+ * @property {String} tokenHash - SHA-256 hex digest of the token
+ * @property {Number} userId
+ * @property {Date} expiresAt
+ * @property {Number} createdBy - User_ID of the admin who issued it
+ *
+ * @typedef {Object} PasswordsRepository
+ * @property {Function} listHistory - (userId, limit) => Promise<String[]>
+ * password hashes, newest first
+ * @property {Function} addHistory - (userId, passwordHash, keep) =>
+ * Promise<void> - only the newest `keep` entries of the user are kept
+ * @property {Function} createResetToken - (NewResetToken) => Promise<void> -
+ * unused tokens of the user are discarded
+ * @property {Function} findResetToken - (tokenHash, now) =>
+ * Promise<Number|null> userId of an unused, unexpired token
+ * @property {Function} consumeResetToken - (tokenHash, now) =>
+ * Promise<Boolean> - false when it was already used or has expired
+ * @property {Function} discardResetTokens - (userId) => Promise<void> unused
+ * tokens of the user
+ */
+
+/**
+ * SQL Server passwords repository
+ * @param {Function} getPool - Async function returning a connected mssql pool
+ * @returns {PasswordsRepository}
+ */
+const createMssqlPasswordsRepository = (getPool) => ({
+  async listHistory(userId, limit) {
+    const pool = await getPool();
+    const result = await pool
+      .request()
+      .input("userId", sql.Int, userId)
+      .input("limit", sql.Int, limit).query(`
+        SELECT TOP (@limit) Password_Hash
+        FROM [dbo].[Tbl_PasswordHistory]
+        WHERE User_ID = @userId
+        ORDER BY History_ID DESC
+      `);
+    return result.recordset.map((row) => row.Password_Hash);
+  },
+
+  async addHistory(userId, passwordHash, keep) {
+    const pool = await getPool();
+    await pool
+      .request()
+      .input("userId", sql.Int, userId)
+      .input("passwordHash", sql.VarChar(100), passwordHash)
+      .input("keep", sql.Int, keep).query(`
+        INSERT INTO [dbo].[Tbl_PasswordHistory] ([User_ID], [Password_Hash])
+        VALUES (@userId, @passwordHash);
+
+        DELETE FROM [dbo].[Tbl_PasswordHistory]
+        WHERE User_ID = @userId AND History_ID NOT IN (
+          SELECT TOP (@keep) History_ID
+          FROM [dbo].[Tbl_PasswordHistory]
+          WHERE User_ID = @userId
+          ORDER BY History_ID DESC
+        );
+      `);
+  },
+
+  async createResetToken(token) {
+    const pool = await getPool();
+    await pool
+      .request()
+      .input("tokenHash", sql.Char(64), token.tokenHash)
+      .input("userId", sql.Int, token.userId)
+      .input("expiresAt", sql.DateTime2, token.expiresAt)
+      .input("createdBy", sql.Int, token.createdBy).query(`
+        DELETE FROM [dbo].[Tbl_PasswordResetToken]
+        WHERE User_ID = @userId AND Used_At IS NULL;
+
+        INSERT INTO [dbo].[Tbl_PasswordResetToken]
+        ([Token_Hash], [User_ID], [Expires_At], [Created_By])
+        VALUES (@tokenHash, @userId, @expiresAt, @createdBy);
+      `);
+  },
+
+  async findResetToken(tokenHash, now) {
+    const pool = await getPool();
+    const result = await pool
+      .request()
+      .input("tokenHash", sql.Char(64), tokenHash)
+      .input("now", sql.DateTime2, now).query(`
+        SELECT User_ID FROM [dbo].[Tbl_PasswordResetToken]
+        WHERE Token_Hash = @tokenHash AND Used_At IS NULL AND Expires_At > @now
+      `);
+    return result.recordset.length > 0 ? result.recordset[0].User_ID : null;
+  },
+
+  async consumeResetToken(tokenHash, now) {
+    const pool = await getPool();
+    // One statement, so two requests with the same token cannot both succeed
+    const result = await pool
+      .request()
+      .input("tokenHash", sql.Char(64), tokenHash)
+      .input("now", sql.DateTime2, now).query(`
+        UPDATE [dbo].[Tbl_PasswordResetToken]
+        SET Used_At = @now
+        WHERE Token_Hash = @tokenHash AND Used_At IS NULL AND Expires_At > @now
+      `);
+    return result.rowsAffected[0] === 1;
+  },
+
+  async discardResetTokens(userId) {
+    const pool = await getPool();
+    await pool.request().input("userId", sql.Int, userId).query(`
+        DELETE FROM [dbo].[Tbl_PasswordResetToken]
+        WHERE User_ID = @userId AND Used_At IS NULL
+      `);
+  },
+});
+
+/**
+ * In-memory passwords repository - rows use the table column names
+ * @param {Object} seed - { passwordHistory: [], passwordResetTokens: [] }
+ * @returns {PasswordsRepository}
+ */
+const createMemoryPasswordsRepository = (seed = {}) => {
+  const history = (seed.passwordHistory || []).map((row) => ({ ...row }));
+  let tokens = (seed.passwordResetTokens || []).map((row) => ({ ...row }));
+  let nextHistoryId = Math.max(0, ...history.map((row) => row.History_ID)) + 1;
+
+  const usable = (tokenHash, now) =>
+    tokens.find(
+      (row) =>
+        row.Token_Hash === tokenHash &&
+        !row.Used_At &&
+        row.Expires_At.getTime() > now.getTime()
+    );
+
+  const historyOf = (userId) =>
+    history
+      .filter((row) => row.User_ID === userId)
+      .sort((a, b) => b.History_ID - a.History_ID);
+
+  return {
+    async listHistory(userId, limit) {
+      return historyOf(userId)
+        .slice(0, limit)
+        .map((row) => row.Password_Hash);
+    },
+
+    async addHistory(userId, passwordHash, keep) {
+      history.push({
+        History_ID: nextHistoryId++,
+        User_ID: userId,
+        Password_Hash: passwordHash,
+        Changed_At: new Date(),
+      });
+      for (const row of historyOf(userId).slice(keep)) {
+        history.splice(history.indexOf(row), 1);
+      }
+    },
+
+    async createResetToken(token) {
+      tokens = tokens.filter(
+        (row) => row.User_ID !== token.userId || row.Used_At
+      );
+      tokens.push({
+        Token_Hash: token.tokenHash,
+        User_ID: token.userId,
+        Expires_At: token.expiresAt,
+        Created_By: token.createdBy,
+        Created_At: new Date(),
+        Used_At: null,
+      });
+    },
+
+    async findResetToken(tokenHash, now) {
+      const row = usable(tokenHash, now);
+      return row ? row.User_ID : null;
+    },
+
+    async consumeResetToken(tokenHash, now) {
+      const row = usable(tokenHash, now);
+      if (!row) {
+        return false;
+      }
+      row.Used_At = now;
+      return true;
+    },
+
+    async discardResetTokens(userId) {
+      tokens = tokens.filter((row) => row.User_ID !== userId || row.Used_At);
+    },
+  };
+};
+
+module.exports = {
+  createMssqlPasswordsRepository,
+  createMemoryPasswordsRepository,
+};
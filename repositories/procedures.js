@@ -0,0 +1,145 @@
+const sql = require("mssql");
+
+/**
+ * Stored procedure catalogue contract - INFORMATION_SCHEMA and sys.procedures
+ *
+ * @typedef {Object} ProcedureParameter
+ * @property {String} PARAMETER_NAME
+ * @property {String} DATA_TYPE
+ * @property {Number|null} CHARACTER_MAXIMUM_LENGTH - -1 for (max)
+ * @property {Number|null} NUMERIC_PRECISION
+ * @property {Number|null} NUMERIC_SCALE
+ * @property {String} PARAMETER_MODE
+ *
+ * @typedef {Object} ProcedureInput
+ * @property {String} name - Parameter name without "@"
+ * @property {String} type - string, number, integer, date or boolean
+ * @property {Number} [maxLength] - Size of a string parameter
+ * @property {*} value - null for an omitted input
+ *
+ * @typedef {Object} ProceduresRepository
+ * @property {Function} listParameters - (procedureName) =>
+ * Promise<ProcedureParameter[]> in declaration order
+ * @property {Function} listReportProcedures - () => Promise<Object[]> { name }
+ * of the audit, transaction and report procedures
+ * @property {Function} execute - (procedureName, ProcedureInput[]) =>
+ * Promise<Object[]> the first recordset
+ */
+
+// "dbo.Name" -> { schema: "dbo", name: "Name" }, schema null when unqualified
+const splitProcedureName = (procedureName) => {
+  const dot = procedureName.indexOf(".");
+  return dot === -1
+    ? { schema: null, name: procedureName }
+    : {
+        schema: procedureName.slice(0, dot),
+        name: procedureName.slice(dot + 1),
+      };
+};
+
+// Report procedures take their dates as varchar, like AuditHVTranRpt_Sp
+const SQL_TYPES = {
+  string: (input) => sql.VarChar(input.maxLength || sql.MAX),
+  number: () => sql.Decimal(18, 2),
+  integer: () => sql.Int,
+  date: () => sql.VarChar(20),
+  boolean: () => sql.Bit,
+};
+
+/**
+ * SQL Server procedure catalogue
+ * @param {Function} getPool - Async function returning a connected mssql pool
+ * @returns {ProceduresRepository}
+ */
+const createMssqlProceduresRepository = (getPool) => ({
+  async listParameters(procedureName) {
+    const pool = await getPool();
+    // SPECIFIC_NAME never includes the schema
+    const { schema, name } = splitProcedureName(procedureName);
+    const result = await pool
+      .request()
+      .input("schema", sql.VarChar(128), schema)
+      .input("procedureName", sql.VarChar(128), name).query(`
+        SELECT
+          PARAMETER_NAME,
+          DATA_TYPE,
+          CHARACTER_MAXIMUM_LENGTH,
+          NUMERIC_PRECISION,
+          NUMERIC_SCALE,
+          PARAMETER_MODE
+        FROM INFORMATION_SCHEMA.PARAMETERS
+        WHERE SPECIFIC_NAME = @procedureName
+          AND (@schema IS NULL OR SPECIFIC_SCHEMA = @schema)
+        ORDER BY ORDINAL_POSITION
+      `);
+    return result.recordset;
+  },
+
+  async listReportProcedures() {
+    const pool = await getPool();
+    const result = await pool.request().query(`
+        SELECT name
+        FROM sys.procedures
+        WHERE name LIKE '%audit%'
+           OR name LIKE '%transaction%'
+           OR name LIKE '%report%'
+           OR name LIKE '%HV%'
+        ORDER BY name
+      `);
+    return result.recordset;
+  },
+
+  async execute(procedureName, inputs) {
+    const pool = await getPool();
+    const request = pool.request();
+    for (const input of inputs) {
+      request.input(input.name, SQL_TYPES[input.type](input), input.value);
+    }
+    const result = await request.execute(procedureName);
+    return result.recordset || [];
+  },
+});
+
+/**
+ * In-memory procedure catalogue
+ * @param {Object} seed - { procedureParameters: { [name]: [[name, type,
+ * length, precision, scale]] },
+ * procedureResults: { [name]: [] } rows every execute returns }
+ * @returns {ProceduresRepository}
+ */
+const createMemoryProceduresRepository = (seed = {}) => {
+  const procedures = seed.procedureParameters || {};
+  const results = seed.procedureResults || {};
+
+  return {
+    async listParameters(procedureName) {
+      // Every procedure is in dbo here
+      const parameters =
+        procedures[splitProcedureName(procedureName).name] || [];
+      return parameters.map(([name, type, length, precision, scale]) => ({
+        PARAMETER_NAME: name,
+        DATA_TYPE: type,
+        CHARACTER_MAXIMUM_LENGTH: length,
+        NUMERIC_PRECISION: precision === undefined ? null : precision,
+        NUMERIC_SCALE: scale === undefined ? null : scale,
+        PARAMETER_MODE: "IN",
+      }));
+    },
+
+    async listReportProcedures() {
+      return Object.keys(procedures)
+        .sort()
+        .map((name) => ({ name }));
+    },
+
+    async execute(procedureName) {
+      const { name } = splitProcedureName(procedureName);
+      return (results[name] || []).map((row) => ({ ...row }));
+    },
+  };
+};
+
+module.exports = {
+  createMssqlProceduresRepository,
+  createMemoryProceduresRepository,
+};
@@ -0,0 +1,212 @@
+const sql = require("mssql");
+
+/**
+ * Registration repository contract - TimeSlots_tbl, RegMember_Details_Tbl
+ * and the registration stored procedures
+ *
+ * @typedef {Object} MembersQuery
+ * @property {String} programmeName
+ * @property {String} timeSlots - A time slot or "ALL"
+ * @property {Number} [optionValue] - 1 for attended members, otherwise
+ * registered (membersReport only)
+ *
+ * @typedef {Object} NewMember
+ * @property {String} name
+ * @property {String} phone
+ * @property {Number} noOfPerson
+ * @property {String} timeSlot
+ *
+ * @typedef {Object} RegistrationRepository
+ * @property {Function} listProgrammeNames - () => Promise<String[]>
+ * @property {Function} listTimeSlots - () => Promise<String[]> including "ALL"
+ * @property {Function} listRegistrationTimeSlots - () => Promise<String[]>
+ * without "ALL"
+ * @property {Function} members - (MembersQuery) => Promise<Object[]>
+ * RegMembers_Sp rows
+ * @property {Function} membersReport - (MembersQuery) => Promise<Object[]>
+ * RegMembersReport_Sp rows
+ * @property {Function} findMember - (phone) => Promise<Object|null>
+ * RegMember_Details_Tbl row
+ * @property {Function} updateAttendance - ({ phone, atnPersons }) =>
+ * Promise<Object[]>
+ * @property {Function} register - (NewMember) => Promise<void>, updates the
+ * member when the phone number is already registered
+ */
+
+/**
+ * SQL Server registration repository
+ * @param {Function} getPool - Async function returning a connected mssql pool
+ * @returns {RegistrationRepository}
+ */
+const createMssqlRegistrationRepository = (getPool) => ({
+  async listProgrammeNames() {
+    const pool = await getPool();
+    const result = await pool
+      .request()
+      .query(
+        "SELECT DISTINCT programmeName FROM TimeSlots_tbl WHERE programmeName IS NOT NULL ORDER BY programmeName"
+      );
+    return result.recordset.map((record) => record.programmeName);
+  },
+
+  async listTimeSlots() {
+    const pool = await getPool();
+    const result = await pool
+      .request()
+      .query(
+        "SELECT DISTINCT TimeSlots FROM TimeSlots_tbl WHERE TimeSlots IS NOT NULL ORDER BY TimeSlots"
+      );
+    return result.recordset.map((record) => record.TimeSlots);
+  },
+
+  async listRegistrationTimeSlots() {
+    const pool = await getPool();
+    const result = await pool
+      .request()
+      .query(
+        "SELECT [TimeSlots] FROM [dbo].[TimeSlots_tbl] WHERE [TimeSlots] <> 'ALL'"
+      );
+    return result.recordset.map((record) => record.TimeSlots);
+  },
+
+  async members({ programmeName, timeSlots }) {
+    const pool = await getPool();
+    const request = pool.request();
+    request.timeout = 30000; // 30 seconds timeout
+
+    const result = await request
+      .input("Param1", sql.VarChar(50), programmeName)
+      .input("Param2", sql.VarChar(50), timeSlots)
+      .execute("[dbo].[RegMembers_Sp]");
+    return result.recordset || [];
+  },
+
+  async membersReport({ programmeName, timeSlots, optionValue }) {
+    const pool = await getPool();
+    const request = pool.request();
+    request.timeout = 30000; // 30 seconds timeout
+
+    const result = await request
+      .input("Param1", sql.VarChar(50), programmeName)
+      .input("Param2", sql.VarChar(50), timeSlots)
+      .input("Param3", sql.Int, optionValue)
+      .execute("RegMembersReport_Sp");
+    return result.recordset || [];
+  },
+
+  async findMember(phone) {
+    const pool = await getPool();
+    const result = await pool.request().input("phone", sql.VarChar(20), phone)
+      .query(`
+        SELECT Name, Phone, RegPersons, AtnPersons, TimeSlot, Status
+        FROM RegMember_Details_Tbl
+        WHERE Phone = @phone
+      `);
+    return result.recordset.length > 0 ? result.recordset[0] : null;
+  },
+
+  async updateAttendance({ phone, atnPersons }) {
+    const pool = await getPool();
+    const result = await pool
+      .request()
+      .input("phone", sql.VarChar(20), phone)
+      .input("AtnPersons", sql.VarChar(10), String(atnPersons))
+      .execute("[dbo].[updateAttendMember_Sp]");
+    return result.recordset || [];
+  },
+
+  async register({ name, phone, noOfPerson, timeSlot }) {
+    const pool = await getPool();
+    await pool
+      .request()
+      .input("Name", sql.VarChar(100), name)
+      .input("Phone", sql.VarChar(20), phone)
+      .input("RegPersons", sql.Int, noOfPerson)
+      .input("TimeSlot", sql.VarChar(50), timeSlot)
+      .execute("[dbo].[InsertUpdate_RegMaster_Sp]");
+  },
+});
+
+const matchesSlot = (value, filter) =>
+  !filter || filter === "ALL" || value === filter;
+
+/**
+ * In-memory registration repository
+ * @param {Object} seed - { timeSlots: [], members: [] } - time slot rows are
+ * { programmeName, TimeSlots }, member rows use the RegMember_Details_Tbl
+ * column names
+ * @returns {RegistrationRepository}
+ */
+const createMemoryRegistrationRepository = (seed = {}) => {
+  const timeSlots = seed.timeSlots || [];
+  const members = (seed.members || []).map((row) => ({ ...row }));
+  const copy = (rows) => rows.map((row) => ({ ...row }));
+
+  return {
+    async listProgrammeNames() {
+      return [...new Set(timeSlots.map((t) => t.programmeName))].sort();
+    },
+
+    async listTimeSlots() {
+      return [...new Set(timeSlots.map((t) => t.TimeSlots))].sort();
+    },
+
+    async listRegistrationTimeSlots() {
+      return timeSlots.map((t) => t.TimeSlots).filter((slot) => slot !== "ALL");
+    },
+
+    async members(query) {
+      return copy(
+        members.filter((m) => matchesSlot(m.TimeSlot, query.timeSlots))
+      );
+    },
+
+    async membersReport(query) {
+      const status = Number(query.optionValue) === 1 ? "A" : "R";
+      return copy(
+        members.filter(
+          (m) => matchesSlot(m.TimeSlot, query.timeSlots) && m.Status === status
+        )
+      );
+    },
+
+    async findMember(phone) {
+      const member = members.find((m) => m.Phone === phone);
+      return member ? { ...member } : null;
+    },
+
+    async updateAttendance({ phone, atnPersons }) {
+      const member = members.find((m) => m.Phone === phone);
+      if (member) {
+        member.AtnPersons = parseInt(atnPersons);
+        member.Status = "A";
+      }
+      return [];
+    },
+
+    async register({ name, phone, noOfPerson, timeSlot }) {
+      const existing = members.find((m) => m.Phone === phone);
+      if (existing) {
+        Object.assign(existing, {
+          Name: name,
+          RegPersons: noOfPerson,
+          TimeSlot: timeSlot,
+        });
+        return;
+      }
+      members.push({
+        Name: name,
+        Phone: phone,
+        RegPersons: noOfPerson,
+        AtnPersons: 0,
+        TimeSlot: timeSlot,
+        Status: "R",
+      });
+    },
+  };
+};
+
+module.exports = {
+  createMssqlRegistrationRepository,
+  createMemoryRegistrationRepository,
+};
@@ -0,0 +1,257 @@
+const sql = require("mssql");
+
+/**
+ * Report presets repository contract - Tbl_ReportPreset
+ * (see sql/Tbl_ReportPreset.sql)
+ *
+ * @typedef {Object} ReportPreset
+ * @property {Number} presetId - Preset_ID
+ * @property {String} name - Preset_Name, unique per owner
+ * @property {String} procedure - Proc_Name, a key of REPORT_DEFINITIONS
+ * @property {Object} parameters - Report parameters
+ * @property {Number} ownerId - User_ID of the owner
+ * @property {String} ownerName
+ * @property {String|null} sharedRole - Role that may also see and run it
+ * @property {Date} createdAt
+ * @property {Date|null} updatedAt
+ *
+ * @typedef {Object} NewReportPreset
+ * @property {String} name
+ * @property {String} procedure
+ * @property {Object} parameters
+ * @property {Number} ownerId
+ * @property {String} ownerName
+ * @property {String|null} sharedRole
+ *
+ * @typedef {Object} ReportPresetsRepository
+ * @property {Function} listVisible - ({ userId, role, procedure }) =>
+ * Promise<ReportPreset[]> owned by the user or shared with the role, by name
+ * @property {Function} findById - (presetId) => Promise<ReportPreset|null>
+ * @property {Function} findByName - (ownerId, name) =>
+ * Promise<ReportPreset|null>
+ * @property {Function} create - (NewReportPreset) => Promise<ReportPreset>
+ * @property {Function} update - (presetId, { name, procedure, parameters,
+ * sharedRole }) => Promise<ReportPreset|null>
+ * @property {Function} remove - (presetId) => Promise<Boolean>
+ */
+
+const toPreset = (row) => ({
+  presetId: row.Preset_ID,
+  name: row.Preset_Name,
+  procedure: row.Proc_Name,
+  parameters: JSON.parse(row.Parameters),
+  ownerId: row.Owner_ID,
+  ownerName: row.Owner_Name,
+  sharedRole: row.Shared_Role || null,
+  createdAt: row.Created_At,
+  updatedAt: row.Updated_At || null,
+});
+
+const PRESET_SELECT = `
+  SELECT Preset_ID, Preset_Name, Proc_Name, Parameters, Owner_ID, Owner_Name,
+    Shared_Role, Created_At, Updated_At
+  FROM [dbo].[Tbl_ReportPreset]`;
+
+/**
+ * SQL Server report presets repository
+ * @param {Function} getPool - Async function returning a connected mssql pool
+ * @returns {ReportPresetsRepository}
+ */
+const createMssqlReportPresetsRepository = (getPool) => ({
+  async listVisible({ userId, role, procedure }) {
+    const pool = await getPool();
+    const request = pool
+      .request()
+      .input("userId", sql.Int, userId)
+      .input("role", sql.VarChar(20), role);
+    let procedureFilter = "";
+    if (procedure !== undefined) {
+      request.input("procedure", sql.VarChar(100), procedure);
+      procedureFilter = "AND Proc_Name = @procedure";
+    }
+
+    const result = await request.query(`${PRESET_SELECT}
+      WHERE (Owner_ID = @userId OR Shared_Role = @role) ${procedureFilter}
+      ORDER BY Preset_Name, Preset_ID
+    `);
+    return result.recordset.map(toPreset);
+  },
+
+  async findById(presetId) {
+    const pool = await getPool();
+    const result = await pool
+      .request()
+      .input("presetId", sql.Int, presetId)
+      .query(`${PRESET_SELECT} WHERE Preset_ID = @presetId`);
+    return result.recordset.length > 0 ? toPreset(result.recordset[0]) : null;
+  },
+
+  async findByName(ownerId, name) {
+    const pool = await getPool();
+    const result = await pool
+      .request()
+      .input("ownerId", sql.Int, ownerId)
+      .input("name", sql.NVarChar(100), name)
+      .query(
+        `${PRESET_SELECT} WHERE Owner_ID = @ownerId AND Preset_Name = @name`
+      );
+    return result.recordset.length > 0 ? toPreset(result.recordset[0]) : null;
+  },
+
+  async create(preset) {
+    const pool = await getPool();
+    const result = await pool
+      .request()
+      .input("name", sql.NVarChar(100), preset.name)
+      .input("procedure", sql.VarChar(100), preset.procedure)
+      .input(
+        "parameters",
+        sql.NVarChar(sql.MAX),
+        JSON.stringify(preset.parameters)
+      )
+      .input("ownerId", sql.Int, preset.ownerId)
+      .input("ownerName", sql.VarChar(50), preset.ownerName)
+      .input("sharedRole", sql.VarChar(20), preset.sharedRole).query(`
+        INSERT INTO [dbo].[Tbl_ReportPreset]
+        ([Preset_Name], [Proc_Name], [Parameters], [Owner_ID], [Owner_Name], [Shared_Role])
+        OUTPUT INSERTED.Preset_ID
+        VALUES (@name, @procedure, @parameters, @ownerId, @ownerName, @sharedRole)
+      `);
+    return this.findById(result.recordset[0].Preset_ID);
+  },
+
+  async update(presetId, preset) {
+    const pool = await getPool();
+    const result = await pool
+      .request()
+      .input("presetId", sql.Int, presetId)
+      .input("name", sql.NVarChar(100), preset.name)
+      .input("procedure", sql.VarChar(100), preset.procedure)
+      .input(
+        "parameters",
+        sql.NVarChar(sql.MAX),
+        JSON.stringify(preset.parameters)
+      )
+      .input("sharedRole", sql.VarChar(20), preset.sharedRole).query(`
+        UPDATE [dbo].[Tbl_ReportPreset]
+        SET Preset_Name = @name, Proc_Name = @procedure,
+          Parameters = @parameters, Shared_Role = @sharedRole,
+          Updated_At = SYSUTCDATETIME()
+        WHERE Preset_ID = @presetId
+      `);
+    return result.rowsAffected[0] === 1 ? this.findById(presetId) : null;
+  },
+
+  async remove(presetId) {
+    const pool = await getPool();
+    const result = await pool.request().input("presetId", sql.Int, presetId)
+      .query(`
+        DELETE FROM [dbo].[Tbl_ReportPreset]
+        WHERE Preset_ID = @presetId
+      `);
+    return result.rowsAffected[0] === 1;
+  },
+});
+
+/**
+ * In-memory report presets repository - rows use the table column names
+ * @param {Object} seed - { reportPresets: [] }
+ * @returns {ReportPresetsRepository}
+ */
+const createMemoryReportPresetsRepository = (seed = {}) => {
+  const rows = (seed.reportPresets || []).map((row) => ({ ...row }));
+
+  const findRow = (presetId) => rows.find((row) => row.Preset_ID === presetId);
+
+  // Same shape as the SQL Server unique constraint violation
+  const assertUniqueName = (ownerId, name, presetId) => {
+    if (
+      rows.some(
+        (row) =>
+          row.Owner_ID === ownerId &&
+          row.Preset_Name === name &&
+          row.Preset_ID !== presetId
+      )
+    ) {
+      const error = new Error("Violation of UNIQUE KEY constraint");
+      error.number = 2627;
+      throw error;
+    }
+  };
+
+  return {
+    async listVisible({ userId, role, procedure }) {
+      return rows
+        .filter(
+          (row) =>
+            (row.Owner_ID === userId || row.Shared_Role === role) &&
+            (procedure === undefined || row.Proc_Name === procedure)
+        )
+        .sort(
+          (a, b) =>
+            a.Preset_Name.localeCompare(b.Preset_Name) ||
+            a.Preset_ID - b.Preset_ID
+        )
+        .map(toPreset);
+    },
+
+    async findById(presetId) {
+      const row = findRow(presetId);
+      return row ? toPreset(row) : null;
+    },
+
+    async findByName(ownerId, name) {
+      const row = rows.find(
+        (r) => r.Owner_ID === ownerId && r.Preset_Name === name
+      );
+      return row ? toPreset(row) : null;
+    },
+
+    async create(preset) {
+      assertUniqueName(preset.ownerId, preset.name);
+
+      const row = {
+        Preset_ID: rows.reduce((max, r) => Math.max(max, r.Preset_ID), 0) + 1,
+        Preset_Name: preset.name,
+        Proc_Name: preset.procedure,
+        Parameters: JSON.stringify(preset.parameters),
+        Owner_ID: preset.ownerId,
+        Owner_Name: preset.ownerName,
+        Shared_Role: preset.sharedRole,
+        Created_At: new Date(),
+        Updated_At: null,
+      };
+      rows.push(row);
+      return toPreset(row);
+    },
+
+    async update(presetId, preset) {
+      const row = findRow(presetId);
+      if (!row) {
+        return null;
+      }
+      assertUniqueName(row.Owner_ID, preset.name, presetId);
+
+      row.Preset_Name = preset.name;
+      row.Proc_Name = preset.procedure;
+      row.Parameters = JSON.stringify(preset.parameters);
+      row.Shared_Role = preset.sharedRole;
+      row.Updated_At = new Date();
+      return toPreset(row);
+    },
+
+    async remove(presetId) {
+      const index = rows.findIndex((row) => row.Preset_ID === presetId);
+      if (index < 0) {
+        return false;
+      }
+      rows.splice(index, 1);
+      return true;
+    },
+  };
+};
+
+module.exports = {
+  createMssqlReportPresetsRepository,
+  createMemoryReportPresetsRepository,
+};
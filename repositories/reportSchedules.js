@@ -0,0 +1,443 @@
+const sql = require("mssql");
+
+/**
+ * Report schedules repository contract - Tbl_ReportSchedule and
+ * Tbl_ReportScheduleRun (see sql/Tbl_ReportSchedule.sql)
+ *
+ * @typedef {Object} ReportSchedule
+ * @property {Number} scheduleId - Schedule_ID
+ * @property {String} name - Schedule_Name
+ * @property {String} procedure - Proc_Name, a key of REPORT_DEFINITIONS
+ * @property {Object} parameters - Report parameters
+ * @property {String|null} period - Relative period filling fromDate / toDate
+ * @property {String} format - csv, xlsx or pdf
+ * @property {String} cron - Cron_Expression
+ * @property {String} delivery - outbox or email
+ * @property {String[]} recipients - Email addresses
+ * @property {Boolean} active
+ * @property {Date|null} nextRunAt
+ * @property {Date|null} lastRunAt
+ * @property {String} createdBy
+ * @property {Date} createdAt
+ * @property {Date|null} updatedAt
+ *
+ * @typedef {Object} ReportRun
+ * @property {Number} runId - Run_ID
+ * @property {Number} scheduleId
+ * @property {String} trigger - schedule or manual
+ * @property {String} status - running, succeeded or failed
+ * @property {Object|null} parameters - Parameters the report ran with
+ * @property {Date} startedAt
+ * @property {Date|null} finishedAt
+ * @property {Number|null} rowCount
+ * @property {String|null} output - File written or recipients
+ * @property {String|null} error - Failure message
+ *
+ * @typedef {Object} ReportSchedulesRepository
+ * @property {Function} list - () => Promise<ReportSchedule[]> ordered by ID
+ * @property {Function} findById - (scheduleId) => Promise<ReportSchedule|null>
+ * @property {Function} create - (schedule) => Promise<ReportSchedule>
+ * @property {Function} update - (scheduleId, changes) =>
+ * Promise<ReportSchedule|null>
+ * @property {Function} remove - (scheduleId) => Promise<Boolean>, runs go too
+ * @property {Function} listDue - (now) => Promise<ReportSchedule[]> active
+ * schedules whose next run is at or before now
+ * @property {Function} claimRun - (scheduleId, expectedNextRunAt, nextRunAt)
+ * => Promise<Boolean> moves the next run on, false when another process
+ * already did
+ * @property {Function} createRun - (run) => Promise<ReportRun>
+ * @property {Function} finishRun - (runId, result) => Promise<void>
+ * @property {Function} listRuns - ({ scheduleId, status, limit }) =>
+ * Promise<ReportRun[]> newest first
+ */
+
+// Columns a schedule update may change, by property
+const SCHEDULE_COLUMNS = {
+  name: { column: "Schedule_Name", type: sql.NVarChar(100) },
+  procedure: { column: "Proc_Name", type: sql.VarChar(100) },
+  parameters: { column: "Parameters", type: sql.NVarChar(sql.MAX) },
+  period: { column: "Period", type: sql.VarChar(30) },
+  format: { column: "Export_Format", type: sql.VarChar(10) },
+  cron: { column: "Cron_Expression", type: sql.VarChar(100) },
+  delivery: { column: "Delivery", type: sql.VarChar(10) },
+  recipients: { column: "Recipients", type: sql.NVarChar(2000) },
+  active: { column: "Active", type: sql.Bit },
+  nextRunAt: { column: "Next_Run_At", type: sql.DateTime2 },
+  lastRunAt: { column: "Last_Run_At", type: sql.DateTime2 },
+};
+
+const parseJson = (text, fallback) => (text ? JSON.parse(text) : fallback);
+
+// JSON columns are stored as text
+const toColumnValue = (key, value) =>
+  key === "parameters" || key === "recipients" ? JSON.stringify(value) : value;
+
+const toSchedule = (row) => ({
+  scheduleId: row.Schedule_ID,
+  name: row.Schedule_Name,
+  procedure: row.Proc_Name,
+  parameters: parseJson(row.Parameters, {}),
+  period: row.Period || null,
+  format: row.Export_Format,
+  cron: row.Cron_Expression,
+  delivery: row.Delivery,
+  recipients: parseJson(row.Recipients, []),
+  active: Boolean(row.Active),
+  nextRunAt: row.Next_Run_At || null,
+  lastRunAt: row.Last_Run_At || null,
+  createdBy: row.Created_By,
+  createdAt: row.Created_At,
+  updatedAt: row.Updated_At || null,
+});
+
+const toRun = (row) => ({
+  runId: row.Run_ID,
+  scheduleId: row.Schedule_ID,
+  trigger: row.Trigger_Type,
+  status: row.Status,
+  parameters: parseJson(row.Parameters, null),
+  startedAt: row.Started_At,
+  finishedAt: row.Finished_At || null,
+  rowCount: row.Row_Count === undefined ? null : row.Row_Count,
+  output: row.Output || null,
+  error: row.Error_Message || null,
+});
+
+const SCHEDULE_SELECT = `
+  SELECT Schedule_ID, Schedule_Name, Proc_Name, Parameters, Period,
+    Export_Format, Cron_Expression, Delivery, Recipients, Active,
+    Next_Run_At, Last_Run_At, Created_By, Created_At, Updated_At
+  FROM [dbo].[Tbl_ReportSchedule]`;
+
+/**
+ * SQL Server report schedules repository
+ * @param {Function} getPool - Async function returning a connected mssql pool
+ * @returns {ReportSchedulesRepository}
+ */
+const createMssqlReportSchedulesRepository = (getPool) => ({
+  async list() {
+    const pool = await getPool();
+    const result = await pool
+      .request()
+      .query(`${SCHEDULE_SELECT} ORDER BY Schedule_ID`);
+    return result.recordset.map(toSchedule);
+  },
+
+  async findById(scheduleId) {
+    const pool = await getPool();
+    const result = await pool
+      .request()
+      .input("scheduleId", sql.Int, scheduleId)
+      .query(`${SCHEDULE_SELECT} WHERE Schedule_ID = @scheduleId`);
+    return result.recordset.length > 0 ? toSchedule(result.recordset[0]) : null;
+  },
+
+  async create(schedule) {
+    const pool = await getPool();
+    const result = await pool
+      .request()
+      .input("name", sql.NVarChar(100), schedule.name)
+      .input("procedure", sql.VarChar(100), schedule.procedure)
+      .input(
+        "parameters",
+        sql.NVarChar(sql.MAX),
+        JSON.stringify(schedule.parameters)
+      )
+      .input("period", sql.VarChar(30), schedule.period)
+      .input("format", sql.VarChar(10), schedule.format)
+      .input("cron", sql.VarChar(100), schedule.cron)
+      .input("delivery", sql.VarChar(10), schedule.delivery)
+      .input(
+        "recipients",
+        sql.NVarChar(2000),
+        JSON.stringify(schedule.recipients)
+      )
+      .input("active", sql.Bit, schedule.active)
+      .input("nextRunAt", sql.DateTime2, schedule.nextRunAt)
+      .input("createdBy", sql.VarChar(50), schedule.createdBy).query(`
+        INSERT INTO [dbo].[Tbl_ReportSchedule]
+        ([Schedule_Name], [Proc_Name], [Parameters], [Period], [Export_Format],
+         [Cron_Expression], [Delivery], [Recipients], [Active], [Next_Run_At], [Created_By])
+        OUTPUT INSERTED.Schedule_ID
+        VALUES (@name, @procedure, @parameters, @period, @format,
+         @cron, @delivery, @recipients, @active, @nextRunAt, @createdBy)
+      `);
+    return this.findById(result.recordset[0].Schedule_ID);
+  },
+
+  async update(scheduleId, changes) {
+    const pool = await getPool();
+    const request = pool.request().input("scheduleId", sql.Int, scheduleId);
+    const assignments = ["Updated_At = SYSUTCDATETIME()"];
+
+    for (const [key, value] of Object.entries(changes)) {
+      const spec = SCHEDULE_COLUMNS[key];
+      if (spec) {
+        request.input(key, spec.type, toColumnValue(key, value));
+        assignments.push(`${spec.column} = @${key}`);
+      }
+    }
+
+    const result = await request.query(`
+      UPDATE [dbo].[Tbl_ReportSchedule]
+      SET ${assignments.join(", ")}
+      WHERE Schedule_ID = @scheduleId
+    `);
+    return result.rowsAffected[0] === 1 ? this.findById(scheduleId) : null;
+  },
+
+  async remove(scheduleId) {
+    const pool = await getPool();
+    const result = await pool.request().input("scheduleId", sql.Int, scheduleId)
+      .query(`
+        DELETE FROM [dbo].[Tbl_ReportSchedule]
+        WHERE Schedule_ID = @scheduleId
+      `);
+    return result.rowsAffected[0] === 1;
+  },
+
+  async listDue(now) {
+    const pool = await getPool();
+    const result = await pool
+      .request()
+      .input("now", sql.DateTime2, now)
+      .query(
+        `${SCHEDULE_SELECT} WHERE Active = 1 AND Next_Run_At <= @now ORDER BY Next_Run_At`
+      );
+    return result.recordset.map(toSchedule);
+  },
+
+  async claimRun(scheduleId, expectedNextRunAt, nextRunAt) {
+    const pool = await getPool();
+    // Single conditional UPDATE so two servers cannot both run a schedule
+    const result = await pool
+      .request()
+      .input("scheduleId", sql.Int, scheduleId)
+      .input("expected", sql.DateTime2, expectedNextRunAt)
+      .input("nextRunAt", sql.DateTime2, nextRunAt).query(`
+        UPDATE [dbo].[Tbl_ReportSchedule]
+        SET Next_Run_At = @nextRunAt, Last_Run_At = SYSUTCDATETIME()
+        WHERE Schedule_ID = @scheduleId AND Next_Run_At = @expected
+      `);
+    return result.rowsAffected[0] === 1;
+  },
+
+  async createRun(run) {
+    const pool = await getPool();
+    const result = await pool
+      .request()
+      .input("scheduleId", sql.Int, run.scheduleId)
+      .input("trigger", sql.VarChar(10), run.trigger)
+      .input(
+        "parameters",
+        sql.NVarChar(sql.MAX),
+        JSON.stringify(run.parameters)
+      )
+      .input("startedAt", sql.DateTime2, run.startedAt).query(`
+        INSERT INTO [dbo].[Tbl_ReportScheduleRun]
+        ([Schedule_ID], [Trigger_Type], [Status], [Parameters], [Started_At])
+        OUTPUT INSERTED.Run_ID
+        VALUES (@scheduleId, @trigger, 'running', @parameters, @startedAt)
+      `);
+    return {
+      runId: result.recordset[0].Run_ID,
+      scheduleId: run.scheduleId,
+      trigger: run.trigger,
+      status: "running",
+      parameters: run.parameters,
+      startedAt: run.startedAt,
+      finishedAt: null,
+      rowCount: null,
+      output: null,
+      error: null,
+    };
+  },
+
+  async finishRun(runId, result) {
+    const pool = await getPool();
+    await pool
+      .request()
+      .input("runId", sql.Int, runId)
+      .input("status", sql.VarChar(10), result.status)
+      .input("finishedAt", sql.DateTime2, result.finishedAt)
+      .input("rowCount", sql.Int, result.rowCount)
+      .input("output", sql.NVarChar(500), result.output)
+      .input("error", sql.NVarChar(2000), result.error).query(`
+        UPDATE [dbo].[Tbl_ReportScheduleRun]
+        SET Status = @status, Finished_At = @finishedAt, Row_Count = @rowCount,
+          Output = @output, Error_Message = @error
+        WHERE Run_ID = @runId
+      `);
+  },
+
+  async listRuns({ scheduleId, status, limit }) {
+    const pool = await getPool();
+    const request = pool.request().input("limit", sql.Int, limit);
+    const conditions = [];
+    if (scheduleId !== undefined) {
+      request.input("scheduleId", sql.Int, scheduleId);
+      conditions.push("Schedule_ID = @scheduleId");
+    }
+    if (status !== undefined) {
+      request.input("status", sql.VarChar(10), status);
+      conditions.push("Status = @status");
+    }
+
+    const result = await request.query(`
+      SELECT TOP (@limit) Run_ID, Schedule_ID, Trigger_Type, Status, Parameters,
+        Started_At, Finished_At, Row_Count, Output, Error_Message
+      FROM [dbo].[Tbl_ReportScheduleRun]
+      ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
+      ORDER BY Started_At DESC, Run_ID DESC
+    `);
+    return result.recordset.map(toRun);
+  },
+});
+
+/**
+ * In-memory report schedules repository - rows use the table column names
+ * @param {Object} seed - { reportSchedules: [], reportScheduleRuns: [] }
+ * @returns {ReportSchedulesRepository}
+ */
+const createMemoryReportSchedulesRepository = (seed = {}) => {
+  const schedules = (seed.reportSchedules || []).map((row) => ({ ...row }));
+  let runs = (seed.reportScheduleRuns || []).map((row) => ({ ...row }));
+
+  const nextId = (rows, key) =>
+    rows.reduce((max, row) => Math.max(max, row[key]), 0) + 1;
+
+  const findRow = (scheduleId) =>
+    schedules.find((row) => row.Schedule_ID === scheduleId);
+
+  const timeOf = (date) => (date ? date.getTime() : null);
+
+  return {
+    async list() {
+      return [...schedules]
+        .sort((a, b) => a.Schedule_ID - b.Schedule_ID)
+        .map(toSchedule);
+    },
+
+    async findById(scheduleId) {
+      const row = findRow(scheduleId);
+      return row ? toSchedule(row) : null;
+    },
+
+    async create(schedule) {
+      const row = {
+        Schedule_ID: nextId(schedules, "Schedule_ID"),
+        Schedule_Name: schedule.name,
+        Proc_Name: schedule.procedure,
+        Parameters: JSON.stringify(schedule.parameters),
+        Period: schedule.period,
+        Export_Format: schedule.format,
+        Cron_Expression: schedule.cron,
+        Delivery: schedule.delivery,
+        Recipients: JSON.stringify(schedule.recipients),
+        Active: schedule.active ? 1 : 0,
+        Next_Run_At: schedule.nextRunAt,
+        Last_Run_At: null,
+        Created_By: schedule.createdBy,
+        Created_At: new Date(),
+        Updated_At: null,
+      };
+      schedules.push(row);
+      return toSchedule(row);
+    },
+
+    async update(scheduleId, changes) {
+      const row = findRow(scheduleId);
+      if (!row) {
+        return null;
+      }
+      for (const [key, value] of Object.entries(changes)) {
+        const spec = SCHEDULE_COLUMNS[key];
+        if (spec) {
+          row[spec.column] =
+            key === "active" ? (value ? 1 : 0) : toColumnValue(key, value);
+        }
+      }
+      row.Updated_At = new Date();
+      return toSchedule(row);
+    },
+
+    async remove(scheduleId) {
+      const index = schedules.findIndex(
+        (row) => row.Schedule_ID === scheduleId
+      );
+      if (index < 0) {
+        return false;
+      }
+      schedules.splice(index, 1);
+      runs = runs.filter((run) => run.Schedule_ID !== scheduleId);
+      return true;
+    },
+
+    async listDue(now) {
+      return schedules
+        .filter(
+          (row) =>
+            row.Active &&
+            row.Next_Run_At &&
+            row.Next_Run_At.getTime() <= now.getTime()
+        )
+        .sort((a, b) => a.Next_Run_At - b.Next_Run_At)
+        .map(toSchedule);
+    },
+
+    async claimRun(scheduleId, expectedNextRunAt, nextRunAt) {
+      const row = findRow(scheduleId);
+      if (!row || timeOf(row.Next_Run_At) !== timeOf(expectedNextRunAt)) {
+        return false;
+      }
+      row.Next_Run_At = nextRunAt;
+      row.Last_Run_At = new Date();
+      return true;
+    },
+
+    async createRun(run) {
+      const row = {
+        Run_ID: nextId(runs, "Run_ID"),
+        Schedule_ID: run.scheduleId,
+        Trigger_Type: run.trigger,
+        Status: "running",
+        Parameters: JSON.stringify(run.parameters),
+        Started_At: run.startedAt,
+        Finished_At: null,
+        Row_Count: null,
+        Output: null,
+        Error_Message: null,
+      };
+      runs.push(row);
+      return toRun(row);
+    },
+
+    async finishRun(runId, result) {
+      const row = runs.find((run) => run.Run_ID === runId);
+      if (row) {
+        row.Status = result.status;
+        row.Finished_At = result.finishedAt;
+        row.Row_Count = result.rowCount;
+        row.Output = result.output;
+        row.Error_Message = result.error;
+      }
+    },
+
+    async listRuns({ scheduleId, status, limit }) {
+      return runs
+        .filter(
+          (run) =>
+            (scheduleId === undefined || run.Schedule_ID === scheduleId) &&
+            (status === undefined || run.Status === status)
+        )
+        .sort((a, b) => b.Started_At - a.Started_At || b.Run_ID - a.Run_ID)
+        .slice(0, limit)
+        .map(toRun);
+    },
+  };
+};
+
+module.exports = {
+  createMssqlReportSchedulesRepository,
+  createMemoryReportSchedulesRepository,
+};
@@ -0,0 +1,78 @@
+const sql = require("mssql");
+
+/**
+ * Rights audit repository contract - user rights audit procedures
+ *
+ * @typedef {Object} UserRightTransferParams
+ * @property {String} user - User name (max 10 characters)
+ * @property {String} fromDate - Start of the period
+ * @property {String} toDate - End of the period
+ *
+ * @typedef {Object} RightsAuditRepository
+ * @property {Function} userRights - (user) => Promise<Object[]>,
+ * AuditUserrightRpt_Sp
+ * @property {Function} userRightTransfers - (UserRightTransferParams) =>
+ * Promise<Object[]>, AuditUserrightTranRpt_sp
+ */
+
+/**
+ * SQL Server rights audit repository
+ * @param {Function} getPool - Async function returning a connected mssql pool
+ * @returns {RightsAuditRepository}
+ */
+const createMssqlRightsAuditRepository = (getPool) => ({
+  async userRights(user) {
+    const pool = await getPool();
+    const result = await pool
+      .request()
+      .input("Userid", sql.VarChar, user)
+      .execute("AuditUserrightRpt_Sp");
+    return result.recordset || [];
+  },
+
+  async userRightTransfers({ user, fromDate, toDate }) {
+    const pool = await getPool();
+    const result = await pool
+      .request()
+      .input("userName", sql.VarChar(10), user)
+      .input("Frdate", sql.VarChar(20), fromDate)
+      .input("ToDate", sql.VarChar(20), toDate)
+      .execute("AuditUserrightTranRpt_sp");
+    return result.recordset || [];
+  },
+});
+
+/**
+ * In-memory rights audit repository
+ * @param {Object} seed - { userRights: [], userRightTransfers: [] } rows with
+ * User_Name (and Changed_On for transfers)
+ * @returns {RightsAuditRepository}
+ */
+const createMemoryRightsAuditRepository = (seed = {}) => {
+  const rights = seed.userRights || [];
+  const transfers = seed.userRightTransfers || [];
+
+  return {
+    async userRights(user) {
+      return rights
+        .filter((row) => row.User_Name === user)
+        .map((row) => ({ ...row }));
+    },
+
+    async userRightTransfers({ user, fromDate, toDate }) {
+      return transfers
+        .filter(
+          (row) =>
+            row.User_Name === user &&
+            row.Changed_On >= fromDate &&
+            row.Changed_On <= toDate
+        )
+        .map((row) => ({ ...row }));
+    },
+  };
+};
+
+module.exports = {
+  createMssqlRightsAuditRepository,
+  createMemoryRightsAuditRepository,
+};
@@ -0,0 +1,122 @@
+const sql = require("mssql");
+
+/**
+ * Transactions repository contract - high value transactions and the
+ * branch / section / scheme masters used to filter them
+ *
+ * @typedef {Object} HighValueParams
+ * @property {String} branchName - Br_Name (max 10 characters)
+ * @property {String} section - Section (max 10 characters)
+ * @property {String} scheme - Scheme (max 30 characters)
+ * @property {Number} minAmount - Amount
+ * @property {Number} maxAmount - Amount2
+ * @property {String} fromDate - Frdate
+ * @property {String} toDate - Todate
+ *
+ * @typedef {Object} TransactionsRepository
+ * @property {Function} highValue - (HighValueParams) => Promise<Object[]>,
+ * AuditHVTranRpt_Sp
+ * @property {Function} listBranches - () => Promise<String[]>
+ * @property {Function} listSections - () => Promise<String[]>
+ * @property {Function} listSchemes - (section) => Promise<String[]>
+ */
+
+/**
+ * SQL Server transactions repository
+ * @param {Function} getPool - Async function returning a connected mssql pool
+ * @returns {TransactionsRepository}
+ */
+const createMssqlTransactionsRepository = (getPool) => ({
+  async highValue(params) {
+    const pool = await getPool();
+    const result = await pool
+      .request()
+      .input("Br_Name", sql.VarChar(10), params.branchName)
+      .input("Section", sql.VarChar(10), params.section)
+      .input("Scheme", sql.VarChar(30), params.scheme)
+      .input("Amount", sql.Decimal(18, 2), params.minAmount)
+      .input("Amount2", sql.Decimal(18, 2), params.maxAmount)
+      .input("Frdate", sql.VarChar(20), params.fromDate)
+      .input("Todate", sql.VarChar(20), params.toDate)
+      .execute("AuditHVTranRpt_Sp");
+    return result.recordset || [];
+  },
+
+  async listBranches() {
+    const pool = await getPool();
+    const result = await pool
+      .request()
+      .query("SELECT Br_Name FROM Gen_BranchDetails_P_Tbl");
+    return result.recordset.map((record) => record.Br_Name);
+  },
+
+  async listSections() {
+    const pool = await getPool();
+    const result = await pool
+      .request()
+      .query("SELECT DISTINCT Sch_Section_Name FROM Gen_SchemeMaster_P_Tbl ");
+    return result.recordset.map((record) => record.Sch_Section_Name);
+  },
+
+  async listSchemes(section) {
+    const pool = await getPool();
+    const result = await pool
+      .request()
+      .input("section", sql.VarChar(50), section)
+      .query(
+        "SELECT Sch_Name FROM Gen_SchemeMaster_P_Tbl WHERE Sch_Section_Name = @section"
+      );
+    return result.recordset.map((record) => record.Sch_Name);
+  },
+});
+
+// "ALL" in a procedure filter matches every value
+const matchesFilter = (value, filter) =>
+  !filter || filter === "ALL" || value === filter;
+
+/**
+ * In-memory transactions repository
+ * @param {Object} seed - { transactions: [], branches: [], schemes: [] } -
+ * transactions need Branch_Name, Section, Scheme and Transaction_Amount,
+ * schemes need Sch_Section_Name and Sch_Name
+ * @returns {TransactionsRepository}
+ */
+const createMemoryTransactionsRepository = (seed = {}) => {
+  const transactions = seed.transactions || [];
+  const branches = seed.branches || [];
+  const schemes = seed.schemes || [];
+
+  return {
+    async highValue(params) {
+      return transactions
+        .filter(
+          (row) =>
+            matchesFilter(row.Branch_Name, params.branchName) &&
+            matchesFilter(row.Section, params.section) &&
+            matchesFilter(row.Scheme, params.scheme) &&
+            row.Transaction_Amount >= params.minAmount &&
+            row.Transaction_Amount <= params.maxAmount
+        )
+        .map((row) => ({ ...row }));
+    },
+
+    async listBranches() {
+      return [...branches];
+    },
+
+    async listSections() {
+      return [...new Set(schemes.map((s) => s.Sch_Section_Name))];
+    },
+
+    async listSchemes(section) {
+      return schemes
+        .filter((s) => s.Sch_Section_Name === section)
+        .map((s) => s.Sch_Name);
+    },
+  };
+};
+
+module.exports = {
+  createMssqlTransactionsRepository,
+  createMemoryTransactionsRepository,
+};
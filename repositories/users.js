@@ -0,0 +1,376 @@
+const sql = require("mssql");
+
+/**
+ * Users repository contract - Tbl_UserMaster and User_Details_M_Tbl
+ *
+ * @typedef {Object} User
+ * @property {Number} userId - User_ID
+ * @property {String} username - User_Name
+ * @property {String} password - User_Password (bcrypt hash or legacy plain text)
+ * @property {String|null} role - Role
+ * @property {String} userType - User_Type ("Admin" or "User")
+ * @property {Boolean} active - Active
+ * @property {Date|null} passwordChangedAt - Password_Changed_At, null when
+ * not known
+ *
+ * @typedef {Object} UserProfile - a user without the password
+ * @property {Number} userId - User_ID
+ * @property {String} username - User_Name
+ * @property {String|null} role - Role
+ * @property {String} userType - User_Type ("Admin" or "User")
+ * @property {String} userAvailabilityStatus - User_Availability_Status
+ * ("YES" or "NO")
+ * @property {String} mobile - User_Mobile
+ * @property {String} email - User_Email
+ * @property {Boolean} active - Active
+ *
+ * @typedef {Object} ProfileFields
+ * @property {String} userType
+ * @property {String} userAvailabilityStatus
+ * @property {String} mobile
+ * @property {String} email
+ *
+ * @typedef {Object} NewUser
+ * @property {String} userName
+ * @property {String} passwordHash
+ * @property {String} userType
+ * @property {String} userAvailabilityStatus
+ * @property {String} mobile
+ * @property {String} email
+ *
+ * @typedef {Object} UsersRepository
+ * @property {Function} findByName - (username) => Promise<User|null>
+ * @property {Function} findActiveById - (userId) => Promise<User|null>
+ * @property {Function} updatePassword - (userId, passwordHash, changedAt) =>
+ * Promise<void> - Password_Changed_At is left alone without changedAt
+ * @property {Function} create - (NewUser) => Promise<UserProfile>
+ * @property {Function} list - ({ search, active, offset, limit }) =>
+ * Promise<Object> { users: UserProfile[] by name, total } - search matches
+ * part of the name or email
+ * @property {Function} findById - (userId) => Promise<UserProfile|null>
+ * @property {Function} updateProfile - (userId, ProfileFields) =>
+ * Promise<UserProfile|null>
+ * @property {Function} setActive - (userId, active) => Promise<UserProfile|null>
+ * @property {Function} remove - (userId) => Promise<Boolean>
+ * @property {Function} listDetailNames - () => Promise<String[]> from
+ * User_Details_M_Tbl
+ */
+
+const toUser = (row) => ({
+  userId: row.User_ID,
+  username: row.User_Name,
+  password: row.User_Password,
+  role: row.Role,
+  userType: row.User_Type,
+  active: Boolean(row.Active),
+  passwordChangedAt: row.Password_Changed_At || null,
+});
+
+const toUserProfile = (row) => ({
+  userId: row.User_ID,
+  username: row.User_Name,
+  role: row.Role,
+  userType: row.User_Type,
+  userAvailabilityStatus: row.User_Availability_Status,
+  mobile: row.User_Mobile,
+  email: row.User_Email,
+  active: Boolean(row.Active),
+});
+
+const PROFILE_SELECT = `
+  SELECT User_ID, User_Name, Role, User_Type, User_Availability_Status,
+    User_Mobile, User_Email, Active
+  FROM Tbl_UserMaster`;
+
+// LIKE pattern matching the text anywhere, wildcards taken literally
+const containsPattern = (text) => `%${text.replace(/[\\%_[]/g, "\\$&")}%`;
+
+/**
+ * SQL Server users repository
+ * @param {Function} getPool - Async function returning a connected mssql pool
+ * @returns {UsersRepository}
+ */
+const createMssqlUsersRepository = (getPool) => ({
+  async findByName(username) {
+    const pool = await getPool();
+    const result = await pool
+      .request()
+      .input("username", sql.VarChar(50), username).query(`
+        SELECT User_ID, User_Name, User_Password, Role, User_Type, Active,
+          Password_Changed_At
+        FROM Tbl_UserMaster
+        WHERE User_Name = @username
+      `);
+    return result.recordset.length > 0 ? toUser(result.recordset[0]) : null;
+  },
+
+  async findActiveById(userId) {
+    const pool = await getPool();
+    const result = await pool.request().input("userId", sql.Int, userId).query(`
+        SELECT User_ID, User_Name, Role, User_Type, Active, Password_Changed_At
+        FROM Tbl_UserMaster
+        WHERE User_ID = @userId AND Active = 1
+      `);
+    return result.recordset.length > 0 ? toUser(result.recordset[0]) : null;
+  },
+
+  async updatePassword(userId, passwordHash, changedAt) {
+    const pool = await getPool();
+    const request = pool
+      .request()
+      .input("userId", sql.Int, userId)
+      .input("passwordHash", sql.VarChar(100), passwordHash);
+    let changed = "";
+    if (changedAt) {
+      request.input("changedAt", sql.DateTime2, changedAt);
+      changed = ", Password_Changed_At = @changedAt";
+    }
+    await request.query(`
+        UPDATE Tbl_UserMaster
+        SET User_Password = @passwordHash${changed}
+        WHERE User_ID = @userId
+      `);
+  },
+
+  async create(user) {
+    const pool = await getPool();
+    const result = await pool
+      .request()
+      .input("userName", sql.VarChar(50), user.userName)
+      .input("userPassword", sql.VarChar(100), user.passwordHash)
+      .input("userType", sql.VarChar(20), user.userType)
+      .input(
+        "userAvailabilityStatus",
+        sql.VarChar(10),
+        user.userAvailabilityStatus
+      )
+      .input("mobile", sql.VarChar(15), user.mobile)
+      .input("email", sql.VarChar(100), user.email).query(`
+        INSERT INTO [dbo].[Tbl_UserMaster]
+        ([User_Name], [User_Password], [User_Type], [User_Availability_Status], [User_Mobile], [User_Email])
+        OUTPUT INSERTED.User_ID
+        VALUES (@userName, @userPassword, @userType, @userAvailabilityStatus, @mobile, @email)
+      `);
+    return this.findById(result.recordset[0].User_ID);
+  },
+
+  async list({ search, active, offset, limit }) {
+    const pool = await getPool();
+    const filters = [];
+    if (search !== undefined) {
+      filters.push(
+        "(User_Name LIKE @search ESCAPE '\\' OR User_Email LIKE @search ESCAPE '\\')"
+      );
+    }
+    if (active !== undefined) {
+      filters.push("Active = @active");
+    }
+    // Each query needs its own request
+    const filtered = () => {
+      const request = pool.request();
+      if (search !== undefined) {
+        request.input("search", sql.VarChar(102), containsPattern(search));
+      }
+      if (active !== undefined) {
+        request.input("active", sql.Bit, active);
+      }
+      return request;
+    };
+    const where = filters.length > 0 ? `WHERE ${filters.join(" AND ")}` : "";
+
+    const count = await filtered().query(
+      `SELECT COUNT(*) AS Total FROM Tbl_UserMaster ${where}`
+    );
+    const page = await filtered()
+      .input("offset", sql.Int, offset)
+      .input("limit", sql.Int, limit).query(`${PROFILE_SELECT}
+        ${where}
+        ORDER BY User_Name
+        OFFSET @offset ROWS FETCH NEXT @limit ROWS ONLY
+      `);
+    return {
+      users: page.recordset.map(toUserProfile),
+      total: count.recordset[0].Total,
+    };
+  },
+
+  async findById(userId) {
+    const pool = await getPool();
+    const result = await pool
+      .request()
+      .input("userId", sql.Int, userId)
+      .query(`${PROFILE_SELECT} WHERE User_ID = @userId`);
+    return result.recordset.length > 0
+      ? toUserProfile(result.recordset[0])
+      : null;
+  },
+
+  async updateProfile(userId, fields) {
+    const pool = await getPool();
+    const result = await pool
+      .request()
+      .input("userId", sql.Int, userId)
+      .input("userType", sql.VarChar(20), fields.userType)
+      .input(
+        "userAvailabilityStatus",
+        sql.VarChar(10),
+        fields.userAvailabilityStatus
+      )
+      .input("mobile", sql.VarChar(15), fields.mobile)
+      .input("email", sql.VarChar(100), fields.email).query(`
+        UPDATE Tbl_UserMaster
+        SET User_Type = @userType,
+          User_Availability_Status = @userAvailabilityStatus,
+          User_Mobile = @mobile, User_Email = @email
+        WHERE User_ID = @userId
+      `);
+    return result.rowsAffected[0] === 1 ? this.findById(userId) : null;
+  },
+
+  async setActive(userId, active) {
+    const pool = await getPool();
+    const result = await pool
+      .request()
+      .input("userId", sql.Int, userId)
+      .input("active", sql.Bit, active).query(`
+        UPDATE Tbl_UserMaster SET Active = @active WHERE User_ID = @userId
+      `);
+    return result.rowsAffected[0] === 1 ? this.findById(userId) : null;
+  },
+
+  async remove(userId) {
+    const pool = await getPool();
+    const result = await pool.request().input("userId", sql.Int, userId).query(`
+        DELETE FROM Tbl_UserMaster WHERE User_ID = @userId
+      `);
+    return result.rowsAffected[0] === 1;
+  },
+
+  async listDetailNames() {
+    const pool = await getPool();
+    const result = await pool
+      .request()
+      .query("SELECT User_Name FROM User_Details_M_Tbl ");
+    return result.recordset.map((record) => record.User_Name);
+  },
+});
+
+/**
+ * In-memory users repository - rows use the Tbl_UserMaster column names
+ * @param {Object} seed - { users: [], userDetailNames: [] }
+ * @returns {UsersRepository}
+ */
+const createMemoryUsersRepository = (seed = {}) => {
+  const rows = (seed.users || []).map((row) => ({ ...row }));
+  const detailNames = [...(seed.userDetailNames || [])];
+
+  const findRow = (userId) => rows.find((u) => u.User_ID === userId);
+
+  return {
+    async findByName(username) {
+      const row = rows.find((u) => u.User_Name === username);
+      return row ? toUser(row) : null;
+    },
+
+    async findActiveById(userId) {
+      const row = rows.find((u) => u.User_ID === userId && u.Active);
+      return row ? toUser(row) : null;
+    },
+
+    async updatePassword(userId, passwordHash, changedAt) {
+      const row = rows.find((u) => u.User_ID === userId);
+      if (row) {
+        row.User_Password = passwordHash;
+        if (changedAt) {
+          row.Password_Changed_At = changedAt;
+        }
+      }
+    },
+
+    async create(user) {
+      if (rows.some((u) => u.User_Name === user.userName)) {
+        // Same shape as the SQL Server unique constraint violation
+        const error = new Error("Violation of UNIQUE KEY constraint");
+        error.number = 2627;
+        throw error;
+      }
+
+      const row = {
+        User_ID: Math.max(0, ...rows.map((u) => u.User_ID)) + 1,
+        User_Name: user.userName,
+        User_Password: user.passwordHash,
+        Role: null,
+        User_Type: user.userType,
+        User_Availability_Status: user.userAvailabilityStatus,
+        User_Mobile: user.mobile,
+        User_Email: user.email,
+        Active: 1,
+        // The column default
+        Password_Changed_At: new Date(),
+      };
+      rows.push(row);
+      return toUserProfile(row);
+    },
+
+    async list({ search, active, offset, limit }) {
+      const text = search === undefined ? undefined : search.toLowerCase();
+      const matching = rows
+        .filter(
+          (u) =>
+            (text === undefined ||
+              u.User_Name.toLowerCase().includes(text) ||
+              (u.User_Email || "").toLowerCase().includes(text)) &&
+            (active === undefined || Boolean(u.Active) === active)
+        )
+        .sort((a, b) => a.User_Name.localeCompare(b.User_Name));
+      return {
+        users: matching.slice(offset, offset + limit).map(toUserProfile),
+        total: matching.length,
+      };
+    },
+
+    async findById(userId) {
+      const row = findRow(userId);
+      return row ? toUserProfile(row) : null;
+    },
+
+    async updateProfile(userId, fields) {
+      const row = findRow(userId);
+      if (!row) {
+        return null;
+      }
+      row.User_Type = fields.userType;
+      row.User_Availability_Status = fields.userAvailabilityStatus;
+      row.User_Mobile = fields.mobile;
+      row.User_Email = fields.email;
+      return toUserProfile(row);
+    },
+
+    async setActive(userId, active) {
+      const row = findRow(userId);
+      if (!row) {
+        return null;
+      }
+      row.Active = active ? 1 : 0;
+      return toUserProfile(row);
+    },
+
+    async remove(userId) {
+      const index = rows.findIndex((u) => u.User_ID === userId);
+      if (index < 0) {
+        return false;
+      }
+      rows.splice(index, 1);
+      return true;
+    },
+
+    async listDetailNames() {
+      return [...detailNames];
+    },
+  };
+};
+
+module.exports = {
+  createMssqlUsersRepository,
+  createMemoryUsersRepository,
+};
@@ -0,0 +1,160 @@
+const express = require("express");
+const { authenticateToken, requirePermission } = require("../utils/auth");
+const { PERMISSIONS } = require("../utils/permissions");
+const { field, validateRequest } = require("../utils/validation");
+const { ValidationError } = require("../utils/errors");
+const { describeRoute } = require("../utils/openapi");
+const { AUDIT_ACTIONS } = require("../utils/auditTrail");
+const {
+  exportQueryFields,
+  isExportRequest,
+  sendReportExport,
+} = require("../utils/reportExport");
+
+const TAG = "Audit Log";
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+const FILTER_NAMES = [
+  "action",
+  "actorId",
+  "actor",
+  "targetType",
+  "targetId",
+  "from",
+  "to",
+];
+
+const auditLogQuery = {
+  query: {
+    action: field.string({ oneOf: Object.values(AUDIT_ACTIONS) }),
+    actorId: field.integer({ min: 1, description: "User ID of the actor" }),
+    actor: field.string({
+      maxLength: 50,
+      description: "User name of the actor, also as typed at a failed login",
+    }),
+    targetType: field.string({
+      maxLength: 50,
+      description: "user, member or document",
+    }),
+    targetId: field.string({ maxLength: 100 }),
+    from: field.dateTime({ description: "Entries at or after this time" }),
+    to: field.dateTime({ description: "Entries before this time" }),
+    page: field.integer({ min: 1, description: "1 based page number" }),
+    pageSize: field.integer({
+      min: 1,
+      max: MAX_PAGE_SIZE,
+      description: `Entries per page, defaults to ${DEFAULT_PAGE_SIZE}`,
+    }),
+    ...exportQueryFields,
+  },
+  check: ({ query }) =>
+    query.from && query.to && query.from >= query.to
+      ? [{ location: "query", field: "to", message: "to must be after from" }]
+      : [],
+};
+
+// One spreadsheet row per entry - the values as JSON text
+const toExportRow = (entry) => {
+  const json = (value) => (value === null ? null : JSON.stringify(value));
+  return {
+    Audit_ID: entry.auditId,
+    Occurred_At: entry.occurredAt,
+    Actor_ID: entry.actorId,
+    Actor: entry.actor,
+    Action: entry.action,
+    Target_Type: entry.targetType,
+    Target_ID: entry.targetId,
+    Before: json(entry.before),
+    After: json(entry.after),
+    Details: json(entry.details),
+    IP_Address: entry.ipAddress,
+    Correlation_ID: entry.correlationId,
+  };
+};
+
+/**
+ * Audit log routes - the security audit trail for admins and auditors
+ * @param {Object} deps - { config, repositories, auditTrail }
+ * @returns {express.Router}
+ */
+const createAuditLogRouter = ({ config, repositories, auditTrail }) => {
+  const router = express.Router();
+  const { maxExportRows } = config.auditLog;
+
+  router.get(
+    "/api/audit-log",
+    describeRoute({
+      tag: TAG,
+      summary: "Query the audit trail",
+      description:
+        "Logins, failed logins, account changes, document saves, registrations and attendance updates, newest first. `format=csv` or `xlsx` downloads every matching entry, up to AUDIT_EXPORT_MAX_ROWS - narrow the filter, e.g. with `from` and `to`, when more match. The download is audited too.",
+    }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.AUDIT_READ),
+    validateRequest(auditLogQuery),
+    async (req, res) => {
+      const filter = {};
+      for (const name of FILTER_NAMES) {
+        if (req.query[name] !== undefined) {
+          filter[name] = req.query[name];
+        }
+      }
+
+      if (isExportRequest(req.query)) {
+        // The table only grows - never load all of it for one download
+        const { entries, total } = await repositories.auditLog.list(filter, {
+          limit: maxExportRows,
+        });
+        if (total > maxExportRows) {
+          throw new ValidationError(
+            [
+              {
+                location: "query",
+                field: "format",
+                message: `${total} entries match - an export takes at most ${maxExportRows}, narrow the filter with from and to`,
+              },
+            ],
+            "Too many entries to export"
+          );
+        }
+        await auditTrail.record(req, AUDIT_ACTIONS.AUDIT_EXPORT, {
+          details: {
+            format: req.query.format,
+            count: entries.length,
+            filter,
+          },
+        });
+        await sendReportExport(req, res, entries.map(toExportRow), {
+          filenameParts: ["audit-log", filter.from, filter.to],
+          sheetName: "Audit Log",
+        });
+        return;
+      }
+
+      const page = req.query.page || 1;
+      const pageSize = req.query.pageSize || DEFAULT_PAGE_SIZE;
+      const { entries, total } = await repositories.auditLog.list(filter, {
+        offset: (page - 1) * pageSize,
+        limit: pageSize,
+      });
+
+      res.json({
+        entries,
+        pagination: {
+          totalRows: total,
+          page,
+          pageSize,
+          totalPages: Math.ceil(total / pageSize),
+        },
+      });
+    }
+  );
+
+  return router;
+};
+
+module.exports = {
+  createAuditLogRouter,
+};
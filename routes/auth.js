@@ -0,0 +1,1104 @@
+const express = require("express");
+const {
+  startSession,
+  generateMfaToken,
+  verifyMfaToken,
+  hashPassword,
+  verifyPassword,
+  authenticateToken,
+  requirePermission,
+  refreshAccessToken,
+  revokeRefreshToken,
+  revokeUserRefreshTokens,
+  listUserSessions,
+  revokeUserSession,
+  setRefreshTokenCookie,
+} = require("../utils/auth");
+const {
+  PERMISSIONS,
+  normalizeRole,
+  getPermissions,
+} = require("../utils/permissions");
+const { loginThrottledError } = require("../utils/loginThrottle");
+const {
+  AppError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+} = require("../utils/errors");
+const { field, validateRequest } = require("../utils/validation");
+const { describeRoute } = require("../utils/openapi");
+const { AUDIT_ACTIONS } = require("../utils/auditTrail");
+
+const TAG = "Auth";
+
+// Sizes match Tbl_UserMaster.User_Name and the password length accepted so far
+const loginSchema = {
+  body: {
+    username: field.string({ required: true, maxLength: 50 }),
+    password: field.string({ required: true, maxLength: 100, trim: false }),
+  },
+};
+
+// New passwords are checked against config.passwordPolicy as well
+const newPasswordField = field.string({
+  required: true,
+  maxLength: 100,
+  trim: false,
+});
+
+// Second factor fields - a code from the authenticator app or a recovery code
+const secondFactorFields = {
+  mfaToken: field.string({ maxLength: 1000 }),
+  code: field.string({ maxLength: 10 }),
+  recoveryCode: field.string({ maxLength: 20 }),
+};
+
+const checkSecondFactor = (body) =>
+  (body.code === undefined) === (body.recoveryCode === undefined)
+    ? [
+        {
+          location: "body",
+          field: "code",
+          message: "Send either code or recoveryCode",
+        },
+      ]
+    : [];
+
+// Accounts with two-factor authentication also send an access token, or the
+// mfaToken from /api/auth/login with a code
+const changePasswordSchema = {
+  body: {
+    username: field.string({ required: true, maxLength: 50 }),
+    currentPassword: field.string({
+      required: true,
+      maxLength: 100,
+      trim: false,
+    }),
+    newPassword: newPasswordField,
+    ...secondFactorFields,
+  },
+  check: ({ body }) =>
+    body.mfaToken === undefined ? [] : checkSecondFactor(body),
+};
+
+const resetPasswordSchema = {
+  body: {
+    resetToken: field.string({ required: true, maxLength: 100 }),
+    newPassword: newPasswordField,
+  },
+};
+
+// Unknown, used and expired tokens get the same answer
+const invalidResetTokenError = () =>
+  new UnauthorizedError(
+    "This reset token is invalid or has expired",
+    "INVALID_RESET_TOKEN"
+  );
+
+// A 6 digit code from the authenticator app
+const mfaCodeField = field.string({ required: true, maxLength: 10 });
+
+const mfaCodeSchema = { body: { code: mfaCodeField } };
+
+const mfaVerifySchema = {
+  body: {
+    ...secondFactorFields,
+    mfaToken: field.string({ required: true, maxLength: 1000 }),
+  },
+  check: ({ body }) => checkSecondFactor(body),
+};
+
+// Signed in, or the mfaToken of a login still waiting for enrollment
+const mfaEnrollSchema = {
+  body: { mfaToken: field.string({ maxLength: 1000 }) },
+};
+
+const invalidMfaCodeError = () =>
+  new UnauthorizedError("Invalid verification code", "INVALID_MFA_CODE");
+
+// The refresh token normally arrives in the httpOnly cookie instead
+const refreshTokenSchema = {
+  body: { refreshToken: field.string() },
+};
+
+const userIdSchema = {
+  params: { userId: field.integer({ required: true, min: 1 }) },
+};
+
+const sessionIdSchema = {
+  params: { sessionId: field.string({ required: true, maxLength: 36 }) },
+};
+
+const userSessionSchema = {
+  params: {
+    userId: field.integer({ required: true, min: 1 }),
+    sessionId: field.string({ required: true, maxLength: 36 }),
+  },
+};
+
+// Sized to Tbl_Session.User_Agent
+const MAX_USER_AGENT_LENGTH = 400;
+
+/**
+ * Session as listed to users and admins
+ * @param {Object} session - SessionRecord from utils/tokenStore
+ * @param {String} currentSessionId - Session of the access token, if any
+ * @returns {Object}
+ */
+const toSessionResponse = (session, currentSessionId) => ({
+  sessionId: session.sessionId,
+  userAgent: session.userAgent,
+  ipAddress: session.ipAddress,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  current: session.sessionId === currentSessionId,
+});
+
+const usernameSchema = {
+  params: { username: field.string({ required: true, maxLength: 50 }) },
+};
+
+/**
+ * Authentication routes - /api/login and /api/auth/*
+ * @param {Object} deps - { repositories, loginThrottle, passwordManager,
+ * mfaManager, auditTrail }
+ * @returns {express.Router}
+ */
+const createAuthRouter = ({
+  repositories,
+  loginThrottle,
+  passwordManager,
+  mfaManager,
+  auditTrail,
+}) => {
+  const router = express.Router();
+
+  // The actor of a login is the user logging in, not req.user
+  const auditLogin = (req, user, details) =>
+    auditTrail.record(req, AUDIT_ACTIONS.LOGIN, {
+      actor: user,
+      target: { type: "user", id: user.userId },
+      details,
+    });
+
+  // An unknown name is kept as typed, without a user ID
+  const auditLoginFailure = (req, username, user, reason) =>
+    auditTrail.record(req, AUDIT_ACTIONS.LOGIN_FAILED, {
+      actor: user || { username },
+      target: user ? { type: "user", id: user.userId } : undefined,
+      details: { reason, path: req.path },
+    });
+
+  // Replace a legacy plain text password with a bcrypt hash
+  const upgradeLegacyPassword = async (req, userId, password) => {
+    try {
+      const passwordHash = await hashPassword(password);
+      await repositories.users.updatePassword(userId, passwordHash);
+      req.log.info("Upgraded legacy password hash", { userId });
+    } catch (err) {
+      // The login itself succeeded - retry the upgrade on the next login
+      req.log.error("Failed to upgrade legacy password", {
+        userId,
+        error: err,
+      });
+    }
+  };
+
+  // Throttled password check shared by both logins and the password change
+  const verifyCredentials = async (req, username, password) => {
+    const throttle = await loginThrottle.check(username, req.ip);
+    if (!throttle.allowed) {
+      const error = loginThrottledError(throttle);
+      await auditLoginFailure(req, username, null, error.code);
+      throw error;
+    }
+
+    // Unknown users and wrong passwords get the same answer
+    const user = await repositories.users.findByName(username);
+    const { valid, needsUpgrade } = await verifyPassword(
+      password,
+      user?.password
+    );
+
+    if (!valid) {
+      req.log.warn("Login failed", { knownUser: Boolean(user) });
+      await loginThrottle.recordFailure(username, req.ip);
+      await auditLoginFailure(req, username, user, "INVALID_CREDENTIALS");
+      throw new UnauthorizedError(
+        "Invalid username or password",
+        "INVALID_CREDENTIALS"
+      );
+    }
+
+    // Only a caller who knows the password learns the account is disabled
+    if (!user.active) {
+      req.log.warn("Login refused for a deactivated user", {
+        userId: user.userId,
+      });
+      await auditLoginFailure(req, username, user, "ACCOUNT_INACTIVE");
+      throw new UnauthorizedError(
+        "This account has been deactivated",
+        "ACCOUNT_INACTIVE"
+      );
+    }
+
+    await loginThrottle.recordSuccess(username);
+    return { user, needsUpgrade };
+  };
+
+  // No tokens until an expired password is changed through
+  // /api/auth/change-password
+  const assertPasswordCurrent = (req, user, details = {}) => {
+    if (passwordManager.isExpired(user)) {
+      req.log.info("Login refused until the password is changed", {
+        userId: user.userId,
+      });
+      throw new AppError("Your password has expired and must be changed", {
+        status: 403,
+        code: "PASSWORD_EXPIRED",
+        details: { mustChangePassword: true, ...details },
+      });
+    }
+  };
+
+  // A code of an enrolled user, or the first code of an enrollment started
+  // with the mfaToken - returns the recovery codes such an enrollment issues
+  const verifySecondFactor = async (req, user, { code, recoveryCode }) => {
+    let verified;
+    let recoveryCodes;
+    if (await mfaManager.isEnabled(user.userId)) {
+      verified = await mfaManager.verify(user.userId, { code, recoveryCode });
+    } else if (code !== undefined) {
+      recoveryCodes = await mfaManager.confirmEnrollment(user.userId, code);
+      verified = recoveryCodes !== null;
+    }
+
+    if (!verified) {
+      req.log.warn("Second factor failed", { userId: user.userId });
+      await loginThrottle.recordFailure(user.username, req.ip);
+      await auditLoginFailure(req, user.username, user, "INVALID_MFA_CODE");
+      throw invalidMfaCodeError();
+    }
+    return recoveryCodes;
+  };
+
+  // The password alone does not change it for an account with two-factor
+  // authentication - returns recovery codes as verifySecondFactor
+  const assertSecondFactorForPasswordChange = async (req, user) => {
+    if (
+      !(await mfaManager.isEnabled(user.userId)) &&
+      !mfaManager.isRequired(normalizeRole(user.role, user.userType))
+    ) {
+      return undefined;
+    }
+
+    if (req.user) {
+      if (req.user.userId !== user.userId) {
+        throw new ForbiddenError("This access token is for another user", {
+          code: "INVALID_TOKEN",
+        });
+      }
+      return undefined;
+    }
+
+    const { mfaToken, code, recoveryCode } = req.body;
+    if (mfaToken === undefined) {
+      throw new ForbiddenError(
+        "Two-factor authentication is required - send your access token, or the mfaToken from /api/auth/login with a code",
+        { code: "MFA_REQUIRED" }
+      );
+    }
+    if (verifyMfaToken(mfaToken).userId !== user.userId) {
+      throw new UnauthorizedError(
+        "Invalid or expired verification token - log in again",
+        "INVALID_MFA_TOKEN"
+      );
+    }
+    return verifySecondFactor(req, user, { code, recoveryCode });
+  };
+
+  // A signed in user can change the password with the access token as the
+  // second factor - an expired password gets no token
+  const authenticateIfSent = (req, res, next) => {
+    if (!req.headers.authorization) {
+      return next();
+    }
+    return authenticateToken(req, res, next);
+  };
+
+  // Access token in the body, refresh token in the cookie
+  const sendSession = async (req, res, tokenPayload, extra = {}) => {
+    const { accessToken, refreshToken } = await startSession(tokenPayload, {
+      userAgent: (req.get("user-agent") || "").slice(0, MAX_USER_AGENT_LENGTH),
+      ipAddress: req.ip,
+    });
+
+    // Set HTTP-only cookie for refresh token (more secure)
+    setRefreshTokenCookie(res, refreshToken);
+
+    res.json({
+      success: true,
+      message: "Login successful",
+      data: {
+        accessToken,
+        user: {
+          ...tokenPayload,
+          permissions: getPermissions(tokenPayload.role),
+        },
+        ...extra,
+      },
+    });
+  };
+
+  // Enrollment is open to a signed in user, and to a login that has to enroll
+  // before it gets any token
+  const authenticateForEnrollment = (req, res, next) => {
+    if (req.body.mfaToken) {
+      req.user = verifyMfaToken(req.body.mfaToken);
+      return next();
+    }
+    authenticateToken(req, res, next);
+  };
+
+  // ========== Secure Login API ==========
+  router.post(
+    "/api/login",
+    describeRoute({ tag: TAG, summary: "Log in (older contract)" }),
+    validateRequest(loginSchema),
+    async (req, res) => {
+      const { username, password } = req.body;
+      const { user, needsUpgrade } = await verifyCredentials(
+        req,
+        username,
+        password
+      );
+      assertPasswordCurrent(req, user);
+
+      // This contract has no second step
+      if (
+        (await mfaManager.isEnabled(user.userId)) ||
+        mfaManager.isRequired(normalizeRole(user.role, user.userType))
+      ) {
+        throw new ForbiddenError(
+          "Two-factor authentication is required - log in through /api/auth/login",
+          { code: "MFA_REQUIRED" }
+        );
+      }
+
+      if (needsUpgrade) {
+        await upgradeLegacyPassword(req, user.userId, password);
+      }
+
+      req.log.info("Login succeeded", { userId: user.userId });
+      await auditLogin(req, user);
+
+      // Don't return password in response
+      res.json({ User_Name: user.username, User_ID: user.userId });
+    }
+  );
+
+  // ========== AUTHENTICATION ROUTES ==========
+
+  // Login endpoint with JWT
+  router.post(
+    "/api/auth/login",
+    describeRoute({
+      tag: TAG,
+      summary: "Log in and receive an access token and refresh cookie",
+      description:
+        "An expired password is refused with 403 PASSWORD_EXPIRED and `mustChangePassword: true` - change it with /api/auth/change-password, then log in again. With two-factor authentication enabled, or required for the role, the answer is `mfaRequired: true` and an `mfaToken` for /api/auth/mfa/verify instead of tokens.",
+    }),
+    validateRequest(loginSchema),
+    async (req, res) => {
+      const { username, password } = req.body;
+      const { user, needsUpgrade } = await verifyCredentials(
+        req,
+        username,
+        password
+      );
+
+      // Generate tokens
+      const tokenPayload = {
+        userId: user.userId,
+        username: user.username,
+        role: normalizeRole(user.role, user.userType),
+      };
+      const mfaEnabled = await mfaManager.isEnabled(user.userId);
+      const mfaRequired =
+        mfaEnabled || mfaManager.isRequired(tokenPayload.role);
+
+      // A two-factor account changes an expired password with the mfaToken
+      // and a code
+      assertPasswordCurrent(
+        req,
+        user,
+        mfaRequired ? { mfaToken: generateMfaToken(tokenPayload) } : {}
+      );
+
+      // Legacy rows still hold plain text - replace with a hash on first login
+      if (needsUpgrade) {
+        await upgradeLegacyPassword(req, user.userId, password);
+      }
+
+      // The password is only the first step - tokens come from
+      // /api/auth/mfa/verify
+      if (mfaRequired) {
+        req.log.info("Password accepted, waiting for the second factor", {
+          userId: user.userId,
+          enrollmentRequired: !mfaEnabled,
+        });
+        return res.json({
+          success: true,
+          message: mfaEnabled
+            ? "Enter the code from your authenticator app"
+            : "Set up two-factor authentication to continue",
+          data: {
+            mfaRequired: true,
+            enrollmentRequired: !mfaEnabled,
+            mfaToken: generateMfaToken(tokenPayload),
+          },
+        });
+      }
+
+      req.log.info("Login succeeded", { userId: user.userId });
+      await auditLogin(req, user);
+      await sendSession(req, res, tokenPayload);
+    }
+  );
+
+  router.get(
+    "/api/auth/password-policy",
+    describeRoute({
+      tag: TAG,
+      summary: "Rules a new password has to meet",
+    }),
+    (req, res) => {
+      const { minLength, requiredClasses, historyCount, maxAgeDays } =
+        passwordManager.policy;
+
+      res.json({
+        success: true,
+        data: { minLength, requiredClasses, historyCount, maxAgeDays },
+      });
+    }
+  );
+
+  // Takes the username rather than a token so an expired password, which
+  // gets no token, can be changed too
+  router.post(
+    "/api/auth/change-password",
+    describeRoute({
+      tag: TAG,
+      summary: "Change a password, given the current one",
+      description:
+        "Works with an expired password. With two-factor authentication enabled, or required for the role, also send the access token, or the `mfaToken` from /api/auth/login with `code` or `recoveryCode` - a first code confirms an enrollment and the response holds the recovery codes. Every refresh token of the user is revoked - log in again with the new password.",
+    }),
+    authenticateIfSent,
+    validateRequest(changePasswordSchema),
+    async (req, res) => {
+      const { username, currentPassword, newPassword } = req.body;
+      const { user } = await verifyCredentials(req, username, currentPassword);
+      const recoveryCodes = await assertSecondFactorForPasswordChange(
+        req,
+        user
+      );
+
+      await passwordManager.check("newPassword", newPassword, user);
+      await passwordManager.setPassword(user.userId, newPassword);
+      await revokeUserRefreshTokens(user.userId);
+
+      req.log.info("Password changed", { userId: user.userId });
+      await auditTrail.record(req, AUDIT_ACTIONS.PASSWORD_CHANGE, {
+        actor: user,
+        target: { type: "user", id: user.userId },
+      });
+      res.json({
+        success: true,
+        message: "Password changed",
+        ...(recoveryCodes ? { data: { recoveryCodes } } : {}),
+      });
+    }
+  );
+
+  // The token is handed to the user by the admin - it is not mailed
+  router.post(
+    "/api/auth/users/:userId/password-reset",
+    describeRoute({
+      tag: TAG,
+      summary: "Issue a one-time password reset token",
+      description:
+        "Replaces any unused token of the user. The token is only shown in this response.",
+    }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.USER_PASSWORD_RESET),
+    validateRequest(userIdSchema),
+    async (req, res) => {
+      const { userId } = req.params;
+      if (!(await repositories.users.findById(userId))) {
+        throw new NotFoundError(`No user found with ID: ${userId}`);
+      }
+
+      const { token, expiresAt } = await passwordManager.issueResetToken(
+        userId,
+        req.user.userId
+      );
+
+      await auditTrail.record(req, AUDIT_ACTIONS.PASSWORD_RESET_ISSUE, {
+        target: { type: "user", id: userId },
+        details: { expiresAt },
+      });
+      res.status(201).json({
+        success: true,
+        message: "Password reset token issued",
+        data: { userId, resetToken: token, expiresAt },
+      });
+    }
+  );
+
+  router.post(
+    "/api/auth/reset-password",
+    describeRoute({
+      tag: TAG,
+      summary: "Set a new password with a reset token",
+      description:
+        "The token works once. Every refresh token of the user is revoked and a login lockout is lifted.",
+    }),
+    validateRequest(resetPasswordSchema),
+    async (req, res) => {
+      const { resetToken, newPassword } = req.body;
+
+      const userId = await passwordManager.findResetToken(resetToken);
+      const profile = userId && (await repositories.users.findById(userId));
+      if (!profile) {
+        throw invalidResetTokenError();
+      }
+      if (!profile.active) {
+        throw new UnauthorizedError(
+          "This account has been deactivated",
+          "ACCOUNT_INACTIVE"
+        );
+      }
+
+      // The history check needs the stored password
+      const user = await repositories.users.findByName(profile.username);
+      await passwordManager.check("newPassword", newPassword, user);
+
+      // Checked again in one statement - a second request with the same
+      // token loses here
+      if (!(await passwordManager.consumeResetToken(resetToken))) {
+        throw invalidResetTokenError();
+      }
+      await passwordManager.setPassword(userId, newPassword);
+      await revokeUserRefreshTokens(userId);
+      await loginThrottle.unlock(user.username);
+
+      req.log.info("Password reset", { userId });
+      await auditTrail.record(req, AUDIT_ACTIONS.PASSWORD_RESET, {
+        actor: user,
+        target: { type: "user", id: userId },
+      });
+      res.json({
+        success: true,
+        message: "Password reset",
+      });
+    }
+  );
+
+  // ========== TWO-FACTOR AUTHENTICATION ==========
+
+  router.get(
+    "/api/auth/mfa",
+    describeRoute({
+      tag: TAG,
+      summary: "Two-factor authentication status of the current user",
+    }),
+    authenticateToken,
+    async (req, res) => {
+      const status = await mfaManager.status(req.user.userId);
+
+      res.json({
+        success: true,
+        data: { ...status, required: mfaManager.isRequired(req.user.role) },
+      });
+    }
+  );
+
+  router.post(
+    "/api/auth/mfa/enroll",
+    describeRoute({
+      tag: TAG,
+      summary: "Start two-factor enrollment",
+      description:
+        "Returns a new TOTP secret and the otpauth:// URI to show as a QR code. Needs an access token, or the `mfaToken` of a login that has to enroll first. Confirm with /api/auth/mfa/enroll/confirm, or /api/auth/mfa/verify when logging in.",
+    }),
+    validateRequest(mfaEnrollSchema),
+    authenticateForEnrollment,
+    async (req, res) => {
+      const { secret, otpauthUri } = await mfaManager.startEnrollment(req.user);
+
+      req.log.info("Two-factor enrollment started", {
+        userId: req.user.userId,
+      });
+      res.json({ success: true, data: { secret, otpauthUri } });
+    }
+  );
+
+  router.post(
+    "/api/auth/mfa/enroll/confirm",
+    describeRoute({
+      tag: TAG,
+      summary: "Enable two-factor authentication with a first code",
+      description:
+        "Returns the recovery codes - they are only shown here, each works once.",
+    }),
+    authenticateToken,
+    validateRequest(mfaCodeSchema),
+    async (req, res) => {
+      const recoveryCodes = await mfaManager.confirmEnrollment(
+        req.user.userId,
+        req.body.code
+      );
+      if (!recoveryCodes) {
+        throw invalidMfaCodeError();
+      }
+
+      req.log.info("Two-factor authentication enabled", {
+        userId: req.user.userId,
+      });
+      res.json({
+        success: true,
+        message: "Two-factor authentication enabled",
+        data: { recoveryCodes },
+      });
+    }
+  );
+
+  // Second login step - wrong codes count towards the login lockout
+  router.post(
+    "/api/auth/mfa/verify",
+    describeRoute({
+      tag: TAG,
+      summary: "Exchange the mfaToken and a code for tokens",
+      description:
+        "Send `code` from the authenticator app or one `recoveryCode`. A login that had to enroll sends its first code here - the response then also holds the recovery codes.",
+    }),
+    validateRequest(mfaVerifySchema),
+    async (req, res) => {
+      const { mfaToken, code, recoveryCode } = req.body;
+      const pending = verifyMfaToken(mfaToken);
+
+      const throttle = await loginThrottle.check(pending.username, req.ip);
+      if (!throttle.allowed) {
+        throw loginThrottledError(throttle);
+      }
+
+      // Deactivated since the password step
+      const user = await repositories.users.findActiveById(pending.userId);
+      if (!user) {
+        throw new UnauthorizedError(
+          "This account has been deactivated",
+          "ACCOUNT_INACTIVE"
+        );
+      }
+
+      // The mfaToken of an expired password only changes the password
+      assertPasswordCurrent(req, user);
+
+      const recoveryCodes = await verifySecondFactor(req, user, {
+        code,
+        recoveryCode,
+      });
+
+      await loginThrottle.recordSuccess(pending.username);
+      const mfa = recoveryCode !== undefined ? "recovery code" : "totp";
+      req.log.info("Login succeeded", { userId: user.userId, mfa });
+      await auditLogin(req, user, { mfa });
+
+      await sendSession(
+        req,
+        res,
+        {
+          userId: user.userId,
+          username: user.username,
+          role: normalizeRole(user.role, user.userType),
+        },
+        recoveryCodes ? { recoveryCodes } : {}
+      );
+    }
+  );
+
+  router.post(
+    "/api/auth/mfa/recovery-codes",
+    describeRoute({
+      tag: TAG,
+      summary: "Replace the recovery codes",
+      description: "Needs a current code. The old recovery codes stop working.",
+    }),
+    authenticateToken,
+    validateRequest(mfaCodeSchema),
+    async (req, res) => {
+      const { userId } = req.user;
+      if (!(await mfaManager.verify(userId, { code: req.body.code }))) {
+        throw invalidMfaCodeError();
+      }
+
+      const recoveryCodes = await mfaManager.regenerateRecoveryCodes(userId);
+
+      req.log.info("Recovery codes replaced", { userId });
+      res.json({ success: true, data: { recoveryCodes } });
+    }
+  );
+
+  router.post(
+    "/api/auth/mfa/disable",
+    describeRoute({
+      tag: TAG,
+      summary: "Turn off two-factor authentication",
+      description: "Needs a current code. Refused where the role requires it.",
+    }),
+    authenticateToken,
+    validateRequest(mfaCodeSchema),
+    async (req, res) => {
+      const { userId, role } = req.user;
+      if (mfaManager.isRequired(role)) {
+        throw new ForbiddenError(
+          "Two-factor authentication is required for your role"
+        );
+      }
+      if (!(await mfaManager.verify(userId, { code: req.body.code }))) {
+        throw invalidMfaCodeError();
+      }
+
+      await mfaManager.disable(userId);
+
+      req.log.info("Two-factor authentication disabled", { userId });
+      res.json({
+        success: true,
+        message: "Two-factor authentication disabled",
+      });
+    }
+  );
+
+  // For a user who lost both the app and the recovery codes
+  router.post(
+    "/api/auth/users/:userId/mfa-reset",
+    describeRoute({
+      tag: TAG,
+      summary: "Remove a user's two-factor enrollment",
+      description:
+        "A user whose role requires two-factor authentication enrolls again at the next login.",
+    }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.USER_MFA_RESET),
+    validateRequest(userIdSchema),
+    async (req, res) => {
+      const { userId } = req.params;
+      if (!(await repositories.users.findById(userId))) {
+        throw new NotFoundError(`No user found with ID: ${userId}`);
+      }
+
+      const removed = await mfaManager.disable(userId);
+
+      await auditTrail.record(req, AUDIT_ACTIONS.MFA_RESET, {
+        target: { type: "user", id: userId },
+        details: { removed },
+      });
+      res.json({
+        success: true,
+        message: removed
+          ? "Two-factor enrollment removed"
+          : "User had no two-factor enrollment",
+        data: { userId, removed },
+      });
+    }
+  );
+
+  // Logout endpoint
+  router.post(
+    "/api/auth/logout",
+    describeRoute({
+      tag: TAG,
+      summary: "Log out and revoke the refresh token",
+    }),
+    validateRequest(refreshTokenSchema),
+    async (req, res) => {
+      const refreshToken = req.cookies.refreshToken || req.body.refreshToken;
+
+      // Revoke server-side so a copied refresh token stops working too
+      if (refreshToken) {
+        await revokeRefreshToken(refreshToken);
+      }
+
+      // Clear the refresh token cookie
+      res.clearCookie("refreshToken");
+
+      res.json({
+        success: true,
+        message: "Logged out successfully",
+      });
+    }
+  );
+
+  // Admin "log out everywhere" - revokes every refresh token of a user
+  router.post(
+    "/api/auth/users/:userId/logout-everywhere",
+    describeRoute({
+      tag: TAG,
+      summary: "Revoke every refresh token of a user",
+    }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.SESSION_REVOKE),
+    validateRequest(userIdSchema),
+    async (req, res) => {
+      const { userId } = req.params;
+
+      await revokeUserRefreshTokens(userId);
+
+      await auditTrail.record(req, AUDIT_ACTIONS.LOGOUT_EVERYWHERE, {
+        target: { type: "user", id: userId },
+      });
+      res.json({
+        success: true,
+        message: "All sessions revoked for user",
+        data: { userId },
+      });
+    }
+  );
+
+  // ========== SESSIONS ==========
+
+  router.get(
+    "/api/auth/sessions",
+    describeRoute({
+      tag: TAG,
+      summary: "Your login sessions",
+      description:
+        "One entry per login that can still be refreshed, latest use first. `current` marks the session of the access token used for this request.",
+    }),
+    authenticateToken,
+    async (req, res) => {
+      const sessions = await listUserSessions(req.user.userId);
+
+      res.json({
+        success: true,
+        data: sessions.map((session) =>
+          toSessionResponse(session, req.user.sid)
+        ),
+      });
+    }
+  );
+
+  // "Log out other devices" - the session making the request stays
+  router.delete(
+    "/api/auth/sessions",
+    describeRoute({
+      tag: TAG,
+      summary: "End all your other login sessions",
+    }),
+    authenticateToken,
+    async (req, res) => {
+      const sessions = await listUserSessions(req.user.userId);
+
+      let revoked = 0;
+      for (const session of sessions) {
+        if (
+          session.sessionId !== req.user.sid &&
+          (await revokeUserSession(req.user.userId, session.sessionId))
+        ) {
+          revoked++;
+        }
+      }
+
+      req.log.info("Other sessions revoked", {
+        userId: req.user.userId,
+        revoked,
+      });
+      await auditTrail.record(req, AUDIT_ACTIONS.SESSION_REVOKE, {
+        target: { type: "user", id: req.user.userId },
+        details: { revoked, keptSessionId: req.user.sid },
+      });
+      res.json({
+        success: true,
+        message: "Other sessions revoked",
+        data: { revoked },
+      });
+    }
+  );
+
+  router.delete(
+    "/api/auth/sessions/:sessionId",
+    describeRoute({
+      tag: TAG,
+      summary: "End one of your login sessions",
+      description:
+        "Its refresh token and access tokens stop working - the next request with one answers 401 `SESSION_REVOKED`.",
+    }),
+    authenticateToken,
+    validateRequest(sessionIdSchema),
+    async (req, res) => {
+      const { sessionId } = req.params;
+
+      if (!(await revokeUserSession(req.user.userId, sessionId))) {
+        throw new NotFoundError(`No session found with ID: ${sessionId}`);
+      }
+
+      req.log.info("Session revoked", { userId: req.user.userId, sessionId });
+      await auditTrail.record(req, AUDIT_ACTIONS.SESSION_REVOKE, {
+        target: { type: "user", id: req.user.userId },
+        details: { sessionId },
+      });
+      res.json({
+        success: true,
+        message: "Session revoked",
+        data: { sessionId },
+      });
+    }
+  );
+
+  router.get(
+    "/api/auth/users/:userId/sessions",
+    describeRoute({
+      tag: TAG,
+      summary: "A user's login sessions",
+    }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.SESSION_READ),
+    validateRequest(userIdSchema),
+    async (req, res) => {
+      const { userId } = req.params;
+      if (!(await repositories.users.findById(userId))) {
+        throw new NotFoundError(`No user found with ID: ${userId}`);
+      }
+
+      const sessions = await listUserSessions(userId);
+
+      res.json({
+        success: true,
+        data: sessions.map((session) =>
+          toSessionResponse(session, req.user.sid)
+        ),
+      });
+    }
+  );
+
+  router.delete(
+    "/api/auth/users/:userId/sessions/:sessionId",
+    describeRoute({
+      tag: TAG,
+      summary: "End one login session of a user",
+    }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.SESSION_REVOKE),
+    validateRequest(userSessionSchema),
+    async (req, res) => {
+      const { userId, sessionId } = req.params;
+
+      if (!(await revokeUserSession(userId, sessionId))) {
+        throw new NotFoundError(`No session found with ID: ${sessionId}`);
+      }
+
+      await auditTrail.record(req, AUDIT_ACTIONS.SESSION_REVOKE, {
+        target: { type: "user", id: userId },
+        details: { sessionId },
+      });
+      res.json({
+        success: true,
+        message: "Session revoked",
+        data: { userId, sessionId },
+      });
+    }
+  );
+
+  // Admin unlock for an account locked out by failed logins
+  router.post(
+    "/api/auth/users/:username/unlock",
+    describeRoute({
+      tag: TAG,
+      summary: "Unlock an account locked by failed logins",
+      description:
+        "With `ipAddress`, also lifts the lockout of that client address.",
+    }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.USER_UNLOCK),
+    validateRequest({
+      ...usernameSchema,
+      body: {
+        ipAddress: field.string({
+          maxLength: 45,
+          description: "Client address to unlock as well",
+        }),
+      },
+    }),
+    async (req, res) => {
+      const { username } = req.params;
+      const { ipAddress } = req.body;
+
+      await loginThrottle.unlock(username, ipAddress);
+
+      // The lockout is kept by name, whether or not the user exists
+      const user = await repositories.users.findByName(username);
+      await auditTrail.record(req, AUDIT_ACTIONS.ACCOUNT_UNLOCK, {
+        target: user ? { type: "user", id: user.userId } : undefined,
+        details: { username, ipAddress },
+      });
+      res.json({
+        success: true,
+        message: "Account unlocked",
+        data: { username },
+      });
+    }
+  );
+
+  // Refresh token endpoint
+  router.post(
+    "/api/auth/refresh",
+    describeRoute({
+      tag: TAG,
+      summary: "Rotate the refresh token and issue a new access token",
+    }),
+    validateRequest(refreshTokenSchema),
+    async (req, res) => {
+      const refreshToken = req.cookies.refreshToken || req.body.refreshToken;
+
+      // Use the refresh middleware
+      req.body = { ...req.body, refreshToken };
+      await refreshAccessToken(req, res);
+    }
+  );
+
+  // Get current user info (protected route)
+  router.get(
+    "/api/auth/me",
+    describeRoute({ tag: TAG, summary: "Current user and permissions" }),
+    authenticateToken,
+    async (req, res) => {
+      const user = await repositories.users.findActiveById(req.user.userId);
+
+      if (!user) {
+        throw new NotFoundError("User not found");
+      }
+
+      const role = normalizeRole(user.role, user.userType);
+
+      res.json({
+        success: true,
+        data: {
+          user: {
+            userId: user.userId,
+            username: user.username,
+            role,
+            permissions: getPermissions(role),
+          },
+        },
+      });
+    }
+  );
+
+  return router;
+};
+
+module.exports = {
+  createAuthRouter,
+};
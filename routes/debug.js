@@ -0,0 +1,147 @@
+const express = require("express");
+const {
+  authenticateToken,
+  requirePermission,
+  isPasswordHash,
+} = require("../utils/auth");
+const { PERMISSIONS } = require("../utils/permissions");
+const { field, validateRequest } = require("../utils/validation");
+const { NotFoundError } = require("../utils/errors");
+const { describeRoute } = require("../utils/openapi");
+
+const TAG = "Debug";
+
+/**
+ * Debug routes - only mounted outside production
+ * @param {Object} deps - { repositories, procedureMetadata }
+ * @returns {express.Router}
+ */
+const createDebugRouter = ({ repositories, procedureMetadata }) => {
+  const router = express.Router();
+
+  router.use(
+    "/api/debug",
+    authenticateToken,
+    requirePermission(PERMISSIONS.SYSTEM_DEBUG)
+  );
+
+  router.get(
+    "/api/debug/menu-table",
+    describeRoute({
+      tag: TAG,
+      summary: "Menu_Report_tbl columns and sample rows",
+    }),
+    async (req, res) => {
+      const { schema, sample } = await repositories.menu.describeTable();
+
+      res.json({
+        table_schema: schema,
+        sample_data: sample,
+        row_count: sample.length,
+      });
+    }
+  );
+
+  // ========== Debug Stored Procedure Parameters ==========
+  router.get(
+    "/api/debug/procedure-params",
+    describeRoute({
+      tag: TAG,
+      summary: "Cached stored procedure parameters",
+      description:
+        "Every procedure a route calls, with the problems found comparing it to the route, or one `procedure`. `refresh=true` reads the signatures from the database again.",
+    }),
+    validateRequest({
+      query: {
+        procedure: field.string({ maxLength: 128 }),
+        refresh: field.boolean(),
+      },
+    }),
+    async (req, res) => {
+      const { procedure, refresh } = req.query;
+      if (refresh) {
+        await procedureMetadata.load(procedure ? [procedure] : undefined);
+      }
+
+      if (procedure) {
+        const parameters = await procedureMetadata.parameters(procedure);
+        return res.json({ procedure, parameters });
+      }
+      res.json({ procedures: await procedureMetadata.describe() });
+    }
+  );
+
+  // ========== Debug Available Stored Procedures ==========
+  router.get(
+    "/api/debug/procedures",
+    describeRoute({ tag: TAG, summary: "Report stored procedures" }),
+    async (req, res) => {
+      const procedures = await repositories.procedures.listReportProcedures();
+
+      res.json({ procedures });
+    }
+  );
+
+  // ========== Test High Value Transaction Procedure ==========
+  router.post(
+    "/api/debug/test-hvtran",
+    describeRoute({
+      tag: TAG,
+      summary: "Run AuditHVTranRpt_Sp with fixed parameters",
+      description:
+        "Every branch and scheme of the DEPOSIT section, amounts 0 to 999999, during 2024 - whether the procedure runs at all.",
+    }),
+    async (req, res) => {
+      const rows = await repositories.transactions.highValue({
+        branchName: "ALL",
+        section: "DEPOSIT",
+        scheme: "ALL",
+        minAmount: 0,
+        maxAmount: 999999,
+        fromDate: "2024-01-01",
+        toDate: "2024-12-31",
+      });
+
+      req.log.info("Test procedure executed", { rows: rows.length });
+      res.json({ success: true, recordset: rows.length, data: rows });
+    }
+  );
+
+  // ========== Debug User Lookup ==========
+  router.get(
+    "/api/debug/users/:username",
+    describeRoute({
+      tag: TAG,
+      summary: "Look up one user",
+      description: "Whether the stored password is hashed yet.",
+    }),
+    validateRequest({
+      params: { username: field.string({ required: true, maxLength: 50 }) },
+    }),
+    async (req, res) => {
+      const user = await repositories.users.findByName(req.params.username);
+
+      if (!user) {
+        throw new NotFoundError("User not found");
+      }
+
+      res.json({
+        success: true,
+        message: "User found",
+        data: {
+          username: user.username,
+          userId: user.userId,
+          active: user.active,
+          role: user.role,
+          passwordHashed: isPasswordHash(user.password),
+        },
+      });
+    }
+  );
+
+  return router;
+};
+
+module.exports = {
+  createDebugRouter,
+};
@@ -0,0 +1,170 @@
+const express = require("express");
+const { describeRoute, buildOpenApiDocument } = require("../utils/openapi");
+
+const TAG = "Docs";
+
+const METHOD_COLOURS = {
+  get: "#2f7d32",
+  post: "#1565c0",
+  put: "#ef6c00",
+  delete: "#c62828",
+};
+
+const escapeHtml = (value) =>
+  String(value).replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      }[char])
+  );
+
+// One line per constraint, e.g. "string, date, max 50"
+const describeSchema = (schema) =>
+  [
+    schema.type,
+    schema.format,
+    schema.enum && `one of ${schema.enum.join(", ")}`,
+    schema.minLength !== undefined && `min length ${schema.minLength}`,
+    schema.maxLength !== undefined && `max length ${schema.maxLength}`,
+    schema.minimum !== undefined && `min ${schema.minimum}`,
+    schema.maximum !== undefined && `max ${schema.maximum}`,
+    schema.pattern && `pattern ${schema.pattern}`,
+    schema.nullable && "nullable",
+  ]
+    .filter(Boolean)
+    .join(", ");
+
+const renderFields = (rows) =>
+  rows.length === 0
+    ? ""
+    : `<table><tr><th>Field</th><th>In</th><th>Required</th><th>Type</th></tr>${rows
+        .map(
+          (row) =>
+            `<tr><td><code>${escapeHtml(row.name)}</code></td><td>${
+              row.in
+            }</td><td>${row.required ? "yes" : ""}</td><td>${escapeHtml(
+              describeSchema(row.schema)
+            )}</td></tr>`
+        )
+        .join("")}</table>`;
+
+const renderOperation = (path, method, operation) => {
+  const body =
+    operation.requestBody &&
+    operation.requestBody.content["application/json"].schema;
+  const fields = [
+    ...(operation.parameters || []),
+    ...Object.entries((body && body.properties) || {}).map(
+      ([name, schema]) => ({
+        name,
+        in: "body",
+        required: body.required && body.required.includes(name),
+        schema,
+      })
+    ),
+  ];
+
+  return `<details id="${escapeHtml(operation.operationId)}">
+<summary><span class="method" style="background:${
+    METHOD_COLOURS[method] || "#555"
+  }">${method.toUpperCase()}</span> <code>${escapeHtml(path)}</code> ${
+    operation.security ? "&#128274;" : ""
+  } ${escapeHtml(operation.summary || "")}${
+    operation.deprecated ? " <em>(deprecated)</em>" : ""
+  }</summary>
+${operation.description ? `<p>${escapeHtml(operation.description)}</p>` : ""}
+${renderFields(fields)}
+<p>Responses: ${Object.entries(operation.responses)
+    .map(
+      ([status, response]) => `${status} ${escapeHtml(response.description)}`
+    )
+    .join(" &middot; ")}</p>
+</details>`;
+};
+
+/**
+ * Render the docs page - a plain HTML view of the OpenAPI document, no
+ * external scripts
+ * @param {Object} document - OpenAPI document
+ * @returns {String} HTML
+ */
+const renderDocsPage = (document) => {
+  const groups = {};
+  for (const [path, operations] of Object.entries(document.paths)) {
+    for (const [method, operation] of Object.entries(operations)) {
+      const tag = (operation.tags && operation.tags[0]) || "Other";
+      groups[tag] = groups[tag] || [];
+      groups[tag].push(renderOperation(path, method, operation));
+    }
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(document.info.title)}</title>
+<style>
+body { font-family: system-ui, sans-serif; margin: 2rem auto; max-width: 960px; color: #222; }
+details { border: 1px solid #ddd; border-radius: 4px; margin: 0.4rem 0; padding: 0.4rem 0.8rem; }
+summary { cursor: pointer; }
+.method { color: #fff; border-radius: 3px; padding: 0.1rem 0.4rem; font-size: 0.8rem; font-weight: bold; }
+table { border-collapse: collapse; margin: 0.5rem 0; }
+th, td { border: 1px solid #ddd; padding: 0.2rem 0.5rem; text-align: left; font-size: 0.9rem; }
+</style>
+</head>
+<body>
+<h1>${escapeHtml(document.info.title)} <small>${escapeHtml(
+    document.info.version
+  )}</small></h1>
+<p>${escapeHtml(document.info.description)}</p>
+<p>Machine readable: <a href="/api/openapi.json">/api/openapi.json</a> &middot; &#128274; needs a bearer token</p>
+${Object.entries(groups)
+  .map(([tag, items]) => `<h2>${escapeHtml(tag)}</h2>\n${items.join("\n")}`)
+  .join("\n")}
+</body>
+</html>`;
+};
+
+/**
+ * API documentation routes - the OpenAPI document and a page to browse it
+ * @returns {express.Router}
+ */
+const createDocsRouter = () => {
+  const router = express.Router();
+
+  // Built on first use, once every router is mounted
+  let document;
+  const getDocument = (app) => {
+    if (!document) {
+      document = buildOpenApiDocument(app);
+    }
+    return document;
+  };
+
+  router.get(
+    "/api/openapi.json",
+    describeRoute({ tag: TAG, summary: "OpenAPI 3 document for this API" }),
+    (req, res) => {
+      res.json(getDocument(req.app));
+    }
+  );
+
+  router.get(
+    "/api/docs",
+    describeRoute({ tag: TAG, summary: "Browsable API documentation" }),
+    (req, res) => {
+      res.type("html").send(renderDocsPage(getDocument(req.app)));
+    }
+  );
+
+  return router;
+};
+
+module.exports = {
+  createDocsRouter,
+};
@@ -0,0 +1,124 @@
+const express = require("express");
+const { authenticateToken, requirePermission } = require("../utils/auth");
+const { PERMISSIONS } = require("../utils/permissions");
+const { field, validateRequest } = require("../utils/validation");
+const { NotFoundError } = require("../utils/errors");
+const { describeRoute } = require("../utils/openapi");
+const { AUDIT_ACTIONS } = require("../utils/auditTrail");
+
+const TAG = "Documents";
+
+// Sizes match the Document_Tbl columns - Details is nvarchar(max)
+const documentSchema = {
+  body: {
+    compCode: field.string({ required: true, maxLength: 50 }),
+    section: field.string({ required: true, maxLength: 50 }),
+    keyword: field.string({ required: true, maxLength: 255 }),
+    details: field.string({ required: true }),
+    userName: field.string({ required: true, maxLength: 50 }),
+  },
+};
+
+const keywordsSchema = {
+  query: { search: field.string({ maxLength: 255 }) },
+};
+
+const documentIdSchema = {
+  params: { id: field.integer({ required: true, min: 1 }) },
+};
+
+/**
+ * Document routes - Document_Tbl entries and their keywords
+ * @param {Object} deps - { repositories, auditTrail }
+ * @returns {express.Router}
+ */
+const createDocumentsRouter = ({ repositories, auditTrail }) => {
+  const router = express.Router();
+
+  // API endpoint to save document data to Document_Tbl
+  router.post(
+    "/api/document",
+    describeRoute({ tag: TAG, summary: "Save a document" }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.DOCUMENT_WRITE),
+    validateRequest(documentSchema),
+    async (req, res) => {
+      const { compCode, section, keyword, details, userName } = req.body;
+
+      const rowsAffected = await repositories.documents.create({
+        compCode,
+        section,
+        keyword,
+        details,
+        userName,
+      });
+
+      req.log.info("Document saved", { compCode, section, rowsAffected });
+      // Document_Tbl does not hand back the new ID - the keyword names it
+      await auditTrail.record(req, AUDIT_ACTIONS.DOCUMENT_CREATE, {
+        target: { type: "document", id: keyword },
+        after: { compCode, section, keyword, details, userName },
+      });
+
+      res.json({
+        success: true,
+        message: "Document saved successfully",
+        rowsAffected,
+      });
+    }
+  );
+
+  // API endpoint to fetch existing keywords from Document_Tbl
+  router.get(
+    "/api/keywords",
+    describeRoute({ tag: TAG, summary: "Keywords used by saved documents" }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.DOCUMENT_READ),
+    validateRequest(keywordsSchema),
+    async (req, res) => {
+      const { search } = req.query;
+
+      const keywords = await repositories.documents.listKeywords(search);
+
+      req.log.debug("Keywords fetched", {
+        searched: Boolean(search),
+        count: keywords.length,
+      });
+
+      res.json({
+        success: true,
+        keywords: keywords,
+        count: keywords.length,
+      });
+    }
+  );
+
+  // API endpoint to locate document by ID
+  router.get(
+    "/api/document/:id",
+    describeRoute({ tag: TAG, summary: "Find a document by ID" }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.DOCUMENT_READ),
+    validateRequest(documentIdSchema),
+    async (req, res) => {
+      const { id } = req.params;
+
+      const document = await repositories.documents.findById(id);
+
+      if (!document) {
+        throw new NotFoundError(`No document found with ID: ${id}`);
+      }
+
+      res.json({
+        success: true,
+        document,
+      });
+    }
+  );
+
+  return router;
+};
+
+module.exports = {
+  createDocumentsRouter,
+};
@@ -0,0 +1,196 @@
+const express = require("express");
+const crypto = require("crypto");
+const { describeRoute } = require("../utils/openapi");
+const { UnauthorizedError } = require("../utils/errors");
+
+const TAG = "Health";
+
+// A probe slower than this counts as a failure
+const PROBE_TIMEOUT_MS = 3000;
+
+/**
+ * Run a check at most once per ttlMs - concurrent callers share the run
+ * @param {Function} check - Async function that throws when unhealthy
+ * @param {Number} ttlMs - How long a result is reused
+ * @returns {Function} Async function returning { ok, checkedAt, error }
+ */
+const createCachedProbe = (check, ttlMs) => {
+  let last = null;
+  let running = null;
+
+  const runCheck = async () => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(
+        () => reject(new Error(`Timed out after ${PROBE_TIMEOUT_MS}ms`)),
+        PROBE_TIMEOUT_MS
+      );
+    });
+
+    try {
+      await Promise.race([check(), timeout]);
+      return { ok: true };
+    } catch (err) {
+      return { ok: false, error: err };
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  return async () => {
+    if (last && Date.now() - last.at < ttlMs) {
+      return last;
+    }
+    if (!running) {
+      running = runCheck().then((result) => {
+        last = { ...result, at: Date.now(), checkedAt: new Date() };
+        running = null;
+        return last;
+      });
+    }
+    return running;
+  };
+};
+
+// Constant time comparison for the optional /metrics token
+const tokenMatches = (given, expected) => {
+  const a = Buffer.from(String(given));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * Health and monitoring routes - liveness, readiness and Prometheus metrics
+ * @param {Object} deps - { config, dataSource, metrics }
+ * @returns {express.Router}
+ */
+const createHealthRouter = ({ config, dataSource, metrics }) => {
+  const router = express.Router();
+
+  const probeDatabase = createCachedProbe(
+    () => dataSource.ping(),
+    config.health.readyCacheMs
+  );
+
+  // ========== Health Check API ==========
+  router.get(
+    "/api/health",
+    describeRoute({ tag: TAG, summary: "Server and database status" }),
+    (req, res) => {
+      const status = {
+        server: "running",
+        dataSource: dataSource.kind,
+        // connected, reconnecting, disconnected or closed
+        database: dataSource.status().state,
+        timestamp: new Date().toISOString(),
+      };
+      res.json(status);
+    }
+  );
+
+  // Liveness - the process is up and serving; never touches the database
+  router.get(
+    "/api/health/live",
+    describeRoute({ tag: TAG, summary: "Liveness probe" }),
+    (req, res) => {
+      res.json({ status: "ok", uptimeSeconds: process.uptime() });
+    }
+  );
+
+  // Readiness - the database answers; the probe result is cached
+  router.get(
+    "/api/health/ready",
+    describeRoute({
+      tag: TAG,
+      summary: "Readiness probe",
+      description: `Answers 503 while the database is unreachable. The database check is cached for ${config.health.readyCacheMs}ms.`,
+    }),
+    async (req, res) => {
+      const probe = await probeDatabase();
+
+      if (!probe.ok) {
+        req.log.warn("Readiness check failed", { error: probe.error });
+      }
+
+      res.status(probe.ok ? 200 : 503).json({
+        status: probe.ok ? "ready" : "unavailable",
+        checks: {
+          database: {
+            status: probe.ok ? "up" : "down",
+            checkedAt: probe.checkedAt.toISOString(),
+          },
+        },
+      });
+    }
+  );
+
+  // Prometheus scrape endpoint
+  router.get(
+    "/metrics",
+    describeRoute({
+      tag: TAG,
+      summary: "Prometheus metrics",
+      description:
+        "Request counts and latencies per route, connection pool counts. " +
+        "Requires `Authorization: Bearer <METRICS_TOKEN>` when METRICS_TOKEN is set.",
+    }),
+    (req, res) => {
+      if (config.health.metricsToken) {
+        const [scheme, token] = (req.get("authorization") || "").split(" ");
+        if (
+          scheme !== "Bearer" ||
+          !tokenMatches(token, config.health.metricsToken)
+        ) {
+          throw new UnauthorizedError("Metrics token required");
+        }
+      }
+
+      const gauges = [
+        {
+          name: "process_uptime_seconds",
+          help: "Seconds since the process started",
+          value: process.uptime(),
+        },
+        {
+          name: "process_resident_memory_bytes",
+          help: "Resident memory size",
+          value: process.memoryUsage().rss,
+        },
+      ];
+
+      const pool = dataSource.poolStats();
+      if (pool) {
+        gauges.push(
+          {
+            name: "mssql_pool_size",
+            help: "Open connections in the pool",
+            value: pool.size,
+          },
+          {
+            name: "mssql_pool_idle",
+            help: "Idle connections in the pool",
+            value: pool.idle,
+          },
+          {
+            name: "mssql_pool_borrowed",
+            help: "Connections currently running a request",
+            value: pool.borrowed,
+          },
+          {
+            name: "mssql_pool_pending",
+            help: "Requests waiting for a connection",
+            value: pool.pending,
+          }
+        );
+      }
+
+      res.type("text/plain; version=0.0.4").send(metrics.render(gauges));
+    }
+  );
+
+  return router;
+};
+
+module.exports = {
+  createHealthRouter,
+};
@@ -0,0 +1,70 @@
+const express = require("express");
+const { authenticateToken, requirePermission } = require("../utils/auth");
+const { PERMISSIONS } = require("../utils/permissions");
+const { field, validateRequest } = require("../utils/validation");
+const { describeRoute } = require("../utils/openapi");
+
+const TAG = "Issues";
+
+const ISSUE_PRIORITIES = ["Low", "Medium", "High", "Critical"];
+
+const issueSchema = {
+  body: {
+    Cmp_Code: field.string({ required: true, maxLength: 10 }),
+    Issue_Module: field.string({ required: true, maxLength: 100 }),
+    Issue_Description: field.string({ required: true, maxLength: 1000 }),
+    Issue_Remarks: field.string({ maxLength: 1000 }),
+    Reported_By: field.string({ required: true, maxLength: 50 }),
+    Reported_Date: field.dateTime({ required: true }),
+    Priority: field.string({ required: true, oneOf: ISSUE_PRIORITIES }),
+    Due_Date: field.dateTime({ nullable: true }),
+  },
+};
+
+/**
+ * Issue routes - helpdesk issue submission to Tbl_IssueMaster
+ * @param {Object} deps - { repositories }
+ * @returns {express.Router}
+ */
+const createIssuesRouter = ({ repositories }) => {
+  const router = express.Router();
+
+  // ========== Issue Submission API ==========
+  router.post(
+    "/api/issues",
+    describeRoute({ tag: TAG, summary: "Submit a helpdesk issue" }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.ISSUE_WRITE),
+    validateRequest(issueSchema),
+    async (req, res) => {
+      const {
+        Cmp_Code,
+        Issue_Module,
+        Issue_Description,
+        Issue_Remarks,
+        Reported_By,
+        Reported_Date,
+        Priority,
+        Due_Date,
+      } = req.body;
+
+      await repositories.issues.create({
+        Cmp_Code,
+        Issue_Module,
+        Issue_Description,
+        Issue_Remarks,
+        Reported_By,
+        Reported_Date,
+        Priority,
+        Due_Date,
+      });
+      res.json({ message: "Issue inserted successfully" });
+    }
+  );
+
+  return router;
+};
+
+module.exports = {
+  createIssuesRouter,
+};
@@ -0,0 +1,65 @@
+const express = require("express");
+const { authenticateToken, requirePermission } = require("../utils/auth");
+const { PERMISSIONS } = require("../utils/permissions");
+const { field, validateRequest } = require("../utils/validation");
+const { describeRoute } = require("../utils/openapi");
+
+const TAG = "Lookups";
+
+const schemesSchema = {
+  body: { section: field.string({ required: true, maxLength: 50 }) },
+};
+
+/**
+ * Lookup routes - branch, section and scheme lists for report filters
+ * @param {Object} deps - { repositories }
+ * @returns {express.Router}
+ */
+const createLookupsRouter = ({ repositories }) => {
+  const router = express.Router();
+
+  // ========== Branches API ==========
+  router.get(
+    "/api/branches",
+    describeRoute({ tag: TAG, summary: "Branch list" }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.LOOKUP_READ),
+    async (req, res) => {
+      const branches = await repositories.transactions.listBranches();
+      res.json({ branches });
+    }
+  );
+
+  // Get sections for cancelled scrolls report
+  router.get(
+    "/api/sections",
+    describeRoute({ tag: TAG, summary: "Section list" }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.LOOKUP_READ),
+    async (req, res) => {
+      const sections = await repositories.transactions.listSections();
+      res.json({ sections });
+    }
+  );
+
+  // Get schemes based on section for cancelled scrolls report
+  router.post(
+    "/api/schemes",
+    describeRoute({ tag: TAG, summary: "Schemes of a section" }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.LOOKUP_READ),
+    validateRequest(schemesSchema),
+    async (req, res) => {
+      const { section } = req.body;
+
+      const schemes = await repositories.transactions.listSchemes(section);
+      res.json({ schemes });
+    }
+  );
+
+  return router;
+};
+
+module.exports = {
+  createLookupsRouter,
+};
@@ -0,0 +1,407 @@
+const express = require("express");
+const { authenticateToken, requirePermission } = require("../utils/auth");
+const { PERMISSIONS } = require("../utils/permissions");
+const { field, validateRequest } = require("../utils/validation");
+const { describeRoute } = require("../utils/openapi");
+const { AUDIT_ACTIONS } = require("../utils/auditTrail");
+const { reportQueryFields, applyReportQuery } = require("../utils/reportQuery");
+const {
+  exportQueryFields,
+  isExportRequest,
+  sendReportExport,
+} = require("../utils/reportExport");
+
+const TAG = "Registration";
+
+// Sizes match the RegMembers_Sp / RegMembersReport_Sp parameters
+const membersFields = {
+  programmeName: field.string({ required: true, maxLength: 50 }),
+  timeSlots: field.string({ required: true, maxLength: 50 }),
+};
+
+const phoneField = field.string({
+  required: true,
+  maxLength: 20,
+  pattern: /^\+?[0-9 -]+$/,
+});
+
+const membersSchema = { body: membersFields, query: reportQueryFields };
+
+const membersReportSchema = {
+  body: {
+    ...membersFields,
+    // 1 lists admitted members, 0 registered ones
+    optionValue: field.integer({ required: true, oneOf: [0, 1] }),
+  },
+  query: { ...reportQueryFields, ...exportQueryFields },
+};
+
+const attendanceSchema = {
+  body: {
+    phone: phoneField,
+    atnPersons: field.integer({ required: true, min: 0, max: 999 }),
+  },
+};
+
+// Sizes match the InsertUpdate_RegMaster_Sp parameters
+const registerMemberSchema = {
+  body: {
+    name: field.string({ required: true, maxLength: 100 }),
+    phone: phoneField,
+    noOfPerson: field.integer({ required: true, min: 1, max: 999 }),
+    timeSlot: field.string({ required: true, maxLength: 50 }),
+  },
+};
+
+// Procedure parameter -> body field, checked against the real signatures
+const MEMBERS_PROCEDURE = {
+  procedure: "RegMembers_Sp",
+  params: { Param1: "programmeName", Param2: "timeSlots" },
+  fields: membersSchema.body,
+};
+
+const MEMBERS_REPORT_PROCEDURE = {
+  procedure: "RegMembersReport_Sp",
+  params: {
+    Param1: "programmeName",
+    Param2: "timeSlots",
+    Param3: "optionValue",
+  },
+  fields: membersReportSchema.body,
+};
+
+const ATTENDANCE_PROCEDURE = {
+  procedure: "updateAttendMember_Sp",
+  params: { phone: "phone", AtnPersons: "atnPersons" },
+  fields: attendanceSchema.body,
+};
+
+const REGISTER_MEMBER_PROCEDURE = {
+  procedure: "InsertUpdate_RegMaster_Sp",
+  params: {
+    Name: "name",
+    Phone: "phone",
+    RegPersons: "noOfPerson",
+    TimeSlot: "timeSlot",
+  },
+  fields: registerMemberSchema.body,
+};
+
+// Grid line colouring for the registered members report
+const ROW_STYLING_RULES = {
+  rules: [
+    {
+      name: "mismatchAttended",
+      description: "AtnPersons ≠ RegPersons AND Status = A",
+      condition: "mismatch_attended",
+      color: "#e3f2fd", // Light blue background
+      borderColor: "#2196f3", // Blue border
+      textColor: "#0d47a1", // Dark blue text
+      query:
+        "SELECT RegPersons, AtnPersons, Status FROM RegMember_Details_Tbl WHERE (AtnPersons <> RegPersons) AND status = 'A'",
+    },
+    {
+      name: "attended",
+      description: "Status = A (Attended)",
+      condition: "attended",
+      color: "#ffebee", // Light red background
+      borderColor: "#f44336", // Red border
+      textColor: "#b71c1c", // Dark red text
+      query: "SELECT Status FROM RegMember_Details_Tbl WHERE status = 'A'",
+    },
+    {
+      name: "registered",
+      description: "Status = R (Registered)",
+      condition: "registered",
+      color: "#e8f5e8", // Light green background
+      borderColor: "#4caf50", // Green border
+      textColor: "#2e7d32", // Dark green text
+      query: "SELECT Status FROM RegMember_Details_Tbl WHERE status = 'R'",
+    },
+  ],
+  priority: ["mismatchAttended", "attended", "registered"], // Higher priority rules first
+  default: {
+    color: "#ffffff", // White background
+    borderColor: "#e0e0e0", // Light gray border
+    textColor: "#333333", // Dark gray text
+  },
+};
+
+/**
+ * Registration routes - programme time slots, member registration,
+ * attendance and the registered members reports
+ * @param {Object} deps - { repositories, reportCache, procedureMetadata,
+ * auditTrail }
+ * @returns {express.Router}
+ */
+const createRegistrationRouter = ({
+  repositories,
+  reportCache,
+  procedureMetadata,
+  auditTrail,
+}) => {
+  const router = express.Router();
+
+  // Registrations and attendance change what both member reports return
+  const invalidateMemberReports = () => {
+    reportCache.invalidate("RegMembers_Sp");
+    reportCache.invalidate("RegMembersReport_Sp");
+  };
+
+  // Member changes are audited with the row before and after the procedure.
+  // The change is already saved, so a failed read only leaves after empty -
+  // failing the request would have the client repeat it
+  const auditMemberChange = async (req, action, phone, before) => {
+    let after = null;
+    try {
+      after = await repositories.registration.findMember(phone);
+    } catch (error) {
+      req.log.error("Member could not be read for the audit trail", {
+        action,
+        error,
+      });
+    }
+    await auditTrail.record(req, action, {
+      target: { type: "member", id: phone },
+      before,
+      after,
+    });
+  };
+
+  // ========== ReportDocument API Endpoints ==========
+
+  // GET /api/ProgrammeName - Get programme names from TimeSlots_tbl
+  router.get(
+    "/api/ProgrammeName",
+    describeRoute({ tag: TAG, summary: "Programme names" }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.LOOKUP_READ),
+    async (req, res) => {
+      const programmeNames =
+        await repositories.registration.listProgrammeNames();
+
+      req.log.debug("Programme names fetched", {
+        count: programmeNames.length,
+      });
+
+      res.json({ programmeNames });
+    }
+  );
+
+  // GET /api/TimeSlots - Get time slots from TimeSlots_tbl
+  router.get(
+    "/api/TimeSlots",
+    describeRoute({ tag: TAG, summary: "Time slots" }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.LOOKUP_READ),
+    async (req, res) => {
+      const timeSlots = await repositories.registration.listTimeSlots();
+
+      req.log.debug("Time slots fetched", { count: timeSlots.length });
+
+      res.json({ timeSlots });
+    }
+  );
+
+  // POST /api/reportdocument - Execute [dbo].[RegMembers_Sp] stored procedure
+  router.post(
+    "/api/reportdocument",
+    describeRoute({ tag: TAG, summary: "Registered members of a programme" }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.REPORT_REGISTRATION),
+    validateRequest(membersSchema),
+    procedureMetadata.checkInputs(MEMBERS_PROCEDURE),
+    async (req, res) => {
+      const { programmeName, timeSlots } = req.body;
+
+      const params = { programmeName, timeSlots };
+      const result = await reportCache.load("RegMembers_Sp", params, () =>
+        repositories.registration.members(params)
+      );
+      const { rows, pagination } = applyReportQuery(result, req.query);
+
+      req.log.debug("RegMembers_Sp executed", {
+        programmeName,
+        timeSlots,
+        count: result.length,
+      });
+
+      // Set caching headers for better performance
+      res.set({
+        "Cache-Control": "public, max-age=300", // Cache for 5 minutes
+        ETag: `"${Date.now()}"`,
+      });
+
+      res.json({
+        success: true,
+        data: rows,
+        message: "Report data retrieved successfully",
+        timestamp: new Date().toISOString(),
+        count: rows.length,
+        pagination,
+      });
+    }
+  );
+
+  // POST /api/updateAttendMember - Execute [dbo].[updateAttendMember_Sp] stored procedure
+  router.post(
+    "/api/updateAttendMember",
+    describeRoute({ tag: TAG, summary: "Record attendance for a member" }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.ATTENDANCE_WRITE),
+    validateRequest(attendanceSchema),
+    procedureMetadata.checkInputs(ATTENDANCE_PROCEDURE),
+    async (req, res) => {
+      const { phone, atnPersons } = req.body;
+
+      const before = await repositories.registration.findMember(phone);
+      const rows = await repositories.registration.updateAttendance({
+        phone,
+        atnPersons,
+      });
+      invalidateMemberReports();
+
+      req.log.info("Attendance updated", { atnPersons });
+      await auditMemberChange(
+        req,
+        AUDIT_ACTIONS.ATTENDANCE_UPDATE,
+        phone,
+        before
+      );
+
+      res.json({
+        success: true,
+        message: `Successfully updated attendance for phone: ${phone}, AtnPersons: ${atnPersons}`,
+        data: rows,
+      });
+    }
+  );
+
+  // API endpoint to get row styling rules for CSS grid line coloring
+  router.get(
+    "/api/rowStyling",
+    describeRoute({
+      tag: TAG,
+      summary: "Row colouring rules for the members report",
+    }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.REPORT_REGISTRATION),
+    (req, res) => {
+      res.json({
+        success: true,
+        message: "Row styling rules retrieved successfully",
+        data: ROW_STYLING_RULES,
+      });
+    }
+  );
+
+  // POST /api/regMembersReport - Execute RegMembersReport_Sp stored procedure
+  router.post(
+    "/api/regMembersReport",
+    describeRoute({
+      tag: TAG,
+      summary: "Registered or admitted members report",
+    }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.REPORT_REGISTRATION),
+    validateRequest(membersReportSchema),
+    procedureMetadata.checkInputs(MEMBERS_REPORT_PROCEDURE),
+    async (req, res) => {
+      const { programmeName, timeSlots, optionValue } = req.body;
+
+      const params = { programmeName, timeSlots, optionValue };
+      const result = await reportCache.load("RegMembersReport_Sp", params, () =>
+        repositories.registration.membersReport(params)
+      );
+      const { rows, pagination } = applyReportQuery(result, req.query);
+
+      req.log.debug("RegMembersReport_Sp executed", {
+        programmeName,
+        timeSlots,
+        optionValue,
+        count: result.length,
+      });
+
+      const kind = optionValue === 1 ? "Admitted" : "Register";
+      if (isExportRequest(req.query)) {
+        return sendReportExport(req, res, result, {
+          filenameParts: ["RegMembers", kind, programmeName, timeSlots],
+          sheetName: `${kind} Members`,
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Report generated successfully for ${kind} members`,
+        data: rows,
+        recordCount: rows.length,
+        pagination,
+      });
+    }
+  );
+
+  // API Endpoint to get TimeSlots for Registration form dropdown
+  router.get(
+    "/api/timeslots-for-registration",
+    describeRoute({
+      tag: TAG,
+      summary: "Time slots for the registration form",
+    }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.LOOKUP_READ),
+    async (req, res) => {
+      const timeSlots =
+        await repositories.registration.listRegistrationTimeSlots();
+
+      req.log.debug("Registration time slots fetched", {
+        count: timeSlots.length,
+      });
+
+      res.json({
+        success: true,
+        timeSlots: timeSlots,
+      });
+    }
+  );
+
+  // API Endpoint to save new registration using stored procedure
+  router.post(
+    "/api/register-member",
+    describeRoute({ tag: TAG, summary: "Register a member" }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.REGISTRATION_WRITE),
+    validateRequest(registerMemberSchema),
+    procedureMetadata.checkInputs(REGISTER_MEMBER_PROCEDURE),
+    async (req, res) => {
+      const { name, phone, noOfPerson, timeSlot } = req.body;
+
+      const before = await repositories.registration.findMember(phone);
+      await repositories.registration.register({
+        name,
+        phone,
+        noOfPerson,
+        timeSlot,
+      });
+      invalidateMemberReports();
+
+      req.log.info("Member registered", { noOfPerson, timeSlot });
+      await auditMemberChange(
+        req,
+        AUDIT_ACTIONS.MEMBER_REGISTER,
+        phone,
+        before
+      );
+
+      res.json({
+        success: true,
+        message: "Registration successful!",
+      });
+    }
+  );
+
+  return router;
+};
+
+module.exports = {
+  createRegistrationRouter,
+};
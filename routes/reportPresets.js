@@ -0,0 +1,296 @@
+const express = require("express");
+const { authenticateToken, requirePermission } = require("../utils/auth");
+const {
+  PERMISSIONS,
+  ROLES,
+  normalizeRole,
+  hasPermission,
+} = require("../utils/permissions");
+const { field, validateRequest } = require("../utils/validation");
+const { describeRoute } = require("../utils/openapi");
+const {
+  ValidationError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+} = require("../utils/errors");
+const { reportQueryFields } = require("../utils/reportQuery");
+const { printableQueryFields } = require("../utils/reportExport");
+const {
+  REPORT_DEFINITIONS,
+  validateReportParameters,
+  createReportSender,
+} = require("../utils/reportDefinitions");
+
+const TAG = "Report Presets";
+
+const presetIdParams = {
+  params: { presetId: field.integer({ required: true, min: 1 }) },
+};
+
+// Parameters are checked against the report the preset is for
+const checkPresetParameters = ({ body }) =>
+  validateReportParameters(
+    REPORT_DEFINITIONS[body.procedure],
+    body.parameters
+  ).errors.map((error) => ({
+    location: "body",
+    field: `parameters.${error.field}`,
+    message: error.message,
+  }));
+
+const presetSchema = {
+  body: {
+    name: field.string({ required: true, maxLength: 100 }),
+    procedure: field.string({
+      required: true,
+      oneOf: Object.keys(REPORT_DEFINITIONS),
+    }),
+    parameters: field.object({
+      required: true,
+      description: "Report parameters, as in the report's request body",
+    }),
+    sharedRole: field.string({
+      nullable: true,
+      oneOf: Object.values(ROLES),
+      description: "Role whose users may also see and run the preset",
+    }),
+  },
+  check: checkPresetParameters,
+};
+
+const listQuery = {
+  query: {
+    procedure: field.string({ oneOf: Object.keys(REPORT_DEFINITIONS) }),
+  },
+};
+
+/**
+ * Report preset routes - named parameter sets saved by a user, optionally
+ * shared with a role, and run by ID
+ * @param {Object} deps - { config, repositories, reportCache,
+ * procedureMetadata }
+ * @returns {express.Router}
+ */
+const createReportPresetsRouter = ({
+  config,
+  repositories,
+  reportCache,
+  procedureMetadata,
+}) => {
+  const router = express.Router();
+  const sendReport = createReportSender({
+    config,
+    repositories,
+    reportCache,
+    procedureMetadata,
+  });
+
+  // Saving or running a preset needs the permission of its report
+  const assertCanRun = (user, definition) => {
+    if (!hasPermission(user.role, definition.permission)) {
+      throw new ForbiddenError(undefined, {
+        details: { requiredPermission: definition.permission },
+      });
+    }
+  };
+
+  // Owned or shared with the user's role - anything else is not found
+  const findVisible = async (user, presetId) => {
+    const preset = await repositories.reportPresets.findById(presetId);
+    if (
+      !preset ||
+      (preset.ownerId !== user.userId &&
+        preset.sharedRole !== normalizeRole(user.role))
+    ) {
+      throw new NotFoundError(`No report preset found with ID: ${presetId}`);
+    }
+    return preset;
+  };
+
+  const findOwned = async (user, presetId) => {
+    const preset = await findVisible(user, presetId);
+    if (preset.ownerId !== user.userId) {
+      throw new ForbiddenError("Only the owner can change a report preset");
+    }
+    return preset;
+  };
+
+  const assertNameFree = async (user, name, presetId) => {
+    const existing = await repositories.reportPresets.findByName(
+      user.userId,
+      name
+    );
+    if (existing && existing.presetId !== presetId) {
+      throw new ConflictError(`You already have a report preset named ${name}`);
+    }
+  };
+
+  // Validated body -> repository fields, keeping only declared parameters
+  const toPresetFields = (body) => ({
+    name: body.name,
+    procedure: body.procedure,
+    parameters: validateReportParameters(
+      REPORT_DEFINITIONS[body.procedure],
+      body.parameters
+    ).values,
+    sharedRole: body.sharedRole || null,
+  });
+
+  router.get(
+    "/api/report-presets",
+    describeRoute({
+      tag: TAG,
+      summary: "Report presets owned by or shared with the user",
+    }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.REPORT_PRESET),
+    validateRequest(listQuery),
+    async (req, res) => {
+      const presets = await repositories.reportPresets.listVisible({
+        userId: req.user.userId,
+        role: normalizeRole(req.user.role),
+        procedure: req.query.procedure,
+      });
+      res.json({ presets });
+    }
+  );
+
+  router.post(
+    "/api/report-presets",
+    describeRoute({ tag: TAG, summary: "Save a report preset" }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.REPORT_PRESET),
+    validateRequest(presetSchema),
+    async (req, res) => {
+      assertCanRun(req.user, REPORT_DEFINITIONS[req.body.procedure]);
+      await assertNameFree(req.user, req.body.name);
+
+      const preset = await repositories.reportPresets.create({
+        ...toPresetFields(req.body),
+        ownerId: req.user.userId,
+        ownerName: req.user.username,
+      });
+
+      req.log.info("Report preset saved", {
+        presetId: preset.presetId,
+        procedure: preset.procedure,
+      });
+      res.status(201).json({ preset });
+    }
+  );
+
+  router.get(
+    "/api/report-presets/:presetId",
+    describeRoute({ tag: TAG, summary: "Get a report preset" }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.REPORT_PRESET),
+    validateRequest(presetIdParams),
+    async (req, res) => {
+      const preset = await findVisible(req.user, req.params.presetId);
+      res.json({ preset });
+    }
+  );
+
+  router.put(
+    "/api/report-presets/:presetId",
+    describeRoute({
+      tag: TAG,
+      summary: "Replace a report preset",
+      description: "Only the owner can change a preset.",
+    }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.REPORT_PRESET),
+    validateRequest({ ...presetIdParams, ...presetSchema }),
+    async (req, res) => {
+      const { presetId } = req.params;
+      await findOwned(req.user, presetId);
+      assertCanRun(req.user, REPORT_DEFINITIONS[req.body.procedure]);
+      await assertNameFree(req.user, req.body.name, presetId);
+
+      const preset = await repositories.reportPresets.update(
+        presetId,
+        toPresetFields(req.body)
+      );
+
+      req.log.info("Report preset updated", { presetId });
+      res.json({ preset });
+    }
+  );
+
+  router.delete(
+    "/api/report-presets/:presetId",
+    describeRoute({
+      tag: TAG,
+      summary: "Delete a report preset",
+      description: "Only the owner can delete a preset.",
+    }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.REPORT_PRESET),
+    validateRequest(presetIdParams),
+    async (req, res) => {
+      const { presetId } = req.params;
+      await findOwned(req.user, presetId);
+      await repositories.reportPresets.remove(presetId);
+
+      req.log.info("Report preset deleted", { presetId });
+      res.json({ message: "Report preset deleted" });
+    }
+  );
+
+  router.post(
+    "/api/report-presets/:presetId/run",
+    describeRoute({
+      tag: TAG,
+      summary: "Run the report saved in a preset",
+      description:
+        "The stored parameters are checked against the report as it is now - a preset saved before a report changed answers 400 until it is updated. Takes the same paging, sort, filter and format query as the report route.",
+    }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.REPORT_PRESET),
+    validateRequest({
+      ...presetIdParams,
+      query: { ...reportQueryFields, ...printableQueryFields },
+    }),
+    async (req, res) => {
+      const preset = await findVisible(req.user, req.params.presetId);
+      const definition = REPORT_DEFINITIONS[preset.procedure];
+      if (!definition) {
+        throw new ValidationError(
+          [
+            {
+              location: "preset",
+              field: "procedure",
+              message: `${preset.procedure} is no longer available`,
+            },
+          ],
+          "Report preset is no longer valid"
+        );
+      }
+      assertCanRun(req.user, definition);
+
+      const { values, errors } = validateReportParameters(
+        definition,
+        preset.parameters
+      );
+      if (errors.length > 0) {
+        throw new ValidationError(
+          errors.map((error) => ({
+            location: "preset",
+            field: `parameters.${error.field}`,
+            message: error.message,
+          })),
+          "Report preset is no longer valid"
+        );
+      }
+
+      await sendReport(definition, values, req, res);
+    }
+  );
+
+  return router;
+};
+
+module.exports = {
+  createReportPresetsRouter,
+};
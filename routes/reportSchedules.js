@@ -0,0 +1,316 @@
+const express = require("express");
+const { authenticateToken, requirePermission } = require("../utils/auth");
+const { PERMISSIONS } = require("../utils/permissions");
+const { field, validateRequest } = require("../utils/validation");
+const { describeRoute } = require("../utils/openapi");
+const { NotFoundError } = require("../utils/errors");
+const { parseCron, nextCronTime } = require("../utils/cron");
+const { REPORT_PERIODS, isReportPeriod } = require("../utils/reportPeriods");
+const { PRINT_FORMATS } = require("../utils/reportExport");
+const {
+  REPORT_DEFINITIONS,
+  validateReportParameters,
+} = require("../utils/reportDefinitions");
+const { scheduleParameters } = require("../utils/reportScheduler");
+
+const TAG = "Report Schedules";
+
+// Scheduled output is always a file
+const SCHEDULE_FORMATS = PRINT_FORMATS.filter((format) => format !== "json");
+const DELIVERY_METHODS = ["outbox", "email"];
+const RUN_STATUSES = ["running", "succeeded", "failed"];
+
+const scheduleIdParams = {
+  params: { scheduleId: field.integer({ required: true, min: 1 }) },
+};
+
+const runsQuery = {
+  status: field.string({ oneOf: RUN_STATUSES }),
+  limit: field.integer({ min: 1, max: 500 }),
+};
+
+const scheduleFields = {
+  name: field.string({ required: true, maxLength: 100 }),
+  procedure: field.string({
+    required: true,
+    oneOf: Object.keys(REPORT_DEFINITIONS),
+  }),
+  parameters: field.object({
+    required: true,
+    description: "Report parameters, as in the report's request body",
+  }),
+  period: field.string({
+    maxLength: 30,
+    description: `Fills fromDate and toDate when the report runs - one of: ${REPORT_PERIODS.join(
+      ", "
+    )}`,
+  }),
+  format: field.string({ required: true, oneOf: SCHEDULE_FORMATS }),
+  cron: field.string({
+    required: true,
+    maxLength: 100,
+    description:
+      'minute hour day-of-month month day-of-week in server time, e.g. "0 6 1 * *"',
+  }),
+  delivery: field.string({ oneOf: DELIVERY_METHODS }),
+  recipients: field.list({
+    of: field.string({ format: "email", maxLength: 100 }),
+    maxItems: 10,
+  }),
+  active: field.boolean(),
+};
+
+/**
+ * Report schedule routes - saved reports run on a cron schedule into the
+ * outbox directory or by email, and their run history
+ * @param {Object} deps - { config, repositories, reportScheduler }
+ * @returns {express.Router}
+ */
+const createReportSchedulesRouter = ({
+  config,
+  repositories,
+  reportScheduler,
+}) => {
+  const router = express.Router();
+
+  // Cron, period and report parameters are checked when the schedule is
+  // saved, not first discovered when it runs
+  const checkSchedule = ({ body }) => {
+    const errors = [];
+    const fail = (name, message) =>
+      errors.push({ location: "body", field: name, message });
+
+    try {
+      if (nextCronTime(parseCron(body.cron), new Date()) === null) {
+        fail("cron", "cron does not match any time in the next five years");
+      }
+    } catch (err) {
+      fail("cron", err.message);
+    }
+
+    const definition = REPORT_DEFINITIONS[body.procedure];
+    if (body.period !== undefined) {
+      if (!isReportPeriod(body.period)) {
+        fail("period", `period must be one of: ${REPORT_PERIODS.join(", ")}`);
+      } else if (!definition.dated) {
+        fail("period", `${body.procedure} does not take a date range`);
+      }
+    }
+
+    if (errors.length === 0) {
+      const { errors: parameterErrors } = validateReportParameters(
+        definition,
+        scheduleParameters(body, new Date())
+      );
+      for (const error of parameterErrors) {
+        fail(`parameters.${error.field}`, error.message);
+      }
+    }
+
+    if (body.delivery === "email") {
+      if (!body.recipients || body.recipients.length === 0) {
+        fail("recipients", "recipients is required for email delivery");
+      }
+      if (!config.smtp.host) {
+        fail("delivery", "email delivery needs SMTP_HOST to be configured");
+      }
+    }
+
+    return errors;
+  };
+
+  const scheduleSchema = { body: scheduleFields, check: checkSchedule };
+
+  // Validated body -> repository fields, keeping only declared parameters
+  const toScheduleFields = (body) => {
+    const period = body.period ? body.period.toLowerCase() : null;
+    const { values: parameters } = validateReportParameters(
+      REPORT_DEFINITIONS[body.procedure],
+      body.parameters
+    );
+    if (period) {
+      // Resolved again on every run
+      delete parameters.fromDate;
+      delete parameters.toDate;
+    }
+    const active = body.active !== false;
+
+    return {
+      name: body.name,
+      procedure: body.procedure,
+      parameters,
+      period,
+      format: body.format,
+      cron: body.cron,
+      delivery: body.delivery || "outbox",
+      recipients: body.recipients || [],
+      active,
+      nextRunAt: active ? nextCronTime(body.cron, new Date()) : null,
+    };
+  };
+
+  const findSchedule = async (scheduleId) => {
+    const schedule = await repositories.reportSchedules.findById(scheduleId);
+    if (!schedule) {
+      throw new NotFoundError(
+        `No report schedule found with ID: ${scheduleId}`
+      );
+    }
+    return schedule;
+  };
+
+  router.get(
+    "/api/report-schedules",
+    describeRoute({ tag: TAG, summary: "List report schedules" }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.REPORT_SCHEDULE),
+    async (req, res) => {
+      const schedules = await repositories.reportSchedules.list();
+      res.json({ schedules });
+    }
+  );
+
+  router.post(
+    "/api/report-schedules",
+    describeRoute({ tag: TAG, summary: "Create a report schedule" }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.REPORT_SCHEDULE),
+    validateRequest(scheduleSchema),
+    async (req, res) => {
+      const schedule = await repositories.reportSchedules.create({
+        ...toScheduleFields(req.body),
+        createdBy: req.user.username,
+      });
+
+      req.log.info("Report schedule created", {
+        scheduleId: schedule.scheduleId,
+        procedure: schedule.procedure,
+      });
+      res.status(201).json({ schedule });
+    }
+  );
+
+  router.get(
+    "/api/report-schedules/:scheduleId",
+    describeRoute({ tag: TAG, summary: "Get a report schedule" }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.REPORT_SCHEDULE),
+    validateRequest(scheduleIdParams),
+    async (req, res) => {
+      const schedule = await findSchedule(req.params.scheduleId);
+      res.json({ schedule });
+    }
+  );
+
+  router.put(
+    "/api/report-schedules/:scheduleId",
+    describeRoute({
+      tag: TAG,
+      summary: "Replace a report schedule",
+      description: "The next run is worked out again from the new cron.",
+    }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.REPORT_SCHEDULE),
+    validateRequest({ ...scheduleIdParams, ...scheduleSchema }),
+    async (req, res) => {
+      const schedule = await repositories.reportSchedules.update(
+        req.params.scheduleId,
+        toScheduleFields(req.body)
+      );
+      if (!schedule) {
+        throw new NotFoundError(
+          `No report schedule found with ID: ${req.params.scheduleId}`
+        );
+      }
+
+      req.log.info("Report schedule updated", {
+        scheduleId: schedule.scheduleId,
+      });
+      res.json({ schedule });
+    }
+  );
+
+  router.delete(
+    "/api/report-schedules/:scheduleId",
+    describeRoute({
+      tag: TAG,
+      summary: "Delete a report schedule and its run history",
+    }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.REPORT_SCHEDULE),
+    validateRequest(scheduleIdParams),
+    async (req, res) => {
+      const { scheduleId } = req.params;
+      if (!(await repositories.reportSchedules.remove(scheduleId))) {
+        throw new NotFoundError(
+          `No report schedule found with ID: ${scheduleId}`
+        );
+      }
+
+      req.log.info("Report schedule deleted", { scheduleId });
+      res.json({ message: "Report schedule deleted" });
+    }
+  );
+
+  router.post(
+    "/api/report-schedules/:scheduleId/run",
+    describeRoute({
+      tag: TAG,
+      summary: "Run a report schedule now",
+      description:
+        "Runs and delivers the report straight away and answers with the recorded run. The next scheduled run is unchanged.",
+    }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.REPORT_SCHEDULE),
+    validateRequest(scheduleIdParams),
+    async (req, res) => {
+      const schedule = await findSchedule(req.params.scheduleId);
+      const run = await reportScheduler.runSchedule(schedule, {
+        trigger: "manual",
+      });
+      res.json({ run });
+    }
+  );
+
+  router.get(
+    "/api/report-schedules/:scheduleId/runs",
+    describeRoute({ tag: TAG, summary: "Run history of a report schedule" }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.REPORT_SCHEDULE),
+    validateRequest({ ...scheduleIdParams, query: runsQuery }),
+    async (req, res) => {
+      const schedule = await findSchedule(req.params.scheduleId);
+      const runs = await repositories.reportSchedules.listRuns({
+        scheduleId: schedule.scheduleId,
+        status: req.query.status,
+        limit: req.query.limit || 50,
+      });
+      res.json({ runs });
+    }
+  );
+
+  router.get(
+    "/api/report-runs",
+    describeRoute({
+      tag: TAG,
+      summary: "Recent runs of every report schedule",
+      description: "Use status=failed to list failed deliveries.",
+    }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.REPORT_SCHEDULE),
+    validateRequest({ query: runsQuery }),
+    async (req, res) => {
+      const runs = await repositories.reportSchedules.listRuns({
+        status: req.query.status,
+        limit: req.query.limit || 50,
+      });
+      res.json({ runs });
+    }
+  );
+
+  return router;
+};
+
+module.exports = {
+  createReportSchedulesRouter,
+};
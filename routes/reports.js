@@ -0,0 +1,239 @@
+const express = require("express");
+const { authenticateToken, requirePermission } = require("../utils/auth");
+const { PERMISSIONS, hasPermission } = require("../utils/permissions");
+const { field, validateRequest } = require("../utils/validation");
+const { describeRoute } = require("../utils/openapi");
+const { ValidationError, ForbiddenError } = require("../utils/errors");
+const { reportQueryFields } = require("../utils/reportQuery");
+const { printableQueryFields } = require("../utils/reportExport");
+const {
+  REPORT_DEFINITIONS,
+  highValueFields,
+  amountField,
+  checkHighValueRange,
+  validateReportParameters,
+  createReportSender,
+} = require("../utils/reportDefinitions");
+const {
+  createReportRegistry,
+  describeInputs,
+} = require("../utils/reportRegistry");
+
+const TAG = "Reports";
+
+// Paging, sort and filters, or a CSV / Excel / PDF download of every row
+const printableReportQuery = { ...reportQueryFields, ...printableQueryFields };
+
+const HIGH_VALUE = REPORT_DEFINITIONS.AuditHVTranRpt_Sp;
+const USER_RIGHTS = REPORT_DEFINITIONS.AuditUserrightRpt_Sp;
+const USER_RIGHT_TRANSFERS = REPORT_DEFINITIONS.AuditUserrightTranRpt_sp;
+
+const highValueSchema = {
+  body: HIGH_VALUE.fields,
+  query: printableReportQuery,
+  check: HIGH_VALUE.check,
+};
+
+const legacyHighValueSchema = {
+  body: { ...highValueFields, minAmount: amountField, maxAmount: amountField },
+  query: printableReportQuery,
+  check: checkHighValueRange("minAmount", "maxAmount"),
+};
+
+const userRightSchema = {
+  body: {
+    user: field.string({ maxLength: 100 }),
+    Users: field.string({ maxLength: 100 }),
+  },
+  query: printableReportQuery,
+  check: ({ body }) =>
+    body.user || body.Users
+      ? []
+      : [{ location: "body", field: "user", message: "user is required" }],
+};
+
+const userRightTransferSchema = {
+  body: USER_RIGHT_TRANSFERS.fields,
+  query: printableReportQuery,
+};
+
+const reportIdParams = {
+  params: { reportId: field.integer({ required: true, min: 1 }) },
+};
+
+/**
+ * Audit report routes - report menu, reports registered in the menu, high
+ * value transactions, user rights and the complaint register
+ * @param {Object} deps - { config, repositories, reportCache,
+ * procedureMetadata, reportRegistry }
+ * @returns {express.Router}
+ */
+const createReportsRouter = ({
+  config,
+  repositories,
+  reportCache,
+  procedureMetadata,
+  reportRegistry,
+}) => {
+  const router = express.Router();
+
+  const sendReport = createReportSender({
+    config,
+    repositories,
+    reportCache,
+    procedureMetadata,
+  });
+  const registry =
+    reportRegistry || createReportRegistry({ repositories, procedureMetadata });
+
+  for (const definition of Object.values(REPORT_DEFINITIONS)) {
+    procedureMetadata.expect(definition);
+  }
+
+  router.get(
+    "/api/reports/menu",
+    describeRoute({ tag: TAG, summary: "Report menu entries" }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.REPORT_MENU),
+    async (req, res) => {
+      const menuItems = await repositories.menu.listActive();
+
+      req.log.debug("Menu items fetched", { count: menuItems.length });
+      res.json({ menuItems });
+    }
+  );
+
+  router.get(
+    "/api/reports/:reportId/params",
+    describeRoute({
+      tag: TAG,
+      summary: "Inputs of a report registered in the menu",
+      description:
+        "Describes the body POST /api/reports/:reportId/run takes - name, label, type and limits of each input, and the lookup path listing its values where there is one.",
+    }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.REPORT_MENU),
+    validateRequest(reportIdParams),
+    async (req, res) => {
+      const { entry, definition } = await registry.load(req.params.reportId);
+
+      res.json({
+        report: {
+          id: entry.id,
+          caption: entry.caption,
+          description: entry.description,
+          permission: definition.permission,
+        },
+        inputs: describeInputs(definition),
+      });
+    }
+  );
+
+  router.post(
+    "/api/reports/:reportId/run",
+    describeRoute({
+      tag: TAG,
+      summary: "Run a report registered in the menu",
+      description:
+        "Runs the stored procedure Menu_Report_tbl names for the entry, with the body checked against its inputs. Takes the same paging, sort, filter and format query as the other report routes.",
+    }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.REPORT_MENU),
+    validateRequest({ ...reportIdParams, query: printableReportQuery }),
+    async (req, res) => {
+      const { definition } = await registry.load(req.params.reportId);
+      if (!hasPermission(req.user.role, definition.permission)) {
+        throw new ForbiddenError(undefined, {
+          details: { requiredPermission: definition.permission },
+        });
+      }
+
+      const { values, errors } = validateReportParameters(definition, req.body);
+      if (errors.length > 0) {
+        throw new ValidationError(errors);
+      }
+
+      await sendReport(definition, values, req, res);
+    }
+  );
+
+  router.post(
+    "/api/userright",
+    describeRoute({ tag: TAG, summary: "User rights report" }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.REPORT_USERRIGHT),
+    validateRequest(userRightSchema),
+    async (req, res) => {
+      const user = req.body.user || req.body.Users;
+
+      await sendReport(USER_RIGHTS, { user }, req, res);
+    }
+  );
+
+  router.post(
+    "/api/userright-transfer",
+    describeRoute({ tag: TAG, summary: "User rights transfer report" }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.REPORT_USERRIGHT),
+    validateRequest(userRightTransferSchema),
+    async (req, res) => {
+      await sendReport(USER_RIGHT_TRANSFERS, req.body, req, res);
+    }
+  );
+
+  // ========== HIGH VALUE TRANSACTIONS REPORT API ==================
+
+  router.post(
+    "/api/high-value-trans",
+    describeRoute({ tag: TAG, summary: "High value transactions report" }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.REPORT_HV),
+    validateRequest(highValueSchema),
+    async (req, res) => {
+      await sendReport(HIGH_VALUE, req.body, req, res);
+    }
+  );
+
+  // Older client contract - minAmount/maxAmount instead of amount1/amount2
+  router.post(
+    "/api/reports/high-value",
+    describeRoute({
+      tag: TAG,
+      summary: "High value transactions report (older contract)",
+      description:
+        "Use POST /api/high-value-trans - this takes minAmount/maxAmount in place of amount1/amount2.",
+      deprecated: true,
+    }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.REPORT_HV),
+    validateRequest(legacyHighValueSchema),
+    async (req, res) => {
+      const { minAmount, maxAmount, ...params } = req.body;
+
+      await sendReport(
+        HIGH_VALUE,
+        { ...params, amount1: minAmount, amount2: maxAmount },
+        req,
+        res
+      );
+    }
+  );
+
+  // ========== Complaint Report API ==========
+  router.post(
+    "/api/complaint-report",
+    describeRoute({ tag: TAG, summary: "Complaint register" }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.REPORT_COMPLAINT),
+    async (req, res) => {
+      const rows = await repositories.issues.complaintRegister();
+      res.json(rows);
+    }
+  );
+
+  return router;
+};
+
+module.exports = {
+  createReportsRouter,
+};
@@ -0,0 +1,288 @@
+const express = require("express");
+const {
+  hashPassword,
+  authenticateToken,
+  requirePermission,
+  revokeUserRefreshTokens,
+} = require("../utils/auth");
+const { PERMISSIONS } = require("../utils/permissions");
+const { field, validateRequest } = require("../utils/validation");
+const {
+  NotFoundError,
+  ConflictError,
+  ForbiddenError,
+} = require("../utils/errors");
+const { describeRoute } = require("../utils/openapi");
+const { AUDIT_ACTIONS } = require("../utils/auditTrail");
+
+const TAG = "Users";
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Sizes match the Tbl_UserMaster columns
+const profileFields = {
+  userType: field.string({ required: true, oneOf: ["Admin", "User"] }),
+  userAvailabilityStatus: field.string({
+    required: true,
+    oneOf: ["YES", "NO"],
+  }),
+  mobile: field.string({ required: true, maxLength: 15 }),
+  email: field.string({ required: true, maxLength: 100, format: "email" }),
+};
+
+const createUserSchema = {
+  body: {
+    userName: field.string({ required: true, maxLength: 50 }),
+    userPassword: field.string({ required: true, maxLength: 100, trim: false }),
+    ...profileFields,
+  },
+};
+
+const userIdParams = {
+  params: { userId: field.integer({ required: true, min: 1 }) },
+};
+
+const listQuery = {
+  query: {
+    search: field.string({
+      maxLength: 50,
+      description: "Part of the user name or email",
+    }),
+    active: field.boolean(),
+    page: field.integer({ min: 1, description: "1 based page number" }),
+    pageSize: field.integer({
+      min: 1,
+      max: MAX_PAGE_SIZE,
+      description: `Users per page, defaults to ${DEFAULT_PAGE_SIZE}`,
+    }),
+  },
+};
+
+/**
+ * User routes - user management for admins and the user rights report user
+ * list
+ * @param {Object} deps - { repositories, passwordManager, auditTrail }
+ * @returns {express.Router}
+ */
+const createUsersRouter = ({ repositories, passwordManager, auditTrail }) => {
+  // /api/users and the older /api/Users are different routes
+  const router = express.Router({ caseSensitive: true });
+
+  // User management is audited - every change names the admin who made it
+  const audit = (req, action, userId, values) =>
+    auditTrail.record(req, action, {
+      target: { type: "user", id: userId },
+      ...values,
+    });
+
+  const findUser = async (userId) => {
+    const user = await repositories.users.findById(userId);
+    if (!user) {
+      throw new NotFoundError(`No user found with ID: ${userId}`);
+    }
+    return user;
+  };
+
+  // An admin locking themselves out leaves nobody to undo it
+  const assertNotSelf = (req, action) => {
+    if (req.params.userId === req.user.userId) {
+      throw new ForbiddenError(`You cannot ${action} your own account`);
+    }
+  };
+
+  router.get(
+    "/api/users",
+    describeRoute({
+      tag: TAG,
+      summary: "List users",
+      description: "Ordered by user name, paged.",
+    }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.USER_READ),
+    validateRequest(listQuery),
+    async (req, res) => {
+      const page = req.query.page || 1;
+      const pageSize = req.query.pageSize || DEFAULT_PAGE_SIZE;
+      const { users, total } = await repositories.users.list({
+        search: req.query.search,
+        active: req.query.active,
+        offset: (page - 1) * pageSize,
+        limit: pageSize,
+      });
+
+      res.json({
+        users,
+        pagination: {
+          totalRows: total,
+          page,
+          pageSize,
+          totalPages: Math.ceil(total / pageSize),
+        },
+      });
+    }
+  );
+
+  router.post(
+    "/api/users",
+    describeRoute({
+      tag: TAG,
+      summary: "Create a user",
+      description: "The password has to meet the password policy.",
+    }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.USER_CREATE),
+    validateRequest(createUserSchema),
+    async (req, res) => {
+      const { userName, userPassword, ...profile } = req.body;
+
+      // Check if user already exists - a race past this check still ends in
+      // a 409 through the unique constraint
+      if (await repositories.users.findByName(userName)) {
+        throw new ConflictError("User with this name already exists");
+      }
+
+      await passwordManager.check("userPassword", userPassword);
+
+      // Never store the raw password
+      const passwordHash = await hashPassword(userPassword);
+      const user = await repositories.users.create({
+        userName,
+        passwordHash,
+        ...profile,
+      });
+      await passwordManager.remember(user.userId, passwordHash);
+
+      await audit(req, AUDIT_ACTIONS.USER_CREATE, user.userId, {
+        after: user,
+      });
+      res.status(201).json({ user });
+    }
+  );
+
+  router.get(
+    "/api/users/:userId",
+    describeRoute({ tag: TAG, summary: "Get a user" }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.USER_READ),
+    validateRequest(userIdParams),
+    async (req, res) => {
+      res.json({ user: await findUser(req.params.userId) });
+    }
+  );
+
+  router.put(
+    "/api/users/:userId",
+    describeRoute({
+      tag: TAG,
+      summary: "Replace a user's profile",
+      description:
+        "User type, availability, mobile and email. The name and password are not changed here. Changing the user type revokes the user's refresh tokens; admins cannot change their own.",
+    }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.USER_UPDATE),
+    validateRequest({ ...userIdParams, body: profileFields }),
+    async (req, res) => {
+      const { userId } = req.params;
+      const before = await findUser(userId);
+      // The role is carried in the tokens - a new one needs a new login
+      const roleChanged = before.userType !== req.body.userType;
+      if (roleChanged) {
+        assertNotSelf(req, "change the role of");
+      }
+
+      const user = await repositories.users.updateProfile(userId, req.body);
+      if (roleChanged) {
+        await revokeUserRefreshTokens(userId);
+      }
+
+      // Only the fields that changed
+      const changed = Object.keys(profileFields).filter(
+        (name) => before[name] !== user[name]
+      );
+      await audit(req, AUDIT_ACTIONS.USER_UPDATE, userId, {
+        before: Object.fromEntries(changed.map((name) => [name, before[name]])),
+        after: Object.fromEntries(changed.map((name) => [name, user[name]])),
+      });
+      res.json({ user });
+    }
+  );
+
+  router.put(
+    "/api/users/:userId/active",
+    describeRoute({
+      tag: TAG,
+      summary: "Activate or deactivate a user",
+      description:
+        "A deactivated user cannot log in, and their refresh tokens are revoked.",
+    }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.USER_UPDATE),
+    validateRequest({
+      ...userIdParams,
+      body: { active: field.boolean({ required: true }) },
+    }),
+    async (req, res) => {
+      const { userId } = req.params;
+      const { active } = req.body;
+      if (!active) {
+        assertNotSelf(req, "deactivate");
+      }
+      const before = await findUser(userId);
+
+      const user = await repositories.users.setActive(userId, active);
+      if (!active) {
+        await revokeUserRefreshTokens(userId);
+      }
+
+      await audit(
+        req,
+        active ? AUDIT_ACTIONS.USER_ACTIVATE : AUDIT_ACTIONS.USER_DEACTIVATE,
+        userId,
+        { before: { active: before.active }, after: { active } }
+      );
+      res.json({ user });
+    }
+  );
+
+  router.delete(
+    "/api/users/:userId",
+    describeRoute({ tag: TAG, summary: "Delete a user" }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.USER_DELETE),
+    validateRequest(userIdParams),
+    async (req, res) => {
+      const { userId } = req.params;
+      assertNotSelf(req, "delete");
+      const user = await findUser(userId);
+
+      await repositories.users.remove(userId);
+      await revokeUserRefreshTokens(userId);
+
+      await audit(req, AUDIT_ACTIONS.USER_DELETE, userId, { before: user });
+      res.json({ message: "User deleted" });
+    }
+  );
+
+  router.get(
+    "/api/Users",
+    describeRoute({
+      tag: TAG,
+      summary: "User names for the user rights report",
+      // getApiUsers is GET /api/users
+      operationId: "getUserRightsUserNames",
+    }),
+    authenticateToken,
+    requirePermission(PERMISSIONS.REPORT_USERRIGHT),
+    async (req, res) => {
+      const users = await repositories.users.listDetailNames();
+      res.json({ users });
+    }
+  );
+
+  return router;
+};
+
+module.exports = {
+  createUsersRouter,
+};
@@ -0,0 +1,32 @@
+-- Report registry columns read by repositories/menu.js findReport. An active
+-- entry with Mnu_Proc_Name set runs through POST /api/reports/:id/run.
+ALTER TABLE [dbo].[Menu_Report_tbl] ADD
+  [Mnu_Proc_Name]  VARCHAR(128)  NULL, -- stored procedure, NULL when not runnable
+  [Mnu_Params]     NVARCHAR(MAX) NULL, -- JSON array of inputs, see utils/reportRegistry.js
+  [Mnu_Permission] VARCHAR(50)   NULL; -- required to run, e.g. report:menu for anyone with menu access
+GO
+
+-- Existing audit reports. Sizes match the procedure parameters.
+UPDATE [dbo].[Menu_Report_tbl]
+SET Mnu_Proc_Name = 'AuditHVTranRpt_Sp',
+  Mnu_Permission = 'report:hv',
+  Mnu_Params = N'[
+    {"name": "branchName", "param": "Br_Name", "label": "Branch", "type": "string", "required": true, "maxLength": 10, "lookup": "/api/branches"},
+    {"name": "section", "param": "Section", "label": "Section", "type": "string", "required": true, "maxLength": 10},
+    {"name": "scheme", "param": "Scheme", "label": "Scheme", "type": "string", "required": true, "maxLength": 30},
+    {"name": "amount1", "param": "Amount", "label": "Minimum amount", "type": "number", "required": true, "min": 0, "notAfter": "amount2"},
+    {"name": "amount2", "param": "Amount2", "label": "Maximum amount", "type": "number", "required": true, "min": 0},
+    {"name": "fromDate", "param": "Frdate", "label": "From date", "type": "date", "required": true, "notAfter": "toDate"},
+    {"name": "toDate", "param": "Todate", "label": "To date", "type": "date", "required": true}
+  ]'
+WHERE Mnu_URL = '/reports/high-value';
+
+UPDATE [dbo].[Menu_Report_tbl]
+SET Mnu_Proc_Name = 'AuditUserrightTranRpt_sp',
+  Mnu_Permission = 'report:userright',
+  Mnu_Params = N'[
+    {"name": "user", "param": "userName", "label": "User", "type": "string", "required": true, "maxLength": 10},
+    {"name": "fromDate", "param": "Frdate", "label": "From date", "type": "date", "required": true, "notAfter": "toDate"},
+    {"name": "toDate", "param": "ToDate", "label": "To date", "type": "date", "required": true}
+  ]'
+WHERE Mnu_URL = '/reports/userright-transfer';
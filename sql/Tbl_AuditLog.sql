@@ -0,0 +1,31 @@
+-- Security audit trail used by repositories/auditLog.js. Before_Value,
+-- After_Value and Details hold JSON. Rows are only ever inserted.
+CREATE TABLE [dbo].[Tbl_AuditLog] (
+  [Audit_ID]       BIGINT IDENTITY(1,1) NOT NULL PRIMARY KEY,
+  [Occurred_At]    DATETIME2     NOT NULL DEFAULT SYSUTCDATETIME(),
+  [Actor_ID]       INT           NULL,
+  [Actor_Name]     NVARCHAR(50)  NULL,
+  [Action]         VARCHAR(50)   NOT NULL,
+  [Target_Type]    VARCHAR(50)   NULL,
+  [Target_ID]      NVARCHAR(100) NULL,
+  [Before_Value]   NVARCHAR(MAX) NULL,
+  [After_Value]    NVARCHAR(MAX) NULL,
+  [Details]        NVARCHAR(MAX) NULL,
+  [IP_Address]     VARCHAR(45)   NULL,
+  [Correlation_ID] VARCHAR(64)   NULL
+);
+
+CREATE INDEX [IX_AuditLog_Occurred] ON [dbo].[Tbl_AuditLog] ([Occurred_At]);
+CREATE INDEX [IX_AuditLog_Actor] ON [dbo].[Tbl_AuditLog] ([Actor_ID]);
+CREATE INDEX [IX_AuditLog_Target] ON [dbo].[Tbl_AuditLog] ([Target_Type], [Target_ID]);
+GO
+
+-- Append-only, even for the application's own login
+CREATE TRIGGER [dbo].[TR_AuditLog_AppendOnly]
+ON [dbo].[Tbl_AuditLog]
+INSTEAD OF UPDATE, DELETE
+AS
+BEGIN
+  THROW 51000, 'Tbl_AuditLog is append-only', 1;
+END;
+GO
@@ -0,0 +1,17 @@
+-- Password age read by the login routes. Existing rows start their age when
+-- this runs, new users when they are created.
+ALTER TABLE [dbo].[Tbl_UserMaster] ADD
+  [Password_Changed_At] DATETIME2 NOT NULL
+    CONSTRAINT [DF_UserMaster_Password_Changed_At] DEFAULT SYSUTCDATETIME();
+GO
+
+-- Earlier password hashes used by repositories/passwords.js - the newest
+-- PASSWORD_HISTORY entries per user are kept
+CREATE TABLE [dbo].[Tbl_PasswordHistory] (
+  [History_ID]    INT IDENTITY(1,1) NOT NULL PRIMARY KEY,
+  [User_ID]       INT          NOT NULL,
+  [Password_Hash] VARCHAR(100) NOT NULL,
+  [Changed_At]    DATETIME2    NOT NULL DEFAULT SYSUTCDATETIME()
+);
+
+CREATE INDEX [IX_PasswordHistory_User] ON [dbo].[Tbl_PasswordHistory] ([User_ID], [History_ID]);
@@ -0,0 +1,12 @@
+-- One-time password reset tokens used by repositories/passwords.js. Only the
+-- SHA-256 digest of a token is stored.
+CREATE TABLE [dbo].[Tbl_PasswordResetToken] (
+  [Token_Hash] CHAR(64)  NOT NULL PRIMARY KEY,
+  [User_ID]    INT       NOT NULL,
+  [Expires_At] DATETIME2 NOT NULL,
+  [Created_By] INT       NOT NULL, -- User_ID of the admin who issued it
+  [Created_At] DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME(),
+  [Used_At]    DATETIME2 NULL
+);
+
+CREATE INDEX [IX_PasswordResetToken_User] ON [dbo].[Tbl_PasswordResetToken] ([User_ID]);
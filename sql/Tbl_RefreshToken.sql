@@ -0,0 +1,13 @@
+-- Refresh token revocation store used by utils/tokenStore.js
+CREATE TABLE [dbo].[Tbl_RefreshToken] (
+  [Token_ID]   VARCHAR(36) NOT NULL PRIMARY KEY,
+  [Family_ID]  VARCHAR(36) NOT NULL,
+  [User_ID]    INT         NOT NULL,
+  [Issued_At]  DATETIME2   NOT NULL DEFAULT SYSUTCDATETIME(),
+  [Expires_At] DATETIME2   NOT NULL,
+  [Rotated_At] DATETIME2   NULL,
+  [Revoked_At] DATETIME2   NULL
+);
+
+CREATE INDEX [IX_RefreshToken_Family] ON [dbo].[Tbl_RefreshToken] ([Family_ID]);
+CREATE INDEX [IX_RefreshToken_User] ON [dbo].[Tbl_RefreshToken] ([User_ID]);
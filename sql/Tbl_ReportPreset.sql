@@ -0,0 +1,15 @@
+-- Named report parameter sets used by repositories/reportPresets.js
+CREATE TABLE [dbo].[Tbl_ReportPreset] (
+  [Preset_ID]   INT IDENTITY(1,1) NOT NULL PRIMARY KEY,
+  [Preset_Name] NVARCHAR(100) NOT NULL,
+  [Proc_Name]   VARCHAR(100)  NOT NULL,
+  [Parameters]  NVARCHAR(MAX) NOT NULL, -- JSON
+  [Owner_ID]    INT           NOT NULL,
+  [Owner_Name]  VARCHAR(50)   NOT NULL,
+  [Shared_Role] VARCHAR(20)   NULL,     -- admin or user, NULL when private
+  [Created_At]  DATETIME2     NOT NULL DEFAULT SYSUTCDATETIME(),
+  [Updated_At]  DATETIME2     NULL,
+  CONSTRAINT [UQ_ReportPreset_Owner_Name] UNIQUE ([Owner_ID], [Preset_Name])
+);
+
+CREATE INDEX [IX_ReportPreset_Shared] ON [dbo].[Tbl_ReportPreset] ([Shared_Role]);
@@ -0,0 +1,38 @@
+-- Scheduled report definitions and their run history, used by
+-- repositories/reportSchedules.js
+CREATE TABLE [dbo].[Tbl_ReportSchedule] (
+  [Schedule_ID]     INT IDENTITY(1,1) NOT NULL PRIMARY KEY,
+  [Schedule_Name]   NVARCHAR(100)  NOT NULL,
+  [Proc_Name]       VARCHAR(100)   NOT NULL,
+  [Parameters]      NVARCHAR(MAX)  NOT NULL, -- JSON
+  [Period]          VARCHAR(30)    NULL,     -- e.g. "previous month"
+  [Export_Format]   VARCHAR(10)    NOT NULL, -- csv, xlsx or pdf
+  [Cron_Expression] VARCHAR(100)   NOT NULL,
+  [Delivery]        VARCHAR(10)    NOT NULL, -- outbox or email
+  [Recipients]      NVARCHAR(2000) NULL,     -- JSON array of addresses
+  [Active]          BIT            NOT NULL DEFAULT 1,
+  [Next_Run_At]     DATETIME2      NULL,
+  [Last_Run_At]     DATETIME2      NULL,
+  [Created_By]      VARCHAR(50)    NOT NULL,
+  [Created_At]      DATETIME2      NOT NULL DEFAULT SYSUTCDATETIME(),
+  [Updated_At]      DATETIME2      NULL
+);
+
+CREATE INDEX [IX_ReportSchedule_Due] ON [dbo].[Tbl_ReportSchedule] ([Active], [Next_Run_At]);
+
+CREATE TABLE [dbo].[Tbl_ReportScheduleRun] (
+  [Run_ID]        INT IDENTITY(1,1) NOT NULL PRIMARY KEY,
+  [Schedule_ID]   INT            NOT NULL
+    REFERENCES [dbo].[Tbl_ReportSchedule] ([Schedule_ID]) ON DELETE CASCADE,
+  [Trigger_Type]  VARCHAR(10)    NOT NULL, -- schedule or manual
+  [Status]        VARCHAR(10)    NOT NULL, -- running, succeeded or failed
+  [Parameters]    NVARCHAR(MAX)  NULL,     -- JSON, with the period resolved
+  [Started_At]    DATETIME2      NOT NULL,
+  [Finished_At]   DATETIME2      NULL,
+  [Row_Count]     INT            NULL,
+  [Output]        NVARCHAR(500)  NULL,     -- file written or recipients
+  [Error_Message] NVARCHAR(2000) NULL
+);
+
+CREATE INDEX [IX_ReportScheduleRun_Schedule] ON [dbo].[Tbl_ReportScheduleRun] ([Schedule_ID], [Started_At] DESC);
+CREATE INDEX [IX_ReportScheduleRun_Status] ON [dbo].[Tbl_ReportScheduleRun] ([Status], [Started_At] DESC);
@@ -0,0 +1,14 @@
+-- Login sessions listed at /api/auth/sessions, used by utils/tokenStore.js.
+-- Session_ID is the Family_ID of the session's refresh tokens.
+CREATE TABLE [dbo].[Tbl_Session] (
+  [Session_ID]   VARCHAR(36)   NOT NULL PRIMARY KEY,
+  [User_ID]      INT           NOT NULL,
+  [User_Agent]   NVARCHAR(400) NULL,
+  [IP_Address]   VARCHAR(45)   NULL,
+  [Created_At]   DATETIME2     NOT NULL DEFAULT SYSUTCDATETIME(),
+  [Last_Used_At] DATETIME2     NOT NULL DEFAULT SYSUTCDATETIME(),
+  [Expires_At]   DATETIME2     NOT NULL,
+  [Revoked_At]   DATETIME2     NULL
+);
+
+CREATE INDEX [IX_Session_User] ON [dbo].[Tbl_Session] ([User_ID], [Last_Used_At]);
@@ -0,0 +1,19 @@
+-- TOTP enrollment used by repositories/mfa.js. Secret is encrypted with
+-- MFA_ENCRYPTION_KEY; Enabled_At stays NULL until the first code is confirmed.
+CREATE TABLE [dbo].[Tbl_UserMfa] (
+  [User_ID]    INT          NOT NULL PRIMARY KEY,
+  [Secret]     VARCHAR(200) NOT NULL,
+  [Enabled_At] DATETIME2    NULL,
+  [Last_Step]  BIGINT       NULL, -- 30 second step of the last accepted code
+  [Created_At] DATETIME2    NOT NULL DEFAULT SYSUTCDATETIME()
+);
+
+-- One-time recovery codes, stored as SHA-256 digests
+CREATE TABLE [dbo].[Tbl_MfaRecoveryCode] (
+  [Code_ID]   INT IDENTITY(1,1) NOT NULL PRIMARY KEY,
+  [User_ID]   INT       NOT NULL,
+  [Code_Hash] CHAR(64)  NOT NULL,
+  [Used_At]   DATETIME2 NULL
+);
+
+CREATE INDEX [IX_MfaRecoveryCode_User] ON [dbo].[Tbl_MfaRecoveryCode] ([User_ID]);
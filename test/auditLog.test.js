@@ -0,0 +1,253 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestServer, assertValidationError } = require("./helpers");
+
+describe("audit log", () => {
+  let server;
+  let adminToken;
+  let userToken;
+
+  const query = async (search = "", token = adminToken) => {
+    const res = await server.request("GET", `/api/audit-log${search}`, {
+      token,
+    });
+    assert.equal(res.status, 200);
+    return res.body;
+  };
+
+  // Newest entry of an action
+  const latest = async (action) =>
+    (await query(`?action=${action}&pageSize=1`)).entries[0];
+
+  before(async () => {
+    server = await startTestServer();
+    adminToken = (await server.login("admin", "admin123")).accessToken;
+    userToken = (await server.login("user", "user123")).accessToken;
+  });
+
+  after(() => server.close());
+
+  it("requires the audit:read permission", async () => {
+    const res = await server.request("GET", "/api/audit-log", {
+      token: userToken,
+    });
+    assert.equal(res.status, 403);
+    assert.equal(res.body.requiredPermission, "audit:read");
+  });
+
+  it("records logins with the user and IP address", async () => {
+    const entry = await latest("auth:login");
+    assert.equal(entry.actorId, 2);
+    assert.equal(entry.actor, "user");
+    assert.equal(entry.targetType, "user");
+    assert.equal(entry.targetId, "2");
+    assert.equal(entry.ipAddress, "127.0.0.1");
+    assert.ok(entry.correlationId);
+    assert.ok(entry.occurredAt);
+  });
+
+  it("records failed logins, including unknown names", async () => {
+    await server.request("POST", "/api/auth/login", {
+      body: { username: "user", password: "wrong" },
+    });
+    await server.request("POST", "/api/auth/login", {
+      body: { username: "nobody", password: "wrong" },
+    });
+
+    const { entries } = await query("?action=auth:login-failed");
+    const [unknown, known] = entries;
+    assert.equal(unknown.actor, "nobody");
+    assert.equal(unknown.actorId, null);
+    assert.equal(unknown.targetId, null);
+    assert.deepEqual(known.details, {
+      reason: "INVALID_CREDENTIALS",
+      path: "/api/auth/login",
+    });
+    assert.equal(known.actorId, 2);
+  });
+
+  it("records user changes without the password", async () => {
+    const created = await server.request("POST", "/api/users", {
+      token: adminToken,
+      body: {
+        userName: "auditor",
+        userPassword: "Audit-pass1",
+        userType: "User",
+        userAvailabilityStatus: "YES",
+        mobile: "9000000004",
+        email: "auditor@example.com",
+      },
+    });
+    const { userId } = created.body.user;
+
+    const create = await latest("user:create");
+    assert.equal(create.actor, "admin");
+    assert.equal(create.targetId, String(userId));
+    assert.equal(create.after.username, "auditor");
+    assert.ok(!JSON.stringify(create).includes("Audit-pass1"));
+    assert.equal(create.after.password, undefined);
+
+    await server.request("PUT", `/api/users/${userId}`, {
+      token: adminToken,
+      body: {
+        userType: "User",
+        userAvailabilityStatus: "NO",
+        mobile: "9000000004",
+        email: "auditor@example.com",
+      },
+    });
+    const update = await latest("user:update");
+    assert.deepEqual(update.before, { userAvailabilityStatus: "YES" });
+    assert.deepEqual(update.after, { userAvailabilityStatus: "NO" });
+  });
+
+  it("records document saves", async () => {
+    await server.request("POST", "/api/document", {
+      token: userToken,
+      body: {
+        compCode: "LMRK",
+        section: "LOANS",
+        keyword: "audited keyword",
+        details: "Saved for the audit test",
+        userName: "user",
+      },
+    });
+
+    const entry = await latest("document:create");
+    assert.equal(entry.actor, "user");
+    assert.equal(entry.targetType, "document");
+    assert.equal(entry.targetId, "audited keyword");
+    assert.equal(entry.after.details, "Saved for the audit test");
+  });
+
+  it("records attendance with the member before and after", async () => {
+    const res = await server.request("POST", "/api/updateAttendMember", {
+      token: userToken,
+      body: { phone: "9000000010", atnPersons: 2 },
+    });
+    assert.equal(res.status, 200);
+
+    const entry = await latest("attendance:update");
+    assert.equal(entry.targetType, "member");
+    assert.equal(entry.targetId, "9000000010");
+    assert.equal(entry.before.AtnPersons, 0);
+    assert.equal(entry.before.Status, "R");
+    assert.equal(entry.after.AtnPersons, 2);
+    assert.equal(entry.after.Status, "A");
+  });
+
+  it("keeps a saved change when the member cannot be read back", async () => {
+    const { findMember } = server.repositories.registration;
+    let calls = 0;
+    server.repositories.registration.findMember = async (phone) => {
+      calls += 1;
+      if (calls > 1) {
+        throw new Error("Connection lost");
+      }
+      return findMember(phone);
+    };
+    try {
+      const res = await server.request("POST", "/api/updateAttendMember", {
+        token: userToken,
+        body: { phone: "9000000010", atnPersons: 3 },
+      });
+      assert.equal(res.status, 200);
+    } finally {
+      server.repositories.registration.findMember = findMember;
+    }
+
+    const entry = await latest("attendance:update");
+    assert.equal(entry.before.AtnPersons, 2);
+    assert.equal(entry.after, null);
+  });
+
+  it("filters by actor, target and time and pages the result", async () => {
+    const byActor = await query("?actor=user&targetType=member");
+    assert.ok(byActor.entries.length > 0);
+    assert.ok(
+      byActor.entries.every(
+        (e) => e.actor === "user" && e.targetType === "member"
+      )
+    );
+
+    const page = await query("?pageSize=2&page=2");
+    assert.equal(page.entries.length, 2);
+    assert.equal(page.pagination.page, 2);
+    assert.ok(page.pagination.totalRows > 4);
+
+    const future = await query("?from=2999-01-01");
+    assert.equal(future.entries.length, 0);
+
+    const res = await server.request(
+      "GET",
+      "/api/audit-log?from=2024-02-01&to=2024-01-01",
+      { token: adminToken }
+    );
+    assertValidationError(res, { to: "to must be after from" });
+  });
+
+  it("exports as CSV and records the export", async () => {
+    const res = await server.request(
+      "GET",
+      "/api/audit-log?format=csv&action=auth:login",
+      { token: adminToken }
+    );
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-disposition"), /audit-log\.csv/);
+    const lines = res.body.trim().split("\r\n");
+    assert.match(lines[0], /^Audit ID,Occurred At,Actor ID,Actor,Action/);
+    assert.ok(lines.slice(1).every((line) => line.includes(",auth:login,")));
+
+    const entry = await latest("audit:export");
+    assert.equal(entry.actor, "admin");
+    assert.deepEqual(entry.details.filter, { action: "auth:login" });
+    assert.equal(entry.details.count, lines.length - 1);
+  });
+
+  it("does not fail a request when the entry cannot be stored", async () => {
+    const { append } = server.repositories.auditLog;
+    server.repositories.auditLog.append = async () => {
+      throw new Error("Audit table unavailable");
+    };
+    try {
+      await server.login("user", "user123");
+    } finally {
+      server.repositories.auditLog.append = append;
+    }
+  });
+});
+
+describe("audit log export limit", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer({ env: { AUDIT_EXPORT_MAX_ROWS: "2" } });
+  });
+
+  after(() => server.close());
+
+  it("refuses an export matching more entries than the limit", async () => {
+    const { accessToken } = await server.login("admin", "admin123");
+    await server.login("admin", "admin123");
+    await server.login("admin", "admin123");
+
+    const res = await server.request(
+      "GET",
+      "/api/audit-log?format=csv&action=auth:login",
+      { token: accessToken }
+    );
+    assertValidationError(res, {
+      format:
+        "3 entries match - an export takes at most 2, narrow the filter with from and to",
+    });
+
+    const narrowed = await server.request(
+      "GET",
+      `/api/audit-log?format=csv&action=auth:login&from=${new Date(
+        Date.now() + 60000
+      ).toISOString()}`,
+      { token: accessToken }
+    );
+    assert.equal(narrowed.status, 200);
+  });
+});
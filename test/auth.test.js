@@ -0,0 +1,316 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestServer, assertValidationError } = require("./helpers");
+const { isPasswordHash } = require("../utils/auth");
+const { createLoginThrottle } = require("../utils/loginThrottle");
+const { loadConfig } = require("../config");
+
+describe("auth routes", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  after(() => server.close());
+
+  describe("POST /api/auth/login", () => {
+    it("rejects a missing username or password", async () => {
+      const res = await server.request("POST", "/api/auth/login", {
+        body: { username: "admin" },
+      });
+      assertValidationError(res, { password: "password is required" });
+    });
+
+    it("rejects an unknown user", async () => {
+      const res = await server.request("POST", "/api/auth/login", {
+        body: { username: "nobody", password: "secret" },
+      });
+      assert.equal(res.status, 401);
+      assert.equal(res.body.message, "Invalid username or password");
+    });
+
+    it("rejects a wrong password", async () => {
+      const res = await server.request("POST", "/api/auth/login", {
+        body: { username: "user", password: "wrong" },
+      });
+      assert.equal(res.status, 401);
+    });
+
+    it("returns an access token, the permissions and a refresh cookie", async () => {
+      const res = await server.request("POST", "/api/auth/login", {
+        body: { username: "admin", password: "admin123" },
+      });
+      assert.equal(res.status, 200);
+      assert.ok(res.body.data.accessToken);
+      assert.equal(res.body.data.user.role, "admin");
+      assert.ok(res.body.data.user.permissions.includes("user:create"));
+      assert.ok(res.cookies.some((c) => c.startsWith("refreshToken=")));
+    });
+
+    it("replaces a legacy plain text password with a hash", async () => {
+      await server.login("user", "user123");
+      const user = await server.repositories.users.findByName("user");
+      assert.ok(isPasswordHash(user.password));
+
+      // The upgraded hash still accepts the same password
+      await server.login("user", "user123");
+    });
+  });
+
+  describe("POST /api/login", () => {
+    it("rejects a missing password", async () => {
+      const res = await server.request("POST", "/api/login", {
+        body: { username: "admin" },
+      });
+      assertValidationError(res, { password: "password is required" });
+    });
+
+    it("returns the user name and id", async () => {
+      const res = await server.request("POST", "/api/login", {
+        body: { username: "admin", password: "admin123" },
+      });
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body, { User_Name: "admin", User_ID: 1 });
+    });
+
+    it("rejects a wrong password", async () => {
+      const res = await server.request("POST", "/api/login", {
+        body: { username: "admin", password: "nope" },
+      });
+      assert.equal(res.status, 401);
+    });
+  });
+
+  describe("GET /api/auth/me", () => {
+    it("requires a token", async () => {
+      const res = await server.request("GET", "/api/auth/me");
+      assert.equal(res.status, 401);
+    });
+
+    it("rejects an invalid token", async () => {
+      const res = await server.request("GET", "/api/auth/me", {
+        token: "not-a-token",
+      });
+      assert.equal(res.status, 403);
+    });
+
+    it("returns the signed in user", async () => {
+      const { accessToken } = await server.login("user", "user123");
+      const res = await server.request("GET", "/api/auth/me", {
+        token: accessToken,
+      });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.data.user.username, "user");
+      assert.equal(res.body.data.user.role, "user");
+    });
+  });
+
+  describe("refresh and logout", () => {
+    it("requires a refresh token", async () => {
+      const res = await server.request("POST", "/api/auth/refresh");
+      assert.equal(res.status, 401);
+    });
+
+    it("rotates the refresh token", async () => {
+      const { refreshCookie } = await server.login("admin", "admin123");
+      const res = await server.request("POST", "/api/auth/refresh", {
+        cookie: refreshCookie,
+      });
+      assert.equal(res.status, 200);
+      assert.ok(res.body.data.accessToken);
+
+      const rotated = res.cookies.find((c) => c.startsWith("refreshToken="));
+      assert.ok(rotated);
+      assert.notEqual(rotated, refreshCookie);
+    });
+
+    it("revokes the whole family when a rotated token is replayed", async () => {
+      const { refreshCookie } = await server.login("admin", "admin123");
+      const first = await server.request("POST", "/api/auth/refresh", {
+        cookie: refreshCookie,
+      });
+      const rotated = first.cookies.find((c) => c.startsWith("refreshToken="));
+
+      const replay = await server.request("POST", "/api/auth/refresh", {
+        cookie: refreshCookie,
+      });
+      assert.equal(replay.status, 403);
+
+      // The token issued by the first rotation is revoked with its family
+      const next = await server.request("POST", "/api/auth/refresh", {
+        cookie: rotated,
+      });
+      assert.equal(next.status, 403);
+    });
+
+    it("revokes the refresh token on logout", async () => {
+      const { refreshCookie } = await server.login("admin", "admin123");
+      const res = await server.request("POST", "/api/auth/logout", {
+        cookie: refreshCookie,
+      });
+      assert.equal(res.status, 200);
+
+      const refresh = await server.request("POST", "/api/auth/refresh", {
+        cookie: refreshCookie,
+      });
+      assert.equal(refresh.status, 403);
+    });
+
+    it("lets an admin log a user out everywhere", async () => {
+      const admin = await server.login("admin", "admin123");
+      const user = await server.login("user", "user123");
+
+      const res = await server.request(
+        "POST",
+        "/api/auth/users/2/logout-everywhere",
+        { token: admin.accessToken }
+      );
+      assert.equal(res.status, 200);
+
+      const refresh = await server.request("POST", "/api/auth/refresh", {
+        cookie: user.refreshCookie,
+      });
+      assert.equal(refresh.status, 403);
+    });
+
+    it("does not let a user log others out everywhere", async () => {
+      const { accessToken } = await server.login("user", "user123");
+      const res = await server.request(
+        "POST",
+        "/api/auth/users/1/logout-everywhere",
+        { token: accessToken }
+      );
+      assert.equal(res.status, 403);
+      assert.equal(res.body.error, "FORBIDDEN");
+    });
+  });
+});
+
+describe("login throttling", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer({
+      loginThrottle: createLoginThrottle({
+        maxFailures: 2,
+        maxIpFailures: Infinity,
+        baseDelayMs: 0,
+        maxDelayMs: 0,
+      }),
+    });
+  });
+
+  after(() => server.close());
+
+  it("locks the account after repeated failures until an admin unlocks it", async () => {
+    const admin = await server.login("admin", "admin123");
+
+    for (let i = 0; i < 2; i++) {
+      await server.request("POST", "/api/auth/login", {
+        body: { username: "user", password: "wrong" },
+      });
+    }
+
+    const locked = await server.request("POST", "/api/auth/login", {
+      body: { username: "user", password: "user123" },
+    });
+    assert.equal(locked.status, 429);
+    assert.ok(locked.headers.get("retry-after"));
+
+    const unlock = await server.request("POST", "/api/auth/users/user/unlock", {
+      token: admin.accessToken,
+    });
+    assert.equal(unlock.status, 200);
+
+    await server.login("user", "user123");
+  });
+});
+
+describe("login throttling per IP address", () => {
+  let server;
+
+  const failLogin = (username) =>
+    server.request("POST", "/api/auth/login", {
+      body: { username, password: "wrong" },
+    });
+
+  before(async () => {
+    server = await startTestServer({
+      loginThrottle: createLoginThrottle({
+        maxFailures: 2,
+        maxIpFailures: 4,
+        baseDelayMs: 0,
+        maxDelayMs: 0,
+      }),
+    });
+  });
+
+  after(() => server.close());
+
+  it("does not hold other users at the address back", async () => {
+    await failLogin("user");
+    await failLogin("user");
+    const locked = await server.request("POST", "/api/auth/login", {
+      body: { username: "user", password: "user123" },
+    });
+    assert.equal(locked.status, 429);
+
+    // No backoff for the address - another user logs in at once
+    await server.login("admin", "admin123");
+  });
+
+  it("locks the address at its limit until an admin unlocks it", async () => {
+    const { accessToken } = await server.login("admin", "admin123");
+    // Two failures of "user" already counted
+    await failLogin("nobody");
+    await failLogin("someone");
+
+    const blocked = await server.request("POST", "/api/auth/login", {
+      body: { username: "admin", password: "admin123" },
+    });
+    assert.equal(blocked.status, 429);
+    assert.equal(blocked.body.error, "ACCOUNT_LOCKED");
+
+    const unlock = await server.request("POST", "/api/auth/users/user/unlock", {
+      token: accessToken,
+      body: { ipAddress: "127.0.0.1" },
+    });
+    assert.equal(unlock.status, 200);
+    await server.login("admin", "admin123");
+    await server.login("user", "user123");
+  });
+});
+
+describe("signing secrets", () => {
+  const production = {
+    DATA_SOURCE: "mock",
+    NODE_ENV: "production",
+    JWT_SECRET: "access",
+    JWT_REFRESH_SECRET: "refresh",
+    JWT_MFA_SECRET: "mfa",
+    MFA_ENCRYPTION_KEY: "totp",
+  };
+
+  it("must all be set in production", () => {
+    assert.equal(loadConfig(production).mfa.encryptionKey, "totp");
+
+    for (const name of [
+      "JWT_SECRET",
+      "JWT_REFRESH_SECRET",
+      "JWT_MFA_SECRET",
+      "MFA_ENCRYPTION_KEY",
+    ]) {
+      assert.throws(
+        () => loadConfig({ ...production, [name]: "" }),
+        new RegExp(
+          `Missing required environment variable in production: ${name}`
+        )
+      );
+    }
+  });
+
+  it("have development defaults", () => {
+    assert.ok(loadConfig({ DATA_SOURCE: "mock" }).mfa.encryptionKey);
+  });
+});
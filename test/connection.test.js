@@ -0,0 +1,235 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("node:events");
+const { logger } = require("../utils/logger");
+const { backoffDelay, createDbConnection } = require("../db/connection");
+const { DatabaseUnavailableError } = require("../utils/errors");
+
+// Connection attempts are logged - keep the test report readable
+logger.configure({ level: "silent" });
+
+const settings = {
+  server: "sqlhost",
+  database: "LMRK",
+  reconnect: { initialDelayMs: 5, maxDelayMs: 20 },
+};
+
+// Stand-in for a connected mssql pool - queries throw pool.failWith when set
+const createFakePool = () => {
+  const pool = new EventEmitter();
+  pool.connected = true;
+  pool.closed = false;
+  pool.failWith = null;
+  pool.request = () => ({
+    query: async () => {
+      if (pool.failWith) {
+        throw pool.failWith;
+      }
+      return { recordset: [{ test: 1 }] };
+    },
+  });
+  pool.close = async () => {
+    pool.connected = false;
+    pool.closed = true;
+  };
+  return pool;
+};
+
+/**
+ * connectPool that fails `failures` times before handing out pools
+ */
+const createConnector = (failures = 0) => {
+  const connector = {
+    attempts: 0,
+    pools: [],
+    connectPool: async () => {
+      connector.attempts += 1;
+      if (connector.attempts <= failures) {
+        throw Object.assign(new Error("Failed to connect"), {
+          code: "ESOCKET",
+        });
+      }
+      const pool = createFakePool();
+      connector.pools.push(pool);
+      return pool;
+    },
+  };
+  return connector;
+};
+
+const waitFor = async (condition, timeoutMs = 1000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error("Timed out waiting for condition");
+    }
+    await new Promise((resolve) => setTimeout(resolve, 2));
+  }
+};
+
+describe("backoffDelay", () => {
+  it("doubles from the initial delay up to the maximum", () => {
+    const reconnect = { initialDelayMs: 1000, maxDelayMs: 30000 };
+    assert.deepEqual(
+      [0, 1, 2, 3, 4, 5, 6].map((attempt) => backoffDelay(attempt, reconnect)),
+      [1000, 2000, 4000, 8000, 16000, 30000, 30000]
+    );
+  });
+});
+
+describe("database connection manager", () => {
+  it("reuses the pool without a round trip per request", async () => {
+    const connector = createConnector();
+    const connection = createDbConnection(settings, connector);
+
+    await connection.initializeDatabase();
+    const pool = connector.pools[0];
+    let queries = 0;
+    pool.request = () => ({
+      query: async () => {
+        queries += 1;
+      },
+    });
+
+    assert.equal(await connection.getDbConnection(), pool);
+    assert.equal(await connection.getDbConnection(), pool);
+    assert.equal(queries, 0);
+    assert.equal(connector.attempts, 1);
+
+    await connection.closeDatabase();
+  });
+
+  it("shares one connect between concurrent callers", async () => {
+    const connector = createConnector();
+    const connection = createDbConnection(settings, connector);
+
+    const [a, b] = await Promise.all([
+      connection.getDbConnection(),
+      connection.getDbConnection(),
+    ]);
+    assert.equal(a, b);
+    assert.equal(connector.attempts, 1);
+
+    await connection.closeDatabase();
+  });
+
+  it("fails fast while the database is down and reconnects with backoff", async () => {
+    const connector = createConnector(2);
+    const connection = createDbConnection(settings, connector);
+
+    await assert.rejects(connection.initializeDatabase(), /Failed to connect/);
+    assert.equal(connection.status().state, "reconnecting");
+
+    // The open circuit answers at once, without another connect attempt
+    const attempts = connector.attempts;
+    await assert.rejects(connection.getDbConnection(), (err) => {
+      assert.ok(err instanceof DatabaseUnavailableError);
+      assert.equal(err.status, 503);
+      return true;
+    });
+    assert.equal(connector.attempts, attempts);
+
+    await waitFor(() => connection.isConnected());
+    assert.equal(connector.attempts, 3);
+    assert.equal(connection.status().state, "connected");
+    assert.equal(await connection.getDbConnection(), connector.pools[0]);
+
+    await connection.closeDatabase();
+  });
+
+  it("replaces a pool that reports an error", async () => {
+    const connector = createConnector();
+    const connection = createDbConnection(settings, connector);
+    await connection.initializeDatabase();
+
+    const [broken] = connector.pools;
+    broken.emit("error", new Error("Connection lost - read ECONNRESET"));
+
+    assert.equal(connection.isConnected(), false);
+    assert.equal(broken.closed, true);
+    await assert.rejects(
+      connection.getDbConnection(),
+      DatabaseUnavailableError
+    );
+
+    await waitFor(() => connection.isConnected());
+    assert.equal(await connection.getDbConnection(), connector.pools[1]);
+
+    await connection.closeDatabase();
+  });
+
+  it("closes a pool that fails its probe", async () => {
+    const pool = createFakePool();
+    pool.failWith = new Error("Login succeeded but the database is offline");
+    const connection = createDbConnection(settings, {
+      connectPool: async () => pool,
+    });
+
+    await assert.rejects(connection.initializeDatabase(), /offline/);
+    assert.equal(pool.closed, true);
+
+    await connection.closeDatabase();
+  });
+
+  it("opens the circuit after queries fail on the connection", async () => {
+    const connector = createConnector();
+    const connection = createDbConnection(
+      { ...settings, failureThreshold: 3 },
+      connector
+    );
+    const pool = await connection.initializeDatabase();
+    const [broken] = connector.pools;
+    const query = () => pool.request().query("SELECT 1");
+    const reset = Object.assign(
+      new Error("Connection lost - read ECONNRESET"),
+      {
+        code: "ECONNRESET",
+      }
+    );
+
+    // A statement error is an answer from the server and resets the count
+    broken.failWith = reset;
+    await assert.rejects(query());
+    await assert.rejects(query());
+    broken.failWith = Object.assign(new Error("Invalid column name"), {
+      number: 207,
+    });
+    await assert.rejects(query());
+    assert.equal(connection.status().failedAttempts, 0);
+
+    broken.failWith = reset;
+    await assert.rejects(query());
+    await assert.rejects(query());
+    assert.equal(connection.isConnected(), true);
+    await assert.rejects(query());
+
+    assert.equal(connection.isConnected(), false);
+    assert.equal(broken.closed, true);
+    await assert.rejects(
+      connection.getDbConnection(),
+      DatabaseUnavailableError
+    );
+
+    await waitFor(() => connection.isConnected(), 2000);
+    assert.equal(await connection.getDbConnection(), connector.pools[1]);
+
+    await connection.closeDatabase();
+  });
+
+  it("stops reconnecting once closed", async () => {
+    const connector = createConnector(Infinity);
+    const connection = createDbConnection(settings, connector);
+
+    await assert.rejects(connection.initializeDatabase());
+    await connection.closeDatabase();
+    const attempts = connector.attempts;
+
+    await new Promise((resolve) => setTimeout(resolve, 40));
+    assert.equal(connector.attempts, attempts);
+    assert.equal(connection.status().state, "closed");
+    await assert.rejects(
+      connection.getDbConnection(),
+      DatabaseUnavailableError
+    );
+  });
+});
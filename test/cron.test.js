@@ -0,0 +1,104 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { CronError, parseCron, nextCronTime } = require("../utils/cron");
+
+// Local time, like the scheduler
+const at = (year, month, day, hour = 0, minute = 0) =>
+  new Date(year, month - 1, day, hour, minute);
+
+describe("parseCron", () => {
+  for (const [expression, message] of [
+    ["0 6 1 *", "cron must have five fields"],
+    ["60 * * * *", "minute must be between 0 and 59"],
+    ["* 24 * * *", "hour must be between 0 and 23"],
+    ["* * 0 * *", "dayOfMonth must be between 1 and 31"],
+    ["* * * FOO *", "month value FOO is not valid"],
+    ["* * * * 8", "dayOfWeek must be between 0 and 7"],
+    ["*/0 * * * *", "minute step 0 is not valid"],
+    ["* 10-5 * * *", "hour range 10-5 is reversed"],
+  ]) {
+    it(`rejects "${expression}"`, () => {
+      assert.throws(
+        () => parseCron(expression),
+        (err) => err instanceof CronError && err.message.startsWith(message)
+      );
+    });
+  }
+
+  it("expands lists, ranges, steps and names", () => {
+    const cron = parseCron("5/20 8-10 1,15 JAN-MAR mon,fri");
+    assert.deepEqual([...cron.minutes], [5, 25, 45]);
+    assert.deepEqual([...cron.hours], [8, 9, 10]);
+    assert.deepEqual([...cron.days], [1, 15]);
+    assert.deepEqual([...cron.months], [1, 2, 3]);
+    assert.deepEqual([...cron.weekdays], [1, 5]);
+  });
+
+  it("treats 7 as Sunday", () => {
+    assert.deepEqual([...parseCron("0 0 * * 7").weekdays], [0]);
+  });
+});
+
+describe("nextCronTime", () => {
+  it("returns a time strictly after the given one", () => {
+    assert.deepEqual(
+      nextCronTime("0 6 * * *", at(2024, 3, 1, 6, 0)),
+      at(2024, 3, 2, 6, 0)
+    );
+  });
+
+  it("finds the first day of next month", () => {
+    assert.deepEqual(
+      nextCronTime("0 6 1 * *", at(2024, 1, 15, 12, 30)),
+      at(2024, 2, 1, 6, 0)
+    );
+  });
+
+  it("steps through the hour", () => {
+    assert.deepEqual(
+      nextCronTime("*/15 * * * *", at(2024, 1, 1, 10, 16)),
+      at(2024, 1, 1, 10, 30)
+    );
+  });
+
+  it("skips the weekend for MON-FRI", () => {
+    // Friday 1 March 2024, after 09:00
+    assert.deepEqual(
+      nextCronTime("0 9 * * MON-FRI", at(2024, 3, 1, 10, 0)),
+      at(2024, 3, 4, 9, 0)
+    );
+  });
+
+  it("runs on the last day of the month with L", () => {
+    assert.deepEqual(
+      nextCronTime("30 23 L * *", at(2024, 2, 10)),
+      at(2024, 2, 29, 23, 30)
+    );
+  });
+
+  it("accepts the @monthly shortcut", () => {
+    assert.deepEqual(
+      nextCronTime("@monthly", at(2024, 12, 5)),
+      at(2025, 1, 1, 0, 0)
+    );
+  });
+
+  it("matches either day field when both are restricted", () => {
+    // The 15th or any Monday - Monday 4 March comes first
+    assert.deepEqual(
+      nextCronTime("0 0 15 * MON", at(2024, 3, 1)),
+      at(2024, 3, 4, 0, 0)
+    );
+  });
+
+  it("accepts a parsed expression", () => {
+    assert.deepEqual(
+      nextCronTime(parseCron("0 0 1 1 *"), at(2024, 6, 1)),
+      at(2025, 1, 1)
+    );
+  });
+
+  it("returns null for a date that never comes", () => {
+    assert.equal(nextCronTime("0 0 30 2 *", at(2024, 1, 1)), null);
+  });
+});
@@ -0,0 +1,103 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestServer } = require("./helpers");
+
+describe("API documentation", () => {
+  let server;
+  let document;
+
+  before(async () => {
+    server = await startTestServer();
+    document = (await server.request("GET", "/api/openapi.json")).body;
+  });
+
+  after(() => server.close());
+
+  it("serves an OpenAPI 3 document without authentication", () => {
+    assert.match(document.openapi, /^3\./);
+    assert.equal(
+      document.components.securitySchemes.bearerAuth.scheme,
+      "bearer"
+    );
+  });
+
+  it("lists every mounted route with a unique operation ID", () => {
+    for (const path of [
+      "/api/high-value-trans",
+      "/api/document/{id}",
+      "/api/register-member",
+      "/api/issues",
+    ]) {
+      assert.ok(document.paths[path], path);
+    }
+    const ids = Object.values(document.paths)
+      .flatMap(Object.values)
+      .map((operation) => operation.operationId);
+    assert.equal(new Set(ids).size, ids.length);
+  });
+
+  it("describes the request body from the validation schema", () => {
+    const operation = document.paths["/api/high-value-trans"].post;
+    const body = operation.requestBody.content["application/json"].schema;
+    assert.deepEqual(body.required, [
+      "branchName",
+      "section",
+      "scheme",
+      "fromDate",
+      "toDate",
+      "amount1",
+      "amount2",
+    ]);
+    assert.deepEqual(body.properties.branchName, {
+      type: "string",
+      maxLength: 10,
+    });
+    assert.deepEqual(body.properties.fromDate, {
+      type: "string",
+      format: "date",
+    });
+    assert.deepEqual(body.properties.amount1, { type: "number", minimum: 0 });
+    assert.equal(operation.tags[0], "Reports");
+    assert.ok(operation.responses[400]);
+  });
+
+  it("describes path parameters, security and permissions", () => {
+    const operation = document.paths["/api/document/{id}"].get;
+    assert.deepEqual(operation.parameters, [
+      {
+        name: "id",
+        in: "path",
+        required: true,
+        schema: { type: "integer", minimum: 1 },
+      },
+    ]);
+    assert.deepEqual(operation.security, [{ bearerAuth: [] }]);
+    assert.match(operation.description, /document:read/);
+  });
+
+  it("picks up permissions applied with router.use", () => {
+    const operation = document.paths["/api/debug/procedures"].get;
+    assert.deepEqual(operation.security, [{ bearerAuth: [] }]);
+    assert.match(operation.description, /system:debug/);
+  });
+
+  it("leaves public routes without security", () => {
+    const operation = document.paths["/api/auth/login"].post;
+    assert.equal(operation.security, undefined);
+    assert.equal(operation.responses[401], undefined);
+  });
+
+  it("marks the older high value contract as deprecated", () => {
+    assert.equal(
+      document.paths["/api/reports/high-value"].post.deprecated,
+      true
+    );
+  });
+
+  it("serves a docs page", async () => {
+    const res = await server.request("GET", "/api/docs");
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /text\/html/);
+    assert.match(res.body, /\/api\/high-value-trans/);
+  });
+});
@@ -0,0 +1,89 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestServer, assertValidationError } = require("./helpers");
+
+const newDocument = (overrides = {}) => ({
+  compCode: "LMRK",
+  section: "LOANS",
+  keyword: "gold loan renewal",
+  details: "Steps for renewing a gold loan",
+  userName: "user",
+  ...overrides,
+});
+
+describe("document routes", () => {
+  let server;
+  let token;
+
+  before(async () => {
+    server = await startTestServer();
+    token = (await server.login("user", "user123")).accessToken;
+  });
+
+  after(() => server.close());
+
+  for (const field of Object.keys(newDocument())) {
+    it(`rejects a document without ${field}`, async () => {
+      const res = await server.request("POST", "/api/document", {
+        body: newDocument({ [field]: "" }),
+        token,
+      });
+      assertValidationError(res, { [field]: `${field} is required` });
+    });
+  }
+
+  it("lists every invalid field at once", async () => {
+    const res = await server.request("POST", "/api/document", {
+      body: newDocument({ compCode: "C".repeat(51), keyword: undefined }),
+      token,
+    });
+    assertValidationError(res, {
+      compCode: "compCode must be at most 50 characters",
+      keyword: "keyword is required",
+    });
+  });
+
+  it("saves a document and finds it again by id", async () => {
+    const res = await server.request("POST", "/api/document", {
+      body: newDocument(),
+      token,
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.rowsAffected, 1);
+
+    const found = await server.request("GET", "/api/document/2", { token });
+    assert.equal(found.status, 200);
+    assert.equal(found.body.document.Keyword, "gold loan renewal");
+    assert.equal(found.body.document.UserName, "user");
+  });
+
+  it("returns 404 for an unknown document", async () => {
+    const res = await server.request("GET", "/api/document/999", { token });
+    assert.equal(res.status, 404);
+    assert.equal(res.body.success, false);
+  });
+
+  it("lists every keyword", async () => {
+    const res = await server.request("GET", "/api/keywords", { token });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.count, res.body.keywords.length);
+    assert.ok(res.body.keywords.includes("welcome"));
+  });
+
+  it("filters keywords by a search term", async () => {
+    const res = await server.request("GET", "/api/keywords?search=WEL", {
+      token,
+    });
+    assert.deepEqual(res.body.keywords, ["welcome"]);
+  });
+
+  it("rejects a non-numeric document id", async () => {
+    const res = await server.request("GET", "/api/document/abc", { token });
+    assertValidationError(res, { id: "id must be a number" });
+  });
+
+  it("requires a token", async () => {
+    const res = await server.request("GET", "/api/document/1");
+    assert.equal(res.status, 401);
+  });
+});
@@ -0,0 +1,165 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestServer } = require("./helpers");
+const { toAppError, NotFoundError } = require("../utils/errors");
+
+// Shaped like the errors mssql raises
+const sqlError = (props) =>
+  Object.assign(
+    new Error("Violation of PRIMARY KEY constraint 'PK_Doc'"),
+    props
+  );
+
+describe("toAppError", () => {
+  it("keeps application errors as they are", () => {
+    const error = new NotFoundError("Gone");
+    assert.equal(toAppError(error), error);
+  });
+
+  it("maps unique key violations to 409", () => {
+    for (const number of [2627, 2601]) {
+      const error = toAppError(sqlError({ number }));
+      assert.equal(error.status, 409);
+      assert.equal(error.code, "CONFLICT");
+    }
+  });
+
+  it("reads the number of a wrapped request error", () => {
+    const error = toAppError(
+      sqlError({ originalError: { number: 2627 }, code: "EREQUEST" })
+    );
+    assert.equal(error.status, 409);
+  });
+
+  it("maps ETIMEOUT to 504", () => {
+    const error = toAppError(sqlError({ code: "ETIMEOUT" }));
+    assert.equal(error.status, 504);
+    assert.equal(error.code, "TIMEOUT");
+  });
+
+  it("maps connection failures to 503", () => {
+    const error = toAppError(
+      sqlError({ name: "ConnectionError", code: "ESOCKET" })
+    );
+    assert.equal(error.status, 503);
+    assert.equal(error.code, "DB_UNAVAILABLE");
+  });
+
+  it("hides anything else behind a generic 500", () => {
+    const error = toAppError(sqlError({ number: 208 }));
+    assert.equal(error.status, 500);
+    assert.equal(error.message, "Internal server error");
+  });
+});
+
+describe("error envelope", () => {
+  let server;
+  let token;
+
+  before(async () => {
+    server = await startTestServer();
+    token = (await server.login("admin", "admin123")).accessToken;
+  });
+
+  after(() => server.close());
+
+  const failWith = (repository, method, error) => {
+    const original = repository[method];
+    repository[method] = async () => {
+      throw error;
+    };
+    return () => {
+      repository[method] = original;
+    };
+  };
+
+  it("never returns the SQL message", async () => {
+    const restore = failWith(
+      server.repositories.documents,
+      "findById",
+      sqlError({ number: 208, message: "Invalid object name 'Document_Tbl'" })
+    );
+    try {
+      const res = await server.request("GET", "/api/document/1", { token });
+      assert.equal(res.status, 500);
+      assert.deepEqual(Object.keys(res.body).sort(), [
+        "correlationId",
+        "error",
+        "message",
+        "success",
+      ]);
+      assert.equal(res.body.error, "INTERNAL_ERROR");
+      assert.doesNotMatch(JSON.stringify(res.body), /Document_Tbl/);
+    } finally {
+      restore();
+    }
+  });
+
+  it("repeats the correlation ID header in the body", async () => {
+    const res = await server.request("GET", "/api/document/999", { token });
+    assert.equal(res.status, 404);
+    assert.equal(res.body.error, "NOT_FOUND");
+    assert.ok(res.body.correlationId);
+    assert.equal(res.body.correlationId, res.headers.get("x-correlation-id"));
+  });
+
+  it("reuses a correlation ID sent by the caller", async () => {
+    const res = await server.request("GET", "/api/nothing-here", {
+      headers: { "X-Correlation-ID": "trace-123" },
+    });
+    assert.equal(res.status, 404);
+    assert.equal(res.body.correlationId, "trace-123");
+    assert.equal(res.headers.get("x-correlation-id"), "trace-123");
+  });
+
+  it("maps a duplicate key from the database to 409", async () => {
+    const restore = failWith(
+      server.repositories.issues,
+      "create",
+      sqlError({ number: 2627 })
+    );
+    try {
+      const res = await server.request("POST", "/api/issues", {
+        body: {
+          Cmp_Code: "LMRK",
+          Issue_Module: "Reports",
+          Issue_Description: "Duplicate",
+          Reported_By: "admin",
+          Reported_Date: "2024-03-01",
+          Priority: "Low",
+        },
+        token,
+      });
+      assert.equal(res.status, 409);
+      assert.equal(res.body.error, "CONFLICT");
+    } finally {
+      restore();
+    }
+  });
+
+  it("maps a database timeout to 504", async () => {
+    const restore = failWith(
+      server.repositories.registration,
+      "members",
+      sqlError({ code: "ETIMEOUT", message: "Timeout: Request failed" })
+    );
+    try {
+      const res = await server.request("POST", "/api/reportdocument", {
+        body: { programmeName: "MORNING PROGRAMME", timeSlots: "ALL" },
+        token,
+      });
+      assert.equal(res.status, 504);
+      assert.equal(res.body.error, "TIMEOUT");
+    } finally {
+      restore();
+    }
+  });
+
+  it("rejects malformed JSON with 400", async () => {
+    const res = await server.request("POST", "/api/auth/login", {
+      raw: "{not json",
+    });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.error, "BAD_REQUEST");
+  });
+});
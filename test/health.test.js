@@ -0,0 +1,176 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestServer } = require("./helpers");
+
+describe("health and debug routes", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  after(() => server.close());
+
+  it("reports the data source without authentication", async () => {
+    const res = await server.request("GET", "/api/health");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.dataSource, "mock");
+    assert.equal(res.body.database, "connected");
+  });
+
+  it("answers liveness without touching the database", async () => {
+    const { dataSource } = server;
+    const ping = dataSource.ping;
+    dataSource.ping = async () => {
+      throw new Error("should not be called");
+    };
+    try {
+      const res = await server.request("GET", "/api/health/live");
+      assert.equal(res.status, 200);
+      assert.equal(res.body.status, "ok");
+    } finally {
+      dataSource.ping = ping;
+    }
+  });
+
+  it("reports ready when the database answers", async () => {
+    const res = await server.request("GET", "/api/health/ready");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, "ready");
+    assert.equal(res.body.checks.database.status, "up");
+  });
+
+  it("serves request counts and latencies for Prometheus", async () => {
+    await server.request("GET", "/api/health/live");
+    const res = await server.request("GET", "/metrics");
+
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /text\/plain/);
+    assert.match(
+      res.body,
+      /http_requests_total\{method="GET",route="\/api\/health\/live",status="200"\} \d+/
+    );
+    assert.match(
+      res.body,
+      /http_request_duration_seconds_bucket\{method="GET",route="\/api\/health\/live",le="\+Inf"\} \d+/
+    );
+    assert.match(res.body, /process_uptime_seconds \d/);
+    // The mock data source has no connection pool
+    assert.doesNotMatch(res.body, /mssql_pool_size/);
+  });
+
+  it("groups unmatched paths under one route label", async () => {
+    await server.request("GET", "/wp-admin/setup.php");
+    const res = await server.request("GET", "/metrics");
+    assert.match(res.body, /route="unmatched",status="404"/);
+    assert.doesNotMatch(res.body, /wp-admin/);
+  });
+
+  it("sets the security headers", async () => {
+    const res = await server.request("GET", "/api/health");
+    assert.equal(res.headers.get("x-content-type-options"), "nosniff");
+    assert.equal(res.headers.get("x-frame-options"), "DENY");
+  });
+
+  it("limits the debug routes to admins", async () => {
+    const { accessToken } = await server.login("user", "user123");
+    const res = await server.request("GET", "/api/debug/procedures", {
+      token: accessToken,
+    });
+    assert.equal(res.status, 403);
+  });
+
+  it("describes the menu table and report procedures", async () => {
+    const { accessToken } = await server.login("admin", "admin123");
+
+    const table = await server.request("GET", "/api/debug/menu-table", {
+      token: accessToken,
+    });
+    assert.equal(table.status, 200);
+    assert.equal(table.body.row_count, 3);
+
+    const params = await server.request(
+      "GET",
+      "/api/debug/procedure-params?procedure=AuditHVTranRpt_Sp",
+      { token: accessToken }
+    );
+    assert.equal(params.body.parameters[0].PARAMETER_NAME, "@Br_Name");
+
+    const procedures = await server.request("GET", "/api/debug/procedures", {
+      token: accessToken,
+    });
+    assert.ok(procedures.body.procedures.length > 0);
+  });
+
+  it("runs the high value procedure with fixed parameters", async () => {
+    const { accessToken } = await server.login("admin", "admin123");
+
+    const res = await server.request("POST", "/api/debug/test-hvtran", {
+      token: accessToken,
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.success, true);
+    assert.equal(res.body.recordset, res.body.data.length);
+  });
+
+  it("looks up a user, reporting whether the password is hashed", async () => {
+    const { accessToken } = await server.login("admin", "admin123");
+
+    const res = await server.request("GET", "/api/debug/users/admin", {
+      token: accessToken,
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.passwordHashed, true);
+
+    const missing = await server.request("GET", "/api/debug/users/nobody", {
+      token: accessToken,
+    });
+    assert.equal(missing.status, 404);
+
+    const old = await server.request("GET", "/api/test/user/admin", {
+      token: accessToken,
+    });
+    assert.equal(old.status, 404);
+  });
+});
+
+describe("readiness probe", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer({
+      env: { HEALTH_READY_CACHE_MS: "60000", METRICS_TOKEN: "scrape-secret" },
+    });
+  });
+
+  after(() => server.close());
+
+  it("caches the database check and reports 503 when it fails", async () => {
+    const { dataSource } = server;
+    let pings = 0;
+    dataSource.ping = async () => {
+      pings += 1;
+      throw new Error("Failed to connect to sqlhost:1433");
+    };
+
+    const first = await server.request("GET", "/api/health/ready");
+    const second = await server.request("GET", "/api/health/ready");
+
+    assert.equal(first.status, 503);
+    assert.equal(first.body.status, "unavailable");
+    assert.equal(first.body.checks.database.status, "down");
+    assert.doesNotMatch(JSON.stringify(first.body), /sqlhost/);
+    assert.equal(second.status, 503);
+    assert.equal(pings, 1);
+  });
+
+  it("requires the metrics token when one is configured", async () => {
+    const anonymous = await server.request("GET", "/metrics");
+    assert.equal(anonymous.status, 401);
+
+    const scraper = await server.request("GET", "/metrics", {
+      headers: { Authorization: "Bearer scrape-secret" },
+    });
+    assert.equal(scraper.status, 200);
+  });
+});
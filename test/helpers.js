@@ -0,0 +1,224 @@
+const assert = require("node:assert/strict");
+const net = require("net");
+const { loadConfig } = require("../config");
+const { createApp } = require("../index");
+const { createMockDataSource } = require("../data/mock");
+const { createFixtures } = require("../data/fixtures");
+const { createLoginThrottle } = require("../utils/loginThrottle");
+
+/**
+ * Boot the app on a random port, backed by in-memory repositories
+ * @param {Object} options - { seed, loginThrottle, env } overrides
+ * @returns {Promise<Object>} { request, login, repositories, dataSource, close }
+ */
+const startTestServer = async ({ seed, loginThrottle, env } = {}) => {
+  const config = loadConfig({
+    DATA_SOURCE: "mock",
+    NODE_ENV: "test",
+    // Every request is logged - keep the test report readable
+    LOG_LEVEL: "silent",
+    // Admins log in with a password alone - test/mfa.test.js turns it on
+    MFA_REQUIRED_ROLES: "",
+    ...env,
+  });
+  const dataSource = createMockDataSource(seed || createFixtures());
+  const app = createApp({
+    config,
+    dataSource,
+    // Every test logs in from 127.0.0.1 - no backoff, no IP lockout
+    loginThrottle:
+      loginThrottle ||
+      createLoginThrottle({
+        baseDelayMs: 0,
+        maxDelayMs: 0,
+        maxIpFailures: Infinity,
+      }),
+  });
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  /**
+   * Send a JSON request
+   * @param {String} method - HTTP method
+   * @param {String} path - Path including any query string
+   * @param {Object} options - { body, raw, token, cookie, headers }
+   * @returns {Promise<Object>} { status, headers, body, cookies } - body is
+   * parsed JSON, a string for text or a Buffer for downloads
+   */
+  const request = async (
+    method,
+    path,
+    { body, raw, token, cookie, headers: extraHeaders } = {}
+  ) => {
+    const headers = { ...extraHeaders };
+    if (body !== undefined || raw !== undefined) {
+      headers["Content-Type"] = "application/json";
+    }
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+    if (cookie) {
+      headers.Cookie = cookie;
+    }
+
+    const res = await fetch(baseUrl + path, {
+      method,
+      headers,
+      body: raw !== undefined ? raw : JSON.stringify(body),
+    });
+    const data = Buffer.from(await res.arrayBuffer());
+    const contentType = res.headers.get("content-type") || "";
+
+    // JSON parsed, text as a string, downloads as a Buffer
+    let parsed = null;
+    if (data.length > 0) {
+      if (/json/.test(contentType)) {
+        parsed = JSON.parse(data.toString());
+      } else if (/^text\/|html/.test(contentType)) {
+        parsed = data.toString();
+      } else {
+        parsed = data;
+      }
+    }
+
+    return {
+      status: res.status,
+      headers: res.headers,
+      body: parsed,
+      cookies: res.headers.getSetCookie().map((c) => c.split(";")[0]),
+    };
+  };
+
+  /**
+   * Log in through /api/auth/login
+   * @param {String} username
+   * @param {String} password
+   * @returns {Promise<Object>} { accessToken, refreshCookie, user }
+   */
+  const login = async (username, password) => {
+    const res = await request("POST", "/api/auth/login", {
+      body: { username, password },
+    });
+    if (res.status !== 200) {
+      throw new Error(`Login failed for ${username}: ${res.status}`);
+    }
+    return {
+      accessToken: res.body.data.accessToken,
+      refreshCookie: res.cookies.find((c) => c.startsWith("refreshToken=")),
+      user: res.body.data.user,
+    };
+  };
+
+  return {
+    request,
+    login,
+    repositories: dataSource.repositories,
+    dataSource,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
+
+/**
+ * Assert the uniform validation failure response
+ * @param {Object} res - Response from request()
+ * @param {Object} expected - { field: message } for every invalid field
+ */
+const assertValidationError = (res, expected) => {
+  assert.equal(res.status, 400);
+  assert.equal(res.body.error, "VALIDATION_ERROR");
+  assert.ok(res.body.correlationId);
+  assert.deepEqual(
+    Object.fromEntries(res.body.errors.map((e) => [e.field, e.message])),
+    expected
+  );
+};
+
+/**
+ * Local SMTP stand-in - accepts every message and keeps it in memory
+ * @param {Object} options - { rejectRecipients } answers RCPT TO with 550
+ * @returns {Promise<Object>} { port, messages, close } - messages are
+ * { from, to, data } with data dot-unstuffed
+ */
+const startSmtpServer = async ({ rejectRecipients = false } = {}) => {
+  const messages = [];
+
+  const server = net.createServer((socket) => {
+    let buffer = "";
+    let envelope = { from: null, to: [] };
+    let inData = false;
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    reply("220 localhost test SMTP");
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf8");
+
+      while (buffer.length > 0) {
+        if (inData) {
+          const end = buffer.indexOf("\r\n.\r\n");
+          if (end < 0) {
+            return;
+          }
+          messages.push({
+            ...envelope,
+            data: buffer.slice(0, end + 2).replace(/(^|\r\n)\.\./g, "$1."),
+          });
+          buffer = buffer.slice(end + 5);
+          envelope = { from: null, to: [] };
+          inData = false;
+          reply("250 queued");
+          continue;
+        }
+
+        const end = buffer.indexOf("\r\n");
+        if (end < 0) {
+          return;
+        }
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        const verb = line.split(/[ :]/)[0].toUpperCase();
+
+        if (verb === "EHLO") {
+          reply("250-localhost");
+          reply("250 AUTH PLAIN");
+        } else if (verb === "AUTH") {
+          reply("235 authenticated");
+        } else if (verb === "MAIL") {
+          envelope.from = line.match(/<(.*)>/)[1];
+          reply("250 ok");
+        } else if (verb === "RCPT") {
+          if (rejectRecipients) {
+            reply("550 mailbox unavailable");
+          } else {
+            envelope.to.push(line.match(/<(.*)>/)[1]);
+            reply("250 ok");
+          }
+        } else if (verb === "DATA") {
+          inData = true;
+          reply("354 end with <CRLF>.<CRLF>");
+        } else if (verb === "QUIT") {
+          reply("221 bye");
+          socket.end();
+        } else {
+          reply("502 not implemented");
+        }
+      }
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+
+  return {
+    port: server.address().port,
+    messages,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
+
+module.exports = {
+  startTestServer,
+  assertValidationError,
+  startSmtpServer,
+};
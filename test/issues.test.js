@@ -0,0 +1,57 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestServer, assertValidationError } = require("./helpers");
+
+const newIssue = (overrides = {}) => ({
+  Cmp_Code: "LMRK",
+  Issue_Module: "Reports",
+  Issue_Description: "Export button missing",
+  Issue_Remarks: "",
+  Reported_By: "user",
+  Reported_Date: "2024-03-01T10:30:00Z",
+  Priority: "High",
+  Due_Date: null,
+  ...overrides,
+});
+
+describe("issue routes", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  after(() => server.close());
+
+  it("requires a token", async () => {
+    const res = await server.request("POST", "/api/issues", { body: {} });
+    assert.equal(res.status, 401);
+  });
+
+  it("validates every field", async () => {
+    const { accessToken } = await server.login("user", "user123");
+    const res = await server.request("POST", "/api/issues", {
+      body: newIssue({
+        Issue_Description: undefined,
+        Reported_Date: "yesterday",
+        Priority: "Urgent",
+      }),
+      token: accessToken,
+    });
+    assertValidationError(res, {
+      Issue_Description: "Issue_Description is required",
+      Reported_Date: "Reported_Date must be an ISO 8601 date or date-time",
+      Priority: "Priority must be one of: Low, Medium, High, Critical",
+    });
+  });
+
+  it("records an issue", async () => {
+    const { accessToken } = await server.login("user", "user123");
+    const res = await server.request("POST", "/api/issues", {
+      body: newIssue(),
+      token: accessToken,
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.message, "Issue inserted successfully");
+  });
+});
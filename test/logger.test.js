@@ -0,0 +1,134 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestServer } = require("./helpers");
+const { createLogger, logger } = require("../utils/logger");
+
+// Logger that keeps its entries in memory
+const capture = (options) => {
+  const entries = [];
+  const log = createLogger({
+    ...options,
+    write: (line) => entries.push(JSON.parse(line)),
+  });
+  return { log, entries };
+};
+
+describe("logger", () => {
+  it("writes one JSON entry with time, level, message and fields", () => {
+    const { log, entries } = capture();
+    log.info("Report run", { count: 3 });
+
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].level, "info");
+    assert.equal(entries[0].msg, "Report run");
+    assert.equal(entries[0].count, 3);
+    assert.ok(!isNaN(Date.parse(entries[0].time)));
+  });
+
+  it("drops entries below the configured level", () => {
+    const { log, entries } = capture({ level: "warn" });
+    log.debug("hidden");
+    log.info("hidden");
+    log.warn("shown");
+    log.error("shown");
+
+    assert.deepEqual(
+      entries.map((entry) => entry.level),
+      ["warn", "error"]
+    );
+  });
+
+  it("redacts configured fields at any depth, ignoring case", () => {
+    const { log, entries } = capture();
+    log.info("Request", {
+      body: { userName: "kumar", Password: "secret", contact: { phone: "1" } },
+      rows: [{ Mobile: "2" }],
+    });
+
+    assert.deepEqual(entries[0].body, {
+      userName: "kumar",
+      Password: "[REDACTED]",
+      contact: { phone: "[REDACTED]" },
+    });
+    assert.deepEqual(entries[0].rows, [{ Mobile: "[REDACTED]" }]);
+  });
+
+  it("takes a custom redaction list", () => {
+    const { log, entries } = capture({ redact: ["details"] });
+    log.info("Saved", { details: "private", password: "kept" });
+
+    assert.equal(entries[0].details, "[REDACTED]");
+    assert.equal(entries[0].password, "kept");
+  });
+
+  it("serialises errors and adds child bindings", () => {
+    const { log, entries } = capture();
+    const error = Object.assign(new Error("Login failed"), { number: 18456 });
+    log.child({ correlationId: "abc" }).error("Query failed", error);
+
+    assert.equal(entries[0].correlationId, "abc");
+    assert.equal(entries[0].error.message, "Login failed");
+    assert.equal(entries[0].error.number, 18456);
+    assert.match(entries[0].error.stack, /Login failed/);
+  });
+
+  it("rejects unknown levels", () => {
+    assert.throws(() => createLogger({ level: "verbose" }), /Log level/);
+  });
+});
+
+describe("request logging", () => {
+  let server;
+  let entries;
+
+  before(async () => {
+    server = await startTestServer();
+    entries = [];
+    logger.configure({
+      level: "debug",
+      write: (line) => entries.push(JSON.parse(line)),
+    });
+  });
+
+  after(() => {
+    logger.configure({ level: "silent" });
+    return server.close();
+  });
+
+  it("logs method, route, status and latency with the correlation ID", async () => {
+    const { accessToken } = await server.login("admin", "admin123");
+    entries.length = 0;
+
+    const res = await server.request("GET", "/api/document/999", {
+      token: accessToken,
+    });
+    const entry = entries.find((e) => e.msg === "Request completed");
+
+    assert.equal(entry.level, "warn");
+    assert.equal(entry.method, "GET");
+    assert.equal(entry.route, "/api/document/:id");
+    assert.equal(entry.status, 404);
+    assert.equal(typeof entry.durationMs, "number");
+    assert.equal(entry.correlationId, res.headers.get("x-correlation-id"));
+    assert.equal(entry.userId, 1);
+  });
+
+  it("never logs passwords or phone numbers", async () => {
+    entries.length = 0;
+    const { accessToken } = await server.login("admin", "admin123");
+    await server.request("POST", "/api/register-member", {
+      body: {
+        name: "Anu",
+        phone: "9876543210",
+        noOfPerson: 2,
+        timeSlot: "10:00-11:00",
+      },
+      token: accessToken,
+    });
+
+    const text = JSON.stringify(entries);
+    assert.ok(entries.length > 0);
+    assert.doesNotMatch(text, /admin123/);
+    assert.doesNotMatch(text, /9876543210/);
+  });
+});
@@ -0,0 +1,44 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestServer, assertValidationError } = require("./helpers");
+
+describe("lookup routes", () => {
+  let server;
+  let token;
+
+  before(async () => {
+    server = await startTestServer();
+    token = (await server.login("user", "user123")).accessToken;
+  });
+
+  after(() => server.close());
+
+  it("lists the branches", async () => {
+    const res = await server.request("GET", "/api/branches", { token });
+    assert.equal(res.status, 200);
+    assert.ok(res.body.branches.includes("MAIN BRANCH"));
+  });
+
+  it("lists the sections", async () => {
+    const res = await server.request("GET", "/api/sections", { token });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.sections, ["DEPOSIT", "LOAN"]);
+  });
+
+  it("lists the schemes of a section", async () => {
+    const res = await server.request("POST", "/api/schemes", {
+      body: { section: "LOAN" },
+      token,
+    });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.schemes, ["GOLD LOAN"]);
+  });
+
+  it("requires a section for the schemes", async () => {
+    const res = await server.request("POST", "/api/schemes", {
+      body: {},
+      token,
+    });
+    assertValidationError(res, { section: "section is required" });
+  });
+});
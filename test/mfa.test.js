@@ -0,0 +1,398 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  base32Encode,
+  base32Decode,
+  generateTotp,
+  verifyTotp,
+  timeStep,
+  provisioningUri,
+} = require("../utils/totp");
+const { createFixtures } = require("../data/fixtures");
+const { startTestServer, assertValidationError } = require("./helpers");
+
+// RFC 6238 test secret
+const RFC_SECRET = base32Encode(Buffer.from("12345678901234567890"));
+
+describe("totp", () => {
+  it("matches the RFC 6238 test values", () => {
+    assert.equal(RFC_SECRET, "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ");
+    assert.equal(base32Decode(RFC_SECRET).toString(), "12345678901234567890");
+    assert.equal(generateTotp(RFC_SECRET, 1), "287082");
+    assert.equal(generateTotp(RFC_SECRET, 37037036), "081804");
+  });
+
+  it("accepts a code one step off and nothing further", () => {
+    const now = new Date(1111111109 * 1000);
+    assert.equal(
+      verifyTotp(RFC_SECRET, "081804", {
+        now: new Date(now.getTime() + 30000),
+      }),
+      37037036
+    );
+    assert.equal(
+      verifyTotp(RFC_SECRET, "081804", {
+        now: new Date(now.getTime() + 60000),
+      }),
+      null
+    );
+    assert.equal(verifyTotp(RFC_SECRET, "08180", { now }), null);
+  });
+
+  it("builds the provisioning URI", () => {
+    assert.equal(
+      provisioningUri({
+        issuer: "Audit Reports",
+        account: "admin",
+        secret: RFC_SECRET,
+      }),
+      `otpauth://totp/Audit%20Reports%3Aadmin?secret=${RFC_SECRET}&issuer=Audit%20Reports&algorithm=SHA1&digits=6&period=30`
+    );
+  });
+});
+
+describe("two-factor login", () => {
+  let server;
+  let adminToken;
+
+  // Codes of later steps each time, so none is refused as already used
+  const codeFor = (secret, offset) =>
+    generateTotp(secret, timeStep(new Date()) + offset);
+
+  const passwordStep = async (username, password) => {
+    const res = await server.request("POST", "/api/auth/login", {
+      body: { username, password },
+    });
+    assert.equal(res.status, 200);
+    return res;
+  };
+
+  const verify = (mfaToken, body) =>
+    server.request("POST", "/api/auth/mfa/verify", {
+      body: { mfaToken, ...body },
+    });
+
+  before(async () => {
+    server = await startTestServer({ env: { MFA_REQUIRED_ROLES: "admin" } });
+  });
+
+  after(() => server.close());
+
+  describe("an admin", () => {
+    let secret;
+    let recoveryCodes;
+
+    it("has to enroll before getting tokens", async () => {
+      const res = await passwordStep("admin", "admin123");
+      assert.equal(res.body.data.mfaRequired, true);
+      assert.equal(res.body.data.enrollmentRequired, true);
+      assert.equal(res.body.data.accessToken, undefined);
+      assert.equal(res.cookies.length, 0);
+
+      const legacy = await server.request("POST", "/api/login", {
+        body: { username: "admin", password: "admin123" },
+      });
+      assert.equal(legacy.status, 403);
+      assert.equal(legacy.body.error, "MFA_REQUIRED");
+    });
+
+    it("cannot use the mfaToken as an access token", async () => {
+      const { mfaToken } = (await passwordStep("admin", "admin123")).body.data;
+      const res = await server.request("GET", "/api/auth/me", {
+        token: mfaToken,
+      });
+      assert.equal(res.status, 403);
+    });
+
+    it("enrolls with the mfaToken and gets recovery codes", async () => {
+      const { mfaToken } = (await passwordStep("admin", "admin123")).body.data;
+
+      const enroll = await server.request("POST", "/api/auth/mfa/enroll", {
+        body: { mfaToken },
+      });
+      assert.equal(enroll.status, 200);
+      secret = enroll.body.data.secret;
+      assert.ok(
+        enroll.body.data.otpauthUri.startsWith(
+          "otpauth://totp/Audit%20Reports%3Aadmin?secret="
+        )
+      );
+
+      const wrong = await verify(mfaToken, { code: "000000" });
+      assert.equal(wrong.status, 401);
+      assert.equal(wrong.body.error, "INVALID_MFA_CODE");
+
+      const res = await verify(mfaToken, { code: codeFor(secret, -1) });
+      assert.equal(res.status, 200);
+      assert.ok(res.body.data.accessToken);
+      assert.equal(res.body.data.user.role, "admin");
+      assert.ok(res.cookies.some((c) => c.startsWith("refreshToken=")));
+      recoveryCodes = res.body.data.recoveryCodes;
+      assert.equal(recoveryCodes.length, 10);
+    });
+
+    it("needs a code on the next login, each code once", async () => {
+      const res = await passwordStep("admin", "admin123");
+      assert.equal(res.body.data.enrollmentRequired, false);
+      const { mfaToken } = res.body.data;
+
+      assertValidationError(await verify(mfaToken, {}), {
+        code: "Send either code or recoveryCode",
+      });
+
+      const code = codeFor(secret, 0);
+      assert.equal((await verify(mfaToken, { code })).status, 200);
+      assert.equal((await verify(mfaToken, { code })).status, 401);
+    });
+
+    it("can log in with a recovery code once", async () => {
+      const { mfaToken } = (await passwordStep("admin", "admin123")).body.data;
+      const recoveryCode = recoveryCodes[0].toUpperCase();
+
+      assert.equal((await verify(mfaToken, { recoveryCode })).status, 200);
+      assert.equal((await verify(mfaToken, { recoveryCode })).status, 401);
+
+      const { accessToken } = (
+        await verify(mfaToken, { recoveryCode: recoveryCodes[1] })
+      ).body.data;
+      adminToken = accessToken;
+      const status = await server.request("GET", "/api/auth/mfa", {
+        token: accessToken,
+      });
+      assert.deepEqual(
+        { ...status.body.data, enabledAt: undefined },
+        {
+          enabled: true,
+          enabledAt: undefined,
+          recoveryCodesLeft: 8,
+          required: true,
+        }
+      );
+
+      const disable = await server.request("POST", "/api/auth/mfa/disable", {
+        token: accessToken,
+        body: { code: codeFor(secret, 1) },
+      });
+      assert.equal(disable.status, 403);
+
+      const replaced = await server.request(
+        "POST",
+        "/api/auth/mfa/recovery-codes",
+        { token: accessToken, body: { code: codeFor(secret, 1) } }
+      );
+      assert.equal(replaced.status, 200);
+      assert.equal(replaced.body.data.recoveryCodes.length, 10);
+      assert.equal(
+        (await verify(mfaToken, { recoveryCode: recoveryCodes[2] })).status,
+        401
+      );
+    });
+  });
+
+  describe("a user", () => {
+    let secret;
+    let accessToken;
+
+    it("logs in with a password until enrolling", async () => {
+      ({ accessToken } = await server.login("user", "user123"));
+
+      const enroll = await server.request("POST", "/api/auth/mfa/enroll", {
+        token: accessToken,
+      });
+      secret = enroll.body.data.secret;
+
+      const confirm = await server.request(
+        "POST",
+        "/api/auth/mfa/enroll/confirm",
+        { token: accessToken, body: { code: codeFor(secret, -1) } }
+      );
+      assert.equal(confirm.status, 200);
+      assert.equal(confirm.body.data.recoveryCodes.length, 10);
+
+      const again = await server.request("POST", "/api/auth/mfa/enroll", {
+        token: accessToken,
+      });
+      assert.equal(again.status, 409);
+
+      const res = await passwordStep("user", "user123");
+      assert.equal(res.body.data.mfaRequired, true);
+      const verified = await verify(res.body.data.mfaToken, {
+        code: codeFor(secret, 0),
+      });
+      assert.equal(verified.status, 200);
+    });
+
+    it("can turn it off with a code", async () => {
+      const res = await server.request("POST", "/api/auth/mfa/disable", {
+        token: accessToken,
+        body: { code: codeFor(secret, 1) },
+      });
+      assert.equal(res.status, 200);
+      await server.login("user", "user123");
+    });
+
+    it("can have the enrollment reset by an admin", async () => {
+      const { accessToken: userToken } = await server.login("user", "user123");
+      const enroll = await server.request("POST", "/api/auth/mfa/enroll", {
+        token: userToken,
+      });
+      await server.request("POST", "/api/auth/mfa/enroll/confirm", {
+        token: userToken,
+        body: { code: codeFor(enroll.body.data.secret, 0) },
+      });
+      assert.equal(
+        (await passwordStep("user", "user123")).body.data.mfaRequired,
+        true
+      );
+
+      const denied = await server.request(
+        "POST",
+        "/api/auth/users/2/mfa-reset",
+        { token: userToken }
+      );
+      assert.equal(denied.status, 403);
+      assert.equal(denied.body.requiredPermission, "user:mfa-reset");
+
+      const reset = await server.request(
+        "POST",
+        "/api/auth/users/2/mfa-reset",
+        { token: adminToken }
+      );
+      assert.equal(reset.status, 200);
+      assert.equal(reset.body.data.removed, true);
+
+      await server.login("user", "user123");
+    });
+  });
+});
+
+describe("password change with two-factor authentication", () => {
+  let server;
+  let secret;
+
+  const codeFor = (offset) =>
+    generateTotp(secret, timeStep(new Date()) + offset);
+
+  const changePassword = (body, token) =>
+    server.request("POST", "/api/auth/change-password", { body, token });
+
+  before(async () => {
+    const fixtures = createFixtures();
+    server = await startTestServer({
+      env: { MFA_REQUIRED_ROLES: "admin" },
+      seed: {
+        ...fixtures,
+        users: [
+          ...fixtures.users,
+          {
+            ...fixtures.users[0],
+            User_ID: 3,
+            User_Name: "stale",
+            Password_Changed_At: new Date("2020-01-01T00:00:00Z"),
+          },
+        ],
+      },
+    });
+
+    const { accessToken } = await server.login("user", "user123");
+    const enroll = await server.request("POST", "/api/auth/mfa/enroll", {
+      token: accessToken,
+    });
+    secret = enroll.body.data.secret;
+    await server.request("POST", "/api/auth/mfa/enroll/confirm", {
+      token: accessToken,
+      body: { code: codeFor(-1) },
+    });
+  });
+
+  after(() => server.close());
+
+  it("is refused with the password alone", async () => {
+    const res = await changePassword({
+      username: "user",
+      currentPassword: "user123",
+      newPassword: "Changed-pass1",
+    });
+    assert.equal(res.status, 403);
+    assert.equal(res.body.error, "MFA_REQUIRED");
+  });
+
+  it("takes the mfaToken from login and a code", async () => {
+    const login = await server.request("POST", "/api/auth/login", {
+      body: { username: "user", password: "user123" },
+    });
+    const body = {
+      username: "user",
+      currentPassword: "user123",
+      newPassword: "Changed-pass1",
+      mfaToken: login.body.data.mfaToken,
+    };
+
+    const wrong = await changePassword({ ...body, code: "000000" });
+    assert.equal(wrong.status, 401);
+    assert.equal(wrong.body.error, "INVALID_MFA_CODE");
+
+    const res = await changePassword({ ...body, code: codeFor(0) });
+    assert.equal(res.status, 200);
+    assert.equal(
+      (
+        await server.request("POST", "/api/auth/login", {
+          body: { username: "user", password: "Changed-pass1" },
+        })
+      ).body.data.mfaRequired,
+      true
+    );
+  });
+
+  it("takes the access token of the signed in user", async () => {
+    const login = await server.request("POST", "/api/auth/login", {
+      body: { username: "user", password: "Changed-pass1" },
+    });
+    const { accessToken } = (
+      await server.request("POST", "/api/auth/mfa/verify", {
+        body: { mfaToken: login.body.data.mfaToken, code: codeFor(1) },
+      })
+    ).body.data;
+
+    const res = await changePassword(
+      {
+        username: "user",
+        currentPassword: "Changed-pass1",
+        newPassword: "Changed-pass2",
+      },
+      accessToken
+    );
+    assert.equal(res.status, 200);
+  });
+
+  it("lets an expired account enroll and change the password", async () => {
+    const login = await server.request("POST", "/api/auth/login", {
+      body: { username: "stale", password: "admin123" },
+    });
+    assert.equal(login.status, 403);
+    assert.equal(login.body.error, "PASSWORD_EXPIRED");
+    const { mfaToken } = login.body;
+
+    const enroll = await server.request("POST", "/api/auth/mfa/enroll", {
+      body: { mfaToken },
+    });
+    secret = enroll.body.data.secret;
+
+    // No tokens for the expired password, and the code is not used up
+    const verify = await server.request("POST", "/api/auth/mfa/verify", {
+      body: { mfaToken, code: codeFor(-1) },
+    });
+    assert.equal(verify.status, 403);
+    assert.equal(verify.body.error, "PASSWORD_EXPIRED");
+
+    const res = await changePassword({
+      username: "stale",
+      currentPassword: "admin123",
+      newPassword: "Changed-pass1",
+      mfaToken,
+      code: codeFor(-1),
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.recoveryCodes.length, 10);
+  });
+});
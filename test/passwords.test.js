@@ -0,0 +1,261 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { createFixtures } = require("../data/fixtures");
+const { loadConfig } = require("../config");
+const {
+  checkPasswordRules,
+  isPasswordExpired,
+} = require("../utils/passwordPolicy");
+const { startTestServer, assertValidationError } = require("./helpers");
+
+const policy = loadConfig({ DATA_SOURCE: "mock" }).passwordPolicy;
+
+describe("password policy", () => {
+  it("lists every rule a password breaks", () => {
+    assert.deepEqual(checkPasswordRules(policy, "newPassword", "abc"), [
+      "newPassword must be at least 8 characters",
+      "newPassword must contain an uppercase letter",
+      "newPassword must contain a digit",
+    ]);
+    assert.deepEqual(checkPasswordRules(policy, "newPassword", "Abcdefg1"), []);
+
+    const symbols = { ...policy, requiredClasses: ["symbol"] };
+    assert.deepEqual(checkPasswordRules(symbols, "p", "abcdefgh"), [
+      "p must contain a symbol",
+    ]);
+  });
+
+  it("expires a password after the maximum age", () => {
+    const now = new Date("2024-04-01T00:00:00Z");
+    assert.equal(isPasswordExpired(policy, new Date("2024-01-01"), now), true);
+    assert.equal(isPasswordExpired(policy, new Date("2024-03-01"), now), false);
+    assert.equal(isPasswordExpired(policy, null, now), false);
+    assert.equal(
+      isPasswordExpired(
+        { ...policy, maxAgeDays: 0 },
+        new Date("2000-01-01"),
+        now
+      ),
+      false
+    );
+  });
+
+  it("reads the policy from the environment", () => {
+    const custom = loadConfig({
+      DATA_SOURCE: "mock",
+      PASSWORD_MIN_LENGTH: "12",
+      PASSWORD_REQUIRED_CLASSES: "Digit, symbol",
+      PASSWORD_HISTORY: "0",
+      PASSWORD_MAX_AGE_DAYS: "0",
+    }).passwordPolicy;
+    assert.equal(custom.minLength, 12);
+    assert.deepEqual(custom.requiredClasses, ["digit", "symbol"]);
+    assert.equal(custom.historyCount, 0);
+    assert.equal(custom.maxAgeDays, 0);
+
+    assert.throws(
+      () =>
+        loadConfig({ DATA_SOURCE: "mock", PASSWORD_REQUIRED_CLASSES: "emoji" }),
+      /PASSWORD_REQUIRED_CLASSES must list lower, upper, digit, symbol/
+    );
+  });
+});
+
+describe("password routes", () => {
+  let server;
+
+  const changePassword = (username, currentPassword, newPassword) =>
+    server.request("POST", "/api/auth/change-password", {
+      body: { username, currentPassword, newPassword },
+    });
+
+  before(async () => {
+    const fixtures = createFixtures();
+    server = await startTestServer({
+      seed: {
+        ...fixtures,
+        users: [
+          ...fixtures.users,
+          {
+            ...fixtures.users[1],
+            User_ID: 3,
+            User_Name: "stale",
+            Password_Changed_At: new Date("2020-01-01T00:00:00Z"),
+          },
+        ],
+        passwordResetTokens: [
+          {
+            Token_Hash: crypto
+              .createHash("sha256")
+              .update("old-token")
+              .digest("hex"),
+            User_ID: 2,
+            Expires_At: new Date("2020-01-01T00:00:00Z"),
+            Created_By: 1,
+            Used_At: null,
+          },
+        ],
+      },
+    });
+  });
+
+  after(() => server.close());
+
+  it("publishes the policy", async () => {
+    const res = await server.request("GET", "/api/auth/password-policy");
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data, {
+      minLength: 8,
+      requiredClasses: ["lower", "upper", "digit"],
+      historyCount: 5,
+      maxAgeDays: 90,
+    });
+  });
+
+  describe("POST /api/auth/change-password", () => {
+    it("requires the current password", async () => {
+      const res = await changePassword("user", "wrong", "Changed-pass1");
+      assert.equal(res.status, 401);
+      assert.equal(res.body.error, "INVALID_CREDENTIALS");
+    });
+
+    it("rejects a password the policy does not allow", async () => {
+      assertValidationError(await changePassword("user", "user123", "Short1"), {
+        newPassword: "newPassword must be at least 8 characters",
+      });
+    });
+
+    it("changes the password and signs out other sessions", async () => {
+      const session = await server.login("user", "user123");
+
+      const res = await changePassword("user", "user123", "Changed-pass1");
+      assert.equal(res.status, 200);
+
+      const refresh = await server.request("POST", "/api/auth/refresh", {
+        cookie: session.refreshCookie,
+      });
+      assert.equal(refresh.status, 403);
+      await assert.rejects(server.login("user", "user123"));
+      await server.login("user", "Changed-pass1");
+    });
+
+    it("refuses a recent password", async () => {
+      assert.equal(
+        (await changePassword("user", "Changed-pass1", "Changed-pass2")).status,
+        200
+      );
+      assertValidationError(
+        await changePassword("user", "Changed-pass2", "Changed-pass1"),
+        { newPassword: "newPassword must not be one of the last 5 passwords" }
+      );
+    });
+  });
+
+  describe("expired passwords", () => {
+    it("are refused at login with a must change state", async () => {
+      for (const path of ["/api/auth/login", "/api/login"]) {
+        const res = await server.request("POST", path, {
+          body: { username: "stale", password: "user123" },
+        });
+        assert.equal(res.status, 403);
+        assert.equal(res.body.error, "PASSWORD_EXPIRED");
+        assert.equal(res.body.mustChangePassword, true);
+        assert.equal(res.cookies.length, 0);
+      }
+    });
+
+    it("can be changed, after which login works", async () => {
+      const res = await changePassword("stale", "user123", "Fresh-pass1");
+      assert.equal(res.status, 200);
+      await server.login("stale", "Fresh-pass1");
+    });
+  });
+
+  describe("reset tokens", () => {
+    const reset = (resetToken, newPassword) =>
+      server.request("POST", "/api/auth/reset-password", {
+        body: { resetToken, newPassword },
+      });
+
+    it("are issued by admins only", async () => {
+      const user = await server.login("stale", "Fresh-pass1");
+      const denied = await server.request(
+        "POST",
+        "/api/auth/users/2/password-reset",
+        { token: user.accessToken }
+      );
+      assert.equal(denied.status, 403);
+
+      const admin = await server.login("admin", "admin123");
+      const missing = await server.request(
+        "POST",
+        "/api/auth/users/99/password-reset",
+        { token: admin.accessToken }
+      );
+      assert.equal(missing.status, 404);
+    });
+
+    it("set a new password once", async () => {
+      const admin = await server.login("admin", "admin123");
+      const issued = await server.request(
+        "POST",
+        "/api/auth/users/2/password-reset",
+        { token: admin.accessToken }
+      );
+      assert.equal(issued.status, 201);
+      const { resetToken, expiresAt } = issued.body.data;
+      assert.ok(new Date(expiresAt) > new Date());
+
+      assertValidationError(await reset(resetToken, "Changed-pass2"), {
+        newPassword: "newPassword must not be one of the last 5 passwords",
+      });
+
+      assert.equal((await reset(resetToken, "Reset-pass1")).status, 200);
+      await server.login("user", "Reset-pass1");
+
+      const again = await reset(resetToken, "Reset-pass2");
+      assert.equal(again.status, 401);
+      assert.equal(again.body.error, "INVALID_RESET_TOKEN");
+    });
+
+    it("are replaced by a newer token", async () => {
+      const admin = await server.login("admin", "admin123");
+      const issue = async () =>
+        (
+          await server.request("POST", "/api/auth/users/2/password-reset", {
+            token: admin.accessToken,
+          })
+        ).body.data.resetToken;
+
+      const first = await issue();
+      const second = await issue();
+      assert.equal((await reset(first, "Reset-pass2")).status, 401);
+      assert.equal((await reset(second, "Reset-pass2")).status, 200);
+    });
+
+    it("stop working once expired", async () => {
+      const res = await reset("old-token", "Reset-pass3");
+      assert.equal(res.status, 401);
+      assert.equal(res.body.error, "INVALID_RESET_TOKEN");
+    });
+  });
+
+  it("applies the policy to new users", async () => {
+    const admin = await server.login("admin", "admin123");
+    const res = await server.request("POST", "/api/users", {
+      token: admin.accessToken,
+      body: {
+        userName: "weak",
+        userPassword: "password1",
+        userType: "User",
+        userAvailabilityStatus: "YES",
+        mobile: "9000000009",
+        email: "weak@example.com",
+      },
+    });
+    assertValidationError(res, {
+      userPassword: "userPassword must contain an uppercase letter",
+    });
+  });
+});
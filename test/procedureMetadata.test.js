@@ -0,0 +1,212 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createFixtures } = require("../data/fixtures");
+const { field } = require("../utils/validation");
+const { logger } = require("../utils/logger");
+const {
+  findDrift,
+  createProcedureMetadata,
+} = require("../utils/procedureMetadata");
+const { startTestServer, assertValidationError } = require("./helpers");
+
+const parameter = (name, type, length = null, precision, scale) => ({
+  PARAMETER_NAME: name,
+  DATA_TYPE: type,
+  CHARACTER_MAXIMUM_LENGTH: length,
+  NUMERIC_PRECISION: precision === undefined ? null : precision,
+  NUMERIC_SCALE: scale === undefined ? null : scale,
+  PARAMETER_MODE: "IN",
+});
+
+const contract = {
+  procedure: "Audit_Sp",
+  params: { Br_Name: "branchName", Amount: "amount", Frdate: "fromDate" },
+  fields: {
+    branchName: field.string({ maxLength: 10 }),
+    amount: field.number(),
+    fromDate: field.date(),
+  },
+};
+
+const signature = [
+  parameter("@Br_Name", "varchar", 10),
+  parameter("@Amount", "decimal", null, 8, 2),
+  parameter("@Frdate", "varchar", 20),
+];
+
+describe("findDrift", () => {
+  it("accepts a matching signature, whatever the name case", () => {
+    assert.deepEqual(
+      findDrift(contract, [
+        parameter("@BR_NAME", "varchar", 10),
+        ...signature.slice(1),
+      ]),
+      []
+    );
+  });
+
+  it("lists every disagreement", () => {
+    const problems = findDrift(contract, [
+      parameter("@Br_Name", "varchar", 5),
+      parameter("@Amount", "varchar", 20),
+      parameter("@Frdate", "char", 8),
+      parameter("@Section", "varchar", 10),
+    ]);
+    assert.deepEqual(problems, [
+      "branchName allows 10 characters but @Br_Name takes 5",
+      "amount is a number but @Amount is varchar",
+      "fromDate is YYYY-MM-DD but @Frdate takes 8 characters",
+      "@Section is never sent",
+    ]);
+
+    assert.deepEqual(findDrift(contract, signature.slice(1)), [
+      "@Br_Name is not a parameter of Audit_Sp",
+    ]);
+    assert.deepEqual(findDrift(contract, []), [
+      "Audit_Sp was not found or takes no parameters",
+    ]);
+  });
+});
+
+describe("createProcedureMetadata", () => {
+  const metadataWith = (listParameters) => {
+    const reads = [];
+    const metadata = createProcedureMetadata({
+      repositories: {
+        procedures: {
+          listParameters: async (procedure) => {
+            reads.push(procedure);
+            return listParameters(procedure);
+          },
+        },
+      },
+    });
+    return { metadata, reads };
+  };
+
+  it("reads a signature once until it is loaded again", async () => {
+    const { metadata, reads } = metadataWith(() => signature);
+    metadata.expect(contract);
+
+    await metadata.load();
+    await metadata.parameters("Audit_Sp");
+    await metadata.validateInputs(contract, { branchName: "MAIN" });
+    assert.deepEqual(reads, ["Audit_Sp"]);
+
+    await metadata.load();
+    assert.deepEqual(reads, ["Audit_Sp", "Audit_Sp"]);
+
+    await metadata.parameters("Other_Sp");
+    assert.deepEqual(reads.at(-1), "Other_Sp");
+  });
+
+  it("tries a failed read again", async () => {
+    let down = true;
+    const { metadata, reads } = metadataWith(() => {
+      if (down) {
+        throw new Error("Failed to connect");
+      }
+      return signature;
+    });
+
+    await assert.rejects(metadata.parameters("Audit_Sp"), /Failed to connect/);
+    down = false;
+    assert.equal((await metadata.parameters("Audit_Sp")).length, 3);
+    assert.equal(reads.length, 2);
+  });
+
+  it("checks values against the parameter sizes", async () => {
+    const { metadata } = metadataWith(() => [
+      parameter("@Br_Name", "varchar", 4),
+      parameter("@Amount", "decimal", null, 8, 2),
+    ]);
+
+    assert.deepEqual(
+      await metadata.validateInputs(contract, {
+        branchName: "MAIN BRANCH",
+        amount: 1000000,
+        fromDate: "2024-01-01",
+      }),
+      [
+        {
+          location: "body",
+          field: "branchName",
+          message: "branchName must be at most 4 characters",
+        },
+        {
+          location: "body",
+          field: "amount",
+          message: "amount must have at most 6 digits before the decimal point",
+        },
+      ]
+    );
+    assert.deepEqual(
+      await metadata.validateInputs(contract, { amount: 999999.99 }),
+      []
+    );
+  });
+
+  it("warns about drifted procedures", async () => {
+    const { metadata } = metadataWith(() => signature.slice(1));
+    metadata.expect(contract);
+    logger.configure({ level: "silent" });
+
+    assert.deepEqual(await metadata.reportDrift(), [
+      {
+        procedure: "Audit_Sp",
+        problems: ["@Br_Name is not a parameter of Audit_Sp"],
+      },
+    ]);
+  });
+});
+
+describe("procedure metadata in the app", () => {
+  let server;
+  let adminToken;
+
+  before(async () => {
+    const fixtures = createFixtures();
+    server = await startTestServer({
+      seed: {
+        ...fixtures,
+        procedureParameters: {
+          ...fixtures.procedureParameters,
+          // Narrowed since the route was written
+          RegMembers_Sp: [
+            ["@Param1", "varchar", 50],
+            ["@Param2", "varchar", 5],
+          ],
+        },
+      },
+    });
+    adminToken = (await server.login("admin", "admin123")).accessToken;
+  });
+
+  after(() => server.close());
+
+  it("rejects input the procedure cannot take", async () => {
+    const res = await server.request("POST", "/api/reportdocument", {
+      body: { programmeName: "MORNING PROGRAMME", timeSlots: "09:00-10:00" },
+      token: adminToken,
+    });
+    assertValidationError(res, {
+      timeSlots: "timeSlots must be at most 5 characters",
+    });
+  });
+
+  it("lists the declared procedures with their drift", async () => {
+    const res = await server.request("GET", "/api/debug/procedure-params", {
+      token: adminToken,
+    });
+    assert.equal(res.status, 200);
+
+    const drift = Object.fromEntries(
+      res.body.procedures.map((p) => [p.procedure, p.drift])
+    );
+    assert.deepEqual(drift.AuditHVTranRpt_Sp, []);
+    assert.deepEqual(drift.RegMembersReport_Sp, []);
+    assert.deepEqual(drift.RegMembers_Sp, [
+      "timeSlots allows 50 characters but @Param2 takes 5",
+    ]);
+  });
+});
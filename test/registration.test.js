@@ -0,0 +1,207 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestServer, assertValidationError } = require("./helpers");
+
+describe("registration routes", () => {
+  let server;
+  let token;
+
+  before(async () => {
+    server = await startTestServer();
+    token = (await server.login("user", "user123")).accessToken;
+  });
+
+  after(() => server.close());
+
+  it("lists the programme names", async () => {
+    const res = await server.request("GET", "/api/ProgrammeName", { token });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.programmeNames, ["MORNING PROGRAMME"]);
+  });
+
+  it("lists the time slots including ALL", async () => {
+    const res = await server.request("GET", "/api/TimeSlots", { token });
+    assert.equal(res.status, 200);
+    assert.ok(res.body.timeSlots.includes("ALL"));
+  });
+
+  it("lists the registration time slots without ALL", async () => {
+    const res = await server.request("GET", "/api/timeslots-for-registration", {
+      token,
+    });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.timeSlots, ["09:00-10:00", "10:00-11:00"]);
+  });
+
+  it("returns the row styling rules", async () => {
+    const res = await server.request("GET", "/api/rowStyling", { token });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data.priority, [
+      "mismatchAttended",
+      "attended",
+      "registered",
+    ]);
+  });
+
+  describe("POST /api/register-member", () => {
+    it("requires every field", async () => {
+      const res = await server.request("POST", "/api/register-member", {
+        body: { name: "Anu", phone: "9000000011", noOfPerson: 2 },
+        token,
+      });
+      assertValidationError(res, { timeSlot: "timeSlot is required" });
+    });
+
+    it("rejects a malformed phone and a fractional number of persons", async () => {
+      const res = await server.request("POST", "/api/register-member", {
+        body: {
+          name: "Anu",
+          phone: "call me",
+          noOfPerson: "2.5",
+          timeSlot: "10:00-11:00",
+        },
+        token,
+      });
+      assertValidationError(res, {
+        phone: "phone has an invalid format",
+        noOfPerson: "noOfPerson must be a whole number",
+      });
+    });
+
+    it("registers a member", async () => {
+      const res = await server.request("POST", "/api/register-member", {
+        body: {
+          name: "Anu",
+          phone: "9000000011",
+          noOfPerson: "3",
+          timeSlot: "10:00-11:00",
+        },
+        token,
+      });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.success, true);
+
+      const report = await server.request("POST", "/api/reportdocument", {
+        body: { programmeName: "MORNING PROGRAMME", timeSlots: "10:00-11:00" },
+        token,
+      });
+      assert.equal(report.body.count, 1);
+      assert.equal(report.body.data[0].Name, "Anu");
+      assert.equal(report.body.data[0].RegPersons, 3);
+    });
+  });
+
+  describe("POST /api/reportdocument", () => {
+    it("requires the programme name and time slots", async () => {
+      const res = await server.request("POST", "/api/reportdocument", {
+        body: { programmeName: "MORNING PROGRAMME" },
+        token,
+      });
+      assertValidationError(res, { timeSlots: "timeSlots is required" });
+    });
+
+    it("returns the members of every slot for ALL", async () => {
+      const res = await server.request("POST", "/api/reportdocument", {
+        body: { programmeName: "MORNING PROGRAMME", timeSlots: "ALL" },
+        token,
+      });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.success, true);
+      assert.equal(res.body.count, res.body.data.length);
+      assert.equal(res.headers.get("cache-control"), "public, max-age=300");
+    });
+  });
+
+  describe("attendance and the members report", () => {
+    const membersReport = (optionValue) =>
+      server.request("POST", "/api/regMembersReport", {
+        body: {
+          programmeName: "MORNING PROGRAMME",
+          timeSlots: "ALL",
+          optionValue,
+        },
+        token,
+      });
+
+    it("requires an option value", async () => {
+      const res = await server.request("POST", "/api/regMembersReport", {
+        body: { programmeName: "MORNING PROGRAMME", timeSlots: "ALL" },
+        token,
+      });
+      assertValidationError(res, { optionValue: "optionValue is required" });
+    });
+
+    it("only accepts option values 0 and 1", async () => {
+      const res = await membersReport(2);
+      assertValidationError(res, {
+        optionValue: "optionValue must be one of: 0, 1",
+      });
+    });
+
+    it("requires the phone and attended persons", async () => {
+      const res = await server.request("POST", "/api/updateAttendMember", {
+        body: { phone: "9000000010" },
+        token,
+      });
+      assertValidationError(res, { atnPersons: "atnPersons is required" });
+    });
+
+    it("downloads the members report as CSV", async () => {
+      const res = await server.request(
+        "POST",
+        "/api/regMembersReport?format=csv",
+        {
+          body: {
+            programmeName: "MORNING PROGRAMME",
+            timeSlots: "ALL",
+            optionValue: 0,
+          },
+          token,
+        }
+      );
+      assert.equal(res.status, 200);
+      assert.equal(
+        res.headers.get("content-disposition"),
+        'attachment; filename="RegMembers_Register_MORNING-PROGRAMME_ALL.csv"'
+      );
+      assert.match(res.body, /Phone/);
+    });
+
+    it("does not print the members report", async () => {
+      const res = await server.request(
+        "POST",
+        "/api/regMembersReport?format=pdf",
+        {
+          body: {
+            programmeName: "MORNING PROGRAMME",
+            timeSlots: "ALL",
+            optionValue: 0,
+          },
+          token,
+        }
+      );
+      assertValidationError(res, {
+        format: "format must be one of: json, csv, xlsx",
+      });
+    });
+
+    it("moves a member from registered to attended", async () => {
+      const registered = await membersReport(0);
+      assert.equal(registered.status, 200);
+      assert.ok(registered.body.data.some((m) => m.Phone === "9000000010"));
+
+      const update = await server.request("POST", "/api/updateAttendMember", {
+        body: { phone: "9000000010", atnPersons: "2" },
+        token,
+      });
+      assert.equal(update.status, 200);
+
+      const attended = await membersReport(1);
+      assert.equal(
+        attended.body.message,
+        "Report generated successfully for Admitted members"
+      );
+      assert.ok(attended.body.data.some((m) => m.Phone === "9000000010"));
+    });
+  });
+});
@@ -0,0 +1,173 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const zlib = require("zlib");
+const { EventEmitter } = require("events");
+const {
+  reportColumns,
+  csvLine,
+  exportFilename,
+  sendReportExport,
+} = require("../utils/reportExport");
+const { buildWorkbook, columnLetter, excelDate } = require("../utils/xlsx");
+
+// Read every entry of a zip built by createZip
+const unzip = (buffer) => {
+  const end = buffer.length - 22;
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  const files = {};
+
+  for (let i = 0; i < count; i += 1) {
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString("utf8", offset + 46, offset + 46 + nameLength);
+
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26);
+    files[name] = zlib
+      .inflateRawSync(buffer.subarray(dataStart, dataStart + compressedSize))
+      .toString();
+    offset += 46 + nameLength;
+  }
+
+  return files;
+};
+
+describe("CSV export", () => {
+  it("quotes separators, quotes and line breaks", () => {
+    assert.equal(
+      csvLine(["plain", "a,b", 'say "hi"', "two\nlines", null, 12.5]),
+      'plain,"a,b","say ""hi""","two\nlines",,12.5\r\n'
+    );
+  });
+
+  it("writes dates as YYYY-MM-DD with the time only when set", () => {
+    assert.equal(
+      csvLine([
+        new Date("2024-01-15T00:00:00Z"),
+        new Date("2024-01-15T09:30:05Z"),
+      ]),
+      "2024-01-15,2024-01-15 09:30:05\r\n"
+    );
+  });
+
+  it("keeps text from running as a spreadsheet formula", () => {
+    assert.equal(csvLine(["=SUM(A1)", "@cmd", -5]), "'=SUM(A1),'@cmd,-5\r\n");
+  });
+
+  it("waits for the socket without piling up listeners", async () => {
+    // A response whose buffer is always full, draining on the next tick
+    const res = new EventEmitter();
+    let written = "";
+    let maxListeners = 0;
+    Object.assign(res, {
+      destroyed: false,
+      attachment() {},
+      type() {},
+      write(chunk) {
+        written += chunk;
+        setImmediate(() => {
+          maxListeners = Math.max(maxListeners, res.listenerCount("close"));
+          res.emit("drain");
+        });
+        return false;
+      },
+      end() {
+        res.ended = true;
+      },
+    });
+    const req = {
+      query: { format: "csv" },
+      log: { info() {} },
+      user: { username: "admin" },
+    };
+    const rows = Array.from({ length: 6000 }, (_, i) => ({ Row_No: i }));
+
+    await sendReportExport(req, res, rows, { filenameParts: ["rows"] });
+    assert.ok(res.ended);
+    assert.equal(written.trim().split("\r\n").length, 6001);
+    assert.equal(maxListeners, 1);
+    assert.equal(res.listenerCount("close"), 0);
+    assert.equal(res.listenerCount("drain"), 0);
+  });
+});
+
+describe("export helpers", () => {
+  it("turns column names into headers", () => {
+    assert.deepEqual(reportColumns([{ Account_No: "A", Amount: 1 }]), [
+      { key: "Account_No", header: "Account No" },
+      { key: "Amount", header: "Amount" },
+    ]);
+    assert.deepEqual(reportColumns([]), []);
+  });
+
+  it("builds filenames from the report parameters", () => {
+    assert.equal(
+      exportFilename(
+        ["HV", "MAIN BRANCH", new Date("2024-01-01"), new Date("2024-12-31")],
+        "xlsx"
+      ),
+      "HV_MAIN-BRANCH_2024-01-01_2024-12-31.xlsx"
+    );
+    assert.equal(
+      exportFilename(["RegMembers", "10:00-11:00", undefined, "../x"], "csv"),
+      "RegMembers_10-00-11-00_x.csv"
+    );
+  });
+
+  it("numbers columns like Excel", () => {
+    assert.deepEqual([0, 25, 26, 701, 702].map(columnLetter), [
+      "A",
+      "Z",
+      "AA",
+      "ZZ",
+      "AAA",
+    ]);
+    assert.equal(excelDate(new Date("2024-01-01T00:00:00Z")), 45292);
+  });
+});
+
+describe("buildWorkbook", () => {
+  const rows = [
+    {
+      Account_No: "ACC001",
+      Amount: 550000.5,
+      Count: 3,
+      Posted: new Date("2024-01-01T00:00:00Z"),
+      Note: "<b>&</b>",
+    },
+    { Account_No: "ACC002", Amount: 10, Count: 1, Posted: null, Note: "" },
+  ];
+  const files = unzip(
+    buildWorkbook({
+      name: "High/Value",
+      columns: reportColumns(rows),
+      rows,
+    })
+  );
+
+  it("contains every part of a workbook", () => {
+    assert.deepEqual(Object.keys(files).sort(), [
+      "[Content_Types].xml",
+      "_rels/.rels",
+      "xl/_rels/workbook.xml.rels",
+      "xl/styles.xml",
+      "xl/workbook.xml",
+      "xl/worksheets/sheet1.xml",
+    ]);
+    assert.match(files["xl/workbook.xml"], /<sheet name="High Value"/);
+  });
+
+  it("writes a bold header row and typed, formatted cells", () => {
+    const sheet = files["xl/worksheets/sheet1.xml"];
+    assert.match(sheet, /<c r="A1" s="1" t="inlineStr"><is><t>Account No<\/t>/);
+    // Fractions anywhere in a column give it the #,##0.00 format
+    assert.match(sheet, /<c r="B2" s="4"><v>550000.5<\/v><\/c>/);
+    assert.match(sheet, /<c r="B3" s="4"><v>10<\/v><\/c>/);
+    assert.match(sheet, /<c r="C2" s="0"><v>3<\/v><\/c>/);
+    assert.match(sheet, /<c r="D2" s="2"><v>45292<\/v><\/c>/);
+    assert.match(sheet, /&lt;b&gt;&amp;&lt;\/b&gt;/);
+    // Empty cells are left out
+    assert.doesNotMatch(sheet, /r="D3"/);
+  });
+});
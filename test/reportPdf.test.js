@@ -0,0 +1,140 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const zlib = require("zlib");
+const { textWidth, fitText, createPdfDocument } = require("../utils/pdf");
+const { formatAmount, renderReportPdf } = require("../utils/reportPdf");
+
+// Text shown on each page of a PDF built by createPdfDocument
+const readPages = (buffer) => {
+  const pdf = buffer.toString("latin1");
+  const pages = [];
+  const streams = /\/Length (\d+) \/Filter \/FlateDecode >>\nstream\n/g;
+  let match;
+  while ((match = streams.exec(pdf))) {
+    const start = match.index + match[0].length;
+    const content = zlib
+      .inflateSync(buffer.subarray(start, start + Number(match[1])))
+      .toString("latin1");
+    pages.push(
+      [...content.matchAll(/\(((?:\\.|[^\\)])*)\) Tj/g)].map((m) =>
+        m[1].replace(/\\(.)/g, "$1")
+      )
+    );
+  }
+  return pages;
+};
+
+// Every xref entry must point at the start of its object
+const assertValidXref = (buffer) => {
+  const pdf = buffer.toString("latin1");
+  assert.ok(pdf.startsWith("%PDF-1.4"));
+  assert.ok(pdf.trimEnd().endsWith("%%EOF"));
+
+  const startxref = Number(pdf.match(/startxref\n(\d+)/)[1]);
+  const lines = pdf.slice(startxref).split("\n");
+  assert.equal(lines[0], "xref");
+  const count = Number(lines[1].split(" ")[1]);
+  for (let id = 1; id < count; id += 1) {
+    const offset = Number(lines[2 + id].slice(0, 10));
+    assert.ok(pdf.startsWith(`${id} 0 obj`, offset), `object ${id}`);
+  }
+};
+
+describe("pdf writer", () => {
+  it("measures Helvetica text", () => {
+    assert.equal(textWidth("Hello", "regular", 10), 22.78);
+    assert.ok(
+      textWidth("Hello", "bold", 10) > textWidth("Hello", "regular", 10)
+    );
+  });
+
+  it("cuts text to a width with an ellipsis", () => {
+    assert.equal(fitText("short", 100, "regular", 10), "short");
+    const cut = fitText("a much longer piece of text", 50, "regular", 10);
+    assert.ok(cut.endsWith("..."));
+    assert.ok(textWidth(cut, "regular", 10) <= 50);
+  });
+
+  it("writes a valid document with escaped text", () => {
+    const doc = createPdfDocument();
+    doc.addPage();
+    doc.text("Total (2) \\ done", 10, 20);
+    doc.addPage();
+    doc.text("₹ café", 10, 20);
+
+    const buffer = doc.toBuffer({ title: "Test" });
+    assertValidXref(buffer);
+    assert.match(buffer.toString("latin1"), /\/Count 2/);
+    assert.deepEqual(readPages(buffer), [["Total (2) \\ done"], ["? café"]]);
+  });
+});
+
+describe("renderReportPdf", () => {
+  const rows = Array.from({ length: 60 }, (_, i) => ({
+    Account_No: `ACC${String(i).padStart(3, "0")}`,
+    Transaction_Amount: 500000 + i,
+    Transaction_Date: new Date(Date.UTC(2024, 0, 1 + i)),
+  }));
+
+  const render = (overrides = {}) =>
+    readPages(
+      renderReportPdf({
+        companyName: "Test Co-operative",
+        title: "High Value Transactions",
+        parameters: [
+          { label: "Branch", value: "MAIN" },
+          { label: "From date", value: new Date("2024-01-01") },
+        ],
+        columns: [
+          { key: "Account_No", header: "Account No" },
+          { key: "Transaction_Amount", header: "Transaction Amount" },
+          { key: "Transaction_Date", header: "Transaction Date" },
+        ],
+        rows,
+        totals: ["Transaction_Amount"],
+        generatedBy: "auditor",
+        generatedAt: new Date("2024-06-01T10:15:00Z"),
+        ...overrides,
+      })
+    );
+
+  it("repeats the header and table header on every page", () => {
+    const pages = render();
+    assert.ok(pages.length > 1);
+    for (const page of pages) {
+      assert.equal(page[0], "Test Co-operative");
+      assert.equal(page[1], "High Value Transactions");
+      assert.ok(page.includes("Account No"));
+    }
+  });
+
+  it("prints the parameters on the first page", () => {
+    const [first] = render();
+    assert.ok(first.includes("Branch:"));
+    assert.ok(first.includes("MAIN"));
+    assert.ok(first.includes("2024-01-01"));
+  });
+
+  it("prints every row, formatted, and the totals", () => {
+    const text = render().flat();
+    assert.equal(text.filter((t) => /^ACC\d{3}$/.test(t)).length, 60);
+    assert.ok(text.includes("500,059.00"));
+    assert.ok(text.includes("Total (60 rows)"));
+    assert.ok(text.includes(formatAmount(500000 * 60 + (59 * 60) / 2)));
+    assert.ok(text.includes("Verified by"));
+  });
+
+  it("numbers the pages and stamps who generated them", () => {
+    const pages = render();
+    pages.forEach((page, i) => {
+      assert.ok(page.includes(`Page ${i + 1} of ${pages.length}`));
+      assert.ok(page.includes("Generated by auditor at 2024-06-01 10:15 UTC"));
+    });
+  });
+
+  it("says so when there are no rows", () => {
+    const pages = render({ rows: [], columns: [] });
+    assert.equal(pages.length, 1);
+    assert.ok(pages[0].includes("No rows for the selected parameters."));
+  });
+});
@@ -0,0 +1,70 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  isReportPeriod,
+  resolveReportPeriod,
+} = require("../utils/reportPeriods");
+
+// Friday 1 March 2024, mid morning local time
+const FIRST_OF_MARCH = new Date(2024, 2, 1, 10, 30);
+
+describe("resolveReportPeriod", () => {
+  for (const [period, fromDate, toDate] of [
+    ["today", "2024-03-01", "2024-03-01"],
+    ["yesterday", "2024-02-29", "2024-02-29"],
+    ["current week", "2024-02-26", "2024-03-01"],
+    ["previous week", "2024-02-19", "2024-02-25"],
+    ["current month", "2024-03-01", "2024-03-01"],
+    ["previous month", "2024-02-01", "2024-02-29"],
+    ["current quarter", "2024-01-01", "2024-03-01"],
+    ["previous quarter", "2023-10-01", "2023-12-31"],
+    ["current year", "2024-01-01", "2024-03-01"],
+    ["previous year", "2023-01-01", "2023-12-31"],
+    ["last 7 days", "2024-02-24", "2024-03-01"],
+  ]) {
+    it(`resolves ${period}`, () => {
+      assert.deepEqual(resolveReportPeriod(period, FIRST_OF_MARCH), {
+        fromDate,
+        toDate,
+      });
+    });
+  }
+
+  it("crosses the year in January", () => {
+    const now = new Date(2024, 0, 10);
+    assert.deepEqual(resolveReportPeriod("previous month", now), {
+      fromDate: "2023-12-01",
+      toDate: "2023-12-31",
+    });
+    assert.deepEqual(resolveReportPeriod("previous quarter", now), {
+      fromDate: "2023-10-01",
+      toDate: "2023-12-31",
+    });
+  });
+
+  it("ignores case and surrounding spaces", () => {
+    assert.deepEqual(resolveReportPeriod(" Previous Month ", FIRST_OF_MARCH), {
+      fromDate: "2024-02-01",
+      toDate: "2024-02-29",
+    });
+  });
+
+  it("rejects an unknown period", () => {
+    assert.throws(
+      () => resolveReportPeriod("next month", FIRST_OF_MARCH),
+      /Unknown report period: next month/
+    );
+  });
+});
+
+describe("isReportPeriod", () => {
+  it("accepts named and last N days periods", () => {
+    assert.equal(isReportPeriod("previous quarter"), true);
+    assert.equal(isReportPeriod("Last 30 Days"), true);
+  });
+
+  it("rejects anything else", () => {
+    assert.equal(isReportPeriod("last 0 days"), false);
+    assert.equal(isReportPeriod("fortnight"), false);
+  });
+});
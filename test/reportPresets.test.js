@@ -0,0 +1,234 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createFixtures } = require("../data/fixtures");
+const { startTestServer, assertValidationError } = require("./helpers");
+
+const highValueParameters = (overrides = {}) => ({
+  branchName: "ALL",
+  section: "DEPOSIT",
+  scheme: "ALL",
+  amount1: 500000,
+  amount2: 600000,
+  fromDate: "2024-01-01",
+  toDate: "2024-12-31",
+  ...overrides,
+});
+
+const preset = (overrides = {}) => ({
+  name: "Deposits this year",
+  procedure: "AuditHVTranRpt_Sp",
+  parameters: highValueParameters(),
+  ...overrides,
+});
+
+describe("report preset routes", () => {
+  let server;
+  let adminToken;
+  let userToken;
+
+  before(async () => {
+    server = await startTestServer({
+      seed: {
+        ...createFixtures(),
+        // Saved before amount2 had to cover amount1
+        reportPresets: [
+          {
+            Preset_ID: 50,
+            Preset_Name: "Outdated",
+            Proc_Name: "AuditHVTranRpt_Sp",
+            Parameters: JSON.stringify(
+              highValueParameters({ amount1: 900000 })
+            ),
+            Owner_ID: 2,
+            Owner_Name: "user",
+            Shared_Role: null,
+            Created_At: new Date("2024-01-01T00:00:00Z"),
+            Updated_At: null,
+          },
+        ],
+      },
+    });
+    adminToken = (await server.login("admin", "admin123")).accessToken;
+    userToken = (await server.login("user", "user123")).accessToken;
+  });
+
+  after(() => server.close());
+
+  const save = (body, token = userToken) =>
+    server.request("POST", "/api/report-presets", { body, token });
+
+  const list = async (token, query = "") =>
+    (await server.request("GET", `/api/report-presets${query}`, { token })).body
+      .presets;
+
+  it("requires a token", async () => {
+    const res = await server.request("GET", "/api/report-presets");
+    assert.equal(res.status, 401);
+  });
+
+  it("checks the parameters against the report", async () => {
+    assertValidationError(
+      await save(
+        preset({ parameters: highValueParameters({ branchName: undefined }) })
+      ),
+      { "parameters.branchName": "branchName is required" }
+    );
+    assertValidationError(
+      await save(preset({ parameters: highValueParameters({ amount1: 1e9 }) })),
+      { "parameters.amount1": "amount1 cannot be greater than amount2" }
+    );
+    assertValidationError(await save(preset({ procedure: "Unknown_Sp" })), {
+      procedure:
+        "procedure must be one of: AuditHVTranRpt_Sp, AuditUserrightRpt_Sp, AuditUserrightTranRpt_sp",
+    });
+  });
+
+  it("refuses a preset for a report the user cannot run", async () => {
+    const res = await save(
+      preset({ procedure: "AuditUserrightRpt_Sp", parameters: { user: "x" } })
+    );
+    assert.equal(res.status, 403);
+    assert.equal(res.body.requiredPermission, "report:userright");
+  });
+
+  it("saves, runs, updates and deletes a preset", async () => {
+    const created = await save(
+      preset({ parameters: { ...highValueParameters(), extra: "dropped" } })
+    );
+    assert.equal(created.status, 201);
+    const saved = created.body.preset;
+    assert.equal(saved.ownerName, "user");
+    assert.equal(saved.sharedRole, null);
+    assert.deepEqual(saved.parameters, highValueParameters());
+
+    const url = `/api/report-presets/${saved.presetId}`;
+
+    const duplicate = await save(preset());
+    assert.equal(duplicate.status, 409);
+    assert.equal(
+      duplicate.body.message,
+      "You already have a report preset named Deposits this year"
+    );
+
+    const ran = await server.request("POST", `${url}/run?pageSize=1`, {
+      token: userToken,
+    });
+    assert.equal(ran.status, 200);
+    assert.equal(ran.body.rows.length, 1);
+    assert.equal(ran.body.pagination.totalRows, 2);
+
+    const csv = await server.request("POST", `${url}/run?format=csv`, {
+      token: userToken,
+    });
+    assert.equal(csv.status, 200);
+    assert.match(
+      csv.headers.get("content-disposition"),
+      /HV_ALL_2024-01-01_2024-12-31\.csv/
+    );
+
+    const updated = await server.request("PUT", url, {
+      body: preset({
+        name: "Savings",
+        parameters: highValueParameters({ scheme: "SAVINGS" }),
+      }),
+      token: userToken,
+    });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.preset.name, "Savings");
+    assert.ok(updated.body.preset.updatedAt);
+
+    const savings = await server.request("POST", `${url}/run`, {
+      token: userToken,
+    });
+    assert.deepEqual(
+      savings.body.rows.map((row) => row.Account_No),
+      ["ACC001"]
+    );
+
+    const removed = await server.request("DELETE", url, { token: userToken });
+    assert.equal(removed.status, 200);
+    assert.equal(
+      (await server.request("GET", url, { token: userToken })).status,
+      404
+    );
+  });
+
+  it("shares a preset with a role, read and run only", async () => {
+    const created = await save(
+      preset({ name: "Shared with users", sharedRole: "user" }),
+      adminToken
+    );
+    const { presetId } = created.body.preset;
+    const privateOne = await save(preset({ name: "Admin only" }), adminToken);
+    const url = `/api/report-presets/${presetId}`;
+
+    const visible = (await list(userToken)).map((p) => p.name);
+    assert.ok(visible.includes("Shared with users"));
+    assert.ok(!visible.includes("Admin only"));
+
+    const ran = await server.request("POST", `${url}/run`, {
+      token: userToken,
+    });
+    assert.equal(ran.status, 200);
+
+    const changed = await server.request("PUT", url, {
+      body: preset({ name: "Taken over" }),
+      token: userToken,
+    });
+    assert.equal(changed.status, 403);
+    assert.equal(
+      changed.body.message,
+      "Only the owner can change a report preset"
+    );
+    assert.equal(
+      (await server.request("DELETE", url, { token: userToken })).status,
+      403
+    );
+
+    const hidden = await server.request(
+      "GET",
+      `/api/report-presets/${privateOne.body.preset.presetId}`,
+      { token: userToken }
+    );
+    assert.equal(hidden.status, 404);
+  });
+
+  it("filters the list by report", async () => {
+    await save(
+      preset({
+        name: "Transfers",
+        procedure: "AuditUserrightTranRpt_sp",
+        parameters: {
+          user: "user",
+          fromDate: "2024-01-01",
+          toDate: "2024-12-31",
+        },
+      }),
+      adminToken
+    );
+
+    const presets = await list(
+      adminToken,
+      "?procedure=AuditUserrightTranRpt_sp"
+    );
+    assert.deepEqual(
+      presets.map((p) => p.name),
+      ["Transfers"]
+    );
+  });
+
+  it("rejects a stored preset that no longer fits the report", async () => {
+    const res = await server.request("POST", "/api/report-presets/50/run", {
+      token: userToken,
+    });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.message, "Report preset is no longer valid");
+    assert.deepEqual(res.body.errors, [
+      {
+        location: "preset",
+        field: "parameters.amount1",
+        message: "amount1 cannot be greater than amount2",
+      },
+    ]);
+  });
+});
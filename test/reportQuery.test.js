@@ -0,0 +1,223 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { applyReportQuery, createReportCache } = require("../utils/reportQuery");
+const { ValidationError } = require("../utils/errors");
+
+const rows = [
+  { Name: "Ravi", Amount: 300, Joined: new Date("2024-03-01"), City: "Kochi" },
+  { Name: "anu", Amount: 1200, Joined: new Date("2024-01-15"), City: null },
+  { Name: "Bala", Amount: 75, Joined: new Date("2024-02-10"), City: "Kollam" },
+];
+
+const names = (result) => result.rows.map((row) => row.Name);
+
+describe("applyReportQuery", () => {
+  it("returns every row when no paging is asked for", () => {
+    const result = applyReportQuery(rows, {});
+    assert.equal(result.rows.length, 3);
+    assert.deepEqual(result.pagination, {
+      totalRows: 3,
+      filteredRows: 3,
+      page: 1,
+      pageSize: 3,
+      totalPages: 1,
+      nextCursor: null,
+    });
+  });
+
+  it("sorts numbers, dates and text case-insensitively", () => {
+    assert.deepEqual(names(applyReportQuery(rows, { sort: "-Amount" })), [
+      "anu",
+      "Ravi",
+      "Bala",
+    ]);
+    assert.deepEqual(names(applyReportQuery(rows, { sort: "Joined" })), [
+      "anu",
+      "Bala",
+      "Ravi",
+    ]);
+    assert.deepEqual(names(applyReportQuery(rows, { sort: "Name" })), [
+      "anu",
+      "Bala",
+      "Ravi",
+    ]);
+  });
+
+  it("sorts empty cells last in both directions", () => {
+    assert.equal(names(applyReportQuery(rows, { sort: "City" }))[2], "anu");
+    assert.equal(names(applyReportQuery(rows, { sort: "-City" }))[2], "anu");
+  });
+
+  it("applies every filter", () => {
+    const result = applyReportQuery(rows, {
+      filter: ["Amount:gt:100", "City:contains:KOCH"],
+    });
+    assert.deepEqual(names(result), ["Ravi"]);
+    assert.equal(result.pagination.filteredRows, 1);
+    assert.equal(result.pagination.totalRows, 3);
+  });
+
+  it("compares dates and keeps colons in filter values", () => {
+    assert.deepEqual(
+      names(applyReportQuery(rows, { filter: ["Joined:lt:2024-02-01"] })),
+      ["anu"]
+    );
+    assert.deepEqual(
+      applyReportQuery([{ Slot: "10:00-11:00" }], {
+        filter: ["Slot:eq:10:00-11:00"],
+      }).rows,
+      [{ Slot: "10:00-11:00" }]
+    );
+  });
+
+  it("matches eq case-insensitively and ne on empty cells", () => {
+    assert.deepEqual(
+      names(applyReportQuery(rows, { filter: ["Name:eq:ANU"] })),
+      ["anu"]
+    );
+    assert.deepEqual(
+      names(applyReportQuery(rows, { filter: ["City:ne:Kochi"] })),
+      ["anu", "Bala"]
+    );
+  });
+
+  it("pages by number and by cursor", () => {
+    const first = applyReportQuery(rows, { sort: "Amount", pageSize: 2 });
+    assert.deepEqual(names(first), ["Bala", "Ravi"]);
+    assert.equal(first.pagination.totalPages, 2);
+    assert.ok(first.pagination.nextCursor);
+
+    const byCursor = applyReportQuery(rows, {
+      sort: "Amount",
+      pageSize: 2,
+      cursor: first.pagination.nextCursor,
+    });
+    const byPage = applyReportQuery(rows, {
+      sort: "Amount",
+      pageSize: 2,
+      page: 2,
+    });
+    assert.deepEqual(names(byCursor), ["anu"]);
+    assert.deepEqual(byCursor, byPage);
+    assert.equal(byPage.pagination.nextCursor, null);
+  });
+
+  const rejects = (query, field, message) =>
+    assert.throws(
+      () => applyReportQuery(rows, query),
+      (err) =>
+        err instanceof ValidationError &&
+        err.details.errors[0].field === field &&
+        err.details.errors[0].message === message
+    );
+
+  it("rejects unknown columns and operators", () => {
+    rejects({ sort: "Nope" }, "sort", "sort column Nope is not in the report");
+    rejects(
+      { filter: ["Nope:eq:1"] },
+      "filter",
+      "filter column Nope is not in the report"
+    );
+    rejects(
+      { filter: ["Amount:like:1"] },
+      "filter",
+      "filter operator must be one of: eq, ne, contains, gt, gte, lt, lte"
+    );
+    rejects(
+      { filter: ["Amount"] },
+      "filter",
+      "filter must look like column:operator:value"
+    );
+  });
+
+  it("rejects a bad cursor and a cursor with a page", () => {
+    rejects({ cursor: "not-a-cursor" }, "cursor", "cursor is not valid");
+    rejects(
+      { cursor: "e30", page: 1 },
+      "cursor",
+      "Send either page or cursor, not both"
+    );
+  });
+
+  it("accepts any column of an empty result", () => {
+    const result = applyReportQuery([], { sort: "Anything", page: 1 });
+    assert.deepEqual(result.rows, []);
+    assert.equal(result.pagination.totalPages, 0);
+  });
+});
+
+describe("createReportCache", () => {
+  const counter = () => {
+    const run = async () => {
+      run.calls += 1;
+      return [{ call: run.calls }];
+    };
+    run.calls = 0;
+    return run;
+  };
+
+  it("reuses a result per procedure and parameter set", async () => {
+    const cache = createReportCache({ ttlMs: 60000 });
+    const run = counter();
+
+    await cache.load("Proc_Sp", { a: 1 }, run);
+    await cache.load("Proc_Sp", { a: 1 }, run);
+    assert.equal(run.calls, 1);
+
+    await cache.load("Proc_Sp", { a: 2 }, run);
+    assert.equal(run.calls, 2);
+  });
+
+  it("shares one run between concurrent loads", async () => {
+    const cache = createReportCache({ ttlMs: 60000 });
+    const run = counter();
+
+    await Promise.all([
+      cache.load("Proc_Sp", {}, run),
+      cache.load("Proc_Sp", {}, run),
+    ]);
+    assert.equal(run.calls, 1);
+  });
+
+  it("runs again after invalidation, expiry or a failure", async () => {
+    const cache = createReportCache({ ttlMs: 60000 });
+    const run = counter();
+
+    await cache.load("Proc_Sp", {}, run);
+    cache.invalidate("Other_Sp");
+    await cache.load("Proc_Sp", {}, run);
+    assert.equal(run.calls, 1);
+
+    cache.invalidate("Proc_Sp");
+    await cache.load("Proc_Sp", {}, run);
+    assert.equal(run.calls, 2);
+
+    await assert.rejects(
+      cache.load("Failing_Sp", {}, async () => {
+        throw new Error("boom");
+      })
+    );
+    assert.deepEqual(await cache.load("Failing_Sp", {}, run), [{ call: 3 }]);
+
+    const disabled = createReportCache({ ttlMs: 0 });
+    await disabled.load("Proc_Sp", {}, run);
+    await disabled.load("Proc_Sp", {}, run);
+    assert.equal(run.calls, 5);
+  });
+
+  it("evicts the least recently used entry", async () => {
+    const cache = createReportCache({ ttlMs: 60000, maxEntries: 2 });
+    const run = counter();
+
+    await cache.load("Proc_Sp", { a: 1 }, run);
+    await cache.load("Proc_Sp", { a: 2 }, run);
+    await cache.load("Proc_Sp", { a: 1 }, run);
+    await cache.load("Proc_Sp", { a: 3 }, run);
+    assert.equal(run.calls, 3);
+
+    await cache.load("Proc_Sp", { a: 1 }, run);
+    assert.equal(run.calls, 3);
+    await cache.load("Proc_Sp", { a: 2 }, run);
+    assert.equal(run.calls, 4);
+  });
+});
@@ -0,0 +1,289 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { createFixtures } = require("../data/fixtures");
+const { logger } = require("../utils/logger");
+const { createMemoryRepositories } = require("../repositories");
+const { createProcedureMetadata } = require("../utils/procedureMetadata");
+const {
+  compileReport,
+  createReportRegistry,
+  ReportConfigError,
+} = require("../utils/reportRegistry");
+const { startTestServer, assertValidationError } = require("./helpers");
+
+const entry = (overrides = {}) => ({
+  id: 10,
+  caption: "Dormant Accounts",
+  description: "Accounts without a transaction since a date",
+  procedure: "AuditDormantRpt_Sp",
+  parameters: JSON.stringify([
+    { name: "branchName", param: "Br_Name", type: "string", maxLength: 10 },
+    { name: "sinceDate", param: "Frdate", type: "date", required: true },
+  ]),
+  permission: "report:menu",
+  ...overrides,
+});
+
+describe("compileReport", () => {
+  it("maps inputs to procedure parameters", async () => {
+    const definition = compileReport(entry());
+    const calls = [];
+    const repositories = {
+      procedures: {
+        execute: async (...args) => {
+          calls.push(args);
+          return [];
+        },
+      },
+    };
+
+    await definition.run(repositories, { sinceDate: "2024-01-01" });
+    assert.deepEqual(calls, [
+      [
+        "AuditDormantRpt_Sp",
+        [
+          { name: "Br_Name", type: "string", maxLength: 10, value: null },
+          {
+            name: "Frdate",
+            type: "date",
+            maxLength: undefined,
+            value: "2024-01-01",
+          },
+        ],
+      ],
+    ]);
+    assert.equal(definition.permission, "report:menu");
+    assert.deepEqual(definition.filenameParts({ sinceDate: "2024-01-01" }), [
+      "Dormant Accounts",
+      undefined,
+      "2024-01-01",
+    ]);
+  });
+
+  it("rejects configuration it cannot run", () => {
+    const invalid = {
+      "not json": { parameters: "[{" },
+      "not an array": { parameters: '{"name":"x"}' },
+      "an unknown type": {
+        parameters: JSON.stringify([{ name: "x", type: "money" }]),
+      },
+      "a bad parameter name": {
+        parameters: JSON.stringify([
+          { name: "x", param: "x; DROP", type: "string" },
+        ]),
+      },
+      "a repeated input": {
+        parameters: JSON.stringify([
+          { name: "x", type: "string" },
+          { name: "x", type: "date" },
+        ]),
+      },
+      "an unknown notAfter": {
+        parameters: JSON.stringify([
+          { name: "x", type: "date", notAfter: "y" },
+        ]),
+      },
+      "no permission": { permission: null },
+      "an unknown permission": { permission: "report:everything" },
+      "a bad procedure name": { procedure: "Sp; DROP TABLE x" },
+    };
+
+    for (const [reason, overrides] of Object.entries(invalid)) {
+      assert.throws(
+        () => compileReport(entry(overrides)),
+        ReportConfigError,
+        reason
+      );
+    }
+  });
+});
+
+// Menu_Report_tbl rows added to the fixtures
+const registeredEntries = [
+  {
+    Mnu_ID: 10,
+    Mnu_Caption: "Dormant Accounts",
+    Mnu_URL: "/reports/dormant",
+    Mnu_Description: "Accounts without a transaction since a date",
+    Mnu_Order: 10,
+    Mnu_Active: 1,
+    Mnu_Proc_Name: "AuditDormantRpt_Sp",
+    Mnu_Params: entry().parameters,
+    Mnu_Permission: "report:menu",
+  },
+  {
+    Mnu_ID: 12,
+    Mnu_Caption: "Qualified",
+    Mnu_URL: "/reports/qualified",
+    Mnu_Description: "Names its procedure with the schema",
+    Mnu_Order: 12,
+    Mnu_Active: 1,
+    Mnu_Proc_Name: "dbo.AuditHVTranRpt_Sp",
+    // Longer than the 10 characters @Br_Name takes
+    Mnu_Params: JSON.stringify([
+      {
+        name: "branchName",
+        param: "Br_Name",
+        type: "string",
+        maxLength: 50,
+      },
+    ]),
+    Mnu_Permission: "report:menu",
+  },
+  {
+    Mnu_ID: 11,
+    Mnu_Caption: "Broken",
+    Mnu_URL: "/reports/broken",
+    Mnu_Description: "Typo in its inputs",
+    Mnu_Order: 11,
+    Mnu_Active: 1,
+    Mnu_Proc_Name: "AuditBrokenRpt_Sp",
+    Mnu_Params: "[{",
+    Mnu_Permission: null,
+  },
+];
+
+describe("createReportRegistry", () => {
+  it("declares every registered report for the drift check", async () => {
+    logger.configure({ level: "silent" });
+    const fixtures = createFixtures();
+    const repositories = createMemoryRepositories({
+      ...fixtures,
+      menu: [...fixtures.menu, ...registeredEntries],
+    });
+    const procedureMetadata = createProcedureMetadata({ repositories });
+    const registry = createReportRegistry({ repositories, procedureMetadata });
+
+    await registry.expectAll();
+    const drift = await procedureMetadata.reportDrift();
+
+    // Entry 11 does not compile and is left out
+    assert.deepEqual(
+      drift
+        .filter((entry) => entry.contract)
+        .map((entry) => [entry.contract, entry.problems[0]]),
+      [
+        [
+          "Menu_Report_tbl 10",
+          "AuditDormantRpt_Sp was not found or takes no parameters",
+        ],
+        [
+          "Menu_Report_tbl 12",
+          "branchName allows 50 characters but @Br_Name takes 10",
+        ],
+      ]
+    );
+  });
+});
+
+describe("report registry routes", () => {
+  let server;
+  let userToken;
+
+  before(async () => {
+    logger.configure({ level: "silent" });
+    const fixtures = createFixtures();
+    server = await startTestServer({
+      seed: {
+        ...fixtures,
+        menu: [...fixtures.menu, ...registeredEntries],
+        procedureResults: {
+          ...fixtures.procedureResults,
+          AuditDormantRpt_Sp: [
+            { Account_No: "ACC009", Last_Transaction: "2019-05-01" },
+            { Account_No: "ACC010", Last_Transaction: "2020-11-30" },
+          ],
+        },
+      },
+    });
+    userToken = (await server.login("user", "user123")).accessToken;
+  });
+
+  after(() => server.close());
+
+  const run = (reportId, body, query = "") =>
+    server.request("POST", `/api/reports/${reportId}/run${query}`, {
+      body,
+      token: userToken,
+    });
+
+  it("describes the inputs without the procedure parameters", async () => {
+    const res = await server.request("GET", "/api/reports/1/params", {
+      token: userToken,
+    });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.report, {
+      id: 1,
+      caption: "High Value Transactions",
+      description: "Transactions within an amount range",
+      permission: "report:hv",
+    });
+    assert.deepEqual(res.body.inputs[0], {
+      name: "branchName",
+      label: "Branch",
+      type: "string",
+      required: true,
+      maxLength: 10,
+      lookup: "/api/branches",
+    });
+  });
+
+  it("runs a report added as configuration only", async () => {
+    const res = await run(10, { sinceDate: "2024-01-01" }, "?pageSize=1");
+    assert.equal(res.status, 200);
+    assert.equal(res.body.rows.length, 1);
+    assert.equal(res.body.pagination.totalRows, 2);
+
+    const csv = await run(10, { sinceDate: "2024-01-01" }, "?format=csv");
+    assert.match(
+      csv.headers.get("content-disposition"),
+      /Dormant-Accounts_2024-01-01\.csv/
+    );
+  });
+
+  it("validates the body against the configured inputs", async () => {
+    assertValidationError(await run(10, { branchName: "B".repeat(11) }), {
+      branchName: "branchName must be at most 10 characters",
+      sinceDate: "sinceDate is required",
+    });
+    assertValidationError(
+      await run(1, {
+        branchName: "ALL",
+        section: "DEPOSIT",
+        scheme: "ALL",
+        amount1: 600000,
+        amount2: 500000,
+        fromDate: "2024-01-01",
+        toDate: "2024-12-31",
+      }),
+      { amount1: "amount1 cannot be greater than amount2" }
+    );
+  });
+
+  it("checks a schema qualified procedure against its parameters", async () => {
+    assertValidationError(await run(12, { branchName: "B".repeat(11) }), {
+      branchName: "branchName must be at most 10 characters",
+    });
+  });
+
+  it("needs the permission configured for the report", async () => {
+    const res = await run(3, {});
+    assert.equal(res.status, 403);
+    assert.equal(res.body.requiredPermission, "report:userright");
+  });
+
+  it("answers 404 for an entry without a procedure", async () => {
+    const res = await server.request("GET", "/api/reports/2/params", {
+      token: userToken,
+    });
+    assert.equal(res.status, 404);
+    assert.equal(res.body.message, "No report found with ID: 2");
+  });
+
+  it("answers 500 for a misconfigured entry", async () => {
+    const res = await run(11, {});
+    assert.equal(res.status, 500);
+    assert.equal(res.body.error, "REPORT_MISCONFIGURED");
+    assert.equal(res.body.message, "Report 11 is not configured correctly");
+  });
+});
@@ -0,0 +1,404 @@
+const {
+  describe,
+  it,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+} = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { loadConfig } = require("../config");
+const { logger } = require("../utils/logger");
+const { createFixtures } = require("../data/fixtures");
+const { createMemoryRepositories } = require("../repositories");
+const { createReportDelivery } = require("../utils/reportDelivery");
+const { createReportScheduler } = require("../utils/reportScheduler");
+const {
+  startTestServer,
+  assertValidationError,
+  startSmtpServer,
+} = require("./helpers");
+
+const highValueSchedule = (overrides = {}) => ({
+  name: "Monthly high value",
+  procedure: "AuditHVTranRpt_Sp",
+  parameters: {
+    branchName: "ALL",
+    section: "DEPOSIT",
+    scheme: "ALL",
+    amount1: 500000,
+    amount2: 600000,
+  },
+  period: "previous month",
+  format: "csv",
+  cron: "0 6 1 * *",
+  ...overrides,
+});
+
+const tempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), "outbox-"));
+
+// The attachment of a multipart message sent by utils/smtp
+const attachmentOf = (data) => {
+  const part = data.split(/\r\n--/).find((p) => /filename=/.test(p));
+  return Buffer.from(part.split("\r\n\r\n")[1], "base64").toString();
+};
+
+describe("report scheduler", () => {
+  let outboxDir;
+  let repositories;
+  let clock;
+  let scheduler;
+
+  const createScheduler = (env = {}) => {
+    const config = loadConfig({
+      DATA_SOURCE: "mock",
+      LOG_LEVEL: "silent",
+      REPORT_OUTBOX_DIR: outboxDir,
+      ...env,
+    });
+    return createReportScheduler({
+      config,
+      repositories,
+      delivery: createReportDelivery({ config }),
+      now: () => clock,
+    });
+  };
+
+  const saveSchedule = (overrides = {}) =>
+    repositories.reportSchedules.create({
+      ...highValueSchedule(),
+      parameters: highValueSchedule().parameters,
+      delivery: "outbox",
+      recipients: [],
+      active: true,
+      nextRunAt: new Date(2024, 1, 1, 6, 0),
+      createdBy: "admin",
+      ...overrides,
+    });
+
+  // Failed runs log an error
+  before(() => logger.configure({ level: "silent" }));
+
+  beforeEach(() => {
+    outboxDir = tempDir();
+    repositories = createMemoryRepositories(createFixtures());
+    // 06:00 on 1 February 2024 - the previous month is January
+    clock = new Date(2024, 1, 1, 6, 0);
+    scheduler = createScheduler();
+  });
+
+  afterEach(() => fs.rmSync(outboxDir, { recursive: true, force: true }));
+
+  it("runs a due schedule into the outbox with the period resolved", async () => {
+    const schedule = await saveSchedule();
+
+    assert.equal(await scheduler.tick(), 1);
+
+    const [run] = await repositories.reportSchedules.listRuns({ limit: 10 });
+    assert.equal(run.scheduleId, schedule.scheduleId);
+    assert.equal(run.trigger, "schedule");
+    assert.equal(run.status, "succeeded");
+    assert.equal(run.rowCount, 2);
+    assert.equal(run.parameters.fromDate, "2024-01-01");
+    assert.equal(run.parameters.toDate, "2024-01-31");
+
+    const files = fs.readdirSync(outboxDir);
+    assert.deepEqual(files, [
+      `schedule-${schedule.scheduleId}-20240201-0600-HV_ALL_2024-01-01_2024-01-31.csv`,
+    ]);
+    assert.equal(path.join(outboxDir, files[0]), run.output);
+    assert.match(fs.readFileSync(run.output, "utf8"), /ACC001/);
+
+    const saved = await repositories.reportSchedules.findById(
+      schedule.scheduleId
+    );
+    assert.deepEqual(saved.nextRunAt, new Date(2024, 2, 1, 6, 0));
+  });
+
+  it("does not run a schedule twice for the same slot", async () => {
+    await saveSchedule();
+
+    assert.equal(await scheduler.tick(), 1);
+    assert.equal(await scheduler.tick(), 0);
+  });
+
+  it("runs a missed schedule once and moves on from now", async () => {
+    const schedule = await saveSchedule({
+      cron: "0 6 * * *",
+      nextRunAt: new Date(2024, 0, 20, 6, 0),
+    });
+    clock = new Date(2024, 1, 1, 9, 0);
+
+    assert.equal(await scheduler.tick(), 1);
+
+    const saved = await repositories.reportSchedules.findById(
+      schedule.scheduleId
+    );
+    assert.deepEqual(saved.nextRunAt, new Date(2024, 1, 2, 6, 0));
+  });
+
+  it("skips inactive schedules", async () => {
+    await saveSchedule({ active: false });
+
+    assert.equal(await scheduler.tick(), 0);
+  });
+
+  it("records a failed run with the reason", async () => {
+    await saveSchedule({
+      parameters: { ...highValueSchedule().parameters, amount1: 700000 },
+    });
+
+    await scheduler.tick();
+
+    const [run] = await repositories.reportSchedules.listRuns({
+      status: "failed",
+      limit: 10,
+    });
+    assert.equal(run.status, "failed");
+    assert.equal(
+      run.error,
+      "Invalid report parameters: amount1 cannot be greater than amount2"
+    );
+    assert.deepEqual(fs.readdirSync(outboxDir), []);
+  });
+
+  it("records a period it cannot work out as a failed run", async () => {
+    await saveSchedule({ period: "fortnight" });
+
+    assert.equal(await scheduler.tick(), 1);
+
+    const [run] = await repositories.reportSchedules.listRuns({ limit: 10 });
+    assert.equal(run.status, "failed");
+    assert.equal(run.error, "Unknown report period: fortnight");
+  });
+
+  it("runs the other due schedules when one cannot be recorded", async () => {
+    const broken = await saveSchedule();
+    const other = await saveSchedule({ name: "Other" });
+    const { createRun } = repositories.reportSchedules;
+    repositories.reportSchedules.createRun = async (run) => {
+      if (run.scheduleId === broken.scheduleId) {
+        throw new Error("Failed to connect");
+      }
+      return createRun(run);
+    };
+
+    assert.equal(await scheduler.tick(), 2);
+
+    const runs = await repositories.reportSchedules.listRuns({ limit: 10 });
+    assert.deepEqual(
+      runs.map((run) => [run.scheduleId, run.status]),
+      [[other.scheduleId, "succeeded"]]
+    );
+  });
+
+  describe("email delivery", () => {
+    let smtp;
+
+    after(() => smtp && smtp.close());
+
+    it("sends the report as an attachment", async () => {
+      smtp = await startSmtpServer();
+      scheduler = createScheduler({
+        SMTP_HOST: "127.0.0.1",
+        SMTP_PORT: String(smtp.port),
+        SMTP_FROM: "audit@example.com",
+        SMTP_USER: "reports",
+        SMTP_PASSWORD: "secret",
+      });
+      const schedule = await saveSchedule({
+        delivery: "email",
+        recipients: ["manager@example.com", "auditor@example.com"],
+      });
+
+      const run = await scheduler.runSchedule(schedule, { trigger: "manual" });
+
+      assert.equal(run.status, "succeeded");
+      assert.equal(
+        run.output,
+        "email to manager@example.com, auditor@example.com"
+      );
+      assert.equal(smtp.messages.length, 1);
+      const [message] = smtp.messages;
+      assert.equal(message.from, "audit@example.com");
+      assert.deepEqual(message.to, [
+        "manager@example.com",
+        "auditor@example.com",
+      ]);
+      assert.match(
+        message.data,
+        /Subject: Monthly high value - HV_ALL_2024-01-01_2024-01-31\.csv/
+      );
+      assert.match(attachmentOf(message.data), /ACC001/);
+      assert.deepEqual(fs.readdirSync(outboxDir), []);
+    });
+
+    it("records a failure when the server refuses the recipients", async () => {
+      await smtp.close();
+      smtp = await startSmtpServer({ rejectRecipients: true });
+      scheduler = createScheduler({
+        SMTP_HOST: "127.0.0.1",
+        SMTP_PORT: String(smtp.port),
+      });
+      const schedule = await saveSchedule({
+        delivery: "email",
+        recipients: ["nobody@example.com"],
+      });
+
+      const run = await scheduler.runSchedule(schedule);
+
+      assert.equal(run.status, "failed");
+      assert.equal(run.error, "RCPT rejected: 550 mailbox unavailable");
+    });
+  });
+});
+
+describe("report schedule routes", () => {
+  let server;
+  let outboxDir;
+  let adminToken;
+  let userToken;
+
+  before(async () => {
+    outboxDir = tempDir();
+    server = await startTestServer({ env: { REPORT_OUTBOX_DIR: outboxDir } });
+    adminToken = (await server.login("admin", "admin123")).accessToken;
+    userToken = (await server.login("user", "user123")).accessToken;
+  });
+
+  after(async () => {
+    await server.close();
+    fs.rmSync(outboxDir, { recursive: true, force: true });
+  });
+
+  const create = (body) =>
+    server.request("POST", "/api/report-schedules", {
+      body,
+      token: adminToken,
+    });
+
+  it("is admin only", async () => {
+    const res = await server.request("GET", "/api/report-schedules", {
+      token: userToken,
+    });
+    assert.equal(res.status, 403);
+  });
+
+  it("checks the cron, period and report parameters", async () => {
+    assertValidationError(
+      await create(highValueSchedule({ cron: "0 6 1 *", period: "next week" })),
+      {
+        cron: "cron must have five fields: minute hour day-of-month month day-of-week",
+        period:
+          "period must be one of: today, yesterday, current week, previous week, current month, previous month, current quarter, previous quarter, current year, previous year, last N days",
+      }
+    );
+
+    assertValidationError(
+      await create(
+        highValueSchedule({
+          period: undefined,
+          parameters: { ...highValueSchedule().parameters, amount2: -1 },
+        })
+      ),
+      {
+        "parameters.amount2": "amount2 must be at least 0",
+        "parameters.fromDate": "fromDate is required",
+        "parameters.toDate": "toDate is required",
+      }
+    );
+
+    assertValidationError(
+      await create(
+        highValueSchedule({
+          procedure: "AuditUserrightRpt_Sp",
+          parameters: { user: "admin" },
+        })
+      ),
+      { period: "AuditUserrightRpt_Sp does not take a date range" }
+    );
+  });
+
+  it("refuses email delivery without recipients or a mail server", async () => {
+    assertValidationError(
+      await create(highValueSchedule({ delivery: "email" })),
+      {
+        recipients: "recipients is required for email delivery",
+        delivery: "email delivery needs SMTP_HOST to be configured",
+      }
+    );
+  });
+
+  it("creates, runs, lists and deletes a schedule", async () => {
+    const created = await create(
+      highValueSchedule({
+        parameters: {
+          ...highValueSchedule().parameters,
+          fromDate: "2000-01-01",
+          note: "dropped",
+        },
+      })
+    );
+    assert.equal(created.status, 201);
+    const { schedule } = created.body;
+    assert.equal(schedule.createdBy, "admin");
+    assert.equal(schedule.delivery, "outbox");
+    assert.equal(schedule.active, true);
+    // Dates come from the period on every run
+    assert.deepEqual(schedule.parameters, highValueSchedule().parameters);
+    assert.equal(new Date(schedule.nextRunAt).getDate(), 1);
+
+    const url = `/api/report-schedules/${schedule.scheduleId}`;
+
+    const updated = await server.request("PUT", url, {
+      body: highValueSchedule({ format: "xlsx", period: "last 30 days" }),
+      token: adminToken,
+    });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.schedule.format, "xlsx");
+    assert.equal(updated.body.schedule.period, "last 30 days");
+
+    const ran = await server.request("POST", `${url}/run`, {
+      token: adminToken,
+    });
+    assert.equal(ran.status, 200);
+    assert.equal(ran.body.run.status, "succeeded");
+    assert.equal(ran.body.run.trigger, "manual");
+    assert.ok(fs.existsSync(ran.body.run.output));
+    assert.match(ran.body.run.output, /\.xlsx$/);
+
+    const runs = await server.request("GET", `${url}/runs`, {
+      token: adminToken,
+    });
+    assert.equal(runs.body.runs.length, 1);
+    assert.equal(runs.body.runs[0].runId, ran.body.run.runId);
+
+    const failed = await server.request(
+      "GET",
+      "/api/report-runs?status=failed",
+      { token: adminToken }
+    );
+    assert.deepEqual(failed.body.runs, []);
+
+    const list = await server.request("GET", "/api/report-schedules", {
+      token: adminToken,
+    });
+    assert.deepEqual(
+      list.body.schedules.map((s) => s.scheduleId),
+      [schedule.scheduleId]
+    );
+
+    const removed = await server.request("DELETE", url, { token: adminToken });
+    assert.equal(removed.status, 200);
+
+    const gone = await server.request("GET", url, { token: adminToken });
+    assert.equal(gone.status, 404);
+    assert.equal(
+      gone.body.message,
+      `No report schedule found with ID: ${schedule.scheduleId}`
+    );
+  });
+});
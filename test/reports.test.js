@@ -0,0 +1,345 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestServer, assertValidationError } = require("./helpers");
+
+const highValueParams = (overrides = {}) => ({
+  branchName: "ALL",
+  section: "DEPOSIT",
+  scheme: "ALL",
+  amount1: "500000",
+  amount2: "600000",
+  fromDate: "2024-01-01",
+  toDate: "2024-12-31",
+  ...overrides,
+});
+
+describe("report routes", () => {
+  let server;
+  let adminToken;
+  let userToken;
+
+  before(async () => {
+    server = await startTestServer();
+    adminToken = (await server.login("admin", "admin123")).accessToken;
+    userToken = (await server.login("user", "user123")).accessToken;
+  });
+
+  after(() => server.close());
+
+  describe("POST /api/high-value-trans", () => {
+    const run = (body, token = userToken) =>
+      server.request("POST", "/api/high-value-trans", { body, token });
+
+    it("requires a token", async () => {
+      const res = await server.request("POST", "/api/high-value-trans", {
+        body: highValueParams(),
+      });
+      assert.equal(res.status, 401);
+    });
+
+    for (const field of Object.keys(highValueParams())) {
+      it(`rejects a missing ${field}`, async () => {
+        const res = await run(highValueParams({ [field]: undefined }));
+        assertValidationError(res, { [field]: `${field} is required` });
+      });
+    }
+
+    it("rejects values longer than the procedure parameters", async () => {
+      const res = await run(
+        highValueParams({
+          branchName: "B".repeat(11),
+          section: "S".repeat(11),
+          scheme: "S".repeat(31),
+        })
+      );
+      assertValidationError(res, {
+        branchName: "branchName must be at most 10 characters",
+        section: "section must be at most 10 characters",
+        scheme: "scheme must be at most 30 characters",
+      });
+    });
+
+    it("rejects invalid amounts", async () => {
+      const res = await run(
+        highValueParams({ amount1: "lots", amount2: "-1" })
+      );
+      assertValidationError(res, {
+        amount1: "amount1 must be a number",
+        amount2: "amount2 must be at least 0",
+      });
+    });
+
+    it("rejects a minimum above the maximum", async () => {
+      const res = await run(highValueParams({ amount1: "700000" }));
+      assertValidationError(res, {
+        amount1: "amount1 cannot be greater than amount2",
+      });
+    });
+
+    it("rejects dates that are not YYYY-MM-DD", async () => {
+      const res = await run(
+        highValueParams({ fromDate: "01/02/2024", toDate: "2024-02-30" })
+      );
+      assertValidationError(res, {
+        fromDate: "fromDate must be a date in YYYY-MM-DD format",
+        toDate: "toDate must be a date in YYYY-MM-DD format",
+      });
+    });
+
+    it("rejects an out of range month and day", async () => {
+      const res = await run(
+        highValueParams({ fromDate: "2024-13-45", toDate: "2024-01-32" })
+      );
+      assertValidationError(res, {
+        fromDate: "fromDate must be a date in YYYY-MM-DD format",
+        toDate: "toDate must be a date in YYYY-MM-DD format",
+      });
+    });
+
+    it("rejects a period that ends before it starts", async () => {
+      const res = await run(
+        highValueParams({ fromDate: "2024-06-01", toDate: "2024-01-01" })
+      );
+      assertValidationError(res, {
+        fromDate: "fromDate cannot be after toDate",
+      });
+    });
+
+    it("returns the transactions within the amount range", async () => {
+      const res = await run(highValueParams({ amount2: "560000" }));
+      assert.equal(res.status, 200);
+      assert.deepEqual(
+        res.body.rows.map((row) => row.Account_No),
+        ["ACC001"]
+      );
+    });
+
+    it("accepts minAmount and maxAmount on /api/reports/high-value", async () => {
+      const { amount1, amount2, ...params } = highValueParams();
+      const res = await server.request("POST", "/api/reports/high-value", {
+        body: { ...params, minAmount: amount1, maxAmount: amount2 },
+        token: userToken,
+      });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.rows.length, 2);
+    });
+  });
+
+  describe("paging, sorting and filtering", () => {
+    const run = (query) =>
+      server.request("POST", `/api/high-value-trans?${query}`, {
+        body: highValueParams(),
+        token: userToken,
+      });
+
+    it("returns every row with the totals when no page is asked for", async () => {
+      const res = await run("");
+      assert.equal(res.status, 200);
+      assert.equal(res.body.rows.length, 2);
+      assert.equal(res.body.pagination.totalRows, 2);
+      assert.equal(res.body.pagination.nextCursor, null);
+    });
+
+    it("sorts, pages and follows the cursor", async () => {
+      const first = await run("sort=-Transaction_Amount&pageSize=1");
+      assert.deepEqual(
+        first.body.rows.map((row) => row.Account_No),
+        ["ACC002"]
+      );
+      assert.equal(first.body.pagination.totalPages, 2);
+
+      const second = await run(
+        `sort=-Transaction_Amount&pageSize=1&cursor=${first.body.pagination.nextCursor}`
+      );
+      assert.deepEqual(
+        second.body.rows.map((row) => row.Account_No),
+        ["ACC001"]
+      );
+      assert.equal(second.body.pagination.page, 2);
+      assert.equal(second.body.pagination.nextCursor, null);
+    });
+
+    it("filters on result columns", async () => {
+      const res = await run(
+        "filter=Branch_Name:contains:main&filter=Transaction_Amount:gte:500000"
+      );
+      assert.deepEqual(
+        res.body.rows.map((row) => row.Account_No),
+        ["ACC001"]
+      );
+      assert.equal(res.body.pagination.filteredRows, 1);
+      assert.equal(res.body.pagination.totalRows, 2);
+    });
+
+    it("rejects unknown columns and a page size over the limit", async () => {
+      assertValidationError(await run("sort=Password"), {
+        sort: "sort column Password is not in the report",
+      });
+      assertValidationError(await run("pageSize=5000"), {
+        pageSize: "pageSize must be at most 1000",
+      });
+    });
+
+    it("runs the procedure once while paging through a result", async () => {
+      const { transactions } = server.repositories;
+      const highValue = transactions.highValue;
+      let calls = 0;
+      transactions.highValue = (params) => {
+        calls += 1;
+        return highValue.call(transactions, params);
+      };
+
+      try {
+        const body = highValueParams({ amount2: "590000" });
+        for (const page of [1, 2]) {
+          const res = await server.request(
+            "POST",
+            `/api/high-value-trans?pageSize=1&page=${page}`,
+            { body, token: userToken }
+          );
+          assert.equal(res.status, 200);
+        }
+        assert.equal(calls, 1);
+      } finally {
+        transactions.highValue = highValue;
+      }
+    });
+  });
+
+  describe("exports", () => {
+    it("downloads the filtered, sorted result as CSV", async () => {
+      const res = await server.request(
+        "POST",
+        "/api/high-value-trans?format=csv&sort=-Transaction_Amount&pageSize=1",
+        { body: highValueParams(), token: userToken }
+      );
+      assert.equal(res.status, 200);
+      assert.match(res.headers.get("content-type"), /^text\/csv/);
+      assert.equal(
+        res.headers.get("content-disposition"),
+        'attachment; filename="HV_ALL_2024-01-01_2024-12-31.csv"'
+      );
+
+      const lines = res.body
+        .replace(/^\uFEFF/, "")
+        .trim()
+        .split("\r\n");
+      assert.match(lines[0], /^Account No,Customer Name,Branch Name,/);
+      // Paging does not apply to downloads
+      assert.equal(lines.length, 3);
+      assert.match(lines[1], /^ACC002,/);
+    });
+
+    it("downloads an Excel workbook", async () => {
+      const res = await server.request(
+        "POST",
+        "/api/userright-transfer?format=xlsx",
+        {
+          body: { user: "user", fromDate: "2024-01-01", toDate: "2024-12-31" },
+          token: adminToken,
+        }
+      );
+      assert.equal(res.status, 200);
+      assert.equal(
+        res.headers.get("content-type"),
+        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+      );
+      assert.equal(
+        res.headers.get("content-disposition"),
+        'attachment; filename="UserRightTransfer_user_2024-01-01_2024-12-31.xlsx"'
+      );
+      // Zip local file header
+      assert.equal(res.body.readUInt32LE(0), 0x04034b50);
+    });
+
+    it("rejects an unknown format", async () => {
+      const res = await server.request("POST", "/api/userright?format=doc", {
+        body: { user: "user" },
+        token: adminToken,
+      });
+      assertValidationError(res, {
+        format: "format must be one of: json, csv, xlsx, pdf",
+      });
+    });
+
+    it("prints the high value report as a PDF", async () => {
+      const res = await server.request(
+        "POST",
+        "/api/high-value-trans?format=pdf",
+        { body: highValueParams(), token: userToken }
+      );
+      assert.equal(res.status, 200);
+      assert.equal(res.headers.get("content-type"), "application/pdf");
+      assert.equal(
+        res.headers.get("content-disposition"),
+        'attachment; filename="HV_ALL_2024-01-01_2024-12-31.pdf"'
+      );
+      assert.equal(res.body.subarray(0, 8).toString(), "%PDF-1.4");
+      // The requester goes into the document properties and footer
+      assert.match(res.body.toString("latin1"), /\/Author \(user\)/);
+    });
+  });
+
+  describe("user rights", () => {
+    it("requires a user for /api/userright", async () => {
+      const res = await server.request("POST", "/api/userright", {
+        body: {},
+        token: adminToken,
+      });
+      assertValidationError(res, { user: "user is required" });
+    });
+
+    it("returns the rights of a user", async () => {
+      const res = await server.request("POST", "/api/userright", {
+        body: { user: "user" },
+        token: adminToken,
+      });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.rows.length, 1);
+    });
+
+    it("is not available to users", async () => {
+      const res = await server.request("POST", "/api/userright", {
+        body: { user: "user" },
+        token: userToken,
+      });
+      assert.equal(res.status, 403);
+    });
+
+    it("requires both dates for /api/userright-transfer", async () => {
+      const res = await server.request("POST", "/api/userright-transfer", {
+        body: { user: "user", fromDate: "2024-01-01" },
+        token: adminToken,
+      });
+      assertValidationError(res, { toDate: "toDate is required" });
+    });
+
+    it("returns the transfers within the period", async () => {
+      const res = await server.request("POST", "/api/userright-transfer", {
+        body: { user: "user", fromDate: "2024-01-01", toDate: "2024-12-31" },
+        token: adminToken,
+      });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.rows.length, 1);
+    });
+  });
+
+  it("returns the active report menu items", async () => {
+    const res = await server.request("GET", "/api/reports/menu", {
+      token: userToken,
+    });
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.menuItems.map((item) => item.order),
+      [1, 2, 3]
+    );
+  });
+
+  it("returns the complaint register", async () => {
+    const res = await server.request("POST", "/api/complaint-report", {
+      token: userToken,
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.length, 1);
+  });
+});
@@ -0,0 +1,217 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { createMssqlRepositories } = require("../repositories");
+
+/**
+ * Stand-in for an mssql ConnectionPool - records every call and, like the
+ * real driver, refuses to reuse a request once it has executed
+ * @param {Function} respond - ({ query, procedure, inputs }) => result
+ */
+const createFakePool = (respond = () => ({})) => {
+  const calls = [];
+
+  const pool = {
+    calls,
+    request() {
+      const inputs = {};
+      let executed = false;
+
+      const run = async (call) => {
+        if (executed) {
+          throw new Error("Request has already been executed");
+        }
+        executed = true;
+        calls.push({ ...call, inputs });
+        return { recordset: [], rowsAffected: [1], ...respond(calls.at(-1)) };
+      };
+
+      const request = {
+        input(name, type, value) {
+          if (executed || name in inputs) {
+            throw new Error(
+              `The parameter name ${name} has already been declared`
+            );
+          }
+          inputs[name] = value;
+          return request;
+        },
+        query: (query) => run({ query }),
+        execute: (procedure) => run({ procedure }),
+      };
+      return request;
+    },
+  };
+
+  return pool;
+};
+
+const repositoriesFor = (pool) => createMssqlRepositories(async () => pool);
+
+describe("SQL Server repositories", () => {
+  it("runs RegMembersReport_Sp on its own request", async () => {
+    const pool = createFakePool(({ procedure }) =>
+      procedure ? { recordset: [{ Name: "Ravi" }] } : {}
+    );
+
+    const rows = await repositoriesFor(pool).registration.membersReport({
+      programmeName: "MORNING PROGRAMME",
+      timeSlots: "ALL",
+      optionValue: 1,
+    });
+
+    assert.deepEqual(rows, [{ Name: "Ravi" }]);
+    const call = pool.calls.find((c) => c.procedure === "RegMembersReport_Sp");
+    assert.deepEqual(call.inputs, {
+      Param1: "MORNING PROGRAMME",
+      Param2: "ALL",
+      Param3: 1,
+    });
+  });
+
+  it("passes the high value report parameters by stored procedure name", async () => {
+    const pool = createFakePool();
+
+    await repositoriesFor(pool).transactions.highValue({
+      branchName: "MAIN",
+      section: "DEPOSIT",
+      scheme: "SAVINGS",
+      minAmount: 1,
+      maxAmount: 2,
+      fromDate: "2024-01-01",
+      toDate: "2024-12-31",
+    });
+
+    assert.deepEqual(pool.calls, [
+      {
+        procedure: "AuditHVTranRpt_Sp",
+        inputs: {
+          Br_Name: "MAIN",
+          Section: "DEPOSIT",
+          Scheme: "SAVINGS",
+          Amount: 1,
+          Amount2: 2,
+          Frdate: "2024-01-01",
+          Todate: "2024-12-31",
+        },
+      },
+    ]);
+  });
+
+  it("reads the parameters of a schema qualified procedure", async () => {
+    const pool = createFakePool();
+    const { procedures } = repositoriesFor(pool);
+
+    await procedures.listParameters("dbo.AuditHVTranRpt_Sp");
+    await procedures.listParameters("AuditHVTranRpt_Sp");
+
+    assert.deepEqual(
+      pool.calls.map((call) => call.inputs),
+      [
+        { schema: "dbo", procedureName: "AuditHVTranRpt_Sp" },
+        { schema: null, procedureName: "AuditHVTranRpt_Sp" },
+      ]
+    );
+    assert.match(pool.calls[0].query, /SPECIFIC_SCHEMA = @schema/);
+  });
+
+  it("maps Tbl_UserMaster rows to users", async () => {
+    const pool = createFakePool(() => ({
+      recordset: [
+        {
+          User_ID: 7,
+          User_Name: "clerk",
+          User_Password: "hash",
+          Role: null,
+          User_Type: "User",
+          Active: 1,
+          Password_Changed_At: new Date("2024-01-02T00:00:00Z"),
+        },
+      ],
+    }));
+
+    const user = await repositoriesFor(pool).users.findByName("clerk");
+
+    assert.deepEqual(user, {
+      userId: 7,
+      username: "clerk",
+      password: "hash",
+      role: null,
+      userType: "User",
+      active: true,
+      passwordChangedAt: new Date("2024-01-02T00:00:00Z"),
+    });
+    assert.deepEqual(pool.calls[0].inputs, { username: "clerk" });
+  });
+
+  it("counts and pages users on separate requests, wildcards escaped", async () => {
+    const pool = createFakePool(({ query }) =>
+      /COUNT/.test(query) ? { recordset: [{ Total: 12 }] } : {}
+    );
+
+    const page = await repositoriesFor(pool).users.list({
+      search: "50%_off",
+      active: true,
+      offset: 10,
+      limit: 5,
+    });
+
+    assert.deepEqual(page, { users: [], total: 12 });
+    assert.deepEqual(pool.calls[0].inputs, {
+      search: "%50\\%\\_off%",
+      active: true,
+    });
+    assert.deepEqual(pool.calls[1].inputs, {
+      search: "%50\\%\\_off%",
+      active: true,
+      offset: 10,
+      limit: 5,
+    });
+  });
+
+  it("filters the audit log on separate requests and parses the values", async () => {
+    const from = new Date("2024-01-01T00:00:00Z");
+    const pool = createFakePool(({ query }) =>
+      /COUNT/.test(query)
+        ? { recordset: [{ Total: 1 }] }
+        : {
+            recordset: [
+              {
+                Audit_ID: "7",
+                Occurred_At: from,
+                Actor_ID: 1,
+                Actor_Name: "admin",
+                Action: "user:update",
+                Target_Type: "user",
+                Target_ID: "2",
+                Before_Value: '{"mobile":"1"}',
+                After_Value: '{"mobile":"2"}',
+                Details: null,
+                IP_Address: "10.0.0.1",
+                Correlation_ID: "abc",
+              },
+            ],
+          }
+    );
+
+    const page = await repositoriesFor(pool).auditLog.list(
+      { action: "user:update", from },
+      { offset: 0, limit: 50 }
+    );
+
+    assert.equal(page.total, 1);
+    assert.equal(page.entries[0].auditId, 7);
+    assert.deepEqual(page.entries[0].before, { mobile: "1" });
+    assert.equal(page.entries[0].details, null);
+    assert.deepEqual(pool.calls[0].inputs, { action: "user:update", from });
+    assert.match(pool.calls[1].query, /FETCH NEXT @limit ROWS ONLY/);
+
+    await repositoriesFor(pool).auditLog.list({});
+    assert.doesNotMatch(pool.calls[3].query, /FETCH|WHERE/);
+  });
+
+  it("returns null for a missing document", async () => {
+    const pool = createFakePool();
+    assert.equal(await repositoriesFor(pool).documents.findById(5), null);
+    assert.deepEqual(pool.calls[0].inputs, { ID: 5 });
+  });
+});
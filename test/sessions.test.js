@@ -0,0 +1,239 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { setSessionIdleTimeout } = require("../utils/auth");
+const { startTestServer } = require("./helpers");
+
+describe("sessions", () => {
+  let server;
+
+  const loginFrom = async (username, password, userAgent) => {
+    const res = await server.request("POST", "/api/auth/login", {
+      body: { username, password },
+      headers: { "User-Agent": userAgent },
+    });
+    assert.equal(res.status, 200);
+    return {
+      accessToken: res.body.data.accessToken,
+      refreshCookie: res.cookies.find((c) => c.startsWith("refreshToken=")),
+    };
+  };
+
+  const refresh = (refreshCookie) =>
+    server.request("POST", "/api/auth/refresh", { cookie: refreshCookie });
+
+  const listOwn = async (token) => {
+    const res = await server.request("GET", "/api/auth/sessions", { token });
+    assert.equal(res.status, 200);
+    return res.body.data;
+  };
+
+  before(async () => {
+    server = await startTestServer();
+  });
+
+  after(() => server.close());
+
+  it("lists each login with its device, marking the current one", async () => {
+    const laptop = await loginFrom("user", "user123", "Laptop browser");
+    await loginFrom("user", "user123", "Phone browser");
+
+    const sessions = await listOwn(laptop.accessToken);
+    assert.equal(sessions.length, 2);
+    assert.deepEqual(sessions.map((s) => [s.userAgent, s.current]).sort(), [
+      ["Laptop browser", true],
+      ["Phone browser", false],
+    ]);
+    assert.equal(sessions[0].ipAddress, "127.0.0.1");
+    assert.ok(sessions[0].lastUsedAt);
+    assert.equal(sessions[0].userId, undefined);
+  });
+
+  it("keeps the session across refreshes", async () => {
+    const { refreshCookie } = await loginFrom("admin", "admin123", "Tablet");
+    const { accessToken } = await server.login("admin", "admin123");
+    const count = (await listOwn(accessToken)).length;
+
+    const res = await refresh(refreshCookie);
+    assert.equal(res.status, 200);
+
+    const sessions = await listOwn(res.body.data.accessToken);
+    assert.equal(sessions.length, count);
+    const tablet = sessions.find((s) => s.userAgent === "Tablet");
+    assert.equal(tablet.current, true);
+    assert.equal(sessions[0].sessionId, tablet.sessionId);
+  });
+
+  it("revokes one of your own sessions", async () => {
+    const desk = await loginFrom("user", "user123", "Desk");
+    const other = await loginFrom("user", "user123", "Other");
+    const { sessionId } = (await listOwn(desk.accessToken)).find(
+      (s) => s.userAgent === "Other"
+    );
+
+    const res = await server.request(
+      "DELETE",
+      `/api/auth/sessions/${sessionId}`,
+      { token: desk.accessToken }
+    );
+    assert.equal(res.status, 200);
+    assert.equal((await refresh(other.refreshCookie)).status, 403);
+    assert.ok(
+      !(await listOwn(desk.accessToken)).some((s) => s.sessionId === sessionId)
+    );
+
+    // The session's access token stops working at once, not at its expiry
+    const ended = await server.request("GET", "/api/auth/sessions", {
+      token: other.accessToken,
+    });
+    assert.equal(ended.status, 401);
+    assert.equal(ended.body.error, "SESSION_REVOKED");
+
+    const again = await server.request(
+      "DELETE",
+      `/api/auth/sessions/${sessionId}`,
+      { token: desk.accessToken }
+    );
+    assert.equal(again.status, 404);
+  });
+
+  it("cannot revoke another user's session", async () => {
+    const admin = await loginFrom("admin", "admin123", "Admin desk");
+    const { sessionId } = (await listOwn(admin.accessToken))[0];
+    const { accessToken } = await server.login("user", "user123");
+
+    const res = await server.request(
+      "DELETE",
+      `/api/auth/sessions/${sessionId}`,
+      { token: accessToken }
+    );
+    assert.equal(res.status, 404);
+    assert.equal((await refresh(admin.refreshCookie)).status, 200);
+  });
+
+  it("ends every other session, keeping the current one", async () => {
+    const kept = await loginFrom("user", "user123", "Kept");
+    const ended = await loginFrom("user", "user123", "Ended");
+
+    const res = await server.request("DELETE", "/api/auth/sessions", {
+      token: kept.accessToken,
+    });
+    assert.equal(res.status, 200);
+    assert.ok(res.body.data.revoked >= 1);
+
+    const sessions = await listOwn(kept.accessToken);
+    assert.deepEqual(
+      sessions.map((s) => s.userAgent),
+      ["Kept"]
+    );
+    assert.equal((await refresh(ended.refreshCookie)).status, 403);
+    assert.equal((await refresh(kept.refreshCookie)).status, 200);
+  });
+
+  it("lets an admin list and revoke a user's sessions", async () => {
+    const user = await loginFrom("user", "user123", "Watched");
+    const { accessToken: adminToken } = await server.login("admin", "admin123");
+
+    const denied = await server.request("GET", "/api/auth/users/2/sessions", {
+      token: user.accessToken,
+    });
+    assert.equal(denied.status, 403);
+    assert.equal(denied.body.requiredPermission, "session:read");
+
+    const list = await server.request("GET", "/api/auth/users/2/sessions", {
+      token: adminToken,
+    });
+    assert.equal(list.status, 200);
+    const watched = list.body.data.find((s) => s.userAgent === "Watched");
+    assert.equal(watched.current, false);
+
+    const wrongUser = await server.request(
+      "DELETE",
+      `/api/auth/users/1/sessions/${watched.sessionId}`,
+      { token: adminToken }
+    );
+    assert.equal(wrongUser.status, 404);
+
+    const res = await server.request(
+      "DELETE",
+      `/api/auth/users/2/sessions/${watched.sessionId}`,
+      { token: adminToken }
+    );
+    assert.equal(res.status, 200);
+    assert.equal((await refresh(user.refreshCookie)).status, 403);
+
+    const missing = await server.request(
+      "GET",
+      "/api/auth/users/999/sessions",
+      { token: adminToken }
+    );
+    assert.equal(missing.status, 404);
+  });
+
+  it("ends sessions on logout", async () => {
+    const { accessToken, refreshCookie } = await loginFrom(
+      "user",
+      "user123",
+      "Logging out"
+    );
+    const { accessToken: otherToken } = await server.login("user", "user123");
+    await server.request("POST", "/api/auth/logout", { cookie: refreshCookie });
+
+    assert.ok(
+      !(await listOwn(otherToken)).some((s) => s.userAgent === "Logging out")
+    );
+    const res = await server.request("GET", "/api/auth/sessions", {
+      token: accessToken,
+    });
+    assert.equal(res.status, 401);
+  });
+
+  it("ends the sessions of a deactivated user", async () => {
+    const { accessToken } = await loginFrom("user", "user123", "Deactivated");
+    const { accessToken: adminToken } = await server.login("admin", "admin123");
+    const setActive = (active) =>
+      server.request("PUT", "/api/users/2/active", {
+        body: { active },
+        token: adminToken,
+      });
+
+    await setActive(false);
+    try {
+      const res = await server.request("GET", "/api/auth/sessions", {
+        token: accessToken,
+      });
+      assert.equal(res.status, 401);
+      assert.equal(res.body.error, "SESSION_REVOKED");
+    } finally {
+      await setActive(true);
+    }
+  });
+
+  describe("idle timeout", () => {
+    after(() => setSessionIdleTimeout(0));
+
+    it("refuses to refresh a session left unused too long", async () => {
+      const { accessToken, refreshCookie } = await loginFrom(
+        "user",
+        "user123",
+        "Idle"
+      );
+      setSessionIdleTimeout(50);
+      await new Promise((resolve) => setTimeout(resolve, 100));
+
+      assert.ok(
+        !(await listOwn(accessToken)).some((s) => s.userAgent === "Idle")
+      );
+      const res = await refresh(refreshCookie);
+      assert.equal(res.status, 403);
+      assert.equal(res.body.error, "INVALID_REFRESH_TOKEN");
+    });
+
+    it("keeps a session that is in use", async () => {
+      setSessionIdleTimeout(60 * 1000);
+      const { refreshCookie } = await loginFrom("user", "user123", "Busy");
+
+      const res = await refresh(refreshCookie);
+      assert.equal(res.status, 200);
+    });
+  });
+});
@@ -0,0 +1,275 @@
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestServer, assertValidationError } = require("./helpers");
+const { isPasswordHash } = require("../utils/auth");
+
+const newUser = (overrides = {}) => ({
+  userName: "clerk",
+  userPassword: "Clerk-pass1",
+  userType: "User",
+  userAvailabilityStatus: "YES",
+  mobile: "9000000003",
+  email: "clerk@example.com",
+  ...overrides,
+});
+
+describe("user routes", () => {
+  let server;
+  let adminToken;
+  let userToken;
+
+  before(async () => {
+    server = await startTestServer();
+    adminToken = (await server.login("admin", "admin123")).accessToken;
+    userToken = (await server.login("user", "user123")).accessToken;
+  });
+
+  after(() => server.close());
+
+  describe("POST /api/users", () => {
+    const create = (body, token = adminToken) =>
+      server.request("POST", "/api/users", { body, token });
+
+    it("requires a token", async () => {
+      const res = await server.request("POST", "/api/users", {
+        body: newUser(),
+      });
+      assert.equal(res.status, 401);
+    });
+
+    it("requires the user:create permission", async () => {
+      const res = await create(newUser(), userToken);
+      assert.equal(res.status, 403);
+    });
+
+    for (const field of Object.keys(newUser())) {
+      it(`rejects a missing ${field}`, async () => {
+        const res = await create(newUser({ [field]: undefined }));
+        assertValidationError(res, { [field]: `${field} is required` });
+      });
+    }
+
+    it("rejects fields over their maximum length", async () => {
+      const res = await create(newUser({ mobile: "9".repeat(16) }));
+      assertValidationError(res, {
+        mobile: "mobile must be at most 15 characters",
+      });
+    });
+
+    it("rejects a malformed email", async () => {
+      const res = await create(newUser({ email: "clerk.example.com" }));
+      assertValidationError(res, {
+        email: "email must be a valid email address",
+      });
+    });
+
+    it("rejects an unknown user type", async () => {
+      const res = await create(newUser({ userType: "Root" }));
+      assertValidationError(res, {
+        userType: "userType must be one of: Admin, User",
+      });
+    });
+
+    it("rejects an unknown availability status", async () => {
+      const res = await create(newUser({ userAvailabilityStatus: "MAYBE" }));
+      assertValidationError(res, {
+        userAvailabilityStatus:
+          "userAvailabilityStatus must be one of: YES, NO",
+      });
+    });
+
+    it("creates the user with a hashed password", async () => {
+      const res = await create(newUser());
+      assert.equal(res.status, 201);
+      assert.deepEqual(res.body.user, {
+        userId: 3,
+        username: "clerk",
+        role: null,
+        userType: "User",
+        userAvailabilityStatus: "YES",
+        mobile: "9000000003",
+        email: "clerk@example.com",
+        active: true,
+      });
+
+      const stored = await server.repositories.users.findByName("clerk");
+      assert.ok(isPasswordHash(stored.password));
+      await server.login("clerk", "Clerk-pass1");
+    });
+
+    it("rejects a duplicate user name", async () => {
+      const res = await create(newUser({ userName: "admin" }));
+      assert.equal(res.status, 409);
+    });
+  });
+
+  describe("GET /api/users", () => {
+    const list = (query = "", token = adminToken) =>
+      server.request("GET", `/api/users${query}`, { token });
+
+    it("is not available to users", async () => {
+      assert.equal((await list("", userToken)).status, 403);
+    });
+
+    it("lists users by name, paged", async () => {
+      const res = await list("?pageSize=1&page=2");
+      assert.equal(res.status, 200);
+      assert.deepEqual(
+        res.body.users.map((u) => u.username),
+        ["clerk"]
+      );
+      assert.deepEqual(res.body.pagination, {
+        totalRows: 3,
+        page: 2,
+        pageSize: 1,
+        totalPages: 3,
+      });
+      assert.ok(res.body.users.every((u) => !("password" in u)));
+    });
+
+    it("searches the name and email", async () => {
+      const byEmail = await list("?search=EXAMPLE.COM");
+      assert.equal(byEmail.body.users.length, 3);
+
+      const byName = await list("?search=adm");
+      assert.deepEqual(
+        byName.body.users.map((u) => u.username),
+        ["admin"]
+      );
+
+      // Wildcards are plain text
+      assert.equal((await list("?search=%25")).body.users.length, 0);
+    });
+  });
+
+  describe("/api/users/:userId", () => {
+    const profile = (overrides = {}) => ({
+      userType: "Admin",
+      userAvailabilityStatus: "NO",
+      mobile: "9000000099",
+      email: "user@example.org",
+      ...overrides,
+    });
+
+    it("gets one user", async () => {
+      const res = await server.request("GET", "/api/users/2", {
+        token: adminToken,
+      });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.user.username, "user");
+
+      const missing = await server.request("GET", "/api/users/99", {
+        token: adminToken,
+      });
+      assert.equal(missing.status, 404);
+      assert.equal(missing.body.message, "No user found with ID: 99");
+    });
+
+    it("replaces the profile fields", async () => {
+      const invalid = await server.request("PUT", "/api/users/2", {
+        body: profile({ email: "nope" }),
+        token: adminToken,
+      });
+      assertValidationError(invalid, {
+        email: "email must be a valid email address",
+      });
+
+      const res = await server.request("PUT", "/api/users/2", {
+        body: profile({ userType: "User" }),
+        token: adminToken,
+      });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.user.userAvailabilityStatus, "NO");
+      assert.equal(res.body.user.mobile, "9000000099");
+      assert.equal(res.body.user.username, "user");
+
+      const forbidden = await server.request("PUT", "/api/users/2", {
+        body: profile(),
+        token: userToken,
+      });
+      assert.equal(forbidden.status, 403);
+    });
+
+    it("ends the sessions of a user whose role changes", async () => {
+      const self = await server.request("PUT", "/api/users/1", {
+        body: profile({ userType: "User" }),
+        token: adminToken,
+      });
+      assert.equal(self.status, 403);
+      assert.equal(
+        self.body.message,
+        "You cannot change the role of your own account"
+      );
+
+      const { refreshCookie } = await server.login("user", "user123");
+      const promoted = await server.request("PUT", "/api/users/2", {
+        body: profile(),
+        token: adminToken,
+      });
+      assert.equal(promoted.status, 200);
+      assert.equal(promoted.body.user.userType, "Admin");
+      const refresh = await server.request("POST", "/api/auth/refresh", {
+        cookie: refreshCookie,
+      });
+      assert.equal(refresh.status, 403);
+
+      await server.request("PUT", "/api/users/2", {
+        body: profile({ userType: "User" }),
+        token: adminToken,
+      });
+    });
+
+    it("deactivates and activates a user", async () => {
+      const setActive = (userId, active) =>
+        server.request("PUT", `/api/users/${userId}/active`, {
+          body: { active },
+          token: adminToken,
+        });
+
+      const self = await setActive(1, false);
+      assert.equal(self.status, 403);
+      assert.equal(self.body.message, "You cannot deactivate your own account");
+
+      const off = await setActive(3, false);
+      assert.equal(off.status, 200);
+      assert.equal(off.body.user.active, false);
+      const login = await server.request("POST", "/api/auth/login", {
+        body: { username: "clerk", password: "Clerk-pass1" },
+      });
+      assert.equal(login.status, 401);
+      assert.equal(login.body.error, "ACCOUNT_INACTIVE");
+
+      const on = await setActive(3, true);
+      assert.equal(on.body.user.active, true);
+      await server.login("clerk", "Clerk-pass1");
+    });
+
+    it("deletes a user", async () => {
+      const self = await server.request("DELETE", "/api/users/1", {
+        token: adminToken,
+      });
+      assert.equal(self.status, 403);
+
+      const res = await server.request("DELETE", "/api/users/3", {
+        token: adminToken,
+      });
+      assert.equal(res.status, 200);
+      assert.equal(await server.repositories.users.findByName("clerk"), null);
+
+      const again = await server.request("DELETE", "/api/users/3", {
+        token: adminToken,
+      });
+      assert.equal(again.status, 404);
+    });
+  });
+
+  describe("GET /api/Users", () => {
+    it("lists the user detail names", async () => {
+      const res = await server.request("GET", "/api/Users", {
+        token: adminToken,
+      });
+      assert.equal(res.status, 200);
+      assert.deepEqual(res.body.users, ["admin", "user"]);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+// Actions written to the audit trail - the names used in the action filter
+// of /api/audit-log
+const AUDIT_ACTIONS = {
+  LOGIN: "auth:login",
+  LOGIN_FAILED: "auth:login-failed",
+  PASSWORD_CHANGE: "auth:password-change",
+  PASSWORD_RESET_ISSUE: "auth:password-reset-issue",
+  PASSWORD_RESET: "auth:password-reset",
+  MFA_RESET: "auth:mfa-reset",
+  SESSION_REVOKE: "auth:session-revoke",
+  LOGOUT_EVERYWHERE: "auth:logout-everywhere",
+  ACCOUNT_UNLOCK: "auth:account-unlock",
+  USER_CREATE: "user:create",
+  USER_UPDATE: "user:update",
+  USER_ACTIVATE: "user:activate",
+  USER_DEACTIVATE: "user:deactivate",
+  USER_DELETE: "user:delete",
+  DOCUMENT_CREATE: "document:create",
+  ATTENDANCE_UPDATE: "attendance:update",
+  MEMBER_REGISTER: "member:register",
+  AUDIT_EXPORT: "audit:export",
+};
+
+/**
+ * Security audit trail - who did what to which record, stored through
+ * repositories.auditLog
+ * @param {Object} deps - { repositories }
+ * @returns {Object} { record }
+ */
+const createAuditTrail = ({ repositories }) => ({
+  /**
+   * Append an entry for a request. The actor is the signed in user unless
+   * given - a login names the user it is for. An entry that cannot be stored
+   * is logged instead of failing a request whose change is done - without the
+   * target ID, which can be a phone number, and with the usual redaction.
+   * @param {Object} req - Express request
+   * @param {String} action - One of AUDIT_ACTIONS
+   * @param {Object} entry - { actor, target, before, after, details } where
+   * actor is { userId, username } and target is { type, id }
+   * @returns {Promise<void>}
+   */
+  async record(req, action, { actor, target, before, after, details } = {}) {
+    const by = actor || req.user || {};
+    const entry = {
+      actorId: by.userId || null,
+      actor: by.username || null,
+      action,
+      targetType: target ? target.type : null,
+      targetId: target && target.id !== undefined ? String(target.id) : null,
+      before: before || null,
+      after: after || null,
+      details: details || null,
+      ipAddress: req.ip || null,
+      correlationId: req.correlationId || null,
+    };
+
+    const { targetId, ...loggable } = entry;
+    try {
+      await repositories.auditLog.append(entry);
+    } catch (error) {
+      req.log.error("Audit entry could not be stored", {
+        audit: true,
+        entry: loggable,
+        error,
+      });
+      return;
+    }
+
+    req.log.info("Audit entry recorded", {
+      audit: true,
+      action,
+      actorId: entry.actorId,
+      targetType: entry.targetType,
+    });
+  },
+});
+
+module.exports = {
+  AUDIT_ACTIONS,
+  createAuditTrail,
+};
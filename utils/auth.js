@@ -1,13 +1,65 @@
 const jwt = require("jsonwebtoken");
 const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
+const { createMemoryTokenStore } = require("./tokenStore");
+const { hasPermission, normalizeRole } = require("./permissions");
+const { UnauthorizedError, ForbiddenError } = require("./errors");
+const { logger } = require("./logger");
 
 // Generate a secure secret for JWT (in production, use environment variable)
+// The defaults are for development - loadConfig refuses production without
+// JWT_SECRET, JWT_REFRESH_SECRET and JWT_MFA_SECRET
 const JWT_SECRET =
   process.env.JWT_SECRET ||
   "your-super-secret-jwt-key-change-this-in-production";
 const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || "24h";
 const JWT_REFRESH_EXPIRES_IN = process.env.JWT_REFRESH_EXPIRES_IN || "7d";
 
+// Refresh tokens use their own secret so they can never pass as access tokens
+const JWT_REFRESH_SECRET =
+  process.env.JWT_REFRESH_SECRET ||
+  "your-super-secret-refresh-key-change-this-in-production";
+
+// Sent after the password when a second factor is still needed - its own
+// secret again, so it opens nothing but /api/auth/mfa/*
+const JWT_MFA_SECRET =
+  process.env.JWT_MFA_SECRET ||
+  "your-super-secret-mfa-token-key-change-this-in-production";
+const JWT_MFA_EXPIRES_IN = process.env.JWT_MFA_EXPIRES_IN || "5m";
+
+// Where issued refresh tokens are tracked - swap with setRefreshTokenStore
+let refreshTokenStore = createMemoryTokenStore();
+
+/**
+ * Replace the refresh token store (e.g. SQL Server in production)
+ * @param {Object} store - RefreshTokenStore implementation from utils/tokenStore
+ */
+const setRefreshTokenStore = (store) => {
+  refreshTokenStore = store;
+};
+
+// A session unused for longer than this cannot be refreshed, 0 never idles out
+let sessionIdleTimeoutMs = 0;
+
+/**
+ * Set the idle timeout of login sessions (config.sessions.idleTimeoutMs)
+ * @param {Number} ms - 0 turns it off
+ */
+const setSessionIdleTimeout = (ms) => {
+  sessionIdleTimeoutMs = ms;
+};
+
+/**
+ * Build an error for a refresh token that must be rejected with 403
+ * @param {String} message - Error message
+ * @returns {Error}
+ */
+const invalidRefreshToken = (message) => {
+  const error = new Error(message);
+  error.code = "INVALID_REFRESH_TOKEN";
+  return error;
+};
+
 /**
  * Generate JWT access token
  * @param {Object} payload - User data to include in token
@@ -18,12 +70,237 @@ const generateAccessToken = (payload) => {
 };
 
 /**
- * Generate JWT refresh token
+ * Generate JWT refresh token and record it in the token store, together with
+ * the login session it belongs to
  * @param {Object} payload - User data to include in token
+ * @param {String} familyId - Login session to continue, omit for a new login
+ * @param {Object} client - { userAgent, ipAddress } of the request
  * @returns {String} JWT refresh token
  */
-const generateRefreshToken = (payload) => {
-  return jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_REFRESH_EXPIRES_IN });
+const generateRefreshToken = async (payload, familyId, client = {}) => {
+  const isNewSession = !familyId;
+  if (isNewSession) {
+    familyId = crypto.randomUUID();
+  }
+  const jti = crypto.randomUUID();
+  const token = jwt.sign(
+    {
+      userId: payload.userId,
+      username: payload.username,
+      role: payload.role,
+      fid: familyId,
+    },
+    JWT_REFRESH_SECRET,
+    { expiresIn: JWT_REFRESH_EXPIRES_IN, jwtid: jti }
+  );
+
+  const expiresAt = new Date(jwt.decode(token).exp * 1000);
+  await refreshTokenStore.save({
+    jti,
+    familyId,
+    userId: payload.userId,
+    expiresAt,
+  });
+
+  const ipAddress = client.ipAddress || null;
+  // A family issued before sessions were recorded gets its session now
+  if (
+    isNewSession ||
+    !(await refreshTokenStore.touchSession(familyId, { ipAddress, expiresAt }))
+  ) {
+    await refreshTokenStore.saveSession({
+      sessionId: familyId,
+      userId: payload.userId,
+      userAgent: client.userAgent || null,
+      ipAddress,
+      expiresAt,
+    });
+  }
+
+  return token;
+};
+
+/**
+ * Start a login session - access token and the first refresh token
+ * @param {Object} payload - { userId, username, role }
+ * @param {Object} client - { userAgent, ipAddress } of the login request
+ * @returns {Promise<Object>} { accessToken, refreshToken, sessionId }
+ */
+const startSession = async (payload, client = {}) => {
+  const refreshToken = await generateRefreshToken(payload, undefined, client);
+  const sessionId = jwt.decode(refreshToken).fid;
+  return {
+    // sid marks the session the access token belongs to in the session list
+    accessToken: generateAccessToken({ ...payload, sid: sessionId }),
+    refreshToken,
+    sessionId,
+  };
+};
+
+/**
+ * Generate the short-lived token exchanged at /api/auth/mfa/verify
+ * @param {Object} payload - { userId, username, role }
+ * @returns {String} JWT
+ */
+const generateMfaToken = (payload) => {
+  return jwt.sign(
+    {
+      userId: payload.userId,
+      username: payload.username,
+      role: payload.role,
+    },
+    JWT_MFA_SECRET,
+    { expiresIn: JWT_MFA_EXPIRES_IN }
+  );
+};
+
+/**
+ * Verify a token from generateMfaToken
+ * @param {String} token
+ * @returns {Object} { userId, username, role }
+ * @throws {UnauthorizedError} INVALID_MFA_TOKEN
+ */
+const verifyMfaToken = (token) => {
+  try {
+    const { userId, username, role } = jwt.verify(token, JWT_MFA_SECRET);
+    return { userId, username, role };
+  } catch (error) {
+    throw new UnauthorizedError(
+      "Invalid or expired verification token - log in again",
+      "INVALID_MFA_TOKEN"
+    );
+  }
+};
+
+/**
+ * Verify JWT refresh token signature and expiry
+ * @param {String} token - JWT refresh token
+ * @param {Object} options - Extra jwt.verify options
+ * @returns {Object} Decoded token payload
+ */
+const verifyRefreshToken = (token, options = {}) => {
+  try {
+    return jwt.verify(token, JWT_REFRESH_SECRET, options);
+  } catch (error) {
+    throw invalidRefreshToken("Invalid or expired refresh token");
+  }
+};
+
+/**
+ * Exchange a refresh token for a new access token and refresh token.
+ * The presented token is invalidated; presenting it again revokes the
+ * whole token family, since only a stolen copy would be replayed.
+ * A session left unused beyond the idle timeout is revoked instead.
+ * @param {String} token - JWT refresh token
+ * @param {Object} client - { ipAddress } of the request
+ * @returns {Object} { accessToken, refreshToken, user }
+ */
+const rotateRefreshToken = async (token, client = {}) => {
+  const decoded = verifyRefreshToken(token);
+  const record = await refreshTokenStore.find(decoded.jti);
+
+  if (!record || record.revokedAt) {
+    throw invalidRefreshToken("Refresh token has been revoked");
+  }
+
+  if (sessionIdleTimeoutMs > 0) {
+    const session = await refreshTokenStore.findSession(decoded.fid);
+    if (
+      session &&
+      Date.now() - session.lastUsedAt.getTime() > sessionIdleTimeoutMs
+    ) {
+      await refreshTokenStore.revokeFamily(decoded.fid);
+      throw invalidRefreshToken("Session expired after inactivity");
+    }
+  }
+
+  const rotated = await refreshTokenStore.markRotated(decoded.jti);
+  if (!rotated) {
+    await refreshTokenStore.revokeFamily(decoded.fid);
+    logger.warn("Refresh token reuse detected", { userId: decoded.userId });
+    throw invalidRefreshToken("Refresh token has already been used");
+  }
+
+  const user = {
+    userId: decoded.userId,
+    username: decoded.username,
+    role: decoded.role,
+  };
+
+  return {
+    accessToken: generateAccessToken({ ...user, sid: decoded.fid }),
+    refreshToken: await generateRefreshToken(user, decoded.fid, client),
+    user,
+  };
+};
+
+/**
+ * Revoke the login session a refresh token belongs to
+ * @param {String} token - JWT refresh token, expired tokens are accepted
+ * @returns {Boolean} True when a session was revoked
+ */
+const revokeRefreshToken = async (token) => {
+  let decoded;
+  try {
+    decoded = verifyRefreshToken(token, { ignoreExpiration: true });
+  } catch (error) {
+    return false;
+  }
+
+  await refreshTokenStore.revokeFamily(decoded.fid);
+  return true;
+};
+
+/**
+ * Revoke every refresh token issued to a user ("log out everywhere")
+ * @param {Number} userId - Tbl_UserMaster.User_ID
+ */
+const revokeUserRefreshTokens = async (userId) => {
+  await refreshTokenStore.revokeUser(userId);
+};
+
+/**
+ * Login sessions of a user that can still be refreshed, latest use first
+ * @param {Number} userId - Tbl_UserMaster.User_ID
+ * @returns {Promise<Array>} SessionRecord list from utils/tokenStore
+ */
+const listUserSessions = async (userId) => {
+  return refreshTokenStore.listSessions(userId, {
+    activeSince:
+      sessionIdleTimeoutMs > 0
+        ? new Date(Date.now() - sessionIdleTimeoutMs)
+        : undefined,
+  });
+};
+
+/**
+ * End one login session of a user - its refresh tokens stop working
+ * @param {Number} userId - Tbl_UserMaster.User_ID
+ * @param {String} sessionId
+ * @returns {Promise<Boolean>} False when the user has no such open session
+ */
+const revokeUserSession = async (userId, sessionId) => {
+  const session = await refreshTokenStore.findSession(sessionId);
+  if (!session || session.userId !== userId || session.revokedAt) {
+    return false;
+  }
+
+  await refreshTokenStore.revokeFamily(sessionId);
+  return true;
+};
+
+/**
+ * Store the refresh token in an HTTP-only cookie
+ * @param {Object} res - Express response
+ * @param {String} token - JWT refresh token
+ */
+const setRefreshTokenCookie = (res, token) => {
+  res.cookie("refreshToken", token, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === "production",
+    sameSite: "strict",
+    maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
+  });
 };
 
 /**
@@ -59,50 +336,80 @@ const comparePassword = async (password, hash) => {
   return await bcrypt.compare(password, hash);
 };
 
+/**
+ * Check whether a stored password value is already a bcrypt hash
+ * @param {String} value - Value from Tbl_UserMaster.User_Password
+ * @returns {Boolean} True when the value is a bcrypt hash
+ */
+const isPasswordHash = (value) => {
+  return typeof value === "string" && /^\$2[aby]\$\d{2}\$.{53}$/.test(value);
+};
+
+/**
+ * Verify a password against the stored value, accepting legacy plain text rows
+ * @param {String} password - Plain text password from the login request
+ * @param {String} storedPassword - Value from Tbl_UserMaster.User_Password
+ * @returns {Object} { valid, needsUpgrade } - needsUpgrade is true when the
+ * stored value is plain text and should be replaced with a hash
+ */
+const verifyPassword = async (password, storedPassword) => {
+  if (!password || !storedPassword) {
+    return { valid: false, needsUpgrade: false };
+  }
+
+  if (isPasswordHash(storedPassword)) {
+    return {
+      valid: await comparePassword(password, storedPassword),
+      needsUpgrade: false,
+    };
+  }
+
+  // Legacy plain text row - compare in constant time, then ask for an upgrade
+  const given = Buffer.from(String(password));
+  const stored = Buffer.from(String(storedPassword));
+  const valid =
+    given.length === stored.length && crypto.timingSafeEqual(given, stored);
+
+  return { valid, needsUpgrade: valid };
+};
+
 /**
  * JWT Authentication Middleware
- * Protects routes by verifying JWT token
+ * Protects routes by verifying JWT token. An access token stops working with
+ * its login session - logout, revocation, deactivation or a role change -
+ * rather than at its expiry.
  */
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers["authorization"];
   const token = authHeader && authHeader.split(" ")[1]; // Bearer TOKEN
 
   if (!token) {
-    return res.status(401).json({
-      success: false,
-      message: "Access token required",
-    });
+    return next(new UnauthorizedError("Access token required"));
   }
 
+  let decoded;
   try {
-    const decoded = verifyToken(token);
-    req.user = decoded;
-    next();
+    decoded = verifyToken(token);
   } catch (error) {
-    return res.status(403).json({
-      success: false,
-      message: "Invalid or expired token",
-      error: error.message,
-    });
+    return next(
+      new ForbiddenError("Invalid or expired token", { code: "INVALID_TOKEN" })
+    );
   }
-};
-
-/**
- * Optional JWT Authentication Middleware - FOR REPORTS
- * Allows requests through without authentication for reports
- */
-const optionalAuthForReports = (req, res, next) => {
-  console.log(
-    "Optional auth for reports - allowing request without authentication"
-  );
 
-  // Set a dummy user for any code that might expect req.user
-  req.user = {
-    userId: 1,
-    username: "system",
-    role: "admin",
-  };
+  // Tokens issued before sessions were recorded carry no sid
+  if (decoded.sid) {
+    const session = await refreshTokenStore.findSession(decoded.sid);
+    if (session && session.revokedAt) {
+      return next(
+        new UnauthorizedError(
+          "Session has ended - log in again",
+          "SESSION_REVOKED"
+        )
+      );
+    }
+  }
 
+  req.user = decoded;
   next();
 };
 
@@ -120,7 +427,7 @@ const optionalAuth = (req, res, next) => {
       req.user = decoded;
     } catch (error) {
       // Token exists but is invalid - we'll still proceed but without user info
-      console.warn("Invalid token provided:", error.message);
+      req.log.warn("Invalid token provided", { reason: error.message });
     }
   }
 
@@ -134,78 +441,106 @@ const optionalAuth = (req, res, next) => {
 const requireRole = (allowedRoles) => {
   return (req, res, next) => {
     if (!req.user) {
-      return res.status(401).json({
-        success: false,
-        message: "Authentication required",
-      });
+      return next(new UnauthorizedError());
     }
 
-    if (!allowedRoles.includes(req.user.role)) {
-      return res.status(403).json({
-        success: false,
-        message: "Insufficient permissions",
-      });
+    if (!allowedRoles.includes(normalizeRole(req.user.role))) {
+      return next(new ForbiddenError());
     }
 
     next();
   };
 };
 
+/**
+ * Permission-based access control middleware
+ * Must run after authenticateToken
+ * @param {String} permission - Permission name from utils/permissions
+ */
+const requirePermission = (permission) => {
+  const middleware = (req, res, next) => {
+    if (!req.user) {
+      return next(new UnauthorizedError());
+    }
+
+    if (!hasPermission(req.user.role, permission)) {
+      return next(
+        new ForbiddenError(undefined, {
+          details: { requiredPermission: permission },
+        })
+      );
+    }
+
+    next();
+  };
+
+  // Read by the OpenAPI document
+  middleware.permission = permission;
+  return middleware;
+};
+
 /**
  * Refresh token validation
- * Validates refresh token and generates new access token
+ * Rotates the refresh token and generates new access token. Throws for the
+ * central error handler - an invalid token also clears the cookie.
  */
-const refreshAccessToken = (req, res, next) => {
+const refreshAccessToken = async (req, res) => {
   const { refreshToken } = req.body;
 
   if (!refreshToken) {
-    return res.status(401).json({
-      success: false,
-      message: "Refresh token required",
-    });
+    throw new UnauthorizedError("Refresh token required");
   }
 
+  let rotated;
   try {
-    const decoded = verifyToken(refreshToken);
-
-    // Generate new access token
-    const newAccessToken = generateAccessToken({
-      userId: decoded.userId,
-      username: decoded.username,
-      role: decoded.role,
-    });
-
-    res.json({
-      success: true,
-      message: "Token refreshed successfully",
-      data: {
-        accessToken: newAccessToken,
-        user: {
-          userId: decoded.userId,
-          username: decoded.username,
-          role: decoded.role,
-        },
-      },
-    });
+    rotated = await rotateRefreshToken(refreshToken, { ipAddress: req.ip });
   } catch (error) {
-    return res.status(403).json({
-      success: false,
-      message: "Invalid refresh token",
-      error: error.message,
+    if (error.code !== "INVALID_REFRESH_TOKEN") {
+      throw error;
+    }
+
+    res.clearCookie("refreshToken");
+    throw new ForbiddenError("Invalid refresh token", {
+      code: "INVALID_REFRESH_TOKEN",
     });
   }
+
+  setRefreshTokenCookie(res, rotated.refreshToken);
+
+  res.json({
+    success: true,
+    message: "Token refreshed successfully",
+    data: {
+      accessToken: rotated.accessToken,
+      user: rotated.user,
+    },
+  });
 };
 
 module.exports = {
   generateAccessToken,
   generateRefreshToken,
+  startSession,
+  generateMfaToken,
+  verifyMfaToken,
   verifyToken,
+  verifyRefreshToken,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeUserRefreshTokens,
+  listUserSessions,
+  revokeUserSession,
+  setRefreshTokenStore,
+  setSessionIdleTimeout,
+  setRefreshTokenCookie,
   hashPassword,
   comparePassword,
+  isPasswordHash,
+  verifyPassword,
   authenticateToken,
   optionalAuth,
-  optionalAuthForReports,
   requireRole,
+  requirePermission,
   refreshAccessToken,
   JWT_SECRET,
 };
@@ -0,0 +1,194 @@
+// Five field cron expressions - minute hour day-of-month month day-of-week -
+// evaluated in the server's local time. Supports *, lists, ranges, steps,
+// JAN-DEC / SUN-SAT names, L (last day of the month) and the @daily style
+// shortcuts.
+
+const SHORTCUTS = {
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+  "@monthly": "0 0 1 * *",
+  "@weekly": "0 0 * * 0",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@hourly": "0 * * * *",
+};
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "dayOfMonth", min: 1, max: 31 },
+  {
+    name: "month",
+    min: 1,
+    max: 12,
+    names: "JAN FEB MAR APR MAY JUN JUL AUG SEP OCT NOV DEC".split(" "),
+  },
+  {
+    name: "dayOfWeek",
+    min: 0,
+    // 7 is Sunday too
+    max: 7,
+    names: "SUN MON TUE WED THU FRI SAT".split(" "),
+  },
+];
+
+// Searching further than this means the expression never matches, e.g. 30 2
+const MAX_SEARCH_DAYS = 366 * 5;
+
+class CronError extends Error {}
+
+const parseValue = (text, spec) => {
+  const index = spec.names ? spec.names.indexOf(text.toUpperCase()) : -1;
+  const value = index >= 0 ? index + spec.min : Number(text);
+  if (!/^\d+$/.test(text) && index < 0) {
+    throw new CronError(`${spec.name} value ${text} is not valid`);
+  }
+  if (value < spec.min || value > spec.max) {
+    throw new CronError(
+      `${spec.name} must be between ${spec.min} and ${spec.max}`
+    );
+  }
+  return value;
+};
+
+// "1-5", "*/15", "MON,WED" -> Set of numbers
+const parseField = (text, spec) => {
+  const values = new Set();
+
+  for (const part of text.split(",")) {
+    const [range, stepText] = part.split("/");
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new CronError(`${spec.name} step ${stepText} is not valid`);
+    }
+
+    let from;
+    let to;
+    if (range === "*") {
+      from = spec.min;
+      to = spec.max;
+    } else if (range.includes("-")) {
+      const [start, end] = range.split("-");
+      from = parseValue(start, spec);
+      to = parseValue(end, spec);
+      if (from > to) {
+        throw new CronError(`${spec.name} range ${range} is reversed`);
+      }
+    } else {
+      from = parseValue(range, spec);
+      // "5/10" means from 5 to the end in steps of 10
+      to = stepText === undefined ? from : spec.max;
+    }
+
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+};
+
+/**
+ * Parse a cron expression
+ * @param {String} expression - e.g. "0 6 1 * *" or "@monthly"
+ * @returns {Object} Parsed schedule for nextCronTime
+ * @throws {CronError} Describing the first invalid field
+ */
+const parseCron = (expression) => {
+  const text = String(expression).trim();
+  const expanded = SHORTCUTS[text.toLowerCase()] || text;
+  const parts = expanded.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new CronError(
+      "cron must have five fields: minute hour day-of-month month day-of-week"
+    );
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts;
+  const lastDay = dayOfMonth.toUpperCase() === "L";
+  const weekdays = parseField(dayOfWeek, FIELDS[4]);
+  if (weekdays.delete(7)) {
+    weekdays.add(0);
+  }
+
+  return {
+    minutes: parseField(minute, FIELDS[0]),
+    hours: parseField(hour, FIELDS[1]),
+    days: lastDay ? null : parseField(dayOfMonth, FIELDS[2]),
+    lastDay,
+    months: parseField(month, FIELDS[3]),
+    weekdays,
+    // Standard cron: when both day fields are restricted either may match
+    anyDay: dayOfMonth === "*",
+    anyWeekday: dayOfWeek === "*",
+  };
+};
+
+const matchesDay = (cron, date) => {
+  const lastOfMonth = new Date(
+    date.getFullYear(),
+    date.getMonth() + 1,
+    0
+  ).getDate();
+  const dayMatches = cron.lastDay
+    ? date.getDate() === lastOfMonth
+    : cron.days.has(date.getDate());
+  const weekdayMatches = cron.weekdays.has(date.getDay());
+
+  if (cron.anyDay && cron.anyWeekday) {
+    return true;
+  }
+  if (cron.anyDay) {
+    return weekdayMatches;
+  }
+  if (cron.anyWeekday) {
+    return dayMatches;
+  }
+  return dayMatches || weekdayMatches;
+};
+
+/**
+ * First time strictly after `after` that matches the expression
+ * @param {String|Object} cron - Expression or the result of parseCron
+ * @param {Date} after
+ * @returns {Date|null} null when nothing matches within five years
+ */
+const nextCronTime = (cron, after) => {
+  const schedule = typeof cron === "string" ? parseCron(cron) : cron;
+
+  // Next whole minute
+  const candidate = new Date(after.getTime());
+  candidate.setSeconds(0, 0);
+  candidate.setMinutes(candidate.getMinutes() + 1);
+
+  const limit = after.getTime() + MAX_SEARCH_DAYS * 86400000;
+
+  while (candidate.getTime() <= limit) {
+    if (
+      !schedule.months.has(candidate.getMonth() + 1) ||
+      !matchesDay(schedule, candidate)
+    ) {
+      // Skip to the start of the next day
+      candidate.setDate(candidate.getDate() + 1);
+      candidate.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!schedule.hours.has(candidate.getHours())) {
+      candidate.setHours(candidate.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!schedule.minutes.has(candidate.getMinutes())) {
+      candidate.setMinutes(candidate.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return candidate;
+  }
+
+  return null;
+};
+
+module.exports = {
+  CronError,
+  parseCron,
+  nextCronTime,
+};
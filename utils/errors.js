@@ -0,0 +1,247 @@
+const crypto = require("crypto");
+
+/**
+ * Error envelope - the body of every failed request
+ *
+ * @typedef {Object} ErrorEnvelope
+ * @property {Boolean} success - Always false
+ * @property {String} error - Machine readable code, e.g. "NOT_FOUND"
+ * @property {String} message - Human readable message, safe to show
+ * @property {String} correlationId - Matches the X-Correlation-ID header and
+ * the server logs for this request
+ *
+ * Some codes add fields: VALIDATION_ERROR adds `errors`, FORBIDDEN may add
+ * `requiredPermission`, TOO_MANY_REQUESTS and ACCOUNT_LOCKED add `retryAfter`.
+ */
+
+/**
+ * Base application error - status, code and extra envelope fields
+ */
+class AppError extends Error {
+  /**
+   * @param {String} message - Message returned to the client
+   * @param {Object} options - { status, code, details, cause }
+   */
+  constructor(
+    message,
+    { status = 500, code = "INTERNAL_ERROR", details, cause } = {}
+  ) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+class ValidationError extends AppError {
+  /**
+   * @param {Array} errors - [{ location, field, message }]
+   */
+  constructor(errors, message = "Validation failed") {
+    super(message, {
+      status: 400,
+      code: "VALIDATION_ERROR",
+      details: { errors },
+    });
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = "Authentication required", code = "UNAUTHORIZED") {
+    super(message, { status: 401, code });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(
+    message = "Insufficient permissions",
+    { code = "FORBIDDEN", details } = {}
+  ) {
+    super(message, { status: 403, code, details });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = "Resource not found") {
+    super(message, { status: 404, code: "NOT_FOUND" });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message = "The record conflicts with an existing one", cause) {
+    super(message, { status: 409, code: "CONFLICT", cause });
+  }
+}
+
+class TooManyRequestsError extends AppError {
+  /**
+   * @param {String} message
+   * @param {Number} retryAfterSeconds - Sent as the Retry-After header
+   * @param {String} code - "TOO_MANY_REQUESTS" or a more specific code
+   */
+  constructor(message, retryAfterSeconds, code = "TOO_MANY_REQUESTS") {
+    super(message, {
+      status: 429,
+      code,
+      details: { retryAfter: retryAfterSeconds },
+    });
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+class TimeoutError extends AppError {
+  constructor(message = "The database took too long to respond", cause) {
+    super(message, { status: 504, code: "TIMEOUT", cause });
+  }
+}
+
+class DatabaseUnavailableError extends AppError {
+  constructor(
+    message = "The database is unavailable, please try again later",
+    cause
+  ) {
+    super(message, { status: 503, code: "DB_UNAVAILABLE", cause });
+  }
+}
+
+// SQL Server error numbers with a meaning for the client
+const SQL_UNIQUE_VIOLATIONS = [2601, 2627];
+const SQL_FOREIGN_KEY_VIOLATION = 547;
+
+// mssql / tedious connection failure codes
+const CONNECTION_ERROR_CODES = [
+  "ELOGIN",
+  "ESOCKET",
+  "ECONNCLOSED",
+  "ECONNRESET",
+  "ENOTOPEN",
+  "EINSTLOOKUP",
+  "ENOCONN",
+];
+
+/**
+ * Whether an mssql error means the connection itself failed, rather than the
+ * statement
+ * @param {Error} err
+ * @returns {Boolean}
+ */
+const isConnectionError = (err) =>
+  Boolean(err) &&
+  (CONNECTION_ERROR_CODES.includes(err.code) || err.name === "ConnectionError");
+
+/**
+ * Turn any thrown value into an AppError
+ * mssql errors are mapped by number / code; anything unrecognised becomes a
+ * generic 500 so driver and SQL messages never reach the client.
+ * @param {Error} err - Thrown error
+ * @returns {AppError}
+ */
+const toAppError = (err) => {
+  if (err instanceof AppError) {
+    return err;
+  }
+
+  // express.json / urlencoded failures (malformed JSON, body too large)
+  if (err && err.type && err.expose && err.status < 500) {
+    return new AppError(
+      err.type === "entity.parse.failed"
+        ? "Request body is not valid JSON"
+        : "Request body could not be read",
+      { status: err.status, code: "BAD_REQUEST", cause: err }
+    );
+  }
+
+  const number =
+    err && (err.number || (err.originalError && err.originalError.number));
+  const code = err && err.code;
+
+  if (SQL_UNIQUE_VIOLATIONS.includes(number)) {
+    return new ConflictError("A record with the same key already exists", err);
+  }
+  if (number === SQL_FOREIGN_KEY_VIOLATION) {
+    return new ConflictError("The record is referenced by other records", err);
+  }
+  if (code === "ETIMEOUT") {
+    return new TimeoutError(undefined, err);
+  }
+  if (isConnectionError(err)) {
+    return new DatabaseUnavailableError(undefined, err);
+  }
+
+  return new AppError("Internal server error", { cause: err });
+};
+
+const CORRELATION_HEADER = "X-Correlation-ID";
+const CORRELATION_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+/**
+ * Correlation ID middleware
+ * Reuses a well-formed X-Correlation-ID from the caller, otherwise creates
+ * one, and echoes it on the response.
+ */
+const assignCorrelationId = (req, res, next) => {
+  const incoming = req.get(CORRELATION_HEADER);
+  req.correlationId = CORRELATION_ID_PATTERN.test(incoming || "")
+    ? incoming
+    : crypto.randomUUID();
+  res.set(CORRELATION_HEADER, req.correlationId);
+  next();
+};
+
+/**
+ * Fallback for requests no route matched
+ */
+const notFoundHandler = (req, res, next) => {
+  next(new NotFoundError(`No route for ${req.method} ${req.path}`));
+};
+
+/**
+ * Central error handler - logs the real error and sends the envelope
+ * Registered last in the app; Express recognises it by its four arguments.
+ */
+const errorHandler = (err, req, res, next) => {
+  const appError = toAppError(err);
+
+  if (appError.status >= 500) {
+    req.log.error("Request failed", {
+      method: req.method,
+      path: req.path,
+      error: err,
+    });
+  }
+
+  if (res.headersSent) {
+    return res.end();
+  }
+
+  if (appError.retryAfterSeconds) {
+    res.set("Retry-After", String(appError.retryAfterSeconds));
+  }
+
+  res.status(appError.status).json({
+    success: false,
+    error: appError.code,
+    message: appError.message,
+    correlationId: req.correlationId,
+    ...appError.details,
+  });
+};
+
+module.exports = {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError,
+  TimeoutError,
+  DatabaseUnavailableError,
+  CORRELATION_HEADER,
+  isConnectionError,
+  toAppError,
+  assignCorrelationId,
+  notFoundHandler,
+  errorHandler,
+};
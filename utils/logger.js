@@ -0,0 +1,184 @@
+// Structured JSON logger - one line per entry with time, level, message and
+// fields. Fields named in the redact list are masked at any depth, so request
+// bodies and rows can be logged without leaking passwords or phone numbers.
+
+const LEVELS = {
+  debug: 20,
+  info: 30,
+  warn: 40,
+  error: 50,
+  silent: Infinity,
+};
+
+// Matched case-insensitively against field names
+const DEFAULT_REDACT_FIELDS = [
+  "password",
+  "userPassword",
+  "currentPassword",
+  "newPassword",
+  "refreshToken",
+  "resetToken",
+  "mfaToken",
+  "recoveryCode",
+  "recoveryCodes",
+  "secret",
+  "otpauthUri",
+  "accessToken",
+  "token",
+  "authorization",
+  "cookie",
+  "phone",
+  "mobile",
+  "email",
+];
+
+const REDACTED = "[REDACTED]";
+const MAX_DEPTH = 5;
+
+/**
+ * Copy a value for logging - masks redacted fields and flattens errors
+ * @param {*} value - Any value passed as a log field
+ * @param {Set} redact - Lower case field names to mask
+ * @returns {*} JSON-safe copy
+ */
+const sanitize = (value, redact, depth = 0) => {
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: value.message,
+      code: value.code,
+      number: value.number,
+      stack: value.stack,
+    };
+  }
+  if (value === null || typeof value !== "object") {
+    return value;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (depth >= MAX_DEPTH) {
+    return "[Object]";
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => sanitize(item, redact, depth + 1));
+  }
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = redact.has(key.toLowerCase())
+      ? REDACTED
+      : sanitize(item, redact, depth + 1);
+  }
+  return copy;
+};
+
+/**
+ * Create a logger
+ * @param {Object} options
+ * @param {String} options.level - debug, info, warn, error or silent
+ * @param {Array} options.redact - Field names to mask
+ * @param {Function} options.write - Receives each JSON line, defaults to stdout
+ * @returns {Object} { debug, info, warn, error, child, configure }
+ */
+const createLogger = ({
+  level = "info",
+  redact = DEFAULT_REDACT_FIELDS,
+  write = (line) => process.stdout.write(`${line}\n`),
+} = {}) => {
+  // Shared by every child, so configure() reaches loggers already handed out
+  const settings = {};
+
+  const configure = (options) => {
+    if (options.level !== undefined) {
+      if (!(options.level in LEVELS)) {
+        throw new Error(
+          `Log level must be one of ${Object.keys(LEVELS).join(", ")}`
+        );
+      }
+      settings.level = options.level;
+    }
+    if (options.redact !== undefined) {
+      settings.redact = new Set(options.redact.map((f) => f.toLowerCase()));
+    }
+    if (options.write !== undefined) {
+      settings.write = options.write;
+    }
+  };
+
+  configure({ level, redact, write });
+
+  const build = (bindings) => {
+    const log = (entryLevel) => (message, fields) => {
+      if (LEVELS[entryLevel] < LEVELS[settings.level]) {
+        return;
+      }
+      const entry = sanitize(
+        {
+          ...bindings,
+          ...(fields instanceof Error ? { error: fields } : fields),
+        },
+        settings.redact
+      );
+      settings.write(
+        JSON.stringify({
+          time: new Date().toISOString(),
+          level: entryLevel,
+          msg: message,
+          ...entry,
+        })
+      );
+    };
+
+    return {
+      debug: log("debug"),
+      info: log("info"),
+      warn: log("warn"),
+      error: log("error"),
+      // Logger that adds the given fields to every entry
+      child: (extra) => build({ ...bindings, ...extra }),
+      configure,
+    };
+  };
+
+  return build({});
+};
+
+// Application logger - configured from LOG_LEVEL / LOG_REDACT by createApp
+const logger = createLogger();
+
+/**
+ * Request logging middleware
+ * Gives each request req.log, bound to its correlation ID, and logs method,
+ * route, status and latency when the response finishes. Must run after
+ * assignCorrelationId.
+ */
+const requestLogger = (req, res, next) => {
+  const started = process.hrtime.bigint();
+  req.log = logger.child({ correlationId: req.correlationId });
+
+  res.on("finish", () => {
+    const status = res.statusCode;
+    const level = status >= 500 ? "error" : status >= 400 ? "warn" : "info";
+
+    req.log[level]("Request completed", {
+      method: req.method,
+      // Route pattern, e.g. /api/document/:id - keeps IDs out of the log
+      route: req.route ? req.route.path : undefined,
+      path: req.route ? undefined : req.path,
+      status,
+      durationMs: Number(process.hrtime.bigint() - started) / 1e6,
+      userId: req.user ? req.user.userId : undefined,
+    });
+  });
+
+  next();
+};
+
+module.exports = {
+  LOG_LEVELS: Object.keys(LEVELS),
+  DEFAULT_REDACT_FIELDS,
+  createLogger,
+  logger,
+  requestLogger,
+};
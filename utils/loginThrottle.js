@@ -0,0 +1,213 @@
+const { TooManyRequestsError } = require("./errors");
+
+/**
+ * Login brute-force protection
+ *
+ * Failed logins are counted per username and per client IP. Each failure of
+ * a username blocks further attempts for an exponentially growing delay, and
+ * once it reaches its failure limit it is locked out for a fixed period.
+ * An IP has no backoff - many users can share one address behind a proxy or
+ * NAT - only a hard limit of failures within one lockout period.
+ *
+ * @typedef {Object} ThrottleEntry
+ * @property {Number} failures - Failed attempts in the current window
+ * @property {Number} blockedUntil - Epoch ms until which attempts are refused
+ * @property {Boolean} locked - True once the failure limit was reached
+ * @property {Number} [windowEndsAt] - IP entries: epoch ms the count resets
+ *
+ * @typedef {Object} ThrottleStore
+ * @property {Function} get - (key) => Promise<ThrottleEntry|null>
+ * @property {Function} set - (key, entry, ttlMs) => Promise<void>
+ * @property {Function} delete - (key) => Promise<void>
+ */
+
+/**
+ * In-memory counter backend - entries expire after their TTL
+ * @param {Function} now - Clock, replaceable in tests
+ * @returns {ThrottleStore}
+ */
+const createMemoryThrottleStore = (now = Date.now) => {
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const item = entries.get(key);
+      if (!item) {
+        return null;
+      }
+      if (item.expiresAt <= now()) {
+        entries.delete(key);
+        return null;
+      }
+      return { ...item.entry };
+    },
+
+    async set(key, entry, ttlMs) {
+      entries.set(key, { entry: { ...entry }, expiresAt: now() + ttlMs });
+    },
+
+    async delete(key) {
+      entries.delete(key);
+    },
+  };
+};
+
+/**
+ * Create a login throttle
+ * @param {Object} options
+ * @param {ThrottleStore} options.store - Counter backend
+ * @param {Number} options.maxFailures - Failures per username before lockout
+ * @param {Number} options.maxIpFailures - Failures per IP within a lockout
+ * period before the IP is locked out
+ * @param {Number} options.baseDelayMs - Block after the first failure, doubled
+ * for every further failure
+ * @param {Number} options.maxDelayMs - Upper bound for the backoff delay
+ * @param {Number} options.lockoutMs - Lockout period once the limit is reached
+ * @param {Function} options.now - Clock, replaceable in tests
+ */
+const createLoginThrottle = ({
+  store = createMemoryThrottleStore(),
+  maxFailures = 5,
+  maxIpFailures = 100,
+  baseDelayMs = 1000,
+  maxDelayMs = 60 * 1000,
+  lockoutMs = 15 * 60 * 1000,
+  now = Date.now,
+} = {}) => {
+  const userKey = (username) =>
+    `user:${String(username || "")
+      .trim()
+      .toLowerCase()}`;
+  const ipKey = (ip) => `ip:${ip || "unknown"}`;
+
+  const registerFailure = async (key, limit) => {
+    const entry = (await store.get(key)) || { failures: 0, blockedUntil: 0 };
+    entry.failures += 1;
+
+    if (entry.failures >= limit) {
+      entry.locked = true;
+      entry.blockedUntil = now() + lockoutMs;
+    } else {
+      const delay = Math.min(
+        baseDelayMs * 2 ** (entry.failures - 1),
+        maxDelayMs
+      );
+      entry.blockedUntil = now() + delay;
+    }
+
+    // Keep the counter around for a lockout period after the last failure
+    await store.set(
+      key,
+      entry,
+      Math.max(lockoutMs, entry.blockedUntil - now())
+    );
+  };
+
+  // The window starts at the first failure and is not extended by later ones
+  const registerIpFailure = async (key) => {
+    const entry = (await store.get(key)) || {
+      failures: 0,
+      blockedUntil: 0,
+      windowEndsAt: now() + lockoutMs,
+    };
+    entry.failures += 1;
+
+    if (entry.failures >= maxIpFailures && !entry.locked) {
+      entry.locked = true;
+      entry.blockedUntil = now() + lockoutMs;
+      entry.windowEndsAt = entry.blockedUntil;
+    }
+
+    await store.set(key, entry, entry.windowEndsAt - now());
+  };
+
+  return {
+    /**
+     * Check whether a login attempt may proceed
+     * @param {String} username - Submitted username
+     * @param {String} ip - Client IP
+     * @returns {Object} { allowed, locked, retryAfterSeconds }
+     */
+    async check(username, ip) {
+      const entries = await Promise.all([
+        store.get(userKey(username)),
+        store.get(ipKey(ip)),
+      ]);
+
+      let blockedUntil = 0;
+      let locked = false;
+      for (const entry of entries) {
+        if (entry && entry.blockedUntil > blockedUntil) {
+          blockedUntil = entry.blockedUntil;
+          locked = Boolean(entry.locked);
+        }
+      }
+
+      const remainingMs = blockedUntil - now();
+      if (remainingMs <= 0) {
+        return { allowed: true, locked: false, retryAfterSeconds: 0 };
+      }
+
+      return {
+        allowed: false,
+        locked,
+        retryAfterSeconds: Math.ceil(remainingMs / 1000),
+      };
+    },
+
+    /**
+     * Count a failed login for both the username and the IP
+     * @param {String} username - Submitted username
+     * @param {String} ip - Client IP
+     */
+    async recordFailure(username, ip) {
+      await registerFailure(userKey(username), maxFailures);
+      await registerIpFailure(ipKey(ip));
+    },
+
+    /**
+     * Reset the username counter after a successful login
+     * The IP counter is kept so one valid account cannot reset guessing
+     * against others from the same address.
+     * @param {String} username - Authenticated username
+     */
+    async recordSuccess(username) {
+      await store.delete(userKey(username));
+    },
+
+    /**
+     * Lift a lockout for a username and optionally an IP (admin action)
+     * @param {String} username - Username to unlock
+     * @param {String} [ip] - Client IP to unlock as well
+     */
+    async unlock(username, ip) {
+      await store.delete(userKey(username));
+      if (ip) {
+        await store.delete(ipKey(ip));
+      }
+    },
+  };
+};
+
+/**
+ * Error for a throttled login attempt - sent as 429 with Retry-After
+ * @param {Object} status - Result of loginThrottle.check
+ * @returns {TooManyRequestsError}
+ */
+const loginThrottledError = (status) =>
+  status.locked
+    ? new TooManyRequestsError(
+        "Account temporarily locked due to too many failed login attempts",
+        status.retryAfterSeconds,
+        "ACCOUNT_LOCKED"
+      )
+    : new TooManyRequestsError(
+        "Too many failed login attempts. Please wait before trying again",
+        status.retryAfterSeconds
+      );
+
+module.exports = {
+  createMemoryThrottleStore,
+  createLoginThrottle,
+  loginThrottledError,
+};
@@ -0,0 +1,148 @@
+// Request metrics in the Prometheus text exposition format - counts and
+// latency histograms per method / route / status, kept in memory.
+
+// Latency buckets in seconds
+const DEFAULT_BUCKETS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10,
+];
+
+// Requests no route matched share one label, so scanners cannot grow the
+// series without bound
+const UNMATCHED_ROUTE = "unmatched";
+
+const escapeLabel = (value) =>
+  String(value)
+    .replace(/\\/g, "\\\\")
+    .replace(/\n/g, "\\n")
+    .replace(/"/g, '\\"');
+
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) => `${name}="${escapeLabel(value)}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+};
+
+/**
+ * Create a metrics registry
+ * @param {Object} options - { buckets } latency bucket bounds in seconds
+ * @returns {Object} { middleware, observeRequest, render }
+ */
+const createMetrics = ({ buckets = DEFAULT_BUCKETS } = {}) => {
+  // Keyed by the JSON of the label values
+  const requestCounts = new Map();
+  const durations = new Map();
+
+  /**
+   * Record one finished request
+   * @param {Object} request - { method, route, status, durationSeconds }
+   */
+  const observeRequest = ({ method, route, status, durationSeconds }) => {
+    const countKey = JSON.stringify([method, route, String(status)]);
+    requestCounts.set(countKey, (requestCounts.get(countKey) || 0) + 1);
+
+    const durationKey = JSON.stringify([method, route]);
+    let histogram = durations.get(durationKey);
+    if (!histogram) {
+      histogram = { counts: buckets.map(() => 0), sum: 0, count: 0 };
+      durations.set(durationKey, histogram);
+    }
+    buckets.forEach((bound, i) => {
+      if (durationSeconds <= bound) {
+        histogram.counts[i] += 1;
+      }
+    });
+    histogram.sum += durationSeconds;
+    histogram.count += 1;
+  };
+
+  /**
+   * Middleware timing every request
+   */
+  const middleware = (req, res, next) => {
+    const started = process.hrtime.bigint();
+
+    res.on("finish", () => {
+      observeRequest({
+        method: req.method,
+        route: req.route ? req.route.path : UNMATCHED_ROUTE,
+        status: res.statusCode,
+        durationSeconds: Number(process.hrtime.bigint() - started) / 1e9,
+      });
+    });
+
+    next();
+  };
+
+  /**
+   * Render every metric as Prometheus text
+   * @param {Array} gauges - Extra point-in-time values,
+   * [{ name, help, value, labels }]
+   * @returns {String} Exposition text
+   */
+  const render = (gauges = []) => {
+    const lines = [];
+
+    lines.push(
+      "# HELP http_requests_total HTTP requests by method, route and status",
+      "# TYPE http_requests_total counter"
+    );
+    for (const [key, count] of requestCounts) {
+      const [method, route, status] = JSON.parse(key);
+      lines.push(
+        `http_requests_total${formatLabels({ method, route, status })} ${count}`
+      );
+    }
+
+    lines.push(
+      "# HELP http_request_duration_seconds HTTP request latency by method and route",
+      "# TYPE http_request_duration_seconds histogram"
+    );
+    for (const [key, histogram] of durations) {
+      const [method, route] = JSON.parse(key);
+      buckets.forEach((bound, i) => {
+        lines.push(
+          `http_request_duration_seconds_bucket${formatLabels({
+            method,
+            route,
+            le: bound,
+          })} ${histogram.counts[i]}`
+        );
+      });
+      lines.push(
+        `http_request_duration_seconds_bucket${formatLabels({
+          method,
+          route,
+          le: "+Inf",
+        })} ${histogram.count}`,
+        `http_request_duration_seconds_sum${formatLabels({ method, route })} ${
+          histogram.sum
+        }`,
+        `http_request_duration_seconds_count${formatLabels({
+          method,
+          route,
+        })} ${histogram.count}`
+      );
+    }
+
+    for (const gauge of gauges) {
+      lines.push(
+        `# HELP ${gauge.name} ${gauge.help}`,
+        `# TYPE ${gauge.name} gauge`,
+        `${gauge.name}${formatLabels(gauge.labels || {})} ${gauge.value}`
+      );
+    }
+
+    return `${lines.join("\n")}\n`;
+  };
+
+  return {
+    middleware,
+    observeRequest,
+    render,
+  };
+};
+
+module.exports = {
+  createMetrics,
+};
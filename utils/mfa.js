@@ -0,0 +1,203 @@
+const crypto = require("crypto");
+const { generateSecret, verifyTotp, provisioningUri } = require("./totp");
+const { ConflictError } = require("./errors");
+
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Encrypt a TOTP secret for storage - AES-256-GCM as "iv.tag.ciphertext"
+ * @param {Buffer} key - 32 bytes
+ * @param {String} secret
+ * @returns {String}
+ */
+const encryptSecret = (key, secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  const encrypted = Buffer.concat([cipher.update(secret), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted]
+    .map((part) => part.toString("base64"))
+    .join(".");
+};
+
+/**
+ * @param {Buffer} key - 32 bytes
+ * @param {String} stored - From encryptSecret
+ * @returns {String}
+ */
+const decryptSecret = (key, stored) => {
+  const [iv, tag, encrypted] = stored
+    .split(".")
+    .map((part) => Buffer.from(part, "base64"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([
+    decipher.update(encrypted),
+    decipher.final(),
+  ]).toString();
+};
+
+// Recovery codes are typed by hand - case, spaces and dashes do not matter
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(code.toLowerCase().replace(/[^0-9a-f]/g, ""))
+    .digest("hex");
+
+// xxxxx-xxxxx
+const generateRecoveryCode = () => {
+  const hex = crypto.randomBytes(5).toString("hex");
+  return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+};
+
+/**
+ * Two-factor authentication - TOTP enrollment, codes and recovery codes
+ * @param {Object} deps - { config, repositories, now }
+ * @returns {Object} { isRequired, isEnabled, status, startEnrollment,
+ * confirmEnrollment, verify, regenerateRecoveryCodes, disable }
+ */
+const createMfaManager = ({ config, repositories, now = () => new Date() }) => {
+  const key = crypto
+    .createHash("sha256")
+    .update(config.mfa.encryptionKey)
+    .digest();
+
+  const issueRecoveryCodes = async (userId) => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () =>
+      generateRecoveryCode()
+    );
+    await repositories.mfa.replaceRecoveryCodes(
+      userId,
+      codes.map(hashRecoveryCode)
+    );
+    return codes;
+  };
+
+  // Time step of a valid code, null otherwise
+  const matchCode = (enrollment, code) =>
+    verifyTotp(decryptSecret(key, enrollment.secret), code, { now: now() });
+
+  return {
+    /**
+     * @param {String} role - Normalized role
+     * @returns {Boolean}
+     */
+    isRequired(role) {
+      return config.mfa.requiredRoles.includes(role);
+    },
+
+    /**
+     * @param {Number} userId
+     * @returns {Promise<Boolean>}
+     */
+    async isEnabled(userId) {
+      const enrollment = await repositories.mfa.find(userId);
+      return Boolean(enrollment && enrollment.enabledAt);
+    },
+
+    /**
+     * @param {Number} userId
+     * @returns {Promise<Object>} { enabled, enabledAt, recoveryCodesLeft }
+     */
+    async status(userId) {
+      const enrollment = await repositories.mfa.find(userId);
+      const enabled = Boolean(enrollment && enrollment.enabledAt);
+      return {
+        enabled,
+        enabledAt: enabled ? enrollment.enabledAt : null,
+        recoveryCodesLeft: enabled
+          ? await repositories.mfa.countRecoveryCodes(userId)
+          : 0,
+      };
+    },
+
+    /**
+     * Create a new secret, replacing one not confirmed yet
+     * @param {Object} user - { userId, username }
+     * @returns {Promise<Object>} { secret, otpauthUri }
+     * @throws {ConflictError} when two-factor authentication is enabled
+     */
+    async startEnrollment(user) {
+      if (await this.isEnabled(user.userId)) {
+        throw new ConflictError("Two-factor authentication is already enabled");
+      }
+      const secret = generateSecret();
+      await repositories.mfa.savePending(
+        user.userId,
+        encryptSecret(key, secret)
+      );
+      return {
+        secret,
+        otpauthUri: provisioningUri({
+          issuer: config.mfa.issuer,
+          account: user.username,
+          secret,
+        }),
+      };
+    },
+
+    /**
+     * Enable two-factor authentication with a first code from the app
+     * @param {Number} userId
+     * @param {String} code
+     * @returns {Promise<String[]|null>} Recovery codes, null for a wrong code
+     * @throws {ConflictError} when no enrollment was started
+     */
+    async confirmEnrollment(userId, code) {
+      const enrollment = await repositories.mfa.find(userId);
+      if (!enrollment || enrollment.enabledAt) {
+        throw new ConflictError(
+          "No two-factor enrollment is waiting to be confirmed - start one at /api/auth/mfa/enroll"
+        );
+      }
+      const step = matchCode(enrollment, code);
+      if (step === null) {
+        return null;
+      }
+      if (!(await repositories.mfa.enable(userId, step))) {
+        throw new ConflictError("Two-factor authentication is already enabled");
+      }
+      return issueRecoveryCodes(userId);
+    },
+
+    /**
+     * Check a code from the app - each is accepted once - or a recovery code
+     * @param {Number} userId
+     * @param {Object} given - { code } or { recoveryCode }
+     * @returns {Promise<Boolean>}
+     */
+    async verify(userId, { code, recoveryCode }) {
+      const enrollment = await repositories.mfa.find(userId);
+      if (!enrollment || !enrollment.enabledAt) {
+        return false;
+      }
+      if (recoveryCode !== undefined) {
+        return repositories.mfa.useRecoveryCode(
+          userId,
+          hashRecoveryCode(recoveryCode)
+        );
+      }
+      const step = matchCode(enrollment, code);
+      return step !== null && repositories.mfa.useStep(userId, step);
+    },
+
+    /**
+     * Replace every recovery code
+     * @param {Number} userId
+     * @returns {Promise<String[]>}
+     */
+    regenerateRecoveryCodes: issueRecoveryCodes,
+
+    /**
+     * Remove the enrollment and its recovery codes
+     * @param {Number} userId
+     * @returns {Promise<Boolean>} false when there was none
+     */
+    async disable(userId) {
+      return repositories.mfa.remove(userId);
+    },
+  };
+};
+
+module.exports = {
+  createMfaManager,
+};
@@ -0,0 +1,326 @@
+const { authenticateToken } = require("./auth");
+const { version } = require("../package.json");
+
+// OpenAPI 3 document built from the mounted routes - paths and methods come
+// from the Express router, inputs from the validateRequest schemas, security
+// from authenticateToken / requirePermission, and summaries from describeRoute.
+
+const PATH_PARAM_PATTERN = /:(\w+)/g;
+
+/**
+ * Route documentation middleware
+ * Does nothing at request time - it only carries the summary for the
+ * OpenAPI document, like validateRequest carries its schema.
+ * @param {Object} doc - { tag, summary, description, deprecated,
+ * operationId } - operationId only where the one made from the path would
+ * clash
+
+ * @returns {Function} Express middleware, with the doc attached
+ */
+const describeRoute = (doc) => {
+  const middleware = (req, res, next) => next();
+  middleware.openapi = doc;
+  return middleware;
+};
+
+/**
+ * Convert one validation field rule to an OpenAPI schema
+ * @param {Object} def - Rule from the field builders in utils/validation
+ * @returns {Object} OpenAPI schema object
+ */
+const fieldToSchema = (def) => {
+  const schema = {};
+
+  switch (def.type) {
+    case "string":
+      schema.type = "string";
+      if (def.format === "email") {
+        schema.format = "email";
+      }
+      if (def.pattern) {
+        schema.pattern = def.pattern.source;
+      }
+      break;
+    case "number":
+    case "integer":
+      schema.type = def.type;
+      break;
+    case "date":
+      schema.type = "string";
+      schema.format = "date";
+      break;
+    case "dateTime":
+      schema.type = "string";
+      schema.format = "date-time";
+      break;
+    case "list":
+      schema.type = "array";
+      schema.items = fieldToSchema(def.of);
+      break;
+    case "boolean":
+      schema.type = "boolean";
+      break;
+    case "object":
+      schema.type = "object";
+      break;
+    default:
+      throw new Error(`Unknown field type: ${def.type}`);
+  }
+
+  for (const key of ["minLength", "maxLength", "description"]) {
+    if (def[key] !== undefined) {
+      schema[key] = def[key];
+    }
+  }
+  if (def.min !== undefined) {
+    schema.minimum = def.min;
+  }
+  if (def.max !== undefined) {
+    schema.maximum = def.max;
+  }
+  if (def.maxItems !== undefined) {
+    schema.maxItems = def.maxItems;
+  }
+  if (def.oneOf) {
+    schema.enum = def.oneOf;
+  }
+  if (def.nullable) {
+    schema.nullable = true;
+  }
+
+  return schema;
+};
+
+/**
+ * Build an object schema from a set of field rules
+ */
+const fieldsToSchema = (fields) => {
+  const schema = { type: "object", properties: {} };
+  const required = [];
+
+  for (const [name, def] of Object.entries(fields)) {
+    schema.properties[name] = fieldToSchema(def);
+    if (def.required) {
+      required.push(name);
+    }
+  }
+  if (required.length > 0) {
+    schema.required = required;
+  }
+
+  return schema;
+};
+
+const errorResponse = (description) => ({
+  description,
+  content: {
+    "application/json": {
+      schema: { $ref: "#/components/schemas/ErrorEnvelope" },
+    },
+  },
+});
+
+/**
+ * Build the operation object for one route
+ * @param {String} method - Lower case HTTP method
+ * @param {String} path - Express path
+ * @param {Array} handlers - Every middleware that runs for the route, in order
+ */
+const buildOperation = (method, path, handlers) => {
+  const doc = Object.assign(
+    {},
+    ...handlers.filter((fn) => fn.openapi).map((fn) => fn.openapi)
+  );
+  const schema = Object.assign(
+    {},
+    ...handlers.filter((fn) => fn.schema).map((fn) => fn.schema)
+  );
+  const authenticated = handlers.includes(authenticateToken);
+  const permission = handlers
+    .filter((fn) => fn.permission)
+    .map((fn) => fn.permission)
+    .pop();
+
+  const operation = {
+    operationId:
+      doc.operationId ||
+      `${method}${
+        path
+          .replace(PATH_PARAM_PATTERN, "By_$1")
+          .split(/[^A-Za-z0-9]+/)
+          .filter(Boolean)
+          .map((part) => part[0].toUpperCase() + part.slice(1))
+          .join("") || "Root"
+      }`,
+    tags: doc.tag ? [doc.tag] : undefined,
+    summary: doc.summary,
+    description: [
+      doc.description,
+      permission && `Requires the \`${permission}\` permission.`,
+    ]
+      .filter(Boolean)
+      .join("\n\n"),
+    deprecated: doc.deprecated || undefined,
+    parameters: [],
+    responses: {
+      200: {
+        description: "Success",
+        content: { "application/json": { schema: { type: "object" } } },
+      },
+    },
+  };
+
+  // Path parameters are always required, even when the route has no schema
+  const pathParams = [...path.matchAll(PATH_PARAM_PATTERN)].map(([, n]) => n);
+  for (const name of pathParams) {
+    const def = (schema.params && schema.params[name]) || { type: "string" };
+    operation.parameters.push({
+      name,
+      in: "path",
+      required: true,
+      schema: fieldToSchema(def),
+    });
+  }
+  for (const [name, def] of Object.entries(schema.query || {})) {
+    operation.parameters.push({
+      name,
+      in: "query",
+      required: Boolean(def.required),
+      schema: fieldToSchema(def),
+    });
+  }
+
+  if (schema.body) {
+    operation.requestBody = {
+      required: true,
+      content: { "application/json": { schema: fieldsToSchema(schema.body) } },
+    };
+  }
+
+  if (schema.params || schema.query || schema.body) {
+    operation.responses[400] = errorResponse("Validation failed");
+  }
+  if (authenticated) {
+    operation.security = [{ bearerAuth: [] }];
+    operation.responses[401] = errorResponse("Access token required");
+    operation.responses[403] = errorResponse(
+      permission ? "Invalid token or missing permission" : "Invalid token"
+    );
+  }
+  operation.responses[500] = errorResponse("Unexpected server error");
+
+  // Drop empty optional members so the JSON stays readable
+  for (const key of ["tags", "summary", "description", "deprecated"]) {
+    if (!operation[key]) {
+      delete operation[key];
+    }
+  }
+  if (operation.parameters.length === 0) {
+    delete operation.parameters;
+  }
+
+  return operation;
+};
+
+// Router-level middleware from router.use() applies to the routes after it
+const appliesTo = (layer, path) =>
+  layer.slash || layer.matchers.some((match) => match(path));
+
+/**
+ * Walk a router stack, collecting every route with the middleware in front
+ * of it
+ * @returns {Array} [{ method, path, handlers }]
+ */
+const collectRoutes = (stack) => {
+  const routes = [];
+  const before = [];
+
+  for (const layer of stack) {
+    if (layer.route) {
+      const { route } = layer;
+      const shared = before
+        .filter((entry) => appliesTo(entry, route.path))
+        .map((entry) => entry.handle);
+      const handlers = [...shared, ...route.stack.map((entry) => entry.handle)];
+      for (const method of Object.keys(route.methods)) {
+        if (method !== "_all") {
+          routes.push({ method, path: route.path, handlers });
+        }
+      }
+    } else if (layer.handle && Array.isArray(layer.handle.stack)) {
+      // A mounted router - the app mounts them without a prefix
+      routes.push(...collectRoutes(layer.handle.stack));
+    } else {
+      before.push(layer);
+    }
+  }
+
+  return routes;
+};
+
+/**
+ * Build the OpenAPI 3 document for an app
+ * @param {express.Application} app - App with every router mounted
+ * @returns {Object} OpenAPI document
+ */
+const buildOpenApiDocument = (app) => {
+  const paths = {};
+
+  for (const { method, path, handlers } of collectRoutes(app.router.stack)) {
+    const openApiPath = path.replace(PATH_PARAM_PATTERN, "{$1}");
+    paths[openApiPath] = paths[openApiPath] || {};
+    paths[openApiPath][method] = buildOperation(method, path, handlers);
+  }
+
+  return {
+    openapi: "3.0.3",
+    info: {
+      title: "LMRK Backend API",
+      version,
+      description:
+        "Audit reports, documents, member registration and helpdesk issues. " +
+        "Log in with POST /api/auth/login and send the access token as " +
+        "`Authorization: Bearer <token>`.",
+    },
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: "http", scheme: "bearer", bearerFormat: "JWT" },
+      },
+      schemas: {
+        ErrorEnvelope: {
+          type: "object",
+          required: ["success", "error", "message", "correlationId"],
+          properties: {
+            success: { type: "boolean", enum: [false] },
+            error: { type: "string", example: "NOT_FOUND" },
+            message: { type: "string" },
+            correlationId: { type: "string" },
+            errors: {
+              type: "array",
+              description: "VALIDATION_ERROR only",
+              items: {
+                type: "object",
+                properties: {
+                  location: {
+                    type: "string",
+                    enum: ["params", "query", "body"],
+                  },
+                  field: { type: "string" },
+                  message: { type: "string" },
+                },
+              },
+            },
+            requiredPermission: { type: "string" },
+            retryAfter: { type: "integer" },
+          },
+        },
+      },
+    },
+  };
+};
+
+module.exports = {
+  describeRoute,
+  buildOpenApiDocument,
+};
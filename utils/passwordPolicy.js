@@ -0,0 +1,211 @@
+const crypto = require("crypto");
+const { hashPassword, verifyPassword } = require("./auth");
+const { ValidationError } = require("./errors");
+
+// Character classes a policy can require, by the name used in
+// PASSWORD_REQUIRED_CLASSES
+const PASSWORD_CLASSES = {
+  lower: { pattern: /[a-z]/, label: "a lowercase letter" },
+  upper: { pattern: /[A-Z]/, label: "an uppercase letter" },
+  digit: { pattern: /[0-9]/, label: "a digit" },
+  symbol: { pattern: /[^A-Za-z0-9]/, label: "a symbol" },
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Password policy - config.passwordPolicy
+ * @typedef {Object} PasswordPolicy
+ * @property {Number} minLength
+ * @property {String[]} requiredClasses - Keys of PASSWORD_CLASSES
+ * @property {Number} historyCount - Earlier passwords that may not be used
+ * again, 0 allows reuse
+ * @property {Number} maxAgeDays - 0 never expires
+ * @property {Number} resetTokenTtlMs
+ */
+
+/**
+ * Length and character class rules a password breaks
+ * @param {PasswordPolicy} policy
+ * @param {String} name - Field name used in the messages
+ * @param {String} password
+ * @returns {String[]} Messages, empty when the password is acceptable
+ */
+const checkPasswordRules = (policy, name, password) => {
+  const messages = [];
+  if (password.length < policy.minLength) {
+    messages.push(`${name} must be at least ${policy.minLength} characters`);
+  }
+  for (const className of policy.requiredClasses) {
+    const { pattern, label } = PASSWORD_CLASSES[className];
+    if (!pattern.test(password)) {
+      messages.push(`${name} must contain ${label}`);
+    }
+  }
+  return messages;
+};
+
+/**
+ * Whether a password set at changedAt has to be changed before logging in
+ * @param {PasswordPolicy} policy
+ * @param {Date|null} changedAt - null when the date is unknown, never expired
+ * @param {Date} now
+ * @returns {Boolean}
+ */
+const isPasswordExpired = (policy, changedAt, now = new Date()) =>
+  policy.maxAgeDays > 0 &&
+  changedAt instanceof Date &&
+  now.getTime() - changedAt.getTime() >= policy.maxAgeDays * DAY_MS;
+
+// Reset tokens are stored as a digest, like a password - a copy of the table
+// does not let anyone reset a password
+const hashResetToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Password changes - policy checks, history and one-time reset tokens
+ * @param {Object} deps - { config, repositories, now }
+ * @returns {Object} { policy, check, isExpired, setPassword, remember,
+ * issueResetToken, findResetToken, consumeResetToken }
+ */
+const createPasswordManager = ({
+  config,
+  repositories,
+  now = () => new Date(),
+}) => {
+  const policy = config.passwordPolicy;
+
+  /**
+   * Remember a password that was just set, dropping the oldest beyond the
+   * history the policy keeps
+   * @param {Number} userId
+   * @param {String} passwordHash
+   * @returns {Promise<void>}
+   */
+  const remember = async (userId, passwordHash) => {
+    if (policy.historyCount > 0) {
+      await repositories.passwords.addHistory(
+        userId,
+        passwordHash,
+        policy.historyCount
+      );
+    }
+  };
+
+  return {
+    policy,
+
+    /**
+     * Reject a password the policy does not allow
+     * @param {String} name - Field name used in the error
+     * @param {String} password
+     * @param {Object} [user] - User being changed - the current and earlier
+     * passwords may not be used again. Omitted for a new user.
+     * @throws {ValidationError}
+     */
+    async check(name, password, user) {
+      const messages = checkPasswordRules(policy, name, password);
+
+      if (messages.length === 0 && user && policy.historyCount > 0) {
+        const earlier = [
+          user.password,
+          ...(await repositories.passwords.listHistory(
+            user.userId,
+            policy.historyCount
+          )),
+        ];
+        for (const stored of earlier) {
+          if ((await verifyPassword(password, stored)).valid) {
+            messages.push(
+              `${name} must not be one of the last ${policy.historyCount} passwords`
+            );
+            break;
+          }
+        }
+      }
+
+      if (messages.length > 0) {
+        throw new ValidationError(
+          messages.map((message) => ({
+            location: "body",
+            field: name,
+            message,
+          }))
+        );
+      }
+    },
+
+    /**
+     * @param {Object} user - User from repositories.users
+     * @returns {Boolean}
+     */
+    isExpired(user) {
+      return isPasswordExpired(policy, user.passwordChangedAt, now());
+    },
+
+    /**
+     * Store a new password - restarts its age and ends any reset token
+     * @param {Number} userId
+     * @param {String} password - Already checked
+     * @returns {Promise<void>}
+     */
+    async setPassword(userId, password) {
+      const passwordHash = await hashPassword(password);
+      await repositories.users.updatePassword(userId, passwordHash, now());
+      await remember(userId, passwordHash);
+      await repositories.passwords.discardResetTokens(userId);
+    },
+
+    remember,
+
+    /**
+     * Issue a one-time reset token, replacing any unused one of the user
+     * @param {Number} userId
+     * @param {Number} createdBy - User_ID of the admin
+     * @returns {Promise<Object>} { token, expiresAt } - only the digest is
+     * stored, the token cannot be shown again
+     */
+    async issueResetToken(userId, createdBy) {
+      const token = crypto.randomBytes(32).toString("base64url");
+      const expiresAt = new Date(now().getTime() + policy.resetTokenTtlMs);
+      await repositories.passwords.createResetToken({
+        tokenHash: hashResetToken(token),
+        userId,
+        expiresAt,
+        createdBy,
+      });
+      return { token, expiresAt };
+    },
+
+    /**
+     * User a reset token belongs to, while it is unused and unexpired
+     * @param {String} token
+     * @returns {Promise<Number|null>} userId
+     */
+    async findResetToken(token) {
+      return repositories.passwords.findResetToken(
+        hashResetToken(token),
+        now()
+      );
+    },
+
+    /**
+     * Mark a reset token used
+     * @param {String} token
+     * @returns {Promise<Boolean>} false when it was used or expired meanwhile
+     */
+    async consumeResetToken(token) {
+      return repositories.passwords.consumeResetToken(
+        hashResetToken(token),
+        now()
+      );
+    },
+  };
+};
+
+module.exports = {
+  PASSWORD_CLASSES,
+  checkPasswordRules,
+  isPasswordExpired,
+  createPasswordManager,
+};
@@ -0,0 +1,266 @@
+const zlib = require("zlib");
+
+// Minimal PDF 1.4 writer - text, lines and filled rectangles on any number
+// of pages, in the standard Helvetica fonts every viewer ships with, so no
+// fonts need embedding. Enough for printable reports without a PDF library.
+
+// A4 in points
+const PAGE_SIZES = {
+  A4_PORTRAIT: { width: 595.28, height: 841.89 },
+  A4_LANDSCAPE: { width: 841.89, height: 595.28 },
+};
+
+const FONTS = {
+  regular: { resource: "F1", baseFont: "Helvetica" },
+  bold: { resource: "F2", baseFont: "Helvetica-Bold" },
+};
+
+// Glyph widths per 1000 units for characters 32-126, from the Adobe AFMs
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278,
+    278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584,
+    584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556,
+    833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278,
+    278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222,
+    500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500,
+    500, 334, 260, 334, 584,
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278,
+    278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584,
+    584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611,
+    833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333,
+    278, 333, 584, 556, 333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278,
+    556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556,
+    500, 389, 280, 389, 584,
+  ],
+};
+
+// Used for Latin-1 letters outside the table
+const DEFAULT_WIDTH = 556;
+
+// The standard fonts use WinAnsiEncoding - Latin-1 maps straight across,
+// anything else prints as "?"
+const toWinAnsi = (text) => String(text).replace(/[^\x20-\x7e\xa0-\xff]/g, "?");
+
+/**
+ * Width of a string in points
+ * @param {String} text
+ * @param {String} font - "regular" or "bold"
+ * @param {Number} size - Font size in points
+ * @returns {Number}
+ */
+const textWidth = (text, font, size) => {
+  let units = 0;
+  for (const char of toWinAnsi(text)) {
+    const code = char.charCodeAt(0);
+    units += code <= 126 ? WIDTHS[font][code - 32] : DEFAULT_WIDTH;
+  }
+  return (units * size) / 1000;
+};
+
+/**
+ * Cut a string to fit a width, ending in "..."
+ * @param {String} text
+ * @param {Number} maxWidth - Points
+ * @param {String} font - "regular" or "bold"
+ * @param {Number} size - Font size in points
+ * @returns {String}
+ */
+const fitText = (text, maxWidth, font, size) => {
+  const value = toWinAnsi(text);
+  if (textWidth(value, font, size) <= maxWidth) {
+    return value;
+  }
+  let end = value.length;
+  while (
+    end > 0 &&
+    textWidth(`${value.slice(0, end)}...`, font, size) > maxWidth
+  ) {
+    end -= 1;
+  }
+  return end > 0 ? `${value.slice(0, end)}...` : "";
+};
+
+const escapePdfString = (text) =>
+  toWinAnsi(text).replace(/[\\()]/g, (char) => `\\${char}`);
+
+const num = (n) => Number(n.toFixed(2)).toString();
+
+/**
+ * Create a PDF document
+ * Coordinates are points from the top left corner of the page.
+ * @param {Object} options - { size } one of PAGE_SIZES
+ * @returns {Object} { width, height, addPage, pageCount, text, line, rect,
+ * toBuffer }
+ */
+const createPdfDocument = ({ size = PAGE_SIZES.A4_PORTRAIT } = {}) => {
+  const { width, height } = size;
+  // Content stream operators per page
+  const pages = [];
+  let current = null;
+
+  const addPage = () => {
+    current = [];
+    pages.push(current);
+    return pages.length;
+  };
+
+  /**
+   * Draw text with its baseline at y
+   * @param {String} value
+   * @param {Number} x - Left edge, or right edge with align "right"
+   * @param {Number} y - Baseline
+   * @param {Object} options - { font, size, align, page } page is 1 based,
+   * defaulting to the last page added
+   */
+  const text = (
+    value,
+    x,
+    y,
+    { font = "regular", size: fontSize = 10, align = "left", page } = {}
+  ) => {
+    const target = page ? pages[page - 1] : current;
+    const left = align === "right" ? x - textWidth(value, font, fontSize) : x;
+    target.push(
+      `BT /${FONTS[font].resource} ${num(fontSize)} Tf ${num(left)} ${num(
+        height - y
+      )} Td (${escapePdfString(value)}) Tj ET`
+    );
+  };
+
+  /**
+   * Draw a straight line
+   * @param {Number} x1
+   * @param {Number} y1
+   * @param {Number} x2
+   * @param {Number} y2
+   * @param {Object} options - { width, gray } gray 0 black to 1 white
+   */
+  const line = (x1, y1, x2, y2, { width: lineWidth = 0.5, gray = 0 } = {}) => {
+    current.push(
+      `${num(gray)} G ${num(lineWidth)} w ${num(x1)} ${num(
+        height - y1
+      )} m ${num(x2)} ${num(height - y2)} l S`
+    );
+  };
+
+  /**
+   * Fill a rectangle
+   * @param {Number} x - Left
+   * @param {Number} y - Top
+   * @param {Number} w
+   * @param {Number} h
+   * @param {Object} options - { gray } 0 black to 1 white
+   */
+  const rect = (x, y, w, h, { gray = 0.9 } = {}) => {
+    current.push(
+      `${num(gray)} g ${num(x)} ${num(height - y - h)} ${num(w)} ${num(
+        h
+      )} re f 0 g`
+    );
+  };
+
+  /**
+   * Serialize the document
+   * @param {Object} info - { title, author } document properties
+   * @returns {Buffer}
+   */
+  const toBuffer = ({ title, author } = {}) => {
+    // Object numbers: 1 catalog, 2 page tree, 3-4 fonts, 5 info, then a
+    // page and a content stream per page
+    const objects = [];
+    const pageIds = pages.map((_, i) => 6 + i * 2);
+
+    objects[1] = Buffer.from("<< /Type /Catalog /Pages 2 0 R >>");
+    objects[2] = Buffer.from(
+      `<< /Type /Pages /Kids [${pageIds
+        .map((id) => `${id} 0 R`)
+        .join(" ")}] /Count ${pages.length} >>`
+    );
+    objects[3] = Buffer.from(
+      `<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS.regular.baseFont} /Encoding /WinAnsiEncoding >>`
+    );
+    objects[4] = Buffer.from(
+      `<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS.bold.baseFont} /Encoding /WinAnsiEncoding >>`
+    );
+    objects[5] = Buffer.from(
+      `<< /Producer (Audit reports) /Title (${escapePdfString(
+        title || ""
+      )}) /Author (${escapePdfString(author || "")}) >>`,
+      "latin1"
+    );
+
+    pages.forEach((operators, i) => {
+      const pageId = pageIds[i];
+      const stream = zlib.deflateSync(
+        Buffer.from(operators.join("\n"), "latin1")
+      );
+      objects[pageId] = Buffer.from(
+        `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(width)} ${num(
+          height
+        )}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${
+          pageId + 1
+        } 0 R >>`
+      );
+      objects[pageId + 1] = Buffer.concat([
+        Buffer.from(
+          `<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`
+        ),
+        stream,
+        Buffer.from("\nendstream"),
+      ]);
+    });
+
+    const chunks = [Buffer.from("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n", "latin1")];
+    let offset = chunks[0].length;
+    const offsets = [];
+
+    for (let id = 1; id < objects.length; id += 1) {
+      offsets[id] = offset;
+      const chunk = Buffer.concat([
+        Buffer.from(`${id} 0 obj\n`),
+        objects[id],
+        Buffer.from("\nendobj\n"),
+      ]);
+      chunks.push(chunk);
+      offset += chunk.length;
+    }
+
+    const xref = [
+      "xref",
+      `0 ${objects.length}`,
+      "0000000000 65535 f ",
+      ...offsets
+        .slice(1)
+        .map((at) => `${String(at).padStart(10, "0")} 00000 n `),
+      "trailer",
+      `<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>`,
+      "startxref",
+      String(offset),
+      "%%EOF",
+    ].join("\n");
+    chunks.push(Buffer.from(`${xref}\n`));
+
+    return Buffer.concat(chunks);
+  };
+
+  return {
+    width,
+    height,
+    addPage,
+    pageCount: () => pages.length,
+    text,
+    line,
+    rect,
+    toBuffer,
+  };
+};
+
+module.exports = {
+  PAGE_SIZES,
+  textWidth,
+  fitText,
+  createPdfDocument,
+};
@@ -0,0 +1,90 @@
+// Named permissions checked by requirePermission on each route
+const PERMISSIONS = {
+  REPORT_MENU: "report:menu",
+  REPORT_HV: "report:hv",
+  REPORT_USERRIGHT: "report:userright",
+  REPORT_REGISTRATION: "report:registration",
+  REPORT_COMPLAINT: "report:complaint",
+  REPORT_SCHEDULE: "report:schedule",
+  REPORT_PRESET: "report:preset",
+  LOOKUP_READ: "lookup:read",
+  DOCUMENT_READ: "document:read",
+  DOCUMENT_WRITE: "document:write",
+  REGISTRATION_WRITE: "registration:write",
+  ATTENDANCE_WRITE: "attendance:write",
+  ISSUE_WRITE: "issue:write",
+  USER_READ: "user:read",
+  USER_CREATE: "user:create",
+  USER_UPDATE: "user:update",
+  USER_DELETE: "user:delete",
+  USER_UNLOCK: "user:unlock",
+  USER_PASSWORD_RESET: "user:password-reset",
+  USER_MFA_RESET: "user:mfa-reset",
+  SESSION_READ: "session:read",
+  SESSION_REVOKE: "session:revoke",
+  AUDIT_READ: "audit:read",
+  SYSTEM_DEBUG: "system:debug",
+};
+
+const ROLES = {
+  ADMIN: "admin",
+  USER: "user",
+};
+
+// Permissions granted to each role - admins get everything
+const ROLE_PERMISSIONS = {
+  [ROLES.ADMIN]: Object.values(PERMISSIONS),
+  [ROLES.USER]: [
+    PERMISSIONS.REPORT_MENU,
+    PERMISSIONS.REPORT_HV,
+    PERMISSIONS.REPORT_REGISTRATION,
+    PERMISSIONS.REPORT_COMPLAINT,
+    PERMISSIONS.REPORT_PRESET,
+    PERMISSIONS.LOOKUP_READ,
+    PERMISSIONS.DOCUMENT_READ,
+    PERMISSIONS.DOCUMENT_WRITE,
+    PERMISSIONS.REGISTRATION_WRITE,
+    PERMISSIONS.ATTENDANCE_WRITE,
+    PERMISSIONS.ISSUE_WRITE,
+  ],
+};
+
+/**
+ * Map Tbl_UserMaster.Role / User_Type ("Admin", "User", ...) to a known role
+ * @param {String} role - Tbl_UserMaster.Role
+ * @param {String} userType - Tbl_UserMaster.User_Type, used when Role is empty
+ * @returns {String} "admin" or "user"
+ */
+const normalizeRole = (role, userType) => {
+  const value = String(role || userType || "")
+    .trim()
+    .toLowerCase();
+  return value === ROLES.ADMIN ? ROLES.ADMIN : ROLES.USER;
+};
+
+/**
+ * Check whether a role is granted a permission
+ * @param {String} role - Role from the access token
+ * @param {String} permission - One of PERMISSIONS
+ * @returns {Boolean} True when the role has the permission
+ */
+const hasPermission = (role, permission) => {
+  return ROLE_PERMISSIONS[normalizeRole(role)].includes(permission);
+};
+
+/**
+ * List every permission granted to a role
+ * @param {String} role - Role from the access token
+ * @returns {Array} Permission names
+ */
+const getPermissions = (role) => {
+  return [...ROLE_PERMISSIONS[normalizeRole(role)]];
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  normalizeRole,
+  hasPermission,
+  getPermissions,
+};
@@ -0,0 +1,337 @@
+const { logger } = require("./logger");
+const { ValidationError } = require("./errors");
+
+// Stored procedure signatures read from INFORMATION_SCHEMA.PARAMETERS once
+// and kept - routes check their inputs against the real parameter types and
+// sizes, and the server warns at startup when a route and the procedure it
+// calls no longer agree.
+
+const CHAR_TYPES = ["char", "varchar", "nchar", "nvarchar", "text", "ntext"];
+const DECIMAL_TYPES = ["decimal", "numeric", "money", "smallmoney"];
+const FLOAT_TYPES = ["float", "real"];
+const DATE_TYPES = ["date", "datetime", "datetime2", "smalldatetime"];
+const INTEGER_RANGES = {
+  tinyint: [0, 255],
+  smallint: [-32768, 32767],
+  int: [-2147483648, 2147483647],
+  bigint: [Number.MIN_SAFE_INTEGER, Number.MAX_SAFE_INTEGER],
+};
+
+// Parameter types each field rule can be sent as - repositories convert
+// integers to strings where a procedure takes varchar
+const COMPATIBLE_TYPES = {
+  string: CHAR_TYPES,
+  date: [...CHAR_TYPES, ...DATE_TYPES],
+  dateTime: DATE_TYPES,
+  number: [...DECIMAL_TYPES, ...FLOAT_TYPES],
+  integer: [
+    ...Object.keys(INTEGER_RANGES),
+    ...DECIMAL_TYPES,
+    ...FLOAT_TYPES,
+    ...CHAR_TYPES,
+  ],
+  boolean: ["bit", ...Object.keys(INTEGER_RANGES)],
+};
+
+// YYYY-MM-DD
+const DATE_LENGTH = 10;
+
+/**
+ * What a route sends to a stored procedure - a ReportDefinition is one
+ * @typedef {Object} ProcedureContract
+ * @property {String} procedure - Stored procedure name
+ * @property {Object<String, String>} params - Procedure parameter without "@"
+ * -> the request field that fills it
+ * @property {Object} fields - Field rules the route validates with
+ */
+
+// SQL Server compares parameter names without regard to case
+const paramKey = (name) => name.replace(/^@/, "").toLowerCase();
+
+const dataType = (parameter) => parameter.DATA_TYPE.toLowerCase();
+
+// -1 is varchar(max) - no limit worth checking
+const charLength = (parameter) =>
+  CHAR_TYPES.includes(dataType(parameter)) &&
+  parameter.CHARACTER_MAXIMUM_LENGTH > 0
+    ? parameter.CHARACTER_MAXIMUM_LENGTH
+    : null;
+
+const inputParameters = (parameters) =>
+  parameters.filter(
+    (parameter) =>
+      parameter.PARAMETER_NAME && parameter.PARAMETER_MODE !== "OUT"
+  );
+
+/**
+ * Why a value would not fit a parameter, if it would not
+ * @returns {String|undefined}
+ */
+const inputError = (name, value, parameter) => {
+  const type = dataType(parameter);
+  const length = charLength(parameter);
+  if (length !== null && String(value).length > length) {
+    return `${name} must be at most ${length} characters`;
+  }
+  if (typeof value !== "number") {
+    return undefined;
+  }
+  if (INTEGER_RANGES[type]) {
+    const [min, max] = INTEGER_RANGES[type];
+    if (value < min) {
+      return `${name} must be at least ${min}`;
+    }
+    if (value > max) {
+      return `${name} must be at most ${max}`;
+    }
+  }
+  if (
+    ["decimal", "numeric"].includes(type) &&
+    parameter.NUMERIC_PRECISION > 0
+  ) {
+    const digits = parameter.NUMERIC_PRECISION - (parameter.NUMERIC_SCALE || 0);
+    if (Math.abs(value) >= 10 ** digits) {
+      return `${name} must have at most ${digits} digits before the decimal point`;
+    }
+  }
+  return undefined;
+};
+
+/**
+ * Where a contract and a procedure signature disagree
+ * @param {ProcedureContract} contract
+ * @param {Object[]} parameters - ProcedureParameter rows
+ * @returns {String[]}
+ */
+const findDrift = (contract, parameters) => {
+  const declared = inputParameters(parameters);
+  const sent = Object.keys(contract.params).map(paramKey);
+  const problems = [];
+
+  if (declared.length === 0 && sent.length > 0) {
+    return [`${contract.procedure} was not found or takes no parameters`];
+  }
+
+  for (const [param, name] of Object.entries(contract.params)) {
+    const parameter = declared.find(
+      (p) => paramKey(p.PARAMETER_NAME) === paramKey(param)
+    );
+    if (!parameter) {
+      problems.push(`@${param} is not a parameter of ${contract.procedure}`);
+      continue;
+    }
+
+    const rule = contract.fields[name] || {};
+    const type = dataType(parameter);
+    if (
+      COMPATIBLE_TYPES[rule.type] &&
+      !COMPATIBLE_TYPES[rule.type].includes(type)
+    ) {
+      problems.push(`${name} is a ${rule.type} but @${param} is ${type}`);
+      continue;
+    }
+
+    const length = charLength(parameter);
+    if (length === null) {
+      continue;
+    }
+    if (
+      rule.type === "string" &&
+      (rule.maxLength === undefined || rule.maxLength > length)
+    ) {
+      problems.push(
+        `${name} allows ${
+          rule.maxLength === undefined ? "any number of" : rule.maxLength
+        } characters but @${param} takes ${length}`
+      );
+    }
+    if (rule.type === "date" && length < DATE_LENGTH) {
+      problems.push(
+        `${name} is YYYY-MM-DD but @${param} takes ${length} characters`
+      );
+    }
+  }
+
+  for (const parameter of declared) {
+    if (!sent.includes(paramKey(parameter.PARAMETER_NAME))) {
+      problems.push(`${parameter.PARAMETER_NAME} is never sent`);
+    }
+  }
+
+  return problems;
+};
+
+/**
+ * Cached stored procedure signatures
+ *
+ * Routes declare the procedures they call with expect(); load() reads all of
+ * them, and any other procedure is read the first time it is asked for.
+ * Signatures are kept until the next load().
+ *
+ * @param {Object} deps - { repositories }
+ * @returns {Object} { expect, load, parameters, validateInputs, checkInputs,
+ * describe, reportDrift }
+ */
+const createProcedureMetadata = ({ repositories }) => {
+  // Route or registry entry -> ProcedureContract
+  const contracts = new Map();
+  const declaredProcedures = () => [
+    ...new Set([...contracts.values()].map((contract) => contract.procedure)),
+  ];
+  // procedure -> Promise<{ parameters, loadedAt }>
+  const cache = new Map();
+
+  const read = (procedure) => {
+    const loading = repositories.procedures
+      .listParameters(procedure)
+      .then((parameters) => ({ parameters, loadedAt: new Date() }));
+    cache.set(procedure, loading);
+    // A failed read is tried again next time
+    loading.catch(() => {
+      if (cache.get(procedure) === loading) {
+        cache.delete(procedure);
+      }
+    });
+    return loading;
+  };
+
+  const entry = (procedure) => cache.get(procedure) || read(procedure);
+
+  /**
+   * Parameters of a procedure, read on first use
+   * @param {String} procedure
+   * @returns {Promise<Object[]>} ProcedureParameter rows, empty when the
+   * procedure does not exist
+   */
+  const parameters = async (procedure) => (await entry(procedure)).parameters;
+
+  /**
+   * Check request values against the procedure's parameters
+   * @param {ProcedureContract} contract
+   * @param {Object} values - Validated request fields
+   * @returns {Promise<Object[]>} [{ location, field, message }]
+   */
+  const validateInputs = async (contract, values) => {
+    const declared = inputParameters(await parameters(contract.procedure));
+    const errors = [];
+
+    for (const [param, name] of Object.entries(contract.params)) {
+      const parameter = declared.find(
+        (p) => paramKey(p.PARAMETER_NAME) === paramKey(param)
+      );
+      const value = values[name];
+      if (!parameter || value === undefined || value === null) {
+        continue;
+      }
+      const message = inputError(name, value, parameter);
+      if (message) {
+        errors.push({ location: "body", field: name, message });
+      }
+    }
+
+    return errors;
+  };
+
+  return {
+    /**
+     * Declare a procedure a route calls - it is loaded and checked at startup
+     * @param {ProcedureContract} contract
+     * @param {String} [key] - What sends it, when several contracts call one
+     * procedure - e.g. a report registry entry. Defaults to the procedure.
+     * @returns {ProcedureContract}
+     */
+    expect(contract, key = contract.procedure) {
+      contracts.set(key, contract);
+      return contract;
+    },
+
+    /**
+     * Read signatures again
+     * @param {String[]} [procedures] - Defaults to every declared procedure
+     * @returns {Promise<void>}
+     */
+    async load(procedures = declaredProcedures()) {
+      await Promise.all(procedures.map(read));
+    },
+
+    parameters,
+    validateInputs,
+
+    /**
+     * Middleware rejecting a validated body the procedure cannot take -
+     * place after validateRequest. Declares the contract like expect().
+     * @param {ProcedureContract} contract
+     * @returns {Function}
+     */
+    checkInputs(contract) {
+      contracts.set(contract.procedure, contract);
+      return async (req, res, next) => {
+        const errors = await validateInputs(contract, req.body);
+        if (errors.length > 0) {
+          throw new ValidationError(errors);
+        }
+        next();
+      };
+    },
+
+    /**
+     * Cached signatures, declared procedures first
+     * @returns {Promise<Object[]>} [{ procedure, loadedAt, parameters, drift }]
+     * drift is null for procedures no route declared
+     */
+    async describe() {
+      const names = [
+        ...new Set([...declaredProcedures(), ...[...cache.keys()].sort()]),
+      ];
+      return Promise.all(
+        names.map(async (procedure) => {
+          const loaded = await entry(procedure);
+          const declared = [...contracts.values()].filter(
+            (contract) => contract.procedure === procedure
+          );
+          return {
+            procedure,
+            loadedAt: loaded.loadedAt,
+            parameters: loaded.parameters,
+            drift:
+              declared.length > 0
+                ? declared.flatMap((contract) =>
+                    findDrift(contract, loaded.parameters)
+                  )
+                : null,
+          };
+        })
+      );
+    },
+
+    /**
+     * Log a warning for each declared procedure whose signature disagrees
+     * with its route
+     * @returns {Promise<Object[]>} [{ procedure, problems }] with problems,
+     * plus the contract key when it is not the procedure
+     */
+    async reportDrift() {
+      const drifted = [];
+      for (const [key, contract] of contracts) {
+        const problems = findDrift(
+          contract,
+          await parameters(contract.procedure)
+        );
+        if (problems.length > 0) {
+          const drift = { procedure: contract.procedure, problems };
+          if (key !== contract.procedure) {
+            drift.contract = key;
+          }
+          logger.warn("Stored procedure does not match its route", drift);
+          drifted.push(drift);
+        }
+      }
+      return drifted;
+    },
+  };
+};
+
+module.exports = {
+  findDrift,
+  createProcedureMetadata,
+};
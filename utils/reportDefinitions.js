@@ -0,0 +1,233 @@
+const { field, validate } = require("./validation");
+const { PERMISSIONS } = require("./permissions");
+const { formatAmount } = require("./reportPdf");
+const { applyReportQuery } = require("./reportQuery");
+const { isExportRequest, sendReportExport } = require("./reportExport");
+const { ValidationError } = require("./errors");
+
+// Audit reports that can run outside their own route - keyed by stored
+// procedure, shared by the report routes, presets and the report scheduler so
+// every run validates, names and prints its output exactly like a download.
+
+// Sizes match the AuditHVTranRpt_Sp parameters
+const highValueFields = {
+  branchName: field.string({ required: true, maxLength: 10 }),
+  section: field.string({ required: true, maxLength: 10 }),
+  scheme: field.string({ required: true, maxLength: 30 }),
+  fromDate: field.date({ required: true }),
+  toDate: field.date({ required: true }),
+};
+
+const amountField = field.number({ required: true, min: 0 });
+
+// Amount range and period must not be reversed
+const checkHighValueRange =
+  (minField, maxField) =>
+  ({ body }) => {
+    const errors = [];
+    if (body[minField] > body[maxField]) {
+      errors.push({
+        location: "body",
+        field: minField,
+        message: `${minField} cannot be greater than ${maxField}`,
+      });
+    }
+    if (body.fromDate > body.toDate) {
+      errors.push({
+        location: "body",
+        field: "fromDate",
+        message: "fromDate cannot be after toDate",
+      });
+    }
+    return errors;
+  };
+
+/**
+ * @typedef {Object} ReportDefinition
+ * @property {String} procedure - Stored procedure, also the cache key
+ * @property {String} title - Sheet name and printed title
+ * @property {String} permission - Needed to run the report
+ * @property {Object} fields - Parameter rules, see utils/validation
+ * @property {Function} [check] - Cross-field check, as in a request schema
+ * @property {Object<String, String>} params - Procedure parameter without
+ * "@" -> the field that fills it, checked by utils/procedureMetadata
+ * @property {Boolean} dated - Takes fromDate / toDate, so relative periods apply
+ * @property {Function} run - (repositories, params) => Promise<Object[]>
+ * @property {Function} filenameParts - (params) => Array for exportFilename
+ * @property {Function} printParameters - (params) => [{ label, value }]
+ * @property {Array} totals - Amount columns summed on the printout
+ */
+
+/** @type {Object<String, ReportDefinition>} */
+const REPORT_DEFINITIONS = {
+  AuditHVTranRpt_Sp: {
+    procedure: "AuditHVTranRpt_Sp",
+    title: "High Value Transactions",
+    permission: PERMISSIONS.REPORT_HV,
+    fields: { ...highValueFields, amount1: amountField, amount2: amountField },
+    check: checkHighValueRange("amount1", "amount2"),
+    params: {
+      Br_Name: "branchName",
+      Section: "section",
+      Scheme: "scheme",
+      Amount: "amount1",
+      Amount2: "amount2",
+      Frdate: "fromDate",
+      Todate: "toDate",
+    },
+    dated: true,
+    run: (repositories, params) =>
+      repositories.transactions.highValue({
+        branchName: params.branchName,
+        section: params.section,
+        scheme: params.scheme,
+        minAmount: params.amount1,
+        maxAmount: params.amount2,
+        fromDate: params.fromDate,
+        toDate: params.toDate,
+      }),
+    filenameParts: (params) => [
+      "HV",
+      params.branchName,
+      params.fromDate,
+      params.toDate,
+    ],
+    printParameters: (params) => [
+      { label: "Branch", value: params.branchName },
+      { label: "Section", value: params.section },
+      { label: "Scheme", value: params.scheme },
+      {
+        label: "Amount range",
+        value: `${formatAmount(params.amount1)} to ${formatAmount(
+          params.amount2
+        )}`,
+      },
+      { label: "From date", value: params.fromDate },
+      { label: "To date", value: params.toDate },
+    ],
+    totals: ["Transaction_Amount"],
+  },
+
+  AuditUserrightRpt_Sp: {
+    procedure: "AuditUserrightRpt_Sp",
+    title: "User Rights",
+    permission: PERMISSIONS.REPORT_USERRIGHT,
+    fields: { user: field.string({ required: true, maxLength: 100 }) },
+    params: { Userid: "user" },
+    dated: false,
+    run: (repositories, params) =>
+      repositories.rightsAudit.userRights(params.user),
+    filenameParts: (params) => ["UserRights", params.user],
+    printParameters: (params) => [{ label: "User", value: params.user }],
+    totals: [],
+  },
+
+  // Sizes match the AuditUserrightTranRpt_sp parameters
+  AuditUserrightTranRpt_sp: {
+    procedure: "AuditUserrightTranRpt_sp",
+    title: "User Right Transfers",
+    permission: PERMISSIONS.REPORT_USERRIGHT,
+    fields: {
+      user: field.string({ required: true, maxLength: 10 }),
+      fromDate: field.date({ required: true }),
+      toDate: field.date({ required: true }),
+    },
+    params: { userName: "user", Frdate: "fromDate", ToDate: "toDate" },
+    dated: true,
+    run: (repositories, params) =>
+      repositories.rightsAudit.userRightTransfers({
+        user: params.user,
+        fromDate: params.fromDate,
+        toDate: params.toDate,
+      }),
+    filenameParts: (params) => [
+      "UserRightTransfer",
+      params.user,
+      params.fromDate,
+      params.toDate,
+    ],
+    printParameters: (params) => [
+      { label: "User", value: params.user },
+      { label: "From date", value: params.fromDate },
+      { label: "To date", value: params.toDate },
+    ],
+    totals: [],
+  },
+};
+
+/**
+ * Check stored parameters against the report, as its route would
+ * @param {Object} definition - ReportDefinition
+ * @param {Object} parameters
+ * @returns {Object} { values, errors } with errors located in body
+ */
+const validateReportParameters = (definition, parameters) => {
+  const { values, errors } = validate(
+    { body: definition.fields, check: definition.check },
+    { body: parameters }
+  );
+  return { values: values.body, errors };
+};
+
+/**
+ * Download options for sendReportExport / renderReportExport
+ * @param {ReportDefinition} definition
+ * @param {Object} params - Validated report parameters
+ * @param {String} companyName - config.reports.companyName
+ * @returns {Object} { filenameParts, sheetName, print }
+ */
+const reportExportOptions = (definition, params, companyName) => ({
+  filenameParts: definition.filenameParts(params),
+  sheetName: definition.title,
+  print: {
+    companyName,
+    parameters: definition.printParameters(params),
+    totals: definition.totals,
+  },
+});
+
+/**
+ * Report responder for routes - checks the parameters against the procedure
+ * signature, runs the report through the cache, then answers with a JSON
+ * page or a download
+ * @param {Object} deps - { config, repositories, reportCache,
+ * procedureMetadata }
+ * @returns {Function} (definition, params, req, res) => Promise<void>, the
+ * query validated with reportQueryFields and printableQueryFields
+ */
+const createReportSender =
+  ({ config, repositories, reportCache, procedureMetadata }) =>
+  async (definition, params, req, res) => {
+    const errors = await procedureMetadata.validateInputs(definition, params);
+    if (errors.length > 0) {
+      throw new ValidationError(errors);
+    }
+
+    const result = await reportCache.load(definition.procedure, params, () =>
+      definition.run(repositories, params)
+    );
+
+    req.log.debug(`${definition.procedure} executed`, {
+      count: result.length,
+    });
+
+    if (isExportRequest(req.query)) {
+      return sendReportExport(
+        req,
+        res,
+        result,
+        reportExportOptions(definition, params, config.reports.companyName)
+      );
+    }
+    res.json(applyReportQuery(result, req.query));
+  };
+
+module.exports = {
+  REPORT_DEFINITIONS,
+  highValueFields,
+  amountField,
+  checkHighValueRange,
+  validateReportParameters,
+  reportExportOptions,
+  createReportSender,
+};
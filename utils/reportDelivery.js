@@ -0,0 +1,69 @@
+const fs = require("fs/promises");
+const path = require("path");
+const { sendMail } = require("./smtp");
+
+// Where a scheduled report ends up - a file in the outbox directory, or an
+// email with the report attached
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// 2026-03-01T06:00 local -> 20260301-0600
+const fileStamp = (date) =>
+  `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}-` +
+  `${pad(date.getHours())}${pad(date.getMinutes())}`;
+
+/**
+ * Report delivery
+ * @param {Object} deps
+ * @param {Object} deps.config - Application config, reads reportScheduler.outboxDir
+ * and smtp
+ * @param {Function} [deps.send] - sendMail override
+ * @returns {Object} { deliver(schedule, file, runAt) => Promise<String> }
+ */
+const createReportDelivery = ({ config, send = sendMail }) => {
+  const outboxDir = path.resolve(config.reportScheduler.outboxDir);
+
+  const toOutbox = async (schedule, file, runAt) => {
+    await fs.mkdir(outboxDir, { recursive: true });
+    const target = path.join(
+      outboxDir,
+      `schedule-${schedule.scheduleId}-${fileStamp(runAt)}-${file.filename}`
+    );
+    await fs.writeFile(target, file.data);
+    return target;
+  };
+
+  const toEmail = async (schedule, file, runAt) => {
+    await send(config.smtp, {
+      from: config.smtp.from,
+      to: schedule.recipients,
+      subject: `${schedule.name} - ${file.filename}`,
+      text: [
+        `Scheduled report "${schedule.name}" ran at ${runAt.toISOString()}.`,
+        "",
+        `The report is attached as ${file.filename}.`,
+      ].join("\n"),
+      attachments: [file],
+    });
+    return `email to ${schedule.recipients.join(", ")}`;
+  };
+
+  return {
+    /**
+     * Deliver one rendered report
+     * @param {Object} schedule - ReportSchedule
+     * @param {Object} file - { filename, contentType, data } from renderReportExport
+     * @param {Date} runAt - When the run started
+     * @returns {Promise<String>} File written or recipients, kept on the run
+     */
+    deliver(schedule, file, runAt) {
+      return schedule.delivery === "email"
+        ? toEmail(schedule, file, runAt)
+        : toOutbox(schedule, file, runAt);
+    },
+  };
+};
+
+module.exports = {
+  createReportDelivery,
+};
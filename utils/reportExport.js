@@ -0,0 +1,238 @@
+const { field } = require("./validation");
+const { buildWorkbook } = require("./xlsx");
+const { applyReportQuery } = require("./reportQuery");
+const { renderReportPdf } = require("./reportPdf");
+
+// CSV / Excel / PDF downloads of a report result - the grid the browser
+// shows, with the same filters and sort but without paging.
+
+const EXPORT_FORMATS = ["json", "csv", "xlsx"];
+// Reports with a printable layout also offer PDF
+const PRINT_FORMATS = [...EXPORT_FORMATS, "pdf"];
+
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  pdf: "application/pdf",
+};
+
+// Rows written to the response per chunk when streaming CSV
+const CSV_CHUNK_ROWS = 500;
+
+const formatField = (formats) =>
+  field.string({
+    oneOf: formats,
+    description: `${formats
+      .slice(1)
+      .join(
+        ", "
+      )} downloads every filtered, sorted row instead of the JSON page`,
+  });
+
+// Query string field added to every exportable report
+const exportQueryFields = { format: formatField(EXPORT_FORMATS) };
+
+// Same for reports that can be printed
+const printableQueryFields = { format: formatField(PRINT_FORMATS) };
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// YYYY-MM-DD, plus HH:MM:SS when the value has a time of day
+const formatDate = (date) => {
+  const day = `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(
+    date.getUTCDate()
+  )}`;
+  const time = `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(
+    date.getUTCSeconds()
+  )}`;
+  return time === "00:00:00" ? day : `${day} ${time}`;
+};
+
+/**
+ * Columns of a result with readable headers - Account_No becomes "Account No"
+ * @param {Array} rows - Procedure result
+ * @returns {Array} [{ key, header }]
+ */
+const reportColumns = (rows) =>
+  rows.length > 0
+    ? Object.keys(rows[0]).map((key) => ({
+        key,
+        header: key.replace(/_/g, " ").trim(),
+      }))
+    : [];
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  let text =
+    value instanceof Date && !Number.isNaN(value.getTime())
+      ? formatDate(value)
+      : String(value);
+  // Spreadsheets run text starting with these as a formula
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One CSV record - RFC 4180 quoting, CRLF line ending
+const csvLine = (values) => `${values.map(csvCell).join(",")}\r\n`;
+
+/**
+ * Build a download filename from the report parameters
+ * e.g. ["HV", "MAIN", fromDate, toDate] -> HV_MAIN_2024-01-01_2024-12-31.csv
+ * @param {Array} parts - Strings, numbers or Dates
+ * @param {String} format - File extension
+ * @returns {String}
+ */
+const exportFilename = (parts, format) =>
+  `${parts
+    .filter((part) => part !== undefined && part !== null && part !== "")
+    .map((part) =>
+      (part instanceof Date ? formatDate(part) : String(part))
+        .replace(/[^A-Za-z0-9-]+/g, "-")
+        .replace(/^-+|-+$/g, "")
+    )
+    .join("_")}.${format}`;
+
+// Resolves on drain or close, leaving no listener behind for the next wait
+const waitForDrain = (res) =>
+  new Promise((resolve) => {
+    const done = () => {
+      res.off("drain", done);
+      res.off("close", done);
+      resolve();
+    };
+    res.on("drain", done);
+    res.on("close", done);
+  });
+
+// Write CSV a chunk at a time, waiting whenever the socket buffer is full
+const streamCsv = async (res, columns, rows) => {
+  // Byte order mark so Excel opens the file as UTF-8
+  res.write(`\uFEFF${csvLine(columns.map(({ header }) => header))}`);
+
+  for (let start = 0; start < rows.length; start += CSV_CHUNK_ROWS) {
+    const chunk = rows
+      .slice(start, start + CSV_CHUNK_ROWS)
+      .map((row) => csvLine(columns.map(({ key }) => row[key])))
+      .join("");
+
+    if (!res.write(chunk)) {
+      await waitForDrain(res);
+    }
+    if (res.destroyed) {
+      return;
+    }
+  }
+
+  res.end();
+};
+
+/**
+ * Render a report result as a file - for delivery outside a request
+ * @param {String} format - csv, xlsx or pdf
+ * @param {Array} rows - Rows to include, already filtered and sorted
+ * @param {Object} options - { filenameParts, sheetName, print, generatedBy }
+ * as for sendReportExport, plus who the PDF footer names
+ * @returns {Object} { filename, contentType, data } data as a Buffer
+ */
+const renderReportExport = (
+  format,
+  rows,
+  { filenameParts, sheetName, print, generatedBy }
+) => {
+  const columns = reportColumns(rows);
+
+  let data;
+  if (format === "pdf") {
+    data = renderReportPdf({
+      ...print,
+      title: sheetName,
+      columns,
+      rows,
+      generatedBy,
+    });
+  } else if (format === "xlsx") {
+    data = buildWorkbook({ name: sheetName, columns, rows });
+  } else {
+    data = Buffer.from(
+      `\uFEFF${[columns.map(({ header }) => header)]
+        .concat(rows.map((row) => columns.map(({ key }) => row[key])))
+        .map(csvLine)
+        .join("")}`
+    );
+  }
+
+  return {
+    filename: exportFilename(filenameParts, format),
+    contentType: CONTENT_TYPES[format],
+    data,
+  };
+};
+
+/**
+ * Whether the request asked for a download instead of JSON
+ * @param {Object} query - Validated query values
+ * @returns {Boolean}
+ */
+const isExportRequest = (query) =>
+  query.format !== undefined && query.format !== "json";
+
+/**
+ * Send a report result as a CSV, Excel or PDF download
+ * Filters and sort from the query apply, paging does not.
+ * @param {Object} req - Express request, query validated with
+ * exportQueryFields or printableQueryFields
+ * @param {Object} res - Express response
+ * @param {Array} result - Full procedure result
+ * @param {Object} options - { filenameParts, sheetName, print } where print
+ * is { companyName, parameters, totals } for the PDF layout
+ * @see renderReportPdf
+ */
+const sendReportExport = async (
+  req,
+  res,
+  result,
+  { filenameParts, sheetName, print }
+) => {
+  const { format, filter, sort } = req.query;
+  const { rows } = applyReportQuery(result, { filter, sort });
+
+  req.log.info("Report exported", {
+    report: sheetName,
+    format,
+    count: rows.length,
+  });
+
+  // CSV streams; workbooks and PDFs are built whole
+  if (format === "csv") {
+    res.attachment(exportFilename(filenameParts, format));
+    res.type(CONTENT_TYPES.csv);
+    await streamCsv(res, reportColumns(rows), rows);
+    return;
+  }
+
+  const file = renderReportExport(format, rows, {
+    filenameParts,
+    sheetName,
+    print,
+    generatedBy: req.user.username,
+  });
+  res.attachment(file.filename);
+  res.send(file.data);
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  PRINT_FORMATS,
+  exportQueryFields,
+  printableQueryFields,
+  reportColumns,
+  csvLine,
+  exportFilename,
+  isExportRequest,
+  renderReportExport,
+  sendReportExport,
+};
@@ -0,0 +1,263 @@
+const { PAGE_SIZES, textWidth, fitText, createPdfDocument } = require("./pdf");
+
+// Printable audit report layout - company header, parameter block, a table
+// repeated across pages with its header, totals, a signature block and a
+// "generated by / at" footer with page numbers.
+
+const MARGIN = 36;
+const FONT_SIZE = 8;
+const ROW_HEIGHT = 14;
+const CELL_PADDING = 4;
+const FOOTER_HEIGHT = 28;
+
+const pad = (n) => String(n).padStart(2, "0");
+
+// YYYY-MM-DD, plus HH:MM when the value has a time of day
+const formatDate = (date) => {
+  const day = `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(
+    date.getUTCDate()
+  )}`;
+  return date.getUTCHours() || date.getUTCMinutes()
+    ? `${day} ${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}`
+    : day;
+};
+
+// 1234567.5 -> 1,234,567.50
+const formatAmount = (value) =>
+  value.toLocaleString("en-US", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+
+/**
+ * Text for a parameter or cell value
+ * @param {*} value
+ * @param {Boolean} amount - Numbers get two decimals and separators
+ * @returns {String}
+ */
+const formatValue = (value, amount = false) => {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  if (value instanceof Date) {
+    return Number.isNaN(value.getTime()) ? "" : formatDate(value);
+  }
+  if (typeof value === "number") {
+    return amount ? formatAmount(value) : String(value);
+  }
+  return String(value);
+};
+
+/**
+ * Render a report as a PDF
+ * @param {Object} report
+ * @param {String} report.companyName - First header line
+ * @param {String} report.title - Report name
+ * @param {Array} report.parameters - [{ label, value }] as selected
+ * @param {Array} report.columns - [{ key, header }]
+ * @param {Array} report.rows - Procedure result
+ * @param {Array} report.totals - Keys of the amount columns to sum
+ * @param {String} report.generatedBy - Username of the requester
+ * @param {Date} report.generatedAt
+ * @returns {Buffer}
+ */
+const renderReportPdf = ({
+  companyName,
+  title,
+  parameters = [],
+  columns,
+  rows,
+  totals = [],
+  generatedBy,
+  generatedAt = new Date(),
+}) => {
+  const doc = createPdfDocument({ size: PAGE_SIZES.A4_LANDSCAPE });
+  const tableWidth = doc.width - MARGIN * 2;
+  const bottom = doc.height - MARGIN - FOOTER_HEIGHT;
+  const amountKeys = new Set(totals);
+
+  const cells = rows.map((row) =>
+    columns.map(({ key }) => formatValue(row[key], amountKeys.has(key)))
+  );
+  const sums = Object.fromEntries(
+    totals.map((key) => [
+      key,
+      rows.reduce(
+        (sum, row) => sum + (typeof row[key] === "number" ? row[key] : 0),
+        0
+      ),
+    ])
+  );
+
+  // Numbers line up on the right
+  const rightAligned = columns.map(({ key }) =>
+    rows.some((row) => typeof row[key] === "number")
+  );
+
+  // Natural column widths, stretched or squeezed to the page width
+  const natural = columns.map(
+    ({ header, key }, i) =>
+      cells.reduce(
+        (widest, cellRow) =>
+          Math.max(widest, textWidth(cellRow[i], "regular", FONT_SIZE)),
+        Math.max(
+          textWidth(header, "bold", FONT_SIZE),
+          key in sums
+            ? textWidth(formatAmount(sums[key]), "bold", FONT_SIZE)
+            : 0
+        )
+      ) +
+      CELL_PADDING * 2
+  );
+  const naturalWidth = natural.reduce((sum, w) => sum + w, 0) || 1;
+  const widths = natural.map((w) => (w * tableWidth) / naturalWidth);
+  const lefts = [];
+  widths.reduce((x, w, i) => {
+    lefts[i] = x;
+    return x + w;
+  }, MARGIN);
+
+  let y = 0;
+
+  const drawCell = (value, i, font) => {
+    const fitted = fitText(
+      value,
+      widths[i] - CELL_PADDING * 2,
+      font,
+      FONT_SIZE
+    );
+    if (rightAligned[i]) {
+      doc.text(fitted, lefts[i] + widths[i] - CELL_PADDING, y + 10, {
+        font,
+        size: FONT_SIZE,
+        align: "right",
+      });
+    } else {
+      doc.text(fitted, lefts[i] + CELL_PADDING, y + 10, {
+        font,
+        size: FONT_SIZE,
+      });
+    }
+  };
+
+  const drawTableHeader = () => {
+    doc.rect(MARGIN, y, tableWidth, ROW_HEIGHT, { gray: 0.88 });
+    columns.forEach(({ header }, i) => drawCell(header, i, "bold"));
+    y += ROW_HEIGHT;
+  };
+
+  const startPage = () => {
+    doc.addPage();
+    y = MARGIN;
+
+    doc.text(companyName, MARGIN, y + 14, { font: "bold", size: 14 });
+    doc.text(title, MARGIN, y + 32, { font: "bold", size: 11 });
+    y += 40;
+    doc.line(MARGIN, y, doc.width - MARGIN, y, { width: 1 });
+    y += 8;
+
+    // Footer rule - the text goes in once the page count is known
+    doc.line(
+      MARGIN,
+      doc.height - MARGIN - FOOTER_HEIGHT + 8,
+      doc.width - MARGIN,
+      doc.height - MARGIN - FOOTER_HEIGHT + 8,
+      { gray: 0.5 }
+    );
+  };
+
+  // Start a new page when the next block does not fit
+  const ensureSpace = (height, withTableHeader) => {
+    if (y + height > bottom) {
+      startPage();
+      if (withTableHeader) {
+        drawTableHeader();
+      }
+    }
+  };
+
+  startPage();
+
+  // Parameters as selected, two label / value pairs per line
+  const half = tableWidth / 2;
+  parameters.forEach(({ label, value }, i) => {
+    const x = MARGIN + (i % 2) * half;
+    doc.text(`${label}:`, x, y + 10, { font: "bold", size: 9 });
+    doc.text(
+      fitText(formatValue(value), half - 110, "regular", 9),
+      x + 100,
+      y + 10,
+      { size: 9 }
+    );
+    if (i % 2 === 1 || i === parameters.length - 1) {
+      y += 14;
+    }
+  });
+  y += 10;
+
+  if (rows.length === 0) {
+    doc.text("No rows for the selected parameters.", MARGIN, y + 10, {
+      size: 10,
+    });
+    y += 24;
+  } else {
+    drawTableHeader();
+    cells.forEach((cellRow, r) => {
+      ensureSpace(ROW_HEIGHT, true);
+      if (r % 2 === 1) {
+        doc.rect(MARGIN, y, tableWidth, ROW_HEIGHT, { gray: 0.96 });
+      }
+      cellRow.forEach((value, i) => drawCell(value, i, "regular"));
+      y += ROW_HEIGHT;
+    });
+  }
+
+  // Totals
+  ensureSpace(ROW_HEIGHT + 4, false);
+  doc.line(MARGIN, y, doc.width - MARGIN, y, { width: 1 });
+  y += 2;
+  if (columns.length > 0) {
+    drawCell(
+      `Total (${rows.length} ${rows.length === 1 ? "row" : "rows"})`,
+      0,
+      "bold"
+    );
+    columns.forEach(({ key }, i) => {
+      if (i > 0 && key in sums) {
+        drawCell(formatAmount(sums[key]), i, "bold");
+      }
+    });
+  }
+  y += ROW_HEIGHT + 30;
+
+  // Signature block for the printed copy
+  ensureSpace(40, false);
+  ["Prepared by", "Verified by", "Branch Manager"].forEach((label, i) => {
+    const x = MARGIN + i * (tableWidth / 3);
+    doc.line(x, y + 20, x + tableWidth / 3 - 30, y + 20);
+    doc.text(label, x, y + 32, { size: 9 });
+  });
+
+  // Footers, now that the page count is known
+  const pageCount = doc.pageCount();
+  const footerY = doc.height - MARGIN - 6;
+  const stamp = `Generated by ${generatedBy} at ${generatedAt
+    .toISOString()
+    .slice(0, 16)
+    .replace("T", " ")} UTC`;
+  for (let page = 1; page <= pageCount; page += 1) {
+    doc.text(stamp, MARGIN, footerY, { size: 8, page });
+    doc.text(`Page ${page} of ${pageCount}`, doc.width - MARGIN, footerY, {
+      size: 8,
+      align: "right",
+      page,
+    });
+  }
+
+  return doc.toBuffer({ title, author: generatedBy });
+};
+
+module.exports = {
+  formatAmount,
+  renderReportPdf,
+};
@@ -0,0 +1,101 @@
+// Relative report periods for scheduled reports - "previous month" run on
+// 1 March covers 1-29 February. Dates are calendar days in the server's
+// local time, formatted YYYY-MM-DD like the date fields of report requests.
+
+const pad = (n) => String(n).padStart(2, "0");
+
+const toDateString = (date) =>
+  `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+const day = (year, month, date) => new Date(year, month, date);
+
+// Monday based weeks
+const startOfWeek = (date) =>
+  day(
+    date.getFullYear(),
+    date.getMonth(),
+    date.getDate() - ((date.getDay() + 6) % 7)
+  );
+
+const addDays = (date, days) =>
+  day(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// Each period maps "today" to [first day, last day]
+const PERIODS = {
+  today: (today) => [today, today],
+  yesterday: (today) => [addDays(today, -1), addDays(today, -1)],
+  "current week": (today) => [startOfWeek(today), today],
+  "previous week": (today) => {
+    const start = addDays(startOfWeek(today), -7);
+    return [start, addDays(start, 6)];
+  },
+  "current month": (today) => [
+    day(today.getFullYear(), today.getMonth(), 1),
+    today,
+  ],
+  "previous month": (today) => [
+    day(today.getFullYear(), today.getMonth() - 1, 1),
+    day(today.getFullYear(), today.getMonth(), 0),
+  ],
+  "current quarter": (today) => [
+    day(today.getFullYear(), today.getMonth() - (today.getMonth() % 3), 1),
+    today,
+  ],
+  "previous quarter": (today) => {
+    const quarterStart = today.getMonth() - (today.getMonth() % 3);
+    return [
+      day(today.getFullYear(), quarterStart - 3, 1),
+      day(today.getFullYear(), quarterStart, 0),
+    ];
+  },
+  "current year": (today) => [day(today.getFullYear(), 0, 1), today],
+  "previous year": (today) => [
+    day(today.getFullYear() - 1, 0, 1),
+    day(today.getFullYear() - 1, 11, 31),
+  ],
+};
+
+// "last 7 days" - the N days up to and including today
+const LAST_DAYS_PATTERN = /^last (\d{1,3}) days$/;
+
+const REPORT_PERIODS = [...Object.keys(PERIODS), "last N days"];
+
+/**
+ * Whether an expression names a known period
+ * @param {String} period
+ * @returns {Boolean}
+ */
+const isReportPeriod = (period) => {
+  const text = String(period).trim().toLowerCase();
+  const lastDays = text.match(LAST_DAYS_PATTERN);
+  return Boolean(PERIODS[text] || (lastDays && Number(lastDays[1]) > 0));
+};
+
+/**
+ * Resolve a relative period to dates
+ * @param {String} period - One of REPORT_PERIODS, e.g. "previous month"
+ * @param {Date} now - When the report runs
+ * @returns {Object} { fromDate, toDate } as YYYY-MM-DD
+ */
+const resolveReportPeriod = (period, now = new Date()) => {
+  const text = String(period).trim().toLowerCase();
+  const today = day(now.getFullYear(), now.getMonth(), now.getDate());
+
+  let range;
+  const lastDays = text.match(LAST_DAYS_PATTERN);
+  if (PERIODS[text]) {
+    range = PERIODS[text](today);
+  } else if (lastDays && Number(lastDays[1]) > 0) {
+    range = [addDays(today, 1 - Number(lastDays[1])), today];
+  } else {
+    throw new Error(`Unknown report period: ${period}`);
+  }
+
+  return { fromDate: toDateString(range[0]), toDate: toDateString(range[1]) };
+};
+
+module.exports = {
+  REPORT_PERIODS,
+  isReportPeriod,
+  resolveReportPeriod,
+};
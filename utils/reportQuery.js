@@ -0,0 +1,322 @@
+const { field } = require("./validation");
+const { ValidationError } = require("./errors");
+
+// Common query contract for report endpoints - paging, sorting and column
+// filters applied to the stored procedure result, which is cached per
+// parameter set so moving between pages does not run the procedure again.
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+const FILTER_OPERATORS = ["eq", "ne", "contains", "gt", "gte", "lt", "lte"];
+
+// Query string fields every paged report accepts
+const reportQueryFields = {
+  page: field.integer({ min: 1, description: "1 based page number" }),
+  pageSize: field.integer({
+    min: 1,
+    max: MAX_PAGE_SIZE,
+    description: `Rows per page, defaults to ${DEFAULT_PAGE_SIZE} when paging`,
+  }),
+  cursor: field.string({
+    maxLength: 200,
+    description: "nextCursor from the previous page, instead of page",
+  }),
+  sort: field.string({
+    maxLength: 500,
+    description:
+      "Comma separated result columns, prefix with - for descending, e.g. -Transaction_Amount,Branch_Name",
+  }),
+  filter: field.list({
+    of: field.string({ maxLength: 500 }),
+    maxItems: 20,
+    description: `Column:operator:value, repeatable. Operators: ${FILTER_OPERATORS.join(
+      ", "
+    )}`,
+  }),
+};
+
+const queryError = (fieldName, message) =>
+  new ValidationError([{ location: "query", field: fieldName, message }]);
+
+const encodeCursor = (offset) =>
+  Buffer.from(JSON.stringify({ offset })).toString("base64url");
+
+const decodeCursor = (cursor) => {
+  try {
+    const { offset } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (Number.isInteger(offset) && offset >= 0) {
+      return offset;
+    }
+  } catch (err) {
+    // Reported below
+  }
+  throw queryError("cursor", "cursor is not valid");
+};
+
+// Numbers and dates compare by value, everything else as text
+const compareValues = (a, b) => {
+  if (a instanceof Date) {
+    a = a.getTime();
+  }
+  if (b instanceof Date) {
+    b = b.getTime();
+  }
+  if (typeof a === "number" && typeof b === "number") {
+    return a - b;
+  }
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+};
+
+const checkColumn = (columns, column, fieldName) => {
+  if (columns && !columns.includes(column)) {
+    throw queryError(
+      fieldName,
+      `${fieldName} column ${column} is not in the report`
+    );
+  }
+};
+
+/**
+ * Parse "-Amount,Branch" into [{ column, direction }]
+ */
+const parseSort = (sort, columns) =>
+  sort
+    .split(",")
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const descending = part.startsWith("-");
+      const column = descending ? part.slice(1) : part;
+      checkColumn(columns, column, "sort");
+      return { column, direction: descending ? -1 : 1 };
+    });
+
+/**
+ * Parse "Column:operator:value" - the value may itself contain colons
+ */
+const parseFilter = (filter, columns) => {
+  const first = filter.indexOf(":");
+  const second = filter.indexOf(":", first + 1);
+  if (first <= 0 || second < 0) {
+    throw queryError("filter", "filter must look like column:operator:value");
+  }
+
+  const column = filter.slice(0, first);
+  const operator = filter.slice(first + 1, second);
+  const value = filter.slice(second + 1);
+
+  checkColumn(columns, column, "filter");
+  if (!FILTER_OPERATORS.includes(operator)) {
+    throw queryError(
+      "filter",
+      `filter operator must be one of: ${FILTER_OPERATORS.join(", ")}`
+    );
+  }
+
+  return { column, operator, value };
+};
+
+const matchesFilter = (row, { column, operator, value }) => {
+  const cell = row[column];
+  if (cell === null || cell === undefined) {
+    return operator === "ne";
+  }
+
+  if (operator === "contains") {
+    return String(cell).toLowerCase().includes(value.toLowerCase());
+  }
+
+  let target = value;
+  if (typeof cell === "number") {
+    target = Number(value);
+  } else if (cell instanceof Date) {
+    target = new Date(value);
+  }
+  const order =
+    typeof cell === "string"
+      ? cell.localeCompare(value, undefined, {
+          numeric: true,
+          sensitivity: "accent",
+        })
+      : compareValues(cell, target);
+
+  switch (operator) {
+    case "eq":
+      return order === 0;
+    case "ne":
+      return order !== 0;
+    case "gt":
+      return order > 0;
+    case "gte":
+      return order >= 0;
+    case "lt":
+      return order < 0;
+    default:
+      return order <= 0;
+  }
+};
+
+/**
+ * Apply filters, sort and paging to a report result
+ * Without page, pageSize or cursor every matching row is returned, so
+ * clients written before paging keep working.
+ * @param {Array} rows - Full procedure result
+ * @param {Object} query - Validated reportQueryFields values
+ * @returns {Object} { rows, pagination: { totalRows, filteredRows, page,
+ * pageSize, totalPages, nextCursor } }
+ */
+const applyReportQuery = (rows, query = {}) => {
+  if (query.page !== undefined && query.cursor !== undefined) {
+    throw queryError("cursor", "Send either page or cursor, not both");
+  }
+
+  // Columns of an empty result are unknown - any name is accepted then
+  const columns = rows.length > 0 ? Object.keys(rows[0]) : null;
+
+  let result = rows;
+  for (const filter of (query.filter || []).map((f) =>
+    parseFilter(f, columns)
+  )) {
+    result = result.filter((row) => matchesFilter(row, filter));
+  }
+
+  if (query.sort) {
+    const order = parseSort(query.sort, columns);
+    result = [...result].sort((a, b) => {
+      for (const { column, direction } of order) {
+        const left = a[column];
+        const right = b[column];
+        // Empty cells last in either direction
+        if (left === null || left === undefined) {
+          if (right !== null && right !== undefined) {
+            return 1;
+          }
+          continue;
+        }
+        if (right === null || right === undefined) {
+          return -1;
+        }
+        const diff = compareValues(left, right);
+        if (diff !== 0) {
+          return diff * direction;
+        }
+      }
+      return 0;
+    });
+  }
+
+  const filteredRows = result.length;
+  const paged =
+    query.page !== undefined ||
+    query.pageSize !== undefined ||
+    query.cursor !== undefined;
+
+  if (!paged) {
+    return {
+      rows: result,
+      pagination: {
+        totalRows: rows.length,
+        filteredRows,
+        page: 1,
+        pageSize: filteredRows,
+        totalPages: 1,
+        nextCursor: null,
+      },
+    };
+  }
+
+  const pageSize = query.pageSize || DEFAULT_PAGE_SIZE;
+  const offset =
+    query.cursor !== undefined
+      ? decodeCursor(query.cursor)
+      : ((query.page || 1) - 1) * pageSize;
+  const end = offset + pageSize;
+
+  return {
+    rows: result.slice(offset, end),
+    pagination: {
+      totalRows: rows.length,
+      filteredRows,
+      page: Math.floor(offset / pageSize) + 1,
+      pageSize,
+      totalPages: Math.ceil(filteredRows / pageSize),
+      nextCursor: end < filteredRows ? encodeCursor(end) : null,
+    },
+  };
+};
+
+/**
+ * Create the report result cache
+ * Results are kept per procedure and parameter set for ttlMs, least
+ * recently used first out. Concurrent loads of the same key share one run.
+ * @param {Object} options - { ttlMs, maxEntries } - ttlMs 0 disables caching
+ * @returns {Object} { load, invalidate }
+ */
+const createReportCache = ({ ttlMs = 60000, maxEntries = 50 } = {}) => {
+  // Map iteration order doubles as recency order
+  const entries = new Map();
+
+  /**
+   * Return the cached result or run the procedure
+   * @param {String} name - Procedure name, the invalidation key
+   * @param {Object} params - Procedure parameters
+   * @param {Function} run - Async function returning the rows
+   * @returns {Promise<Array>} Rows - treat as read-only, they are shared
+   */
+  const load = async (name, params, run) => {
+    if (ttlMs <= 0) {
+      return run();
+    }
+
+    const key = JSON.stringify([name, params]);
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.rows;
+    }
+
+    const rows = run();
+    entries.delete(key);
+    entries.set(key, { name, rows, expiresAt: Date.now() + ttlMs });
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+
+    try {
+      return await rows;
+    } catch (err) {
+      // Never cache a failure
+      if (entries.get(key) && entries.get(key).rows === rows) {
+        entries.delete(key);
+      }
+      throw err;
+    }
+  };
+
+  /**
+   * Drop every cached result of a procedure - call after writes it reads
+   * @param {String} name - Procedure name
+   */
+  const invalidate = (name) => {
+    for (const [key, entry] of entries) {
+      if (entry.name === name) {
+        entries.delete(key);
+      }
+    }
+  };
+
+  return {
+    load,
+    invalidate,
+  };
+};
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  reportQueryFields,
+  applyReportQuery,
+  createReportCache,
+};
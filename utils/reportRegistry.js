@@ -0,0 +1,279 @@
+const { field } = require("./validation");
+const { PERMISSIONS } = require("./permissions");
+const { AppError, NotFoundError } = require("./errors");
+const { formatAmount } = require("./reportPdf");
+const { logger } = require("./logger");
+
+// Reports configured in Menu_Report_tbl - Mnu_Proc_Name names the stored
+// procedure, Mnu_Params lists its inputs as JSON and Mnu_Permission the
+// permission needed to run it. Each entry compiles to a ReportDefinition, so
+// it validates, caches, exports and prints like the hand-coded reports.
+
+const INPUT_TYPES = ["string", "number", "integer", "date", "boolean"];
+
+// Body field and procedure parameter names
+const NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+// Optionally schema qualified, e.g. dbo.AuditHVTranRpt_Sp
+const PROCEDURE_PATTERN = /^([A-Za-z_][A-Za-z0-9_]*\.)?[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * One entry of the Mnu_Params JSON array
+ * @typedef {Object} ReportInput
+ * @property {String} name - Request body field
+ * @property {String} [param] - Procedure parameter without "@", defaults to name
+ * @property {String} type - string, number, integer, date or boolean
+ * @property {String} [label] - Form label and printout caption
+ * @property {Boolean} [required]
+ * @property {Number} [maxLength] - Strings only, the parameter size
+ * @property {Number} [min]
+ * @property {Number} [max]
+ * @property {Array} [oneOf] - Allowed values
+ * @property {String} [notAfter] - Input this one may not exceed, e.g.
+ * fromDate -> toDate
+ * @property {String} [lookup] - API path listing the values, for the form
+ * @property {String} [description]
+ */
+
+class ReportConfigError extends Error {}
+
+const compileInput = (input, index) => {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    throw new ReportConfigError(`input ${index + 1} is not an object`);
+  }
+  if (!NAME_PATTERN.test(input.name || "")) {
+    throw new ReportConfigError(
+      `input ${index + 1} needs a name made of letters, digits and _`
+    );
+  }
+  const param = input.param === undefined ? input.name : input.param;
+  if (!NAME_PATTERN.test(param)) {
+    throw new ReportConfigError(
+      `${input.name}: ${param} is not a valid parameter name`
+    );
+  }
+  if (!INPUT_TYPES.includes(input.type)) {
+    throw new ReportConfigError(
+      `${input.name}: type must be one of ${INPUT_TYPES.join(", ")}`
+    );
+  }
+
+  return {
+    ...input,
+    param,
+    label: input.label || input.name,
+    required: Boolean(input.required),
+  };
+};
+
+const toFieldRule = (input) =>
+  field[input.type]({
+    required: input.required,
+    maxLength: input.maxLength,
+    min: input.min,
+    max: input.max,
+    oneOf: input.oneOf,
+    description: input.description,
+  });
+
+// notAfter pairs must be in order, like fromDate / toDate on the report routes
+const checkOrder =
+  (inputs) =>
+  ({ body }) =>
+    inputs
+      .filter(
+        (input) =>
+          input.notAfter &&
+          body[input.name] !== undefined &&
+          body[input.notAfter] !== undefined &&
+          body[input.name] > body[input.notAfter]
+      )
+      .map((input) => ({
+        location: "body",
+        field: input.name,
+        message: `${input.name} cannot be ${
+          input.type === "date" ? "after" : "greater than"
+        } ${input.notAfter}`,
+      }));
+
+const printValue = (input, value) =>
+  input.type === "number" ? formatAmount(value) : String(value);
+
+/**
+ * Compile a Menu_Report_tbl entry
+ * @param {Object} entry - ReportEntry from repositories.menu.findReport
+ * @returns {Object} ReportDefinition plus `inputs`, the compiled ReportInputs
+ * @throws {ReportConfigError} When the configuration cannot be used
+ */
+const compileReport = (entry) => {
+  if (!PROCEDURE_PATTERN.test(entry.procedure || "")) {
+    throw new ReportConfigError(
+      `${entry.procedure} is not a valid procedure name`
+    );
+  }
+
+  let raw;
+  try {
+    raw = entry.parameters ? JSON.parse(entry.parameters) : [];
+  } catch (err) {
+    throw new ReportConfigError(`Mnu_Params is not valid JSON: ${err.message}`);
+  }
+  if (!Array.isArray(raw)) {
+    throw new ReportConfigError("Mnu_Params must be a JSON array");
+  }
+
+  const inputs = raw.map(compileInput);
+  const names = inputs.map((input) => input.name);
+  for (const input of inputs) {
+    if (names.indexOf(input.name) !== names.lastIndexOf(input.name)) {
+      throw new ReportConfigError(`${input.name} is listed twice`);
+    }
+    if (input.notAfter !== undefined && !names.includes(input.notAfter)) {
+      throw new ReportConfigError(
+        `${input.name}: notAfter names unknown input ${input.notAfter}`
+      );
+    }
+  }
+
+  // No fallback - a forgotten Mnu_Permission must not open the report to
+  // everyone with menu access
+  const { permission } = entry;
+  if (!permission) {
+    throw new ReportConfigError("Mnu_Permission is empty");
+  }
+  if (!Object.values(PERMISSIONS).includes(permission)) {
+    throw new ReportConfigError(`${permission} is not a known permission`);
+  }
+
+  return {
+    procedure: entry.procedure,
+    title: entry.caption,
+    permission,
+    fields: Object.fromEntries(
+      inputs.map((input) => [input.name, toFieldRule(input)])
+    ),
+    check: checkOrder(inputs),
+    params: Object.fromEntries(
+      inputs.map((input) => [input.param, input.name])
+    ),
+    dated: ["fromDate", "toDate"].every(
+      (name) => inputs.find((input) => input.name === name)?.type === "date"
+    ),
+    run: (repositories, params) =>
+      repositories.procedures.execute(
+        entry.procedure,
+        inputs.map((input) => ({
+          name: input.param,
+          type: input.type,
+          maxLength: input.maxLength,
+          value: params[input.name] === undefined ? null : params[input.name],
+        }))
+      ),
+    filenameParts: (params) => [
+      entry.caption,
+      ...inputs.map((input) => params[input.name]),
+    ],
+    printParameters: (params) =>
+      inputs
+        .filter((input) => params[input.name] !== undefined)
+        .map((input) => ({
+          label: input.label,
+          value: printValue(input, params[input.name]),
+        })),
+    totals: [],
+    inputs,
+  };
+};
+
+/**
+ * Form description of a compiled report's inputs - the procedure parameter
+ * names stay on the server
+ * @param {Object} definition - From compileReport
+ * @returns {Object[]}
+ */
+const describeInputs = (definition) =>
+  definition.inputs.map((input) =>
+    Object.fromEntries(
+      [
+        "name",
+        "label",
+        "type",
+        "required",
+        "maxLength",
+        "min",
+        "max",
+        "oneOf",
+        "notAfter",
+        "lookup",
+        "description",
+      ]
+        .filter((key) => input[key] !== undefined)
+        .map((key) => [key, input[key]])
+    )
+  );
+
+/**
+ * Report registry over Menu_Report_tbl. Every compiled report is declared to
+ * procedureMetadata, so its inputs are compared with the procedure like the
+ * hand-coded reports.
+ * @param {Object} deps - { repositories, procedureMetadata }
+ * @returns {Object} { load(reportId) => Promise<Object> the compiled report
+ * with its entry, { entry, definition }, expectAll() => Promise<void> }
+ */
+const createReportRegistry = ({ repositories, procedureMetadata }) => {
+  // One contract per entry - several can share a procedure
+  const declare = (entry, definition) =>
+    procedureMetadata.expect(definition, `Menu_Report_tbl ${entry.id}`);
+
+  return {
+    async load(reportId) {
+      const entry = await repositories.menu.findReport(reportId);
+      if (!entry) {
+        throw new NotFoundError(`No report found with ID: ${reportId}`);
+      }
+
+      let definition;
+      try {
+        definition = compileReport(entry);
+      } catch (err) {
+        if (err instanceof ReportConfigError) {
+          throw new AppError(`Report ${reportId} is not configured correctly`, {
+            code: "REPORT_MISCONFIGURED",
+            cause: err,
+          });
+        }
+        throw err;
+      }
+      declare(entry, definition);
+      return { entry, definition };
+    },
+
+    /**
+     * Declare every registered report - for the drift check at startup.
+     * Entries that do not compile are logged and left out.
+     * @returns {Promise<void>}
+     */
+    async expectAll() {
+      for (const entry of await repositories.menu.listReports()) {
+        try {
+          declare(entry, compileReport(entry));
+        } catch (err) {
+          if (!(err instanceof ReportConfigError)) {
+            throw err;
+          }
+          logger.warn("Registered report is not configured correctly", {
+            reportId: entry.id,
+            reason: err.message,
+          });
+        }
+      }
+    },
+  };
+};
+
+module.exports = {
+  INPUT_TYPES,
+  ReportConfigError,
+  compileReport,
+  describeInputs,
+  createReportRegistry,
+};
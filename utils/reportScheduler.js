@@ -0,0 +1,215 @@
+const { logger } = require("./logger");
+const { ValidationError } = require("./errors");
+const { nextCronTime } = require("./cron");
+const { resolveReportPeriod } = require("./reportPeriods");
+const { renderReportExport } = require("./reportExport");
+const {
+  REPORT_DEFINITIONS,
+  validateReportParameters,
+  reportExportOptions,
+} = require("./reportDefinitions");
+
+/**
+ * Report parameters for one run - a relative period fills fromDate / toDate
+ * @param {Object} schedule - ReportSchedule
+ * @param {Date} runAt
+ * @returns {Object}
+ */
+const scheduleParameters = (schedule, runAt) =>
+  schedule.period
+    ? { ...schedule.parameters, ...resolveReportPeriod(schedule.period, runAt) }
+    : { ...schedule.parameters };
+
+// Run history keeps one readable line per failure
+const failureMessage = (err) =>
+  err instanceof ValidationError
+    ? `Invalid report parameters: ${err.details.errors
+        .map(({ message }) => message)
+        .join("; ")}`
+    : err.message;
+
+/**
+ * Runs saved report schedules when they fall due
+ *
+ * Each poll claims due schedules one at a time, moving Next_Run_At on before
+ * running, so a run missed while the server was down happens once on start
+ * and two servers sharing a database never run the same slot twice.
+ *
+ * @param {Object} deps
+ * @param {Object} deps.config - Application config
+ * @param {Object} deps.repositories - Repositories
+ * @param {Object} deps.delivery - From createReportDelivery
+ * @param {Function} [deps.now] - Clock, replaceable in tests
+ * @returns {Object} { runSchedule, tick, start, stop }
+ */
+const createReportScheduler = ({
+  config,
+  repositories,
+  delivery,
+  now = () => new Date(),
+}) => {
+  let timer = null;
+  let ticking = null;
+
+  /**
+   * Run one schedule now and record the run
+   * @param {Object} schedule - ReportSchedule
+   * @param {Object} [options] - { trigger: "schedule" | "manual" }
+   * @returns {Promise<Object>} The finished ReportRun
+   */
+  const runSchedule = async (schedule, { trigger = "schedule" } = {}) => {
+    const startedAt = now();
+    const definition = REPORT_DEFINITIONS[schedule.procedure];
+    // A period that cannot be worked out fails the run below, which records
+    // the saved parameters instead
+    let parameters = { ...schedule.parameters };
+    let periodError = null;
+    try {
+      parameters = scheduleParameters(schedule, startedAt);
+    } catch (err) {
+      periodError = err;
+    }
+    const run = await repositories.reportSchedules.createRun({
+      scheduleId: schedule.scheduleId,
+      trigger,
+      parameters,
+      startedAt,
+    });
+
+    let result;
+    try {
+      if (periodError) {
+        throw periodError;
+      }
+      if (!definition) {
+        throw new Error(`${schedule.procedure} cannot be scheduled`);
+      }
+      const { values, errors } = validateReportParameters(
+        definition,
+        parameters
+      );
+      if (errors.length > 0) {
+        throw new ValidationError(errors);
+      }
+
+      const rows = await definition.run(repositories, values);
+      const file = renderReportExport(schedule.format, rows, {
+        ...reportExportOptions(definition, values, config.reports.companyName),
+        generatedBy: `${schedule.createdBy} (scheduled)`,
+      });
+      const output = await delivery.deliver(schedule, file, startedAt);
+
+      result = {
+        status: "succeeded",
+        finishedAt: now(),
+        rowCount: rows.length,
+        output,
+        error: null,
+      };
+      logger.info("Scheduled report delivered", {
+        scheduleId: schedule.scheduleId,
+        runId: run.runId,
+        rows: rows.length,
+        output,
+      });
+    } catch (err) {
+      result = {
+        status: "failed",
+        finishedAt: now(),
+        rowCount: null,
+        output: null,
+        error: failureMessage(err),
+      };
+      logger.error("Scheduled report failed", {
+        scheduleId: schedule.scheduleId,
+        runId: run.runId,
+        reason: result.error,
+      });
+    }
+
+    await repositories.reportSchedules.finishRun(run.runId, result);
+    return { ...run, ...result };
+  };
+
+  /**
+   * Run every schedule that is due
+   * @returns {Promise<Number>} Runs started
+   */
+  const tick = async () => {
+    const current = now();
+    const due = await repositories.reportSchedules.listDue(current);
+    let started = 0;
+
+    for (const schedule of due) {
+      // One schedule that cannot be run - not even recorded as failed, e.g.
+      // the run history cannot be written - does not hold up the others
+      try {
+        // Next slot after now, not after the missed one - no backlog of runs
+        const nextRunAt = nextCronTime(schedule.cron, current);
+        const claimed = await repositories.reportSchedules.claimRun(
+          schedule.scheduleId,
+          schedule.nextRunAt,
+          nextRunAt
+        );
+        if (claimed) {
+          started += 1;
+          await runSchedule(schedule);
+        }
+      } catch (err) {
+        logger.error("Scheduled report could not be run", {
+          scheduleId: schedule.scheduleId,
+          reason: err.message,
+        });
+      }
+    }
+
+    return started;
+  };
+
+  const poll = () => {
+    // A slow run keeps the next poll from starting a second pass
+    if (ticking) {
+      return;
+    }
+    ticking = tick()
+      .catch((err) => logger.error("Report scheduler poll failed", err))
+      .finally(() => {
+        ticking = null;
+      });
+  };
+
+  return {
+    runSchedule,
+    tick,
+
+    /**
+     * Poll every config.reportScheduler.pollMs, starting now
+     */
+    start() {
+      if (timer) {
+        return;
+      }
+      timer = setInterval(poll, config.reportScheduler.pollMs);
+      timer.unref();
+      poll();
+      logger.info("Report scheduler started", {
+        pollMs: config.reportScheduler.pollMs,
+      });
+    },
+
+    /**
+     * Stop polling
+     * @returns {Promise<void>} Resolves once a run in progress has finished
+     */
+    async stop() {
+      clearInterval(timer);
+      timer = null;
+      await ticking;
+    },
+  };
+};
+
+module.exports = {
+  scheduleParameters,
+  createReportScheduler,
+};
@@ -0,0 +1,260 @@
+const net = require("net");
+const tls = require("tls");
+const os = require("os");
+const crypto = require("crypto");
+
+// Minimal SMTP client for report delivery - EHLO, STARTTLS when the server
+// offers it, AUTH PLAIN, one message with attachments, QUIT. Any local
+// stand-in such as MailHog or smtp4dev works for testing.
+
+class SmtpError extends Error {
+  /**
+   * @param {String} message
+   * @param {Number} [code] - SMTP reply code
+   */
+  constructor(message, code) {
+    super(message);
+    this.name = "SmtpError";
+    this.code = code;
+  }
+}
+
+// RFC 2047 encoded word for non-ASCII header values
+const encodeHeader = (value) =>
+  /^[\x20-\x7e]*$/.test(value)
+    ? value
+    : `=?UTF-8?B?${Buffer.from(value).toString("base64")}?=`;
+
+const base64Lines = (data) =>
+  (
+    Buffer.from(data)
+      .toString("base64")
+      .match(/.{1,76}/g) || []
+  ).join("\r\n");
+
+/**
+ * Build a multipart/mixed message
+ * @param {Object} mail - { from, to, subject, text, attachments, date }
+ * attachments are [{ filename, contentType, data }]
+ * @returns {String} Message with CRLF line endings
+ */
+const buildMessage = ({
+  from,
+  to,
+  subject,
+  text = "",
+  attachments = [],
+  date = new Date(),
+}) => {
+  const boundary = `----=_Part_${crypto.randomBytes(12).toString("hex")}`;
+  const domain = String(from).split("@")[1] || "localhost";
+
+  const lines = [
+    `From: ${from}`,
+    `To: ${to.join(", ")}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${date.toUTCString().replace("GMT", "+0000")}`,
+    `Message-ID: <${crypto.randomUUID()}@${domain}>`,
+    "MIME-Version: 1.0",
+    `Content-Type: multipart/mixed; boundary="${boundary}"`,
+    "",
+    `--${boundary}`,
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: base64",
+    "",
+    base64Lines(text.replace(/\r?\n/g, "\r\n")),
+  ];
+
+  for (const attachment of attachments) {
+    const filename = encodeHeader(attachment.filename).replace(/"/g, "");
+    lines.push(
+      `--${boundary}`,
+      `Content-Type: ${attachment.contentType}; name="${filename}"`,
+      "Content-Transfer-Encoding: base64",
+      `Content-Disposition: attachment; filename="${filename}"`,
+      "",
+      base64Lines(attachment.data)
+    );
+  }
+
+  lines.push(`--${boundary}--`, "");
+  return lines.join("\r\n");
+};
+
+/**
+ * Reply reader and command writer over one socket
+ * @param {net.Socket} socket
+ * @returns {Object} { read, command, detach }
+ */
+const openConnection = (socket) => {
+  let buffer = "";
+  let pending = null;
+  let failure = null;
+
+  const settle = () => {
+    if (!pending) {
+      return;
+    }
+    if (failure) {
+      const { reject } = pending;
+      pending = null;
+      reject(failure);
+      return;
+    }
+
+    // A reply is complete at the first line without a "-" after the code
+    const lines = buffer.split("\r\n").slice(0, -1);
+    const end = lines.findIndex((line) => line.charAt(3) !== "-");
+    if (end < 0) {
+      return;
+    }
+    const reply = lines.slice(0, end + 1);
+    buffer = buffer.slice(
+      reply.reduce((sum, line) => sum + line.length + 2, 0)
+    );
+
+    const { resolve } = pending;
+    pending = null;
+    resolve({
+      code: Number(reply[end].slice(0, 3)),
+      lines: reply.map((line) => line.slice(4)),
+    });
+  };
+
+  const onData = (chunk) => {
+    buffer += chunk.toString("utf8");
+    settle();
+  };
+  const onError = (err) => {
+    failure = failure || err;
+    settle();
+  };
+  const onClose = () => onError(new SmtpError("SMTP connection closed"));
+
+  socket.on("data", onData);
+  socket.on("error", onError);
+  socket.on("close", onClose);
+
+  const read = () =>
+    new Promise((resolve, reject) => {
+      pending = { resolve, reject };
+      settle();
+    });
+
+  return {
+    read,
+
+    /**
+     * Send one command and check the reply code
+     * @param {String} line - Command without CRLF
+     * @param {Number[]} expected - Accepted reply codes
+     * @param {String} [name] - Used in errors instead of the line, for AUTH
+     */
+    async command(line, expected, name = line.split(" ")[0]) {
+      socket.write(`${line}\r\n`);
+      const reply = await read();
+      if (!expected.includes(reply.code)) {
+        throw new SmtpError(
+          `${name} rejected: ${reply.code} ${reply.lines.join(" ")}`,
+          reply.code
+        );
+      }
+      return reply;
+    },
+
+    detach() {
+      socket.removeListener("data", onData);
+      socket.removeListener("error", onError);
+      socket.removeListener("close", onClose);
+    },
+  };
+};
+
+const expectGreeting = async (connection) => {
+  const greeting = await connection.read();
+  if (greeting.code !== 220) {
+    throw new SmtpError(
+      `SMTP server refused the connection: ${greeting.code}`,
+      greeting.code
+    );
+  }
+};
+
+/**
+ * Send one message
+ * @param {Object} settings - config.smtp: { host, port, secure, user,
+ * password, timeoutMs, rejectUnauthorized }
+ * @param {Object} mail - { from, to, subject, text, attachments }
+ * @returns {Promise<void>}
+ * @throws {SmtpError} When the server rejects a command or stops answering
+ */
+const sendMail = async (settings, mail) => {
+  const { host, port, secure = false, timeoutMs = 30000 } = settings;
+  const tlsOptions = {
+    servername: host,
+    rejectUnauthorized: settings.rejectUnauthorized !== false,
+  };
+
+  let socket = secure
+    ? tls.connect({ host, port, ...tlsOptions })
+    : net.connect({ host, port });
+  const arm = (target) =>
+    target.setTimeout(timeoutMs, () =>
+      target.destroy(
+        new SmtpError(`SMTP server timed out after ${timeoutMs}ms`)
+      )
+    );
+  arm(socket);
+
+  let connection = openConnection(socket);
+
+  try {
+    await expectGreeting(connection);
+    const hello = await connection.command(`EHLO ${os.hostname()}`, [250]);
+
+    const offers = (keyword) =>
+      hello.lines.some((line) => line.toUpperCase().startsWith(keyword));
+
+    if (!secure && offers("STARTTLS")) {
+      await connection.command("STARTTLS", [220]);
+      connection.detach();
+      socket = tls.connect({ socket, ...tlsOptions });
+      arm(socket);
+      connection = openConnection(socket);
+      await new Promise((resolve, reject) => {
+        socket.once("secureConnect", resolve);
+        socket.once("error", reject);
+      });
+      await connection.command(`EHLO ${os.hostname()}`, [250]);
+    }
+
+    if (settings.user) {
+      const token = Buffer.from(
+        `\0${settings.user}\0${settings.password || ""}`
+      ).toString("base64");
+      await connection.command(`AUTH PLAIN ${token}`, [235], "AUTH");
+    }
+
+    await connection.command(`MAIL FROM:<${mail.from}>`, [250]);
+    for (const recipient of mail.to) {
+      await connection.command(`RCPT TO:<${recipient}>`, [250, 251]);
+    }
+    await connection.command("DATA", [354]);
+
+    // Lines starting with a dot are doubled so they do not end the message
+    const message = buildMessage(mail).replace(/(^|\r\n)\./g, "$1..");
+    await connection.command(`${message}.`, [250], "Message");
+
+    await connection.command("QUIT", [221]);
+    socket.end();
+  } catch (err) {
+    socket.destroy();
+    throw err;
+  }
+};
+
+module.exports = {
+  SmtpError,
+  buildMessage,
+  sendMail,
+};
@@ -0,0 +1,329 @@
+const sql = require("mssql");
+
+/**
+ * Refresh token store contract
+ *
+ * Every refresh token carries a token ID (jti) and a family ID. A family is
+ * the chain of tokens issued from one login; rotating a token marks it as
+ * used and issues the next token in the same family.
+ *
+ * @typedef {Object} RefreshTokenRecord
+ * @property {String} jti - Token ID
+ * @property {String} familyId - Login session the token belongs to
+ * @property {Number} userId - Tbl_UserMaster.User_ID
+ * @property {Date} expiresAt - Expiry of the token
+ * @property {Date|null} rotatedAt - When the token was exchanged for a new one
+ * @property {Date|null} revokedAt - When the token was revoked
+ *
+ * A session describes a family for the user - the device it was started
+ * from and when it was last refreshed. Its ID is the family ID.
+ *
+ * @typedef {Object} SessionRecord
+ * @property {String} sessionId - Family ID
+ * @property {Number} userId - Tbl_UserMaster.User_ID
+ * @property {String|null} userAgent - User-Agent of the login
+ * @property {String|null} ipAddress - Client IP of the latest login or refresh
+ * @property {Date} createdAt - Login time
+ * @property {Date} lastUsedAt - Latest login or refresh
+ * @property {Date} expiresAt - Expiry of the newest refresh token
+ * @property {Date|null} revokedAt - Logout or revocation time
+ *
+ * @typedef {Object} RefreshTokenStore
+ * @property {Function} save - (record) => Promise<void>
+ * @property {Function} find - (jti) => Promise<RefreshTokenRecord|null>
+ * @property {Function} markRotated - (jti) => Promise<Boolean>, false when the
+ * token was already rotated or revoked
+ * @property {Function} revokeFamily - (familyId) => Promise<void> - ends the
+ * session too
+ * @property {Function} revokeUser - (userId) => Promise<void> - ends every
+ * session of the user too
+ * @property {Function} saveSession - ({ sessionId, userId, userAgent,
+ * ipAddress, expiresAt }) => Promise<void>
+ * @property {Function} findSession - (sessionId) =>
+ * Promise<SessionRecord|null>
+ * @property {Function} touchSession - (sessionId, { ipAddress, expiresAt })
+ * => Promise<Boolean>, false when there is no such session
+ * @property {Function} listSessions - (userId, { activeSince }) =>
+ * Promise<SessionRecord[]> that are neither revoked nor expired and were
+ * used at or after activeSince when given, latest use first
+ */
+
+/**
+ * In-memory refresh token store - used by tests and local development
+ * @returns {RefreshTokenStore}
+ */
+const createMemoryTokenStore = () => {
+  const records = new Map();
+  const sessions = new Map();
+
+  // Drop expired tokens and sessions so the maps do not grow forever
+  const prune = () => {
+    const now = Date.now();
+    for (const map of [records, sessions]) {
+      for (const [key, record] of map) {
+        if (record.expiresAt.getTime() <= now) {
+          map.delete(key);
+        }
+      }
+    }
+  };
+
+  const revokeSessions = (matches) => {
+    const now = new Date();
+    for (const session of sessions.values()) {
+      if (matches(session) && !session.revokedAt) {
+        session.revokedAt = now;
+      }
+    }
+  };
+
+  return {
+    async save(record) {
+      prune();
+      records.set(record.jti, {
+        ...record,
+        rotatedAt: null,
+        revokedAt: null,
+      });
+    },
+
+    async find(jti) {
+      const record = records.get(jti);
+      return record ? { ...record } : null;
+    },
+
+    async markRotated(jti) {
+      const record = records.get(jti);
+      if (!record || record.rotatedAt || record.revokedAt) {
+        return false;
+      }
+      record.rotatedAt = new Date();
+      return true;
+    },
+
+    async revokeFamily(familyId) {
+      const now = new Date();
+      for (const record of records.values()) {
+        if (record.familyId === familyId && !record.revokedAt) {
+          record.revokedAt = now;
+        }
+      }
+      revokeSessions((session) => session.sessionId === familyId);
+    },
+
+    async revokeUser(userId) {
+      const now = new Date();
+      for (const record of records.values()) {
+        if (record.userId === userId && !record.revokedAt) {
+          record.revokedAt = now;
+        }
+      }
+      revokeSessions((session) => session.userId === userId);
+    },
+
+    async saveSession(session) {
+      prune();
+      const now = new Date();
+      sessions.set(session.sessionId, {
+        userAgent: null,
+        ipAddress: null,
+        ...session,
+        createdAt: now,
+        lastUsedAt: now,
+        revokedAt: null,
+      });
+    },
+
+    async findSession(sessionId) {
+      const session = sessions.get(sessionId);
+      return session ? { ...session } : null;
+    },
+
+    async touchSession(sessionId, { ipAddress, expiresAt }) {
+      const session = sessions.get(sessionId);
+      if (!session) {
+        return false;
+      }
+      Object.assign(session, { ipAddress, expiresAt, lastUsedAt: new Date() });
+      return true;
+    },
+
+    async listSessions(userId, { activeSince } = {}) {
+      const now = Date.now();
+      return [...sessions.values()]
+        .filter(
+          (session) =>
+            session.userId === userId &&
+            !session.revokedAt &&
+            session.expiresAt.getTime() > now &&
+            (!activeSince || session.lastUsedAt >= activeSince)
+        )
+        .sort((a, b) => b.lastUsedAt - a.lastUsedAt)
+        .map((session) => ({ ...session }));
+    },
+  };
+};
+
+/**
+ * SQL Server refresh token store backed by Tbl_RefreshToken
+ * (see sql/Tbl_RefreshToken.sql)
+ * @param {Function} getPool - Async function returning a connected mssql pool
+ * @returns {RefreshTokenStore}
+ */
+const createMssqlTokenStore = (getPool) => {
+  const toRecord = (row) => ({
+    jti: row.Token_ID,
+    familyId: row.Family_ID,
+    userId: row.User_ID,
+    expiresAt: row.Expires_At,
+    rotatedAt: row.Rotated_At,
+    revokedAt: row.Revoked_At,
+  });
+
+  const toSession = (row) => ({
+    sessionId: row.Session_ID,
+    userId: row.User_ID,
+    userAgent: row.User_Agent,
+    ipAddress: row.IP_Address,
+    createdAt: row.Created_At,
+    lastUsedAt: row.Last_Used_At,
+    expiresAt: row.Expires_At,
+    revokedAt: row.Revoked_At,
+  });
+
+  return {
+    async save(record) {
+      const pool = await getPool();
+      await pool
+        .request()
+        .input("tokenId", sql.VarChar(36), record.jti)
+        .input("familyId", sql.VarChar(36), record.familyId)
+        .input("userId", sql.Int, record.userId)
+        .input("expiresAt", sql.DateTime2, record.expiresAt).query(`
+          INSERT INTO [dbo].[Tbl_RefreshToken]
+          ([Token_ID], [Family_ID], [User_ID], [Expires_At])
+          VALUES (@tokenId, @familyId, @userId, @expiresAt)
+        `);
+    },
+
+    async find(jti) {
+      const pool = await getPool();
+      const result = await pool.request().input("tokenId", sql.VarChar(36), jti)
+        .query(`
+          SELECT Token_ID, Family_ID, User_ID, Expires_At, Rotated_At, Revoked_At
+          FROM [dbo].[Tbl_RefreshToken]
+          WHERE Token_ID = @tokenId
+        `);
+      return result.recordset.length > 0 ? toRecord(result.recordset[0]) : null;
+    },
+
+    async markRotated(jti) {
+      const pool = await getPool();
+      // Single conditional UPDATE so two concurrent refreshes cannot both win
+      const result = await pool.request().input("tokenId", sql.VarChar(36), jti)
+        .query(`
+          UPDATE [dbo].[Tbl_RefreshToken]
+          SET Rotated_At = SYSUTCDATETIME()
+          WHERE Token_ID = @tokenId
+          AND Rotated_At IS NULL
+          AND Revoked_At IS NULL
+        `);
+      return result.rowsAffected[0] === 1;
+    },
+
+    async revokeFamily(familyId) {
+      const pool = await getPool();
+      await pool.request().input("familyId", sql.VarChar(36), familyId).query(`
+          UPDATE [dbo].[Tbl_RefreshToken]
+          SET Revoked_At = SYSUTCDATETIME()
+          WHERE Family_ID = @familyId AND Revoked_At IS NULL;
+
+          UPDATE [dbo].[Tbl_Session]
+          SET Revoked_At = SYSUTCDATETIME()
+          WHERE Session_ID = @familyId AND Revoked_At IS NULL;
+        `);
+    },
+
+    async revokeUser(userId) {
+      const pool = await getPool();
+      await pool.request().input("userId", sql.Int, userId).query(`
+          UPDATE [dbo].[Tbl_RefreshToken]
+          SET Revoked_At = SYSUTCDATETIME()
+          WHERE User_ID = @userId AND Revoked_At IS NULL;
+
+          UPDATE [dbo].[Tbl_Session]
+          SET Revoked_At = SYSUTCDATETIME()
+          WHERE User_ID = @userId AND Revoked_At IS NULL;
+        `);
+    },
+
+    async saveSession(session) {
+      const pool = await getPool();
+      await pool
+        .request()
+        .input("sessionId", sql.VarChar(36), session.sessionId)
+        .input("userId", sql.Int, session.userId)
+        .input("userAgent", sql.NVarChar(400), session.userAgent)
+        .input("ipAddress", sql.VarChar(45), session.ipAddress)
+        .input("expiresAt", sql.DateTime2, session.expiresAt).query(`
+          INSERT INTO [dbo].[Tbl_Session]
+          ([Session_ID], [User_ID], [User_Agent], [IP_Address], [Expires_At])
+          VALUES (@sessionId, @userId, @userAgent, @ipAddress, @expiresAt)
+        `);
+    },
+
+    async findSession(sessionId) {
+      const pool = await getPool();
+      const result = await pool
+        .request()
+        .input("sessionId", sql.VarChar(36), sessionId).query(`
+          SELECT Session_ID, User_ID, User_Agent, IP_Address, Created_At,
+            Last_Used_At, Expires_At, Revoked_At
+          FROM [dbo].[Tbl_Session]
+          WHERE Session_ID = @sessionId
+        `);
+      return result.recordset.length > 0
+        ? toSession(result.recordset[0])
+        : null;
+    },
+
+    async touchSession(sessionId, { ipAddress, expiresAt }) {
+      const pool = await getPool();
+      const result = await pool
+        .request()
+        .input("sessionId", sql.VarChar(36), sessionId)
+        .input("ipAddress", sql.VarChar(45), ipAddress)
+        .input("expiresAt", sql.DateTime2, expiresAt).query(`
+          UPDATE [dbo].[Tbl_Session]
+          SET Last_Used_At = SYSUTCDATETIME(), IP_Address = @ipAddress,
+            Expires_At = @expiresAt
+          WHERE Session_ID = @sessionId
+        `);
+      return result.rowsAffected[0] === 1;
+    },
+
+    async listSessions(userId, { activeSince } = {}) {
+      const pool = await getPool();
+      const request = pool.request().input("userId", sql.Int, userId);
+      let idleFilter = "";
+      if (activeSince) {
+        request.input("activeSince", sql.DateTime2, activeSince);
+        idleFilter = "AND Last_Used_At >= @activeSince";
+      }
+      const result = await request.query(`
+          SELECT Session_ID, User_ID, User_Agent, IP_Address, Created_At,
+            Last_Used_At, Expires_At, Revoked_At
+          FROM [dbo].[Tbl_Session]
+          WHERE User_ID = @userId AND Revoked_At IS NULL
+            AND Expires_At > SYSUTCDATETIME() ${idleFilter}
+          ORDER BY Last_Used_At DESC
+        `);
+      return result.recordset.map(toSession);
+    },
+  };
+};
+
+module.exports = {
+  createMemoryTokenStore,
+  createMssqlTokenStore,
+};
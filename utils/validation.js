@@ -0,0 +1,271 @@
+const { ValidationError } = require("./errors");
+
+// Declarative request validation - each route declares a schema for its
+// body, query and params, and validateRequest rejects the request with one
+// 400 listing every invalid field.
+
+const LOCATIONS = ["params", "query", "body"];
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATE_TIME_PATTERN =
+  /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Field rule options shared by every type
+ * @typedef {Object} FieldOptions
+ * @property {Boolean} [required] - Reject a missing or blank value
+ * @property {Boolean} [nullable] - Keep an explicit null instead of dropping it
+ * @property {Array} [oneOf] - Allowed values
+ * @property {Boolean} [trim] - Strings only, defaults to true - turn off for passwords
+ * @property {Number} [minLength] - Strings only
+ * @property {Number} [maxLength] - Strings only, match the column / parameter size
+ * @property {RegExp} [pattern] - Strings only
+ * @property {String} [format] - Strings only, "email"
+ * @property {Object} [of] - Lists only, the rule every item must pass
+ * @property {Number} [maxItems] - Lists only
+ * @property {Number} [min] - Numbers only
+ * @property {Number} [max] - Numbers only
+ * @property {String} [description] - What the field is for
+ */
+
+const rule =
+  (type) =>
+  (options = {}) => ({ type, ...options });
+
+// Field rule builders used in route schemas
+const field = {
+  // Trimmed string
+  string: rule("string"),
+  // Number or numeric string, converted to a number
+  number: rule("number"),
+  // Whole number or numeric string, converted to a number
+  integer: rule("integer"),
+  // Calendar date as YYYY-MM-DD, kept as a string for the varchar procedure parameters
+  date: rule("date"),
+  // ISO 8601 date or date-time, converted to a Date
+  dateTime: rule("dateTime"),
+  // One value or a repeated query parameter, converted to an array of `of`
+  list: rule("list"),
+  // true / false, or "true" / "false" from a query string
+  boolean: rule("boolean"),
+  // JSON object, kept as is - check its keys in the schema's check()
+  object: rule("object"),
+};
+
+const isBlank = (value) =>
+  value === undefined ||
+  value === null ||
+  (typeof value === "string" && value.trim() === "");
+
+const isCalendarDate = (value) => {
+  if (!DATE_PATTERN.test(value)) {
+    return false;
+  }
+  // Out of range parts such as month 13 give an invalid date, Feb 30 rolls over
+  const date = new Date(`${value}T00:00:00Z`);
+  return (
+    !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value
+  );
+};
+
+/**
+ * Check one raw value against its rule
+ * @returns {Object} { value } or { error }
+ */
+const checkValue = (name, raw, def) => {
+  if (isBlank(raw)) {
+    if (def.nullable && raw === null) {
+      return { value: null };
+    }
+    return def.required
+      ? { error: `${name} is required` }
+      : { value: undefined };
+  }
+
+  let value;
+
+  switch (def.type) {
+    case "string": {
+      if (typeof raw !== "string") {
+        return { error: `${name} must be a string` };
+      }
+      value = def.trim === false ? raw : raw.trim();
+      if (def.minLength !== undefined && value.length < def.minLength) {
+        return {
+          error: `${name} must be at least ${def.minLength} characters`,
+        };
+      }
+      if (def.maxLength !== undefined && value.length > def.maxLength) {
+        return { error: `${name} must be at most ${def.maxLength} characters` };
+      }
+      if (def.format === "email" && !EMAIL_PATTERN.test(value)) {
+        return { error: `${name} must be a valid email address` };
+      }
+      if (def.pattern && !def.pattern.test(value)) {
+        return { error: `${name} has an invalid format` };
+      }
+      break;
+    }
+
+    case "number":
+    case "integer": {
+      value = typeof raw === "string" ? Number(raw.trim()) : raw;
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        return { error: `${name} must be a number` };
+      }
+      if (def.type === "integer" && !Number.isInteger(value)) {
+        return { error: `${name} must be a whole number` };
+      }
+      if (def.min !== undefined && value < def.min) {
+        return { error: `${name} must be at least ${def.min}` };
+      }
+      if (def.max !== undefined && value > def.max) {
+        return { error: `${name} must be at most ${def.max}` };
+      }
+      break;
+    }
+
+    case "date": {
+      value = typeof raw === "string" ? raw.trim() : raw;
+      if (typeof value !== "string" || !isCalendarDate(value)) {
+        return { error: `${name} must be a date in YYYY-MM-DD format` };
+      }
+      break;
+    }
+
+    case "dateTime": {
+      const text = typeof raw === "string" ? raw.trim() : "";
+      if (
+        !DATE_TIME_PATTERN.test(text) ||
+        !isCalendarDate(text.slice(0, 10)) ||
+        isNaN(Date.parse(text))
+      ) {
+        return { error: `${name} must be an ISO 8601 date or date-time` };
+      }
+      value = new Date(text);
+      break;
+    }
+
+    case "list": {
+      const items = Array.isArray(raw) ? raw : [raw];
+      if (def.maxItems !== undefined && items.length > def.maxItems) {
+        return { error: `${name} must have at most ${def.maxItems} items` };
+      }
+      value = [];
+      for (const item of items) {
+        const result = checkValue(name, item, { ...def.of, required: true });
+        if (result.error) {
+          return result;
+        }
+        value.push(result.value);
+      }
+      break;
+    }
+
+    case "boolean": {
+      value = raw === "true" ? true : raw === "false" ? false : raw;
+      if (typeof value !== "boolean") {
+        return { error: `${name} must be true or false` };
+      }
+      break;
+    }
+
+    case "object": {
+      if (typeof raw !== "object" || Array.isArray(raw)) {
+        return { error: `${name} must be an object` };
+      }
+      value = raw;
+      break;
+    }
+
+    default:
+      throw new Error(`Unknown field type for ${name}: ${def.type}`);
+  }
+
+  if (def.oneOf && !def.oneOf.includes(value)) {
+    return { error: `${name} must be one of: ${def.oneOf.join(", ")}` };
+  }
+
+  return { value };
+};
+
+/**
+ * Validate a request against a schema
+ * Only declared fields are kept, converted to their declared types.
+ * @param {Object} schema - { params, query, body } field rules and an optional
+ * check(values) returning extra errors that span several fields
+ * @param {Object} req - Express request
+ * @returns {Object} { values: { params, query, body }, errors }
+ */
+const validate = (schema, req) => {
+  const values = {};
+  const errors = [];
+
+  for (const location of LOCATIONS) {
+    if (!schema[location]) {
+      continue;
+    }
+
+    const source = req[location] || {};
+    values[location] = {};
+
+    for (const [name, def] of Object.entries(schema[location])) {
+      const result = checkValue(name, source[name], def);
+      if (result.error) {
+        errors.push({ location, field: name, message: result.error });
+      } else if (result.value !== undefined) {
+        values[location][name] = result.value;
+      }
+    }
+  }
+
+  if (errors.length === 0 && schema.check) {
+    errors.push(...(schema.check(values) || []));
+  }
+
+  return { values, errors };
+};
+
+/**
+ * Middleware validating body, query and params against a schema
+ * Valid values replace the raw ones, so handlers only see declared fields.
+ * @param {Object} schema - { params, query, body, check }
+ * @returns {Function} Express middleware, with the schema attached
+ */
+const validateRequest = (schema) => {
+  const middleware = (req, res, next) => {
+    const { values, errors } = validate(schema, req);
+
+    if (errors.length > 0) {
+      return next(new ValidationError(errors));
+    }
+
+    if (values.body) {
+      req.body = values.body;
+    }
+    if (values.params) {
+      req.params = values.params;
+    }
+    if (values.query) {
+      // Express 5 exposes req.query as a getter
+      Object.defineProperty(req, "query", {
+        value: values.query,
+        writable: true,
+        configurable: true,
+        enumerable: true,
+      });
+    }
+
+    next();
+  };
+
+  middleware.schema = schema;
+  return middleware;
+};
+
+module.exports = {
+  field,
+  validate,
+  validateRequest,
+};
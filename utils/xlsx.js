@@ -0,0 +1,250 @@
+const zlib = require("zlib");
+
+// Minimal Office Open XML workbook writer - one sheet of inline strings,
+// numbers and dates, zipped with the built-in zlib. Enough for report
+// exports without pulling in a spreadsheet library.
+
+// ---------- zip ----------
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (buffer) => {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Build a zip archive
+ * @param {Array} files - [{ name, data }] data as String or Buffer
+ * @returns {Buffer}
+ */
+const createZip = (files) => {
+  const parts = [];
+  const directory = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = Buffer.from(file.name);
+    const data = Buffer.from(file.data);
+    const compressed = zlib.deflateRawSync(data);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(8, 8); // deflate
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4); // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    parts.push(local, name, compressed);
+    directory.push(central, name);
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const directorySize = directory.reduce((sum, part) => sum + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(directorySize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...parts, ...directory, end]);
+};
+
+// ---------- workbook ----------
+
+// Cell styles, indexes into cellXfs in STYLES_XML
+const STYLE = {
+  DEFAULT: 0,
+  HEADER: 1,
+  DATE: 2,
+  DATE_TIME: 3,
+  DECIMAL: 4,
+};
+
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<numFmts count="2"><numFmt numFmtId="164" formatCode="yyyy-mm-dd"/><numFmt numFmtId="165" formatCode="yyyy-mm-dd hh:mm"/></numFmts>
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="5">
+<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>
+<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+</cellXfs>
+</styleSheet>`;
+
+const CONTENT_TYPES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+</Types>`;
+
+const ROOT_RELS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`;
+
+const WORKBOOK_RELS_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`;
+
+const escapeXml = (value) =>
+  String(value)
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// 0 -> A, 25 -> Z, 26 -> AA
+const columnLetter = (index) => {
+  let letters = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+};
+
+// Excel stores dates as days since 1899-12-30
+const excelDate = (date) => date.getTime() / 86400000 + 25569;
+
+const isMidnight = (date) =>
+  date.getUTCHours() === 0 &&
+  date.getUTCMinutes() === 0 &&
+  date.getUTCSeconds() === 0 &&
+  date.getUTCMilliseconds() === 0;
+
+// Sheet names are at most 31 characters without []:*?/\
+const sheetName = (name) =>
+  String(name || "Report")
+    .replace(/[[\]:*?/\\]/g, " ")
+    .slice(0, 31) || "Report";
+
+const cellXml = (ref, value, decimalColumn) => {
+  if (value === null || value === undefined || value === "") {
+    return "";
+  }
+  if (value instanceof Date && !Number.isNaN(value.getTime())) {
+    const style = isMidnight(value) ? STYLE.DATE : STYLE.DATE_TIME;
+    return `<c r="${ref}" s="${style}"><v>${excelDate(value)}</v></c>`;
+  }
+  if (typeof value === "number" && Number.isFinite(value)) {
+    const style = decimalColumn ? STYLE.DECIMAL : STYLE.DEFAULT;
+    return `<c r="${ref}" s="${style}"><v>${value}</v></c>`;
+  }
+  if (typeof value === "boolean") {
+    return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(
+    value
+  )}</t></is></c>`;
+};
+
+/**
+ * Build an .xlsx workbook with one sheet
+ * Numbers and dates stay typed; a column holding any fraction gets a
+ * #,##0.00 format so amounts line up, whole number columns (ids, counts)
+ * stay General.
+ * @param {Object} sheet - { name, columns: [{ key, header }], rows }
+ * @returns {Buffer}
+ */
+const buildWorkbook = ({ name, columns, rows }) => {
+  const decimalColumns = new Set(
+    columns
+      .filter(({ key }) =>
+        rows.some(
+          (row) => typeof row[key] === "number" && !Number.isInteger(row[key])
+        )
+      )
+      .map(({ key }) => key)
+  );
+
+  const header = columns
+    .map(
+      ({ header: title }, i) =>
+        `<c r="${columnLetter(i)}1" s="${
+          STYLE.HEADER
+        }" t="inlineStr"><is><t>${escapeXml(title)}</t></is></c>`
+    )
+    .join("");
+
+  const body = rows
+    .map((row, r) => {
+      const cells = columns
+        .map(({ key }, i) =>
+          cellXml(
+            `${columnLetter(i)}${r + 2}`,
+            row[key],
+            decimalColumns.has(key)
+          )
+        )
+        .join("");
+      return `<row r="${r + 2}">${cells}</row>`;
+    })
+    .join("");
+
+  const sheetXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>
+<sheetData><row r="1">${header}</row>${body}</sheetData>
+</worksheet>`;
+
+  const workbookXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets><sheet name="${escapeXml(
+    sheetName(name)
+  )}" sheetId="1" r:id="rId1"/></sheets>
+</workbook>`;
+
+  return createZip([
+    { name: "[Content_Types].xml", data: CONTENT_TYPES_XML },
+    { name: "_rels/.rels", data: ROOT_RELS_XML },
+    { name: "xl/workbook.xml", data: workbookXml },
+    { name: "xl/_rels/workbook.xml.rels", data: WORKBOOK_RELS_XML },
+    { name: "xl/styles.xml", data: STYLES_XML },
+    { name: "xl/worksheets/sheet1.xml", data: sheetXml },
+  ]);
+};
+
+module.exports = {
+  createZip,
+  buildWorkbook,
+  columnLetter,
+  excelDate,
+};